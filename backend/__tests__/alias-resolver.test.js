@@ -0,0 +1,44 @@
+const AliasResolver = require('../parsers/alias-resolver');
+
+describe('AliasResolver', () => {
+  const resolver = new AliasResolver();
+  const names = (...list) => list.map(([name, weight]) => ({ name, weight }));
+
+  test('should merge titles and ages into the most talkative variant', () => {
+    const { aliases, groups } = resolver.resolve(names(
+      ['DETECTIVE MILLER', 30], ['MILLER', 50], ['YOUNG MILLER', 5], ['SARAH', 20]
+    ));
+    expect(aliases).toEqual({ 'DETECTIVE MILLER': 'MILLER', 'YOUNG MILLER': 'MILLER' });
+    expect(groups).toHaveLength(1);
+    expect(groups[0].canonical_name).toBe('MILLER');
+  });
+
+  test('should merge nicknames and partial names', () => {
+    const { aliases } = resolver.resolve(names(['BOBBY', 3], ['ROBERT', 9], ['JOHN MILLER', 10], ['JOHN', 2]));
+    expect(aliases).toEqual({ BOBBY: 'ROBERT', JOHN: 'JOHN MILLER' });
+  });
+
+  test('should keep generic roles and different spouses apart', () => {
+    const { aliases } = resolver.resolve(names(
+      ['COP #1', 2], ['COP #2', 2], ['DETECTIVE', 3], ['MR. MILLER', 4], ['MRS. MILLER', 4], ['MILLER', 8]
+    ));
+    expect(aliases).toEqual({});
+  });
+
+  test('should use the cast list to tie first and last names together', () => {
+    const { aliases } = resolver.resolve(names(['JANE', 4], ['DOE', 9], ['SAM', 3]), {
+      castNames: ['Det. Jane Doe', 'Sam Fisher']
+    });
+    expect(aliases).toEqual({ JANE: 'DOE' });
+  });
+
+  test('should apply manual overrides over detected merges', () => {
+    const { aliases } = resolver.resolve(names(['MILLER', 50], ['YOUNG MILLER', 5], ['JACK', 3]), {
+      overrides: [
+        { alias: 'YOUNG MILLER', canonical_name: null },
+        { alias: 'JACK', canonical_name: 'MILLER' }
+      ]
+    });
+    expect(aliases).toEqual({ JACK: 'MILLER' });
+  });
+});
@@ -0,0 +1,68 @@
+const AnalysisRows = require('../parsers/analysis-rows');
+
+describe('AnalysisRows', () => {
+  const rows = new AnalysisRows();
+
+  const scene = scene_number => ({
+    scene_number, content: '', action_lines: [], dialogue_lines: [], characters_present: []
+  });
+  const character = name => ({ name, scenes_in: [1] });
+  const edge = (source, target) => ({ source, target, responses: { [source]: 1, [target]: 1 } });
+
+  const parseResult = {
+    scenes: [scene(1), scene(2), scene(2)],
+    characters: [character('MILLER'), character('SARAH')],
+    dialogue: [
+      { line_number: 1, scene_number: 1, character: 'MILLER', text: 'Get down.' },
+      { line_number: 2, scene_number: 1, character: 'RADIO', text: 'Unit four, respond.' },
+      { line_number: 3, scene_number: 9, character: 'SARAH', text: 'Where are we?' },
+      { line_number: 4, scene_number: 2, character: 'SARAH', text: '  ' }
+    ],
+    beats: [
+      { beat_type: 'Catalyst', scene_number: 1, page_number: 1, expected_page_range: [1, 2], confidence: 0.8 },
+      { beat_type: 'Catalyst', scene_number: 2, page_number: 2, expected_page_range: [1, 2], confidence: 0.4 }
+    ],
+    network: { edges: [edge('MILLER', 'SARAH'), edge('MILLER', 'RADIO')] },
+    aliases: [{
+      canonical_name: 'MILLER',
+      variants: [{ alias: 'DET. MILLER', reason: 'title_or_age' }, { alias: 'JOHNNY', reason: 'manual' }]
+    }],
+    structure_template: 'save-the-cat',
+    emotional_arc: { arc_shape: 'icarus', arc_fit: 0.7, avg_sentiment: 0.1, trajectory: [0.1] }
+  };
+
+  test('should reject rows that cannot be written, with the reason', () => {
+    const { payload, rejected } = rows.build(parseResult);
+
+    expect(payload.scenes.map(s => s.scene_number)).toEqual([1, 2]);
+    expect(payload.dialogue).toEqual([expect.objectContaining({ line_number: 1, scene_number: 1, character: 'MILLER' })]);
+    expect(payload.beats).toHaveLength(1);
+    expect(payload.relationships).toEqual([expect.objectContaining({ character_a: 'MILLER', character_b: 'SARAH' })]);
+    expect(payload.aliases).toEqual([
+      { alias: 'DET. MILLER', canonical_name: 'MILLER', reason: 'title_or_age', source: 'auto' }
+    ]);
+    expect(payload.script).toMatchObject({ arc_shape: 'icarus', emotional_trajectory: [0.1] });
+
+    expect(rejected).toEqual([
+      { table: 'scenes', key: 'scene 2', reason: 'duplicate_scene_number' },
+      { table: 'dialogue', key: 'line 2', reason: 'unknown_character' },
+      { table: 'dialogue', key: 'line 3', reason: 'unknown_scene' },
+      { table: 'dialogue', key: 'line 4', reason: 'empty_text' },
+      { table: 'story_beats', key: 'Catalyst', reason: 'duplicate_beat_type' },
+      { table: 'character_relationships', key: 'MILLER|RADIO', reason: 'unknown_character' }
+    ]);
+  });
+
+  test('should report rows written and rejected by table and reason', () => {
+    const { rejected } = rows.build(parseResult);
+    const report = rows.report(rejected, { scenes: 2, dialogue: 1 });
+
+    expect(report.ok).toBe(true);
+    expect(report.written).toEqual({ scenes: 2, dialogue: 1 });
+    expect(report.rejected).toEqual({ scenes: 1, dialogue: 3, story_beats: 1, character_relationships: 1 });
+    expect(report.reasons.unknown_character).toBe(2);
+
+    const failed = rows.report(rejected, null, new Error('deadlock detected'));
+    expect(failed).toMatchObject({ ok: false, error: 'deadlock detected', written: {} });
+  });
+});
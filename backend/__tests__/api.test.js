@@ -1,5 +1,14 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Predictions start with no trained success model
+const modelDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vesper42-api-'));
+process.env.MODEL_FILE = path.join(modelDir, 'success-model.json');
+
 const request = require('supertest');
 const app = require('../api-server');
+const SuccessModel = require('../ai/success-model');
 
 describe('API Endpoints', () => {
   
@@ -125,5 +134,251 @@ describe('API Endpoints', () => {
       expect(prediction.probability).toBeGreaterThanOrEqual(0);
       expect(prediction.probability).toBeLessThanOrEqual(1);
     });
+
+    test('should outline with a selected template', async () => {
+      const response = await request(app)
+        .post('/api/generate-outline')
+        .send({ premise: 'A heist', genre: 'Action', targetLength: 100, structure: 'story-circle' });
+      
+      expect(response.status).toBe(200);
+      expect(response.body.outline.structure.template).toBe('story-circle');
+      expect(response.body.outline).toHaveProperty('act4');
+    });
+
+    test('should reject an unknown template', async () => {
+      const response = await request(app)
+        .post('/api/generate-outline')
+        .send({ premise: 'A heist', genre: 'Action', structure: 'nope' });
+      
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('GET /api/structures', () => {
+    test('should list structure templates', async () => {
+      const response = await request(app).get('/api/structures');
+      
+      expect(response.status).toBe(200);
+      expect(response.body.structures.map(s => s.id)).toContain('heros-journey');
+    });
+  });
+
+  describe('POST /api/analyze', () => {
+    const fountain = [
+      'Title: The Long Night',
+      '',
+      'INT. DINER - NIGHT',
+      '',
+      'Rain hammers the windows.',
+      '',
+      'MILLER',
+      'She never came back.',
+      '',
+      'SARAH',
+      'Coffee?'
+    ].join('\n');
+
+    test('should analyze script text without saving it', async () => {
+      const response = await request(app)
+        .post('/api/analyze')
+        .send({ text: fountain });
+      
+      expect(response.status).toBe(200);
+      expect(response.body.success).toBe(true);
+      expect(response.body.persisted).toBe(false);
+      expect(response.body.analysis.format).toBe('fountain');
+      expect(response.body.analysis.scenes).toHaveLength(1);
+      expect(response.body.analysis).toHaveProperty('characters');
+      expect(response.body.analysis).toHaveProperty('dialogue');
+      expect(response.body.analysis).toHaveProperty('beats');
+      expect(response.body.analysis).toHaveProperty('analysis');
+    });
+
+    test('should analyze an uploaded file', async () => {
+      const response = await request(app)
+        .post('/api/analyze')
+        .attach('file', Buffer.from(fountain), 'the-long-night.fountain');
+      
+      expect(response.status).toBe(200);
+      expect(response.body.analysis.format).toBe('fountain');
+      expect(response.body.analysis.title_page.title).toBe('The Long Night');
+    });
+
+    test('should attribute dialogue to the character who speaks it', async () => {
+      const ensemble = [
+        fountain,
+        '',
+        'MILLER',
+        'Not once.',
+        'Not even for her things.',
+        '',
+        'EXT. PIER - DAWN',
+        '',
+        'MILLER',
+        'Here.'
+      ].join('\n');
+      const response = await request(app)
+        .post('/api/analyze')
+        .send({ text: ensemble });
+      
+      const byName = Object.fromEntries(response.body.analysis.characters.map(c => [c.name, c]));
+      expect(byName.MILLER).toMatchObject({
+        total_speeches: 3, total_lines: 4, speaking_scenes: 2,
+        speeches_per_scene: { 1: 2, 2: 1 }, first_scene: 1, last_scene: 2, is_protagonist: true
+      });
+      expect(byName.SARAH).toMatchObject({ total_speeches: 1, total_lines: 1, total_words: 1, is_protagonist: false });
+      expect(response.body.analysis.analysis.characters.protagonist).toBe('MILLER');
+    });
+
+    test('should parse a TV episode with its act breaks', async () => {
+      const pilot = [
+        'Title: Night Shift',
+        'Episode: 101',
+        '',
+        '>COLD OPEN<',
+        '',
+        'INT. DINER - NIGHT',
+        '',
+        'MAGGIE',
+        'Pie?',
+        '',
+        '>ACT ONE<',
+        '',
+        'EXT. STREET - DAY',
+        '',
+        'JOE',
+        'Morning.'
+      ].join('\n');
+      const response = await request(app)
+        .post('/api/analyze')
+        .send({ text: pilot });
+      
+      expect(response.status).toBe(200);
+      expect(response.body.analysis.episode).toMatchObject({
+        media_type: 'tv', series_title: 'Night Shift', season_number: 1, episode_number: 1, act_count: 1
+      });
+      expect(response.body.analysis.structure_template).toBe('tv-half-hour');
+    });
+
+    test('should reject an unknown media type', async () => {
+      const response = await request(app)
+        .post('/api/analyze')
+        .send({ text: fountain, mediaType: 'radio' });
+      
+      expect(response.status).toBe(400);
+    });
+
+    test('should fail without text or file', async () => {
+      const response = await request(app)
+        .post('/api/analyze')
+        .send({});
+      
+      expect(response.status).toBe(400);
+      expect(response.body.success).toBe(false);
+    });
+
+    test('should reject an unknown or mismatched format', async () => {
+      const docx = await request(app)
+        .post('/api/analyze')
+        .send({ text: fountain, format: 'docx' });
+      expect(docx.status).toBe(400);
+      
+      const pdf = await request(app)
+        .post('/api/analyze')
+        .send({ text: fountain, format: 'pdf' });
+      expect(pdf.status).toBe(400);
+    });
+
+    test('should answer 400 for a file that cannot be imported', async () => {
+      const fdx = await request(app)
+        .post('/api/analyze')
+        .attach('file', Buffer.from('<Screenplay></Screenplay>'), 'broken.fdx');
+      expect(fdx.status).toBe(400);
+      expect(fdx.body.error).toContain('Not a Final Draft document');
+      
+      const pdf = await request(app)
+        .post('/api/analyze')
+        .attach('file', Buffer.from('%PDF-1.4\nnot really a pdf'), 'broken.pdf');
+      expect(pdf.status).toBe(400);
+    });
+
+    test('should reject text that is not a string', async () => {
+      for (const text of [123, ['a']]) {
+        const response = await request(app)
+          .post('/api/analyze')
+          .send({ text });
+        
+        expect(response.status).toBe(400);
+        expect(response.body.error).toBe('text must be a string');
+      }
+    });
+  });
+
+  describe('GET /api/scripts/:id/pacing', () => {
+    test('should reject a bin that is not a whole number of pages from 1 to 30', async () => {
+      for (const bin of ['0', 'abc', '2.5', '31']) {
+        const response = await request(app).get(`/api/scripts/123/pacing?bin=${bin}`);
+        
+        expect(response.status).toBe(400);
+        expect(response.body.error).toBe('bin must be between 1 and 30 pages');
+      }
+    });
+  });
+
+  describe('POST /api/scripts/:id/predict', () => {
+    afterAll(() => {
+      fs.rmSync(modelDir, { recursive: true, force: true });
+    });
+
+    test('should answer 503 without a trained model', async () => {
+      const response = await request(app).post('/api/scripts/00000000-0000-0000-0000-000000000000/predict');
+      
+      expect(response.status).toBe(503);
+      expect(response.body.success).toBe(false);
+    });
+
+    test('should answer 404 for an unknown script', async () => {
+      const rows = Array.from({ length: 10 }, (_, i) => ({
+        id: `script-${i}`,
+        imdb_rating: 6 + i * 0.2,
+        genres: ['Drama'],
+        features: { page_count: 90 + i * 4 }
+      }));
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      const model = new SuccessModel();
+      model.trainOn(rows);
+      model.save();
+      console.log.mockRestore();
+
+      const response = await request(app).post('/api/scripts/00000000-0000-0000-0000-000000000000/predict');
+      
+      expect(response.status).toBe(404);
+      expect(response.body.error).toBe('Script not found');
+    });
+  });
+
+  describe('PUT /api/scripts/:id/aliases', () => {
+    test('should reject a body without aliases', async () => {
+      const response = await request(app)
+        .put('/api/scripts/123/aliases')
+        .send({ aliases: [] });
+      
+      expect(response.status).toBe(400);
+      expect(response.body.success).toBe(false);
+    });
+
+    test('should answer 404 for an unknown script without saving overrides', async () => {
+      const id = '00000000-0000-0000-0000-000000000000';
+      for (const reparse of [false, true]) {
+        const response = await request(app)
+          .put(`/api/scripts/${id}/aliases`)
+          .send({ aliases: [{ alias: 'DET. MILLER', canonical_name: 'MILLER' }], reparse });
+        
+        expect(response.status).toBe(404);
+      }
+      
+      const saved = await request(app).get(`/api/scripts/${id}/aliases`);
+      expect(saved.body.aliases).toHaveLength(0);
+    });
   });
 });
@@ -0,0 +1,46 @@
+const db = require('../storage');
+const MemoryStore = require('../storage/memory-store');
+const Migrator = require('../storage/migrator');
+const BatchParser = require('../parsers/batch-parser');
+
+describe('BatchParser', () => {
+  let scripts;
+
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  beforeEach(async () => {
+    db.useStore(new MemoryStore({ schemaSql: new Migrator().migrations().map(m => m.up) }));
+    const { data } = await db.from('scripts').insert([{ title: 'Heat' }, { title: 'Ronin' }]).select();
+    scripts = data;
+  });
+
+  afterAll(() => {
+    console.log.mockRestore();
+    db.useStore(null);
+  });
+
+  // Resume a batch queued with `queued` options, with `force` given on this run
+  const resume = async (queued, force) => {
+    const batchParser = new BatchParser();
+    await batchParser.queue.createBatch(scripts, queued);
+    const processScript = jest.spyOn(batchParser, 'processScript').mockResolvedValue({ status: 'skipped' });
+    jest.spyOn(batchParser, 'printReport').mockResolvedValue();
+
+    await batchParser.parseAllScripts({ force, concurrency: 1 });
+    return processScript.mock.calls.map(([, forced]) => forced);
+  };
+
+  test('should honour --force when resuming a batch started without it', async () => {
+    expect(await resume({ force: false }, true)).toEqual([true, true]);
+  });
+
+  test('should keep forcing a batch that was started with --force', async () => {
+    expect(await resume({ force: true }, false)).toEqual([true, true]);
+  });
+
+  test('should not force a batch that nobody forced', async () => {
+    expect(await resume({ force: false }, false)).toEqual([false, false]);
+  });
+});
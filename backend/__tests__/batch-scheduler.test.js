@@ -0,0 +1,61 @@
+const BatchScheduler = require('../parsers/batch-scheduler');
+
+describe('BatchScheduler', () => {
+  const scheduler = new BatchScheduler();
+
+  test('should back off exponentially up to a cap', () => {
+    expect(scheduler.backoff(1)).toBe(2000);
+    expect(scheduler.backoff(2)).toBe(4000);
+    expect(scheduler.backoff(3)).toBe(8000);
+    expect(scheduler.backoff(20)).toBe(60000);
+    expect(scheduler.backoff(2, { base: 100, max: 150 })).toBe(150);
+  });
+
+  test('should run jobs on at most `concurrency` workers and wait for retries', async () => {
+    const queue = [1, 2, 3, 4, 5].map(id => ({ id }));
+    const retried = [];
+    let active = 0;
+    let peak = 0;
+    const sleeps = [];
+
+    const next = async () => {
+      if (queue.length > 0) return queue.shift();
+      return retried.length > 0 ? 500 : null;
+    };
+    const handle = async job => {
+      active++;
+      peak = Math.max(peak, active);
+      await new Promise(resolve => setImmediate(resolve));
+      if (job.id === 3 && !job.retried) retried.push({ ...job, retried: true });
+      active--;
+    };
+    const sleep = async ms => {
+      sleeps.push(ms);
+      queue.push(retried.pop());
+    };
+
+    await scheduler.runPool(2, next, handle, { sleep });
+
+    expect(peak).toBe(2);
+    expect(sleeps).toEqual([1000]);
+    expect(queue).toEqual([]);
+  });
+
+  test('should summarize progress with an ETA and failures', () => {
+    const batch = { id: 'b1', status: 'running', started_at: '2026-01-01T00:00:00Z' };
+    const jobs = [
+      { script_id: 'a', title: 'Alien', status: 'done', attempts: 1 },
+      { script_id: 'b', title: 'Brazil', status: 'failed', attempts: 3, last_error: 'Parse failed' },
+      { script_id: 'c', title: 'Chinatown', status: 'running', attempts: 2 },
+      { script_id: 'd', title: 'Dune', status: 'pending', attempts: 0 }
+    ];
+    const progress = scheduler.progress(batch, jobs, new Date('2026-01-01T00:01:40Z').getTime());
+
+    expect(progress).toMatchObject({ total: 4, done: 1, failed: 1, running: 1, pending: 1, retries: 3 });
+    expect(progress.percent).toBe(50);
+    expect(progress.elapsed_seconds).toBe(100);
+    expect(progress.eta_seconds).toBe(100);
+    expect(progress.running_scripts).toEqual(['Chinatown']);
+    expect(progress.failures).toEqual([{ script_id: 'b', title: 'Brazil', attempts: 3, error: 'Parse failed' }]);
+  });
+});
@@ -0,0 +1,56 @@
+const BeatDetector = require('../parsers/beat-detector');
+
+// Evenly sized scenes spread over the given number of pages
+function buildScenes(count, pages) {
+  return Array.from({ length: count }, (_, i) => ({
+    scene_number: i + 1,
+    page_start: Math.floor(i * pages / count) + 1,
+    page_end: Math.floor((i + 1) * pages / count) + 1,
+    parent_location: ['DINER', 'PIER', 'OFFICE'][i % 3],
+    location: ['DINER', 'PIER', 'OFFICE'][i % 3],
+    characters_present: ['MILLER'],
+    dialogue_ratio: 0.5,
+    content: 'line\n'.repeat(40)
+  }));
+}
+
+describe('BeatDetector', () => {
+  const detector = new BeatDetector();
+  const characters = [{ name: 'MILLER', is_protagonist: true }];
+
+  test('should scale beat positions to the script length', () => {
+    const short = detector.detect(buildScenes(60, 90), { totalPages: 90, characters });
+    const long = detector.detect(buildScenes(60, 160), { totalPages: 160, characters });
+    const midpoint = beats => beats.find(b => b.beat_type === 'Midpoint');
+
+    expect(midpoint(short).expected_page_range).toEqual([38, 52]);
+    expect(midpoint(long).expected_page_range).toEqual([67, 93]);
+    expect(midpoint(short).page_number).toBeLessThan(midpoint(long).page_number);
+  });
+
+  test('should find beats in story order with confidence and explanation', () => {
+    const beats = detector.detect(buildScenes(60, 110), { totalPages: 110, characters });
+    expect(beats.map(b => b.beat_type)).toEqual([
+      'Opening Image', 'Inciting Incident', 'End of Act 1', 'Midpoint', 'All Is Lost', 'Climax', 'Resolution'
+    ]);
+    const order = beats.map(b => b.scene_number);
+    expect(order).toEqual([...order].sort((a, b) => a - b));
+    beats.forEach(beat => {
+      expect(beat.confidence).toBeGreaterThan(0);
+      expect(beat.confidence).toBeLessThan(1);
+      expect(beat.explanation).toMatch(/^Scene \d+ at \d+% of the script/);
+    });
+  });
+
+  test('should prefer scenes carrying the beat signals', () => {
+    const scenes = buildScenes(60, 110);
+    // A heated exchange late in the third act
+    const dialogue = [{ scene_number: 52, character: 'MILLER', tone: 'intense' }];
+    const climax = detector.detect(scenes, { totalPages: 110, characters, dialogue })
+      .find(b => b.beat_type === 'Climax');
+
+    expect(climax.scene_number).toBe(52);
+    expect(climax.signals.intensity).toBe(1);
+    expect(climax.explanation).toContain('heated dialogue');
+  });
+});
@@ -0,0 +1,53 @@
+const CharacterNetwork = require('../parsers/character-network');
+
+// Two pairs of characters bridged by MILLER
+const scenes = [
+  { scene_number: 1, characters_present: ['MILLER', 'SARAH'] },
+  { scene_number: 2, characters_present: ['MILLER', 'SARAH'] },
+  { scene_number: 3, characters_present: ['MILLER', 'KANE'] },
+  { scene_number: 4, characters_present: ['KANE', 'ROSA'] }
+];
+const dialogue = [
+  { scene_number: 1, character: 'MILLER' },
+  { scene_number: 1, character: 'SARAH' },
+  { scene_number: 1, character: 'MILLER' },
+  { scene_number: 3, character: 'KANE' },
+  { scene_number: 3, character: 'MILLER' },
+  { scene_number: 4, character: 'ROSA' },
+  { scene_number: 4, character: 'KANE' },
+  { scene_number: 4, character: 'ROSA' }
+];
+
+describe('CharacterNetwork', () => {
+  const network = new CharacterNetwork().build(scenes, dialogue);
+  const edge = (a, b) => network.edges.find(e => e.source === a && e.target === b);
+  const node = name => network.nodes.find(n => n.name === name);
+
+  test('should combine shared scenes and exchanges into edges', () => {
+    expect(edge('MILLER', 'SARAH')).toMatchObject({
+      shared_scenes: 2, exchanges: 2, responses: { MILLER: 1, SARAH: 1 }, strength: 1, first_scene: 1, last_scene: 2
+    });
+    expect(edge('KANE', 'ROSA')).toMatchObject({ shared_scenes: 1, exchanges: 2 });
+    expect(edge('MILLER', 'ROSA')).toBeUndefined();
+    expect(network.edges[0].source).toBe('MILLER');
+  });
+
+  test('should rank bridging characters by betweenness', () => {
+    expect(node('MILLER').degree).toBe(2);
+    expect(node('MILLER').betweenness_centrality).toBeGreaterThan(node('SARAH').betweenness_centrality);
+    expect(node('KANE').betweenness_centrality).toBeGreaterThan(0);
+    expect(node('ROSA').betweenness_centrality).toBe(0);
+  });
+
+  test('should cluster strongly connected characters together', () => {
+    expect(node('MILLER').cluster).toBe(node('SARAH').cluster);
+    expect(node('KANE').cluster).toBe(node('ROSA').cluster);
+    expect(node('MILLER').cluster).not.toBe(node('ROSA').cluster);
+  });
+
+  test('should track relationship strength across the script', () => {
+    expect(edge('MILLER', 'SARAH').timeline).toHaveLength(10);
+    expect(edge('MILLER', 'SARAH').trend).toBe('fading');
+    expect(edge('KANE', 'ROSA').trend).toBe('growing');
+  });
+});
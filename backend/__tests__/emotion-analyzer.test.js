@@ -0,0 +1,56 @@
+const EmotionAnalyzer = require('../parsers/emotion-analyzer');
+
+describe('EmotionAnalyzer', () => {
+  const analyzer = new EmotionAnalyzer();
+
+  const scene = (number, dialogue, action = '') => ({
+    scene_number: number,
+    page_start: number,
+    page_end: number,
+    content: 'line\n'.repeat(10),
+    dialogue_lines: [dialogue],
+    action_lines: action ? [action] : []
+  });
+
+  test('should score valence and emotions from the lexicon', () => {
+    const happy = analyzer.scoreText('I love this, it is wonderful!');
+    expect(happy.valence).toBeGreaterThan(0.5);
+    expect(happy.dominant).toBe('joy');
+
+    const afraid = analyzer.scoreText('She screams. Blood on the floor.');
+    expect(afraid.valence).toBeLessThan(-0.5);
+    expect(afraid.dominant).toBe('fear');
+  });
+
+  test('should soften negated words instead of counting them', () => {
+    const negated = analyzer.scoreText("I'm not happy.");
+    expect(negated.valence).toBeLessThan(0);
+    expect(negated.emotions).toEqual({});
+    expect(analyzer.scoreText('The door is green.').matched).toBe(0);
+  });
+
+  test('should classify a fall and recovery as man in a hole', () => {
+    const lines = [
+      'What a wonderful day, I love it.', 'Good news, we won!',
+      'He is dead. I miss him.', 'I hate this, I am afraid and alone.', 'Grief. Tears. Pain.',
+      'I am sad and tired.', 'We can hope.', 'Thank you, friend.', 'We are safe and happy.', 'I love you. Perfect.'
+    ];
+    const scenes = lines.map((line, i) => scene(i + 1, line));
+    const arc = analyzer.analyze(scenes);
+
+    expect(arc.arc_shape).toBe('man_in_a_hole');
+    expect(arc.arc_fit).toBeGreaterThan(0.7);
+    expect(arc.trajectory).toHaveLength(20);
+    expect(scenes[3].sentiment).toBeLessThan(0);
+    expect(scenes[3].dominant_emotion).toBe('anger');
+  });
+
+  test('should tag dialogue lines and call an even script flat', () => {
+    const dialogue = [{ text: 'Damn it!' }];
+    const arc = analyzer.analyze([scene(1, 'The door is green.'), scene(2, 'A chair.')], dialogue);
+
+    expect(arc.arc_shape).toBe('flat');
+    expect(dialogue[0]).toMatchObject({ emotion: 'anger' });
+    expect(dialogue[0].sentiment).toBeLessThan(0);
+  });
+});
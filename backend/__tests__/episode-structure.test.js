@@ -0,0 +1,109 @@
+const EpisodeStructure = require('../parsers/episode-structure');
+
+const PILOT = `NIGHT SHIFT
+
+"Pilot"
+
+Written by
+Jo Smith
+
+COLD OPEN
+
+INT. DINER - NIGHT
+
+MAGGIE
+You want pie?
+
+END OF COLD OPEN
+
+ACT ONE
+
+EXT. STREET - DAY
+
+JOE
+Morning.
+
+INT. STATION - DAY
+
+JOE
+Chief.
+
+END OF ACT ONE
+
+INT. OFFICE - DAY
+
+JOE
+Files.
+
+TAG
+
+INT. DINER - NIGHT
+
+MAGGIE
+Closing time.
+`;
+
+describe('EpisodeStructure', () => {
+  const episodes = new EpisodeStructure();
+
+  test('should recognize act markers in their usual spellings', () => {
+    const marker = text => episodes.markerOf({ type: 'action', text });
+    expect(marker('COLD OPEN')).toMatchObject({ key: 'teaser', end: false });
+    expect(marker('Act Three')).toMatchObject({ key: 'act3', end: false });
+    expect(marker('ACT IV')).toMatchObject({ key: 'act4' });
+    expect(marker('END OF ACT TWO.')).toMatchObject({ key: 'act2', end: true });
+    expect(marker('TAG')).toMatchObject({ key: 'tag' });
+    expect(marker('ACTING UP')).toBeNull();
+    expect(episodes.markerOf({ type: 'dialogue', text: 'ACT ONE' })).toBeNull();
+  });
+
+  test('should split scenes into teaser, acts and tag', () => {
+    // "END OF ACT ONE" with no "ACT TWO" after it still starts act two
+    const segments = [null, 'act1', 'act1', episodes.after({ key: 'act1', number: 1 }).key, 'tag'];
+    const scenes = segments.map((key, i) => ({
+      scene_number: i + 1,
+      page_start: i * 5 + 1,
+      page_end: i * 5 + 5,
+      content: 'line\n'.repeat(10),
+      episode_segment: key,
+      episode_segment_title: key && key.toUpperCase()
+    }));
+    const structure = episodes.build(scenes);
+
+    expect(scenes.map(s => s.episode_segment)).toEqual(['teaser', 'act1', 'act1', 'act2', 'tag']);
+    expect(structure.segments.map(s => [s.key, s.scene_start, s.scene_end])).toEqual([
+      ['teaser', 1, 1], ['act1', 2, 3], ['act2', 4, 4], ['tag', 5, 5]
+    ]);
+    expect(structure).toMatchObject({ has_teaser: true, has_tag: true, act_count: 2, act_breaks: [15] });
+    expect(structure.segments[1]).toMatchObject({ start: 0.2, end: 0.6 });
+  });
+
+  test('should leave feature scripts without segments', () => {
+    expect(episodes.build([{ scene_number: 1, content: 'x', episode_segment: null }]).segments).toEqual([]);
+  });
+
+  test('should read season and episode numbers from the title page', () => {
+    expect(episodes.metadata({}, PILOT)).toEqual({
+      series_title: 'NIGHT SHIFT', season_number: 1, episode_number: 1, episode_title: 'Pilot'
+    });
+    expect(episodes.metadata({ title: 'Harbor Lights', notes: 'Episode 204' })).toMatchObject({
+      series_title: 'Harbor Lights', season_number: 2, episode_number: 4
+    });
+    expect(episodes.metadata({ title: 'Big Feature', credit: 'Written by' })).toMatchObject({
+      series_title: null, episode_number: null
+    });
+  });
+
+  test('should fit template beats to the written act breaks', () => {
+    const template = {
+      acts: [{ key: 'act1', start: 0, end: 0.5 }, { key: 'act2', start: 0.5, end: 1 }]
+    };
+    const [aligned] = episodes.alignBeats(
+      [{ name: 'Act One Out', act: 'act1', target: 0.5, window: [0.4, 0.5] }],
+      template,
+      [{ key: 'act1', start: 0, end: 0.3 }, { key: 'act2', start: 0.3, end: 1 }]
+    );
+    expect(aligned.target).toBe(0.3);
+    expect(aligned.window).toEqual([0.24, 0.3]);
+  });
+});
@@ -0,0 +1,140 @@
+const FountainImporter = require('../parsers/fountain-importer');
+const FdxImporter = require('../parsers/fdx-importer');
+
+describe('Script Importers', () => {
+
+  describe('FountainImporter', () => {
+    const fountain = [
+      'Title: The Long Night',
+      'Credit: Written by',
+      'Author: Jane Doe',
+      '',
+      'INT. DINER - NIGHT #12#',
+      '',
+      'Rain hammers the windows. /* cut this */MILLER waits.',
+      '',
+      'MILLER (V.O.)',
+      '(quietly)',
+      'She never came back.',
+      'Not once.',
+      '',
+      'SARAH',
+      'Coffee?',
+      '',
+      'MILLER ^',
+      'Black.',
+      '',
+      '[[Check continuity with scene 11]]',
+      '.FLASHBACK - THE PIER',
+      '',
+      '@McCLANE',
+      'Yippee.',
+      '',
+      'CUT TO:',
+      '',
+      '==='
+    ].join('\n');
+
+    test('should parse the title page', () => {
+      const result = new FountainImporter().parse(fountain);
+      expect(result.title_page.title).toBe('The Long Night');
+      expect(result.title_page.author).toBe('Jane Doe');
+    });
+
+    test('should parse scene headings with scene numbers and forced headings', () => {
+      const { elements } = new FountainImporter().parse(fountain);
+      const headings = elements.filter(e => e.type === 'scene_heading');
+      expect(headings).toHaveLength(2);
+      expect(headings[0].text).toBe('INT. DINER - NIGHT');
+      expect(headings[0].scene_number_label).toBe('12');
+      expect(headings[1].text).toBe('FLASHBACK - THE PIER');
+    });
+
+    test('should split character extensions and keep parentheticals apart', () => {
+      const { elements } = new FountainImporter().parse(fountain);
+      const miller = elements.find(e => e.type === 'character');
+      expect(miller.name).toBe('MILLER');
+      expect(miller.extension).toBe('V.O.');
+
+      const index = elements.indexOf(miller);
+      expect(elements[index + 1]).toEqual({ type: 'parenthetical', text: '(quietly)' });
+      expect(elements[index + 2]).toEqual({ type: 'dialogue', text: 'She never came back.\nNot once.' });
+    });
+
+    test('should mark both speakers of dual dialogue', () => {
+      const { elements } = new FountainImporter().parse(fountain);
+      const cues = elements.filter(e => e.type === 'character');
+      expect(cues.map(c => c.name)).toEqual(['MILLER', 'SARAH', 'MILLER', 'MCCLANE']);
+      expect(cues[1].dual).toBe(true);
+      expect(cues[2].dual).toBe(true);
+      expect(cues[0].dual).toBeUndefined();
+    });
+
+    test('should drop boneyard, collect notes and detect transitions', () => {
+      const result = new FountainImporter().parse(fountain);
+      const action = result.elements.find(e => e.type === 'action');
+      expect(action.text).toBe('Rain hammers the windows. MILLER waits.');
+      expect(result.notes).toEqual(['Check continuity with scene 11']);
+      expect(result.elements.some(e => e.type === 'transition' && e.text === 'CUT TO:')).toBe(true);
+      expect(result.elements[result.elements.length - 1].type).toBe('page_break');
+    });
+  });
+
+  describe('FdxImporter', () => {
+    const fdx = `<?xml version="1.0" encoding="UTF-8" standalone="no" ?>
+<FinalDraft DocumentType="Script" Template="No" Version="5">
+  <Content>
+    <Paragraph Number="1" Type="Scene Heading"><Text>int. diner - night</Text></Paragraph>
+    <Paragraph Type="Action"><Text>Rain hammers the </Text><Text Style="Bold">windows.</Text></Paragraph>
+    <Paragraph Type="Character"><Text>MILLER (V.O.)</Text></Paragraph>
+    <Paragraph Type="Parenthetical"><Text>(quietly)</Text></Paragraph>
+    <Paragraph Type="Dialogue"><Text>She never came back.</Text></Paragraph>
+    <Paragraph>
+      <DualDialogue>
+        <Paragraph Type="Character"><Text>SARAH</Text></Paragraph>
+        <Paragraph Type="Dialogue"><Text>Coffee?</Text></Paragraph>
+        <Paragraph Type="Character"><Text>MILLER</Text></Paragraph>
+        <Paragraph Type="Dialogue"><Text>Black.</Text></Paragraph>
+      </DualDialogue>
+    </Paragraph>
+    <Paragraph Type="Transition"><Text>CUT TO:</Text></Paragraph>
+  </Content>
+  <TitlePage>
+    <Content>
+      <Paragraph Type="Text"><Text>The Long Night</Text></Paragraph>
+      <Paragraph Type="Text"><Text>Written by</Text></Paragraph>
+      <Paragraph Type="Text"><Text>Jane Doe</Text></Paragraph>
+    </Content>
+  </TitlePage>
+</FinalDraft>`;
+
+    test('should map paragraphs to elements in document order', () => {
+      const { elements } = new FdxImporter().parse(fdx);
+      expect(elements.map(e => e.type)).toEqual([
+        'scene_heading', 'action', 'character', 'parenthetical', 'dialogue',
+        'character', 'dialogue', 'character', 'dialogue', 'transition'
+      ]);
+      expect(elements[0]).toEqual({ type: 'scene_heading', text: 'INT. DINER - NIGHT', scene_number_label: '1' });
+      expect(elements[1].text).toBe('Rain hammers the windows.');
+    });
+
+    test('should split extensions and flag dual dialogue', () => {
+      const { elements } = new FdxImporter().parse(fdx);
+      const cues = elements.filter(e => e.type === 'character');
+      expect(cues[0]).toMatchObject({ name: 'MILLER', extension: 'V.O.' });
+      expect(cues[0].dual).toBeUndefined();
+      expect(cues[1]).toMatchObject({ name: 'SARAH', dual: true });
+      expect(cues[2]).toMatchObject({ name: 'MILLER', dual: true });
+    });
+
+    test('should read the title page', () => {
+      const { title_page } = new FdxImporter().parse(fdx);
+      expect(title_page.title).toBe('The Long Night');
+      expect(title_page.author).toBe('Jane Doe');
+    });
+
+    test('should reject documents that are not Final Draft', () => {
+      expect(() => new FdxImporter().parse('<html></html>')).toThrow('Not a Final Draft document');
+    });
+  });
+});
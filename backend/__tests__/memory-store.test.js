@@ -0,0 +1,211 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { selectAll } = require('../storage');
+const MemoryStore = require('../storage/memory-store');
+const SchemaCatalog = require('../storage/schema-catalog');
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS scripts (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    title TEXT NOT NULL,
+    genre TEXT[] DEFAULT '{}',
+    imdb_rating DECIMAL(3,1),
+    processed BOOLEAN DEFAULT FALSE,
+    protagonist TEXT,
+    analysis_version TEXT,
+    scene_count INTEGER,
+    pacing JSONB DEFAULT '{"slow": 0}',
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE(title)
+  );
+  CREATE TABLE IF NOT EXISTS character_aliases (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    script_id UUID REFERENCES scripts(id) ON DELETE CASCADE,
+    alias TEXT NOT NULL,
+    source TEXT DEFAULT 'auto', -- 'auto' or 'manual'
+    UNIQUE(script_id, alias)
+  );
+  CREATE TABLE IF NOT EXISTS parse_jobs (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    batch_id UUID,
+    status TEXT DEFAULT 'pending',
+    position INTEGER,
+    attempts INTEGER DEFAULT 0,
+    next_attempt_at TIMESTAMPTZ DEFAULT NOW()
+  );
+`;
+
+describe('SchemaCatalog', () => {
+  test('should read columns, keys, references and defaults', () => {
+    const catalog = new SchemaCatalog().load(SCHEMA);
+    const scripts = catalog.tables.scripts;
+
+    expect(scripts.unique).toEqual(expect.arrayContaining([['id'], ['title']]));
+    expect(catalog.tables.character_aliases.references).toEqual([
+      { column: 'script_id', table: 'scripts', target: 'id', onDelete: 'CASCADE' }
+    ]);
+    expect(catalog.evaluateDefault(scripts.columns.genre)).toEqual([]);
+    expect(catalog.evaluateDefault(scripts.columns.processed)).toBe(false);
+    expect(catalog.evaluateDefault(scripts.columns.pacing)).toEqual({ slow: 0 });
+    expect(catalog.evaluateDefault(scripts.columns.imdb_rating)).toBeUndefined();
+  });
+});
+
+describe('MemoryStore', () => {
+  let db;
+
+  beforeEach(async () => {
+    db = new MemoryStore({ schemaSql: SCHEMA });
+    await db.from('scripts').insert([
+      { title: 'Heat', genre: ['Crime'], imdb_rating: 8.3 },
+      { title: 'Alien', genre: ['Horror', 'Sci-Fi'], imdb_rating: 8.5 },
+      { title: 'Untitled', imdb_rating: null }
+    ]);
+  });
+
+  test('should filter, order and count like supabase-js', async () => {
+    const { data } = await db
+      .from('scripts')
+      .select('title')
+      .gt('imdb_rating', 8)
+      .order('imdb_rating', { ascending: false });
+    expect(data).toEqual([{ title: 'Alien' }, { title: 'Heat' }]);
+
+    const { data: horror } = await db.from('scripts').select('title').contains('genre', ['Horror']);
+    expect(horror).toEqual([{ title: 'Alien' }]);
+
+    const { data: rated } = await db.from('scripts').select('title').not('imdb_rating', 'is', null).ilike('title', 'h%');
+    expect(rated).toEqual([{ title: 'Heat' }]);
+
+    const { data: none, count } = await db.from('scripts').select('*', { count: 'exact', head: true });
+    expect(none).toBeNull();
+    expect(count).toBe(3);
+  });
+
+  test('should fill defaults and reject duplicate keys with 23505', async () => {
+    const { data: heat } = await db.from('scripts').select('*').eq('title', 'Heat').single();
+    expect(heat).toMatchObject({ processed: false, pacing: { slow: 0 } });
+    expect(heat.id).toEqual(expect.any(String));
+
+    const { error } = await db.from('scripts').insert({ title: 'Heat' });
+    expect(error.code).toBe('23505');
+
+    const { error: missing } = await db.from('scripts').select('*').eq('title', 'Ran').single();
+    expect(missing.code).toBe('PGRST116');
+  });
+
+  test('should upsert on the conflict columns', async () => {
+    await db.from('scripts').upsert({ title: 'Heat', imdb_rating: 8.4 }, { onConflict: 'title' });
+    await db.from('scripts').upsert({ title: 'Heat', imdb_rating: 1 }, { onConflict: 'title', ignoreDuplicates: true });
+
+    const { data } = await db.from('scripts').select('title, imdb_rating').eq('title', 'Heat');
+    expect(data).toEqual([{ title: 'Heat', imdb_rating: 8.4 }]);
+  });
+
+  test('should cascade deletes along references', async () => {
+    const { data: alien } = await db.from('scripts').select('id').eq('title', 'Alien').single();
+    await db.from('character_aliases').insert({ script_id: alien.id, alias: 'RIPLEY' });
+
+    const { data: deleted } = await db.from('scripts').delete().eq('id', alien.id).select('title');
+    expect(deleted).toEqual([{ title: 'Alien' }]);
+
+    const { count } = await db.from('character_aliases').select('*', { count: 'exact', head: true });
+    expect(count).toBe(0);
+  });
+
+  test('should roll back a failed save_script_analysis', async () => {
+    const { data: heat } = await db.from('scripts').select('id').eq('title', 'Heat').single();
+    const analysis = {
+      script: { protagonist: 'HANNA' },
+      scenes: [{ scene_number: 1, heading: 'INT. DINER - NIGHT' }],
+      characters: [{ name: 'HANNA' }, { name: 'MCCAULEY' }],
+      dialogue: [{ line_number: 1, scene_number: 1, character: 'HANNA', text: 'What are you doing?' }],
+      beats: [{ beat_type: 'Catalyst', scene_number: 1 }],
+      aliases: [],
+      relationships: []
+    };
+
+    const { data: written } = await db.rpc('save_script_analysis', {
+      p_script_id: heat.id, p_version: '2.0', p_analysis: analysis
+    });
+    expect(written).toMatchObject({ scenes: 1, characters: 2, dialogue: 1, story_beats: 1 });
+
+    const { data: line } = await db.from('dialogue').select('scene_id, character_id, text').single();
+    expect(line.scene_id).toEqual(expect.any(String));
+    expect(line.character_id).toEqual(expect.any(String));
+
+    const broken = { ...analysis, characters: [{ name: 'HANNA' }, { name: 'HANNA', id: 'same' }, { name: 'X', id: 'same' }] };
+    const { error } = await db.rpc('save_script_analysis', { p_script_id: heat.id, p_version: '2.1', p_analysis: broken });
+    expect(error.code).toBe('23505');
+
+    const { data: script } = await db.from('scripts').select('protagonist, analysis_version, scene_count').eq('id', heat.id).single();
+    expect(script).toEqual({ protagonist: 'HANNA', analysis_version: '2.0', scene_count: 1 });
+    const { count } = await db.from('characters').select('*', { count: 'exact', head: true });
+    expect(count).toBe(2);
+  });
+
+  test('should claim pending parse jobs in position order', async () => {
+    const past = new Date(Date.now() - 1000).toISOString();
+    const future = new Date(Date.now() + 60000).toISOString();
+    await db.from('parse_jobs').insert([
+      { batch_id: 'b1', position: 1, next_attempt_at: future },
+      { batch_id: 'b1', position: 2, next_attempt_at: past },
+      { batch_id: 'b1', position: 3, next_attempt_at: past }
+    ]);
+
+    const { data: first } = await db.rpc('claim_parse_job', { p_batch_id: 'b1' });
+    expect(first).toEqual([expect.objectContaining({ position: 2, status: 'running', attempts: 1 })]);
+
+    const { data: second } = await db.rpc('claim_parse_job', { p_batch_id: 'b1' });
+    expect(second[0].position).toBe(3);
+
+    const { data: drained } = await db.rpc('claim_parse_job', { p_batch_id: 'b1' });
+    expect(drained).toEqual([]);
+  });
+
+  test('should only save script keys that are columns, as the SQL function does', async () => {
+    const { data: alien } = await db.from('scripts').select('id').eq('title', 'Alien').single();
+    await db.rpc('save_script_analysis', {
+      p_script_id: alien.id,
+      p_version: '2.0',
+      p_analysis: { script: { id: 'other', protagonist: 'RIPLEY', not_a_column: 1 }, scenes: [] }
+    });
+
+    const { data: script } = await db.from('scripts').select('*').eq('id', alien.id).single();
+    expect(script).toMatchObject({ id: alien.id, protagonist: 'RIPLEY' });
+    expect(script).not.toHaveProperty('not_a_column');
+  });
+
+  test('should only restore the tables a failed write touched', async () => {
+    const jobs = db.tables.parse_jobs;
+    const { error } = await db.from('scripts').insert({ title: 'Heat' });
+
+    expect(error.code).toBe('23505');
+    expect(db.tables.parse_jobs).toBe(jobs);
+  });
+
+  test('should read every row a page at a time with selectAll', async () => {
+    const titles = await selectAll('scripts', () => db.from('scripts').select('title'), { pageSize: 2 });
+    expect(titles).toHaveLength(3);
+
+    await expect(selectAll('scripts', () => db.from('scripts').select('title').filter('title', 'regex', 'x')))
+      .rejects.toThrow('Error fetching scripts: Unsupported filter: regex');
+  });
+
+  test('should rewrite its file once for a burst of writes', async () => {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'vesper42-store-')), 'store.json');
+    const store = new MemoryStore({ file, schemaSql: SCHEMA });
+    const persist = jest.spyOn(store, 'persist');
+
+    await store.from('scripts').insert({ title: 'Ronin' });
+    await store.from('scripts').insert({ title: 'Thief' });
+    expect(persist).not.toHaveBeenCalled();
+
+    store.persist();
+    const { data } = await new MemoryStore({ file }).from('scripts').select('title').order('title');
+    expect(data.map(s => s.title)).toEqual(['Ronin', 'Thief']);
+    fs.rmSync(path.dirname(file), { recursive: true, force: true });
+  });
+});
@@ -0,0 +1,124 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Migrator = require('../storage/migrator');
+const SchemaCatalog = require('../storage/schema-catalog');
+
+describe('Migrations', () => {
+  const migrations = new Migrator().migrations();
+
+  const catalog = () => {
+    const result = new SchemaCatalog();
+    migrations.forEach(m => result.load(m.up));
+    return result;
+  };
+
+  test('should create every table the code reads or writes', () => {
+    const tables = Object.keys(catalog().tables);
+
+    expect(tables).toEqual(expect.arrayContaining([
+      'scripts', 'scenes', 'characters', 'dialogue', 'story_beats', 'learned_patterns',
+      'actors', 'performances', 'awards', 'critical_reviews', 'trends', 'social_signals',
+      'character_aliases', 'character_relationships', 'script_analysis_history', 'parse_batches', 'parse_jobs'
+    ]));
+  });
+
+  test('should have a unique key for each upsert conflict target', () => {
+    const { tables } = catalog();
+    const conflicts = {
+      learned_patterns: ['pattern_type', 'pattern_name'],
+      performances: ['actor_id', 'script_id'],
+      critical_reviews: ['script_id', 'source'],
+      awards: ['script_id', 'award_name', 'category', 'year'],
+      character_aliases: ['script_id', 'alias'],
+      trends: ['tmdb_id'],
+      social_signals: ['id'],
+      scenes: ['script_id', 'scene_number'],
+      characters: ['script_id', 'name']
+    };
+
+    Object.entries(conflicts).forEach(([table, columns]) => {
+      expect(tables[table].unique).toContainEqual(columns);
+    });
+  });
+
+  test('should remove everything again when rolled back', () => {
+    const result = catalog();
+    migrations.slice().reverse().forEach(m => result.load(m.down));
+    expect(result.tables).toEqual({});
+  });
+});
+
+describe('Migrator', () => {
+  let dir;
+  let applied;
+  let executed;
+
+  // Just enough of a pg Pool to track schema_migrations and record migration SQL
+  const pool = {
+    query: async (sql, params = []) => {
+      if (/^SELECT version/.test(sql)) return { rows: Array.from(applied, version => ({ version })) };
+      if (/^INSERT INTO schema_migrations/.test(sql)) applied.add(params[0]);
+      else if (/^DELETE FROM schema_migrations/.test(sql)) applied.delete(params[0]);
+      else if (!/CREATE TABLE IF NOT EXISTS schema_migrations|^(BEGIN|COMMIT|ROLLBACK)$/.test(sql.trim())) {
+        if (sql.includes('FAIL')) throw new Error('syntax error');
+        executed.push(sql.trim());
+      }
+      return { rows: [] };
+    },
+    connect: async () => ({ query: pool.query, release: () => {} })
+  };
+
+  const write = (file, sql) => fs.writeFileSync(path.join(dir, file), sql);
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+    applied = new Set();
+    executed = [];
+    write('001_first.up.sql', 'up 1');
+    write('001_first.down.sql', 'down 1');
+    write('002_second.up.sql', 'up 2');
+    write('002_second.down.sql', 'down 2');
+    write('010_tenth.up.sql', 'up 10');
+    write('010_tenth.down.sql', 'down 10');
+    write('README.md', 'not a migration');
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    console.log.mockRestore();
+  });
+
+  test('should apply pending migrations in version order', async () => {
+    const migrator = new Migrator({ dir, pool });
+
+    expect(await migrator.up({ to: '002' })).toEqual(['001_first', '002_second']);
+    expect(await migrator.up()).toEqual(['010_tenth']);
+    expect(await migrator.up()).toEqual([]);
+    expect(executed).toEqual(['up 1', 'up 2', 'up 10']);
+  });
+
+  test('should roll back the latest migrations', async () => {
+    const migrator = new Migrator({ dir, pool });
+    await migrator.up();
+
+    expect(await migrator.down()).toEqual(['010_tenth']);
+    expect(await migrator.down({ to: '000' })).toEqual(['002_second', '001_first']);
+    expect(executed.slice(3)).toEqual(['down 10', 'down 2', 'down 1']);
+    expect((await migrator.status()).every(m => !m.applied)).toBe(true);
+  });
+
+  test('should stop at a failing migration and leave it unapplied', async () => {
+    write('002_second.up.sql', 'FAIL');
+    const migrator = new Migrator({ dir, pool });
+
+    await expect(migrator.up()).rejects.toThrow('002_second (up) failed: syntax error');
+    expect(Array.from(applied)).toEqual(['001']);
+  });
+
+  test('should require a down file for every migration', () => {
+    fs.unlinkSync(path.join(dir, '010_tenth.down.sql'));
+    expect(() => new Migrator({ dir, pool }).migrations()).toThrow('010_tenth needs both an up and a down file');
+  });
+});
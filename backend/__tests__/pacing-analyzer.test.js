@@ -0,0 +1,79 @@
+const PacingAnalyzer = require('../parsers/pacing-analyzer');
+
+describe('PacingAnalyzer', () => {
+  const pacing = new PacingAnalyzer();
+
+  // `lines` non-blank lines of content; 7.5 lines make an eighth of a page
+  const scene = (scene_number, location, page_start, lines, { action = 0.5 } = {}) => {
+    const actionLines = Array.from({ length: Math.round(lines * action) }, () => 'He waits by the window.');
+    const dialogueLines = Array.from({ length: lines - actionLines.length }, () => 'I know.');
+    return {
+      scene_number,
+      location,
+      parent_location: location,
+      page_start,
+      page_end: page_start,
+      content: [...actionLines, ...dialogueLines].join('\n'),
+      action_lines: actionLines,
+      dialogue_lines: dialogueLines
+    };
+  };
+
+  test('should label lengths in eighths of a page', () => {
+    expect(pacing.eighthsLabel(3)).toBe('3/8');
+    expect(pacing.eighthsLabel(8)).toBe('1');
+    expect(pacing.eighthsLabel(11)).toBe('1 3/8');
+
+    const [metrics] = pacing.analyze([scene(1, 'DINER', 1, 45)]).scenes;
+    expect(metrics.length_eighths).toBe(6);
+    expect(metrics.length_label).toBe('6/8');
+  });
+
+  test('should measure dialogue tempo from speaker changes', () => {
+    const speeches = ['JOE', 'MAGGIE', 'JOE', 'MAGGIE', 'MAGGIE']
+      .map(character => ({ character, scene_number: 1, length: 4 }));
+    const [metrics] = pacing.analyze([scene(1, 'DINER', 1, 15)], speeches).scenes;
+
+    expect(metrics.length_eighths).toBe(2);
+    expect(metrics.speeches).toBe(5);
+    expect(metrics.dialogue_tempo).toBe(1.5);
+    expect(metrics.avg_speech_words).toBe(4);
+  });
+
+  test('should find sustained runs of slow scenes', () => {
+    const scenes = [
+      scene(1, 'STREET', 1, 8),
+      scene(2, 'DINER', 2, 8),
+      scene(3, 'OFFICE', 3, 120),
+      scene(4, 'OFFICE', 6, 120),
+      scene(5, 'OFFICE', 9, 120),
+      scene(6, 'ROOF', 12, 8)
+    ];
+    const result = pacing.analyze(scenes);
+
+    expect(result.slow_stretches).toHaveLength(1);
+    expect(result.slow_stretches[0]).toMatchObject({ scene_start: 3, scene_end: 5, scenes: 3, length_eighths: 48 });
+    expect(result.summary.slow_pages).toBe(6);
+    expect(result.summary.longest_scene.length_label).toBe('2');
+  });
+
+  test('should bin pages for the heatmap and count location changes', () => {
+    const scenes = [
+      scene(1, 'DINER', 1, 15),
+      scene(2, 'STREET', 2, 15),
+      scene(3, 'STREET', 4, 15),
+      scene(4, 'ROOF', 7, 15),
+      scene(5, 'DINER', 10, 15)
+    ];
+    const result = pacing.analyze(scenes, [], { binPages: 5 });
+
+    expect(result.heatmap.map(bin => [bin.page_start, bin.page_end, bin.scenes])).toEqual([[1, 5, 3], [6, 10, 2]]);
+    expect(result.heatmap[0].location_changes_per_10_pages).toBe(2);
+    expect(result.heatmap[1].location_changes_per_10_pages).toBe(4);
+    expect(result.summary.location_changes_per_10_pages).toBe(3);
+
+    const rebinned = pacing.report(result.scenes, { binPages: 10 });
+    expect(rebinned.heatmap).toHaveLength(1);
+    expect(rebinned.heatmap[0].scenes).toBe(5);
+  });
+});
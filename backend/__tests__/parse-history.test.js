@@ -0,0 +1,50 @@
+const ParseHistory = require('../parsers/parse-history');
+
+describe('ParseHistory', () => {
+  const history = new ParseHistory();
+
+  test('should compare dotted parser versions numerically', () => {
+    expect(history.isOutdated('1.0', '2.0')).toBe(true);
+    expect(history.isOutdated('1.9', '1.10')).toBe(true);
+    expect(history.isOutdated('2.0', '2.0')).toBe(false);
+    expect(history.isOutdated('2.1', '2.0')).toBe(false);
+    expect(history.isOutdated('2', '2.0')).toBe(false);
+    expect(history.isOutdated(null)).toBe(true);
+    expect(history.isOutdated(ParseHistory.PARSER_VERSION)).toBe(false);
+  });
+
+  test('should describe what changed between two parses', () => {
+    const before = history.snapshot({
+      version: '1.0',
+      scenes: [{}, {}, {}],
+      characters: [{ name: 'MILLER', is_protagonist: true }, { name: 'DETECTIVE MILLER' }, { name: 'SARAH' }],
+      dialogueCount: 40,
+      beats: [{ beat_type: 'catalyst', page_number: 12 }, { beat_type: 'midpoint', page_number: 52 }],
+      script: { arc_shape: null }
+    });
+    const after = history.snapshot({
+      version: '2.0',
+      scenes: [{}, {}, {}, {}],
+      characters: [{ name: 'DETECTIVE MILLER', is_protagonist: true }, { name: 'SARAH' }],
+      dialogueCount: 40,
+      beats: [{ beat_type: 'catalyst', page_number: 12 }, { beat_type: 'midpoint', page_number: 55 },
+        { beat_type: 'finale', page_number: 90 }],
+      script: { arc_shape: 'man_in_a_hole' }
+    });
+
+    const changes = history.diff(before, after);
+    expect(changes.from_version).toBe('1.0');
+    expect(changes.to_version).toBe('2.0');
+    expect(changes.scenes).toEqual({ before: 3, after: 4, change: 1 });
+    expect(changes.characters.removed).toEqual(['MILLER']);
+    expect(changes.characters.added).toEqual([]);
+    expect(changes.dialogue.change).toBe(0);
+    expect(changes.beats.moved).toEqual([{ beat_type: 'midpoint', from_page: 52, to_page: 55 }]);
+    expect(changes.beats.added).toEqual([{ beat_type: 'finale', page_number: 90 }]);
+    expect(changes.fields.protagonist).toEqual({ before: 'MILLER', after: 'DETECTIVE MILLER' });
+    expect(changes.fields.arc_shape).toEqual({ before: null, after: 'man_in_a_hole' });
+    expect(changes.unchanged).toBe(false);
+
+    expect(history.diff(after, { ...after, version: '2.1' }).unchanged).toBe(true);
+  });
+});
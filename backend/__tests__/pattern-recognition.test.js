@@ -0,0 +1,143 @@
+const request = require('supertest');
+const db = require('../storage');
+const MemoryStore = require('../storage/memory-store');
+const Migrator = require('../storage/migrator');
+const PatternRecognitionEngine = require('../ai/pattern-recognition');
+const app = require('../api-server');
+
+describe('PatternRecognitionEngine', () => {
+  let patterns;
+
+  beforeAll(async () => {
+    db.useStore(new MemoryStore({ schemaSql: new Migrator().migrations().map(m => m.up) }));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    // Longer scripts rate higher; one Crime script; no box office figures
+    const scripts = Array.from({ length: 12 }, (_, i) => ({
+      title: `Script ${i + 1}`,
+      page_count: 90 + i * 3 + (i % 3),
+      imdb_rating: 5.5 + i * 0.25,
+      genre_tags: i === 11 ? ['Crime', 'Drama'] : i % 2 ? ['Drama'] : ['Comedy']
+    }));
+    await db.from('scripts').insert(scripts);
+    await db.from('learned_patterns').insert({ pattern_type: 'structure', pattern_name: 'Optimal Page Count' });
+
+    patterns = await new PatternRecognitionEngine().analyzeAllPatterns();
+  });
+
+  afterAll(() => {
+    console.log.mockRestore();
+    db.useStore(null);
+  });
+
+  test('should save real test statistics for each pattern', async () => {
+    const { data: pages } = await db
+      .from('learned_patterns')
+      .select('*')
+      .eq('pattern_name', 'Page Count vs Rating')
+      .single();
+
+    expect(pages).toMatchObject({ outcome: 'imdb_rating', sample_size: 12, is_significant: true });
+    expect(pages.success_correlation_score).toBeGreaterThan(0.9);
+    expect(pages.adjusted_p_value).toBeGreaterThanOrEqual(pages.p_value);
+    expect(pages.effect_size).toBeGreaterThan(1);
+
+    const [low, high] = pages.statistics.pearson.ci;
+    expect(low).toBeLessThan(pages.success_correlation_score);
+    expect(high).toBeGreaterThan(pages.success_correlation_score);
+    expect(pages.statistics.spearman.rho).toBeGreaterThan(0.9);
+    expect(pages.description).toContain('Significant after correction');
+  });
+
+  test('should not save patterns with too few scripts behind them', () => {
+    const names = patterns.map(p => p.pattern_name);
+
+    expect(names).toEqual(expect.arrayContaining(['Drama vs Rating', 'Comedy vs Rating']));
+    expect(names).not.toContain('Crime vs Rating');
+    expect(names.some(n => n.endsWith('vs Box Office'))).toBe(false);
+
+    const genre = patterns.find(p => p.pattern_name === 'Drama vs Rating');
+    expect(genre.is_significant).toBe(false);
+  });
+
+  test('should fail rather than learn from a failed read', async () => {
+    const store = db.getStore();
+    const execute = store.execute.bind(store);
+    jest.spyOn(store, 'execute').mockImplementation(query =>
+      (query.table === 'dialogue' ? Promise.reject(new Error('statement timeout')) : execute(query)));
+
+    const { data: scripts } = await db.from('scripts').select('id');
+    await expect(new PatternRecognitionEngine().analyzeDialoguePatterns(scripts))
+      .rejects.toThrow('Error fetching dialogue: statement timeout');
+    store.execute.mockRestore();
+  });
+
+  test('should remove patterns the run no longer supports', async () => {
+    const { data } = await db.from('learned_patterns').select('pattern_name');
+    expect(data.map(p => p.pattern_name)).not.toContain('Optimal Page Count');
+    expect(data).toHaveLength(patterns.length);
+  });
+});
+
+describe('PatternRecognitionEngine scopes', () => {
+  let patterns;
+
+  beforeAll(async () => {
+    db.useStore(new MemoryStore({ schemaSql: new Migrator().migrations().map(m => m.up) }));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    // Horror rates higher with short scenes, drama with long ones; half of each is TV
+    const scripts = Array.from({ length: 20 }, (_, i) => {
+      const horror = i < 10;
+      const step = i % 10;
+      return {
+        title: `Script ${i + 1}`,
+        page_count: 100 + (i % 4),
+        imdb_rating: 5 + step * 0.4,
+        genre_tags: [horror ? 'Horror' : 'Drama'],
+        media_type: i % 2 ? 'movie' : 'tv',
+        pacing: { avg_scene_eighths: horror ? 16 - step + (i % 3) * 0.5 : 6 + step + (i % 3) * 0.5 }
+      };
+    });
+    await db.from('scripts').insert(scripts);
+
+    patterns = await new PatternRecognitionEngine().analyzeAllPatterns();
+  });
+
+  afterAll(() => {
+    console.log.mockRestore();
+    db.useStore(null);
+  });
+
+  test('should learn structure patterns within each genre', () => {
+    const horror = patterns.find(p => p.pattern_name === 'Average Scene Length vs Rating (Horror)');
+    const drama = patterns.find(p => p.pattern_name === 'Average Scene Length vs Rating (Drama)');
+
+    expect(horror).toMatchObject({ genres: ['horror'], media_type: null, sample_size: 10 });
+    expect(horror.success_correlation_score).toBeLessThan(-0.9);
+    expect(drama).toMatchObject({ genres: ['drama'], sample_size: 10 });
+    expect(drama.success_correlation_score).toBeGreaterThan(0.9);
+  });
+
+  test('should learn within each media type, but only for scoped feature families', () => {
+    expect(patterns.find(p => p.pattern_name === 'Average Scene Length vs Rating (TV)')).toMatchObject({
+      genres: ['all'],
+      media_type: 'tv'
+    });
+    expect(patterns.filter(p => /\((Horror|Drama|TV|Movie)\)$/.test(p.pattern_name)).every(p =>
+      ['structure', 'dialogue', 'character', 'beat_timing'].includes(p.pattern_type))).toBe(true);
+  });
+
+  test('should filter patterns by genre and media type in the API', async () => {
+    const horror = await request(app).get('/api/patterns').query({ genre: 'Horror', type: 'structure' });
+    expect(horror.status).toBe(200);
+    expect(horror.body.count).toBeGreaterThan(0);
+    expect(horror.body.patterns.every(p => p.genres.includes('horror') && p.pattern_type === 'structure')).toBe(true);
+
+    const tv = await request(app).get('/api/patterns').query({ media_type: 'tv' });
+    expect(tv.body.patterns.every(p => p.media_type === 'tv')).toBe(true);
+
+    const bad = await request(app).get('/api/patterns').query({ media_type: 'radio' });
+    expect(bad.status).toBe(400);
+  });
+});
@@ -0,0 +1,45 @@
+const PatternStatistics = require('../ai/pattern-statistics');
+
+describe('PatternStatistics', () => {
+  const stats = new PatternStatistics();
+
+  test('should compute Pearson and Spearman correlation', () => {
+    expect(stats.pearson([1, 2, 3, 4], [2, 4, 6, 8])).toBeCloseTo(1);
+    expect(stats.pearson([1, 1, 1], [1, 2, 3])).toBe(0);
+    // Monotonic but not linear
+    expect(stats.pearson([1, 2, 3, 4], [1, 4, 9, 100])).toBeLessThan(0.9);
+    expect(stats.spearman([1, 2, 3, 4], [1, 4, 9, 100])).toBeCloseTo(1);
+  });
+
+  test('should give tied values their average rank', () => {
+    expect(stats.ranks([3, 1, 3, 2])).toEqual([3.5, 1, 3.5, 2]);
+  });
+
+  test('should test a correlation and bound it with a Fisher interval', () => {
+    // r = 0.5 over 20 pairs: t = 2.449 on 18 df
+    expect(stats.correlationPValue(0.5, 20)).toBeCloseTo(0.0248, 3);
+    const [low, high] = stats.correlationInterval(0.5, 20);
+    expect(low).toBeCloseTo(0.074, 2);
+    expect(high).toBeCloseTo(0.772, 2);
+    expect(stats.correlationPValue(0.1, 2)).toBe(1);
+  });
+
+  test('should match Student t and normal tables', () => {
+    expect(stats.studentTwoTailed(2.228, 10)).toBeCloseTo(0.05, 3);
+    expect(stats.normalQuantile(0.975)).toBeCloseTo(1.96, 3);
+    expect(stats.normalQuantile(0.01)).toBeCloseTo(-2.326, 3);
+  });
+
+  test('should compute Cohen\'s d with an interval', () => {
+    const effect = stats.cohensD([1, 2, 3, 4, 5], [3, 4, 5, 6, 7]);
+    expect(effect.d).toBeCloseTo(-1.265, 3);
+    expect(effect.ci[0]).toBeLessThan(effect.d);
+    expect(effect.ci[1]).toBeGreaterThan(effect.d);
+    expect(stats.cohensD([1], [2, 3])).toBeNull();
+  });
+
+  test('should adjust p-values with Benjamini-Hochberg', () => {
+    expect(stats.adjustPValues([0.01, 0.04, 0.03, 0.005])).toEqual([0.02, 0.04, 0.04, 0.02]);
+    expect(stats.adjustPValues([0.9, 0.8])).toEqual([0.9, 0.9]);
+  });
+});
@@ -0,0 +1,120 @@
+const PdfImporter = require('../parsers/pdf-importer');
+
+// Minimal Courier PDF: one [x, y, text] triple per line
+function buildPdf(pages) {
+  const objects = [];
+  const pageIds = pages.map((page, i) => 4 + i * 2);
+
+  objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+  objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`;
+  objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Courier >>';
+
+  pages.forEach((lines, i) => {
+    const stream = lines
+      .map(([x, y, text]) => `BT /F1 12 Tf ${x} ${y} Td (${text.replace(/([()\\])/g, '\\$1')}) Tj ET`)
+      .join('\n');
+    objects[pageIds[i]] = '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] ' +
+      `/Resources << /Font << /F1 3 0 R >> >> /Contents ${pageIds[i] + 1} 0 R >>`;
+    objects[pageIds[i] + 1] = `<< /Length ${Buffer.byteLength(stream)} >>\nstream\n${stream}\nendstream`;
+  });
+
+  let pdf = '%PDF-1.4\n';
+  const offsets = [];
+  for (let id = 1; id < objects.length; id++) {
+    offsets[id] = Buffer.byteLength(pdf);
+    pdf += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+  }
+  const xref = Buffer.byteLength(pdf);
+  pdf += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+  for (let id = 1; id < objects.length; id++) {
+    pdf += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+  }
+  pdf += `trailer\n<< /Size ${objects.length} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return Buffer.from(pdf, 'latin1');
+}
+
+describe('PdfImporter', () => {
+
+  describe('cleanPages', () => {
+    test('should drop the title page and page numbers', () => {
+      const { pages, title_page } = new PdfImporter().cleanPages([
+        ['', '          THE LONG NIGHT', '', '          Written by', '          Jane Doe'],
+        ['     INT. DINER - NIGHT', '', '     Rain.'],
+        ['                                                            2.', '     EXT. PIER - DAWN']
+      ]);
+
+      expect(title_page.title).toBe('THE LONG NIGHT');
+      expect(pages).toEqual([
+        ['     INT. DINER - NIGHT', '', '     Rain.'],
+        ['     EXT. PIER - DAWN']
+      ]);
+    });
+
+    test('should move margin scene numbers into a label', () => {
+      const { pages } = new PdfImporter().cleanPages([
+        ['12   INT. DINER - NIGHT                                    12', '     Rain.']
+      ]);
+      expect(pages[0][0]).toBe('     INT. DINER - NIGHT #12#');
+    });
+
+    test('should stitch speeches split by (MORE) and (CONT\'D)', () => {
+      const { pages } = new PdfImporter().cleanPages([
+        [
+          '     INT. DINER - NIGHT',
+          '',
+          '                          MILLER',
+          '               She never came back.',
+          '                          (MORE)',
+          '                                                  (CONTINUED)'
+        ],
+        [
+          '                                                            2.',
+          '     CONTINUED:',
+          '                          MILLER (CONT\'D)',
+          '               Not once.',
+          '',
+          '                          SARAH (CONT\'D)',
+          '               Coffee?'
+        ]
+      ]);
+
+      expect(pages[0]).toEqual([
+        '     INT. DINER - NIGHT',
+        '',
+        '                          MILLER',
+        '               She never came back.'
+      ]);
+      // Miller's cue is gone; Sarah's (CONT'D) is a real new speech
+      expect(pages[1]).toEqual([
+        '               Not once.',
+        '',
+        '                          SARAH (CONT\'D)',
+        '               Coffee?'
+      ]);
+    });
+  });
+
+  describe('parse', () => {
+    test('should read physical pages with indentation from a PDF', async () => {
+      const buffer = buildPdf([
+        [[108, 720, 'INT. DINER - NIGHT'], [108, 696, 'Rain hammers the windows.'], [266.4, 672, 'MILLER'], [180, 660, 'She never came back.']],
+        [[504, 756, '2.'], [108, 720, 'EXT. PIER - DAWN']]
+      ]);
+
+      const result = await new PdfImporter().parse(buffer);
+
+      expect(result.format).toBe('pdf');
+      expect(result.pages).toHaveLength(2);
+      expect(result.pages[0]).toEqual([
+        '     INT. DINER - NIGHT',
+        '',
+        '     Rain hammers the windows.',
+        '',
+        '                           MILLER',
+        '               She never came back.'
+      ]);
+      expect(result.text.split('\f')).toHaveLength(2);
+      expect(result.pages[1]).toEqual(['     EXT. PIER - DAWN']);
+    });
+  });
+});
@@ -0,0 +1,165 @@
+const os = require('os');
+const path = require('path');
+
+// No success model: forecasts use the average film's rating
+process.env.MODEL_FILE = path.join(os.tmpdir(), 'vesper42-no-model', 'success-model.json');
+
+const request = require('supertest');
+const db = require('../storage');
+const MemoryStore = require('../storage/memory-store');
+const Migrator = require('../storage/migrator');
+const RevenueForecaster = require('../ai/revenue-forecaster');
+const app = require('../api-server');
+
+// Box office grows with budget^elasticity and rating, with a little deterministic noise
+const films = (elasticity, count = 12) => Array.from({ length: count }, (_, i) => {
+  const budget = 5e6 * 1.35 ** i;
+  const rating = 6 + (i % 4) * 0.5;
+  const noise = (((i * 7) % 5) - 2) * 0.03;
+  return {
+    id: `film-${i}`,
+    title: `Film ${i}`,
+    genre_tags: i % 2 ? ['Action'] : ['Drama'],
+    media_type: 'movie',
+    imdb_rating: rating,
+    budget,
+    box_office: Math.round(10 ** (2 + elasticity * Math.log10(budget) + 0.15 * (rating - 6.75) + noise))
+  };
+});
+
+describe('RevenueForecaster', () => {
+  const forecaster = new RevenueForecaster();
+
+  test('should recover budget elasticity and rating effect', () => {
+    const model = forecaster.fit(films(0.8));
+
+    expect(model.films).toBe(12);
+    expect(model.elasticity).toBeCloseTo(0.8, 1);
+    expect(model.rating_effect).toBeCloseTo(0.15, 1);
+    expect(model.residual_sd).toBeGreaterThan(0);
+    expect(model.residual_sd).toBeLessThan(0.1);
+  });
+
+  test('should give nested confidence bands with ROI around the median', () => {
+    const forecast = forecaster.forecastWith(forecaster.fit(films(0.8)), { genres: ['Drama'], budget: 45e6 });
+    const [inner, outer] = forecast.revenue.bands;
+
+    expect(forecast.budget_source).toBe('given');
+    expect(inner.level).toBe(0.5);
+    expect(outer.level).toBe(0.8);
+    expect(outer.low).toBeLessThan(inner.low);
+    expect(inner.low).toBeLessThan(forecast.revenue.median);
+    expect(forecast.revenue.median).toBeLessThan(inner.high);
+    expect(inner.high).toBeLessThan(outer.high);
+    expect(forecast.roi.median).toBeCloseTo(forecast.revenue.median / 45e6 - 1, 1);
+    expect(inner.roi[0]).toBeLessThan(forecast.roi.median);
+    expect(forecast.roi.break_even_revenue).toBe(112.5e6);
+    expect(forecast.roi.break_even_probability).toBeGreaterThan(0);
+    expect(forecast.roi.break_even_probability).toBeLessThan(1);
+  });
+
+  test('should recommend the budget with the best expected profit', () => {
+    const model = forecaster.fit(films(0.8));
+    const recommended = forecaster.recommendBudget(model, ['Drama'], 7);
+
+    // Diminishing returns: the best budget is inside the range seen, and beats both ends
+    expect(recommended.best).toBeGreaterThan(model.budget_range[0]);
+    expect(recommended.best).toBeLessThan(model.budget_range[1]);
+    const profit = budget => forecaster.expectedProfit(model, budget, ['Drama'], 7);
+    expect(profit(recommended.best)).toBeGreaterThan(profit(model.budget_range[0]));
+    expect(profit(recommended.best)).toBeGreaterThan(profit(model.budget_range[1]));
+    expect(recommended.low).toBeLessThanOrEqual(recommended.best);
+    expect(recommended.high).toBeGreaterThanOrEqual(recommended.best);
+    expect(recommended.range).toMatch(/^\$[\d.]+M-\$[\d.]+M$/);
+
+    // Without a budget, the forecast uses the recommendation
+    const forecast = forecaster.forecastWith(model, { genres: ['Drama'], predicted_rating: 7 });
+    expect(forecast.budget_source).toBe('recommended');
+    expect(forecast.budget).toBe(recommended.best);
+  });
+
+  test('should say when the best budget is the largest seen', () => {
+    const model = forecaster.fit(films(1.2));
+    const recommended = forecaster.recommendBudget(model);
+
+    expect(recommended.high).toBe(forecaster.roundMoney(model.budget_range[1]));
+    expect(recommended.basis).toContain('top of the budgets seen');
+  });
+
+  test('should clamp a budget outside the ones seen and say so', () => {
+    const model = forecaster.fit(films(0.8));
+    const forecast = forecaster.forecastWith(model, { genres: ['Drama'], budget: 1 });
+
+    expect(forecast).toMatchObject({ budget: 5e6, budget_source: 'given', given_budget: 1, extrapolated: true });
+    expect(forecast.revenue.median).toBeGreaterThan(0);
+    expect(forecast.roi.median).toBeCloseTo(forecast.revenue.median / 5e6 - 1, 1);
+    expect(forecaster.forecastWith(model, { budget: 45e6 })).not.toHaveProperty('extrapolated');
+  });
+
+  test('should round money to significant figures, never to 0', () => {
+    expect(forecaster.roundMoney(123456789)).toBe(123500000);
+    expect(forecaster.roundMoney(1234567)).toBe(1230000);
+    expect(forecaster.roundMoney(45678)).toBe(45700);
+    expect(forecaster.roundMoney(1)).toBe(1);
+    expect(forecaster.roundMoney(-2345678)).toBe(-2350000);
+  });
+
+  test('should give a sure break-even answer when the model has no spread', () => {
+    const model = { ...forecaster.fit(films(0.8)), residual_sd: 0 };
+    const forecast = forecaster.forecastWith(model, { budget: 45e6 });
+
+    expect(forecast.roi.break_even_probability).toBe(forecast.revenue.median >= forecast.roi.break_even_revenue ? 1 : 0);
+    expect(forecast.revenue.bands[0].low).toBe(forecast.revenue.median);
+  });
+
+  test('should format budgets', () => {
+    expect(forecaster.formatMoney(40e6)).toBe('$40M');
+    expect(forecaster.formatMoney(8.5e6)).toBe('$8.5M');
+    expect(forecaster.formatMoney(1.2e9)).toBe('$1.2B');
+    expect(forecaster.formatMoney(750e3)).toBe('$750K');
+    expect(forecaster.formatMoney(900)).toBe('$900');
+  });
+});
+
+describe('RevenueForecaster API', () => {
+  beforeAll(async () => {
+    db.useStore(new MemoryStore({ schemaSql: new Migrator().migrations().map(m => m.up) }));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    console.log.mockRestore();
+    db.useStore(null);
+  });
+
+  test('should answer 503 until enough films have budgets', async () => {
+    await db.from('scripts').insert(films(0.8, 3).map(({ id, ...film }) => film));
+
+    const response = await request(app).post('/api/forecast').send({ genre: 'Drama' });
+    expect(response.status).toBe(503);
+    expect(response.body.error).toContain('need 8');
+  });
+
+  test('should forecast revenue for a genre and budget', async () => {
+    await db.from('scripts').insert(films(0.8).slice(3).map(({ id, ...film }) => film));
+
+    const response = await request(app).post('/api/forecast').send({ genre: 'drama', budget: 20000000 });
+    expect(response.status).toBe(200);
+    expect(response.body.rating_source).toBe('average film');
+    expect(response.body.forecast).toMatchObject({ budget: 20000000, budget_source: 'given' });
+    expect(response.body.forecast.model).toMatchObject({ films: 12, genres: ['drama'] });
+
+    const invalid = await request(app).post('/api/forecast').send({ genre: 'Drama', budget: -5 });
+    expect(invalid.status).toBe(400);
+  });
+
+  test('should add the forecast and a budget recommendation to outlines', async () => {
+    const response = await request(app)
+      .post('/api/generate-outline')
+      .send({ premise: 'Two rival chefs inherit one kitchen', genre: 'Drama', targetLength: 100 });
+
+    const { forecast, recommendations } = response.body.outline;
+    expect(forecast.budget_source).toBe('recommended');
+    expect(recommendations.budget).toContain(forecast.recommended_budget.range);
+  });
+});
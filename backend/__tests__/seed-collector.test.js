@@ -0,0 +1,84 @@
+const request = require('supertest');
+const db = require('../storage');
+const MemoryStore = require('../storage/memory-store');
+const Migrator = require('../storage/migrator');
+const SeedCollector = require('../collectors/seed-collector');
+const ScreenplaySynthesizer = require('../generators/screenplay-synthesizer');
+const app = require('../api-server');
+
+describe('ScreenplaySynthesizer', () => {
+  const film = new SeedCollector().films().find(f => f.slug === 'harbor-lights');
+
+  test('should build the same feature-length screenplay every time', () => {
+    const text = new ScreenplaySynthesizer().build(film);
+
+    expect(new ScreenplaySynthesizer().build(film)).toBe(text);
+    expect(Math.ceil(text.split('\n').length / 60)).toBeGreaterThanOrEqual(film.pages);
+    expect(text).toContain('FADE IN:');
+    expect(text.trim().endsWith('FADE OUT.')).toBe(true);
+  });
+
+  test('should place every key scene in order', () => {
+    const text = new ScreenplaySynthesizer().build(film);
+    let position = 0;
+    film.key_scenes
+      .slice()
+      .sort((a, b) => a.at - b.at)
+      .forEach(scene => {
+        position = text.indexOf(scene.heading, position);
+        expect(position).toBeGreaterThanOrEqual(0);
+      });
+  });
+});
+
+describe('SeedCollector', () => {
+  const only = ['harbor-lights', 'lantern-hollow'];
+  let seeded;
+
+  beforeAll(async () => {
+    db.useStore(new MemoryStore({ schemaSql: new Migrator().migrations().map(m => m.up) }));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    seeded = await new SeedCollector().seed({ only });
+  }, 60000);
+
+  afterAll(() => {
+    console.log.mockRestore();
+    db.useStore(null);
+  });
+
+  test('should parse and save every film', () => {
+    expect(seeded.map(s => s.title)).toEqual(['Harbor Lights', 'Lantern Hollow']);
+    seeded.forEach(s => {
+      expect(s.pages).toBeGreaterThanOrEqual(90);
+      expect(s.scenes).toBeGreaterThan(50);
+      expect(s.dialogue).toBeGreaterThan(500);
+    });
+  });
+
+  test('should update the same rows when seeded again', async () => {
+    const again = await new SeedCollector().seed({ only: ['lantern-hollow'] });
+    expect(again[0].script_id).toBe(seeded[1].script_id);
+
+    const { count: scripts } = await db.from('scripts').select('*', { count: 'exact', head: true });
+    const { count: performances } = await db.from('performances').select('*', { count: 'exact', head: true });
+    expect(scripts).toBe(2);
+    expect(performances).toBe(9);
+  }, 60000);
+
+  test('should give the API meaningful stats, genres and outlines', async () => {
+    const stats = await request(app).get('/api/stats');
+    expect(stats.body.stats.scripts).toBe(2);
+    expect(stats.body.stats.dialogue_lines).toBeGreaterThan(1000);
+    // Two scripts are too few to learn patterns from
+    expect(stats.body.stats.learned_patterns).toBe(0);
+
+    const genres = await request(app).get('/api/genres');
+    expect(genres.body.genres).toEqual(['Crime', 'Drama', 'Horror', 'Thriller']);
+
+    const outline = await request(app)
+      .post('/api/generate-outline')
+      .send({ premise: 'A harbor pilot hides a smuggler', genre: 'Crime' });
+    expect(outline.body.outline.structure.totalPages).toBeGreaterThanOrEqual(100);
+    expect(outline.body.outline.prediction.reasoning).toContain('1 similar successful Crime');
+  });
+});
@@ -0,0 +1,46 @@
+const SeriesAggregator = require('../ai/series-aggregator');
+
+describe('SeriesAggregator', () => {
+  const episode = (number, characters, extra = {}) => ({
+    script_id: `ep${number}`,
+    title: 'NIGHT SHIFT',
+    season_number: 1,
+    episode_number: number,
+    page_count: 30,
+    episode_structure: { act_count: 2, has_teaser: true, has_tag: number !== 2 },
+    characters: characters.map(([name, share]) => ({
+      name, dialogue_share: share, total_lines: Math.round(share * 100), is_protagonist: share >= 0.5
+    })),
+    locations: ['DINER', 'DINER', 'STATION'],
+    relationships: [],
+    ...extra
+  });
+
+  test('should order episodes and track character arcs', () => {
+    const result = new SeriesAggregator().aggregate([
+      episode(3, [['MAGGIE', 0.5], ['JOE', 0.5]]),
+      episode(1, [['MAGGIE', 0.1], ['JOE', 0.9]]),
+      episode(2, [['MAGGIE', 0.3], ['JOE', 0.6], ['VIC', 0.1]])
+    ]);
+
+    expect(result.episodes.map(e => e.label)).toEqual(['S01E01', 'S01E02', 'S01E03']);
+    const maggie = result.characters.find(c => c.name === 'MAGGIE');
+    expect(maggie).toMatchObject({ dialogue_share: [0.1, 0.3, 0.5], trend: 'growing', regular: true });
+    expect(result.characters.find(c => c.name === 'VIC')).toMatchObject({ episodes_appeared: 1, regular: false });
+    expect(result.structure).toMatchObject({ typical_act_count: 2, teaser_rate: 1, tag_rate: 0.67 });
+    expect(result.locations[0]).toEqual({ location: 'DINER', episodes: 3, scenes: 6 });
+  });
+
+  test('should keep relationships that recur across episodes', () => {
+    const rel = strength => [{ character_a: 'MAGGIE', character_b: 'JOE', strength }];
+    const result = new SeriesAggregator().aggregate([
+      episode(1, [['JOE', 1]], { relationships: rel(1) }),
+      episode(2, [['JOE', 1]], { relationships: rel(0.5) }),
+      episode(3, [['JOE', 1]], { relationships: [{ character_a: 'JOE', character_b: 'VIC', strength: 1 }] })
+    ]);
+
+    expect(result.relationships).toEqual([
+      expect.objectContaining({ character_a: 'JOE', character_b: 'MAGGIE', strength: [1, 0.5, 0], trend: 'fading' })
+    ]);
+  });
+});
@@ -0,0 +1,61 @@
+const SluglineParser = require('../parsers/slugline-parser');
+const TextTokenizer = require('../parsers/text-tokenizer');
+
+describe('SluglineParser', () => {
+  const parser = new SluglineParser();
+
+  test('should split parent and sub-locations from the time', () => {
+    expect(parser.parse('INT. MILLER HOUSE - KITCHEN - NIGHT')).toMatchObject({
+      scene_type: 'INT.',
+      heading_type: 'standard',
+      location: 'MILLER HOUSE - KITCHEN',
+      parent_location: 'MILLER HOUSE',
+      sub_location: 'KITCHEN',
+      time: 'NIGHT',
+      time_relative: false
+    });
+  });
+
+  test('should normalize interior/exterior variants', () => {
+    expect(parser.parse('I/E. PATROL CAR - MOVING - DAY').scene_type).toBe('INT./EXT.');
+    expect(parser.parse('INT./EXT. PATROL CAR - DAY').scene_type).toBe('INT./EXT.');
+    expect(parser.parse('EST. CHICAGO SKYLINE - DUSK')).toMatchObject({ scene_type: 'EST.', parent_location: 'CHICAGO SKYLINE' });
+    expect(parser.parse('ext. pier - dawn')).toMatchObject({ scene_type: 'EXT.', location: 'PIER', time: 'DAWN' });
+  });
+
+  test('should mark relative times and missing times', () => {
+    expect(parser.parse('INT. DINER - MOMENTS LATER')).toMatchObject({ time: 'MOMENTS LATER', time_relative: true });
+    expect(parser.parse('EXT. ALLEY - SAME')).toMatchObject({ time: 'SAME', time_relative: true });
+    expect(parser.parse('INT. DINER')).toMatchObject({ location: 'DINER', time: null });
+  });
+
+  test('should read scene numbers on either side', () => {
+    expect(parser.parse('12A INT. DINER - NIGHT 12A')).toMatchObject({ scene_number_label: '12A', location: 'DINER' });
+    expect(parser.parse('INT. DINER - NIGHT #7#').scene_number_label).toBe('7');
+  });
+
+  test('should recognize montage, intercut and flashback headings', () => {
+    expect(parser.parse('MONTAGE - MILLER INVESTIGATES')).toMatchObject({
+      heading_type: 'montage', description: 'MILLER INVESTIGATES', parent_location: null
+    });
+    expect(parser.parse('FLASHBACK - INT. MILLER HOUSE - NIGHT')).toMatchObject({
+      heading_type: 'flashback', scene_type: 'INT.', parent_location: 'MILLER HOUSE', time: 'NIGHT'
+    });
+    expect(parser.parse('INT. MILLER HOUSE - DAY (FLASHBACK) (1985)')).toMatchObject({
+      heading_type: 'flashback', modifiers: ['FLASHBACK', '1985'], time: 'DAY'
+    });
+    expect(parser.isHeading('INTERCUT - MILLER / SARAH')).toBe(true);
+    expect(parser.isHeading('INTERCUT WITH:')).toBe(false);
+    expect(parser.isHeading('Interior of the car is dark.')).toBe(false);
+  });
+
+  test('should let the tokenizer find every heading form', () => {
+    const text = [
+      'I/E PATROL CAR - NIGHT', '', 'Rain.', '',
+      '14 INT. DINER - BOOTH - LATER 14', '', 'Coffee.', '',
+      'SERIES OF SHOTS', '', 'Files. Photos. Maps.'
+    ].join('\n');
+    const headings = new TextTokenizer().tokenize(text).filter(e => e.type === 'scene_heading');
+    expect(headings).toHaveLength(3);
+  });
+});
@@ -0,0 +1,57 @@
+const StructureTemplateRegistry = require('../parsers/structure-templates');
+const BeatDetector = require('../parsers/beat-detector');
+
+describe('StructureTemplateRegistry', () => {
+  const registry = new StructureTemplateRegistry();
+
+  test('should ship the built-in templates', () => {
+    expect(registry.list().map(t => t.id)).toEqual([
+      'save-the-cat', 'heros-journey', 'story-circle', 'five-act-tv', 'tv-half-hour', 'sequence-approach'
+    ]);
+    expect(() => registry.get('nope')).toThrow('Unknown structure template: nope');
+  });
+
+  test('should lay out Save the Cat with the classic act breaks', () => {
+    const { structure, acts } = registry.layout('save-the-cat', 110, { genre: 'Action', premise: 'A heist' });
+    expect(structure).toMatchObject({ totalPages: 110, act1End: 28, act2aMidpoint: 55, act2bEnd: 83, act3End: 110 });
+    expect(Object.keys(acts)).toEqual(['act1', 'act2a', 'act2b', 'act3']);
+
+    const inciting = acts.act1.beats.find(b => b.name === 'Inciting Incident');
+    expect(inciting.page).toBe(12);
+    expect(inciting.example).toContain('"A heist"');
+    expect(acts.act1.beats.find(b => b.name === 'Debate').page).toBe('12-25');
+  });
+
+  test('should use learned beat pages when available', () => {
+    const { acts } = registry.layout('save-the-cat', 110, { learned: { 'End of Act 1': 31 } });
+    expect(acts.act1.beats.find(b => b.name === 'Break into Two').page).toBe(31);
+  });
+
+  test('should lay out other templates by their own acts', () => {
+    const { structure, acts } = registry.layout('five-act-tv', 60);
+    expect(structure.acts.map(a => a.key)).toEqual(['teaser', 'act1', 'act2', 'act3', 'act4', 'act5']);
+    expect(acts.teaser.beats[0].name).toBe('Teaser Hook');
+  });
+
+  test('should register custom templates and feed their beats to the detector', () => {
+    const custom = new StructureTemplateRegistry();
+    custom.register({
+      id: 'two-halves',
+      name: 'Two halves',
+      acts: [{ key: 'first', title: 'FIRST', start: 0, end: 0.5 }, { key: 'second', title: 'SECOND', start: 0.5, end: 1 }],
+      beats: [{ name: 'Turn', act: 'first', position: 0.5, signals: 'reversal' }]
+    });
+    expect(custom.detectionBeats('two-halves')).toEqual([
+      expect.objectContaining({ name: 'Turn', target: 0.5, window: [0.44, 0.56] })
+    ]);
+
+    const scenes = Array.from({ length: 10 }, (_, i) => ({
+      scene_number: i + 1, page_start: i * 10 + 1, page_end: i * 10 + 10,
+      characters_present: [], dialogue_ratio: 0.5, content: 'line\n'.repeat(20)
+    }));
+    const beats = new BeatDetector().detect(scenes, { totalPages: 100, beats: custom.detectionBeats('two-halves') });
+    expect(beats.map(b => b.beat_type)).toEqual(['Turn']);
+
+    expect(() => custom.register({ id: 'broken', acts: [], beats: [{ name: 'X', position: 2 }] })).toThrow();
+  });
+});
@@ -0,0 +1,266 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vesper42-model-'));
+process.env.MODEL_FILE = path.join(dir, 'success-model.json');
+
+const request = require('supertest');
+const db = require('../storage');
+const MemoryStore = require('../storage/memory-store');
+const Migrator = require('../storage/migrator');
+const SuccessModel = require('../ai/success-model');
+const ScriptFeatures = require('../ai/script-features');
+const app = require('../api-server');
+
+// Longer scripts and dramas rate higher, with a little deterministic noise
+const rows = Array.from({ length: 30 }, (_, i) => {
+  const pages = 90 + ((i * 7) % 40);
+  const drama = i % 3 === 0;
+  return {
+    id: `script-${i}`,
+    title: `Script ${i}`,
+    imdb_rating: 5.5 + (pages - 90) * 0.06 + (drama ? 0.8 : 0) + (((i * 13) % 7) - 3) * 0.05,
+    genres: drama ? ['Drama'] : ['Comedy'],
+    features: { page_count: pages, scene_count: 100 + ((i * 11) % 30) }
+  };
+});
+
+describe('SuccessModel', () => {
+  let model;
+
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    model = new SuccessModel();
+    model.trainOn(rows);
+  });
+
+  afterAll(() => {
+    console.log.mockRestore();
+  });
+
+  test('should report held-out and cross-validated error better than the mean rating', () => {
+    const { metrics, split } = model.artifact;
+
+    expect(split).toEqual({ train: 24, test: 6, seed: 'vesper42' });
+    expect(metrics.cv.by_lambda.map(c => c.lambda)).toEqual([0.01, 0.1, 1, 10, 100]);
+    expect(metrics.test.rmse).toBeLessThan(metrics.test_baseline.rmse / 2);
+    expect(metrics.test.r2).toBeGreaterThan(0.8);
+    expect(model.artifact.residual_sd).toBe(metrics.cv.rmse);
+  });
+
+  test('should train the same model from the same data', () => {
+    const again = new SuccessModel();
+    again.trainOn(rows);
+    expect(again.version).toBe(model.version);
+    expect(model.version).toMatch(/^ridge-[0-9a-f]{8}$/);
+  });
+
+  test('should predict higher for the features that rate higher', () => {
+    const short = model.predictConcept({ genres: ['Comedy'], page_count: 95 });
+    const long = model.predictConcept({ genres: ['Drama'], page_count: 125 });
+
+    expect(long.predicted_rating).toBeGreaterThan(short.predicted_rating + 1.5);
+    expect(long.success_probability).toBeGreaterThan(short.success_probability);
+    expect(long.success_probability).toBeLessThanOrEqual(1);
+  });
+
+  test('should be less confident when fewer features are known', () => {
+    const full = model.predict(rows[0]);
+    const genreOnly = model.predictConcept({ genres: ['Drama'] });
+
+    expect(full.confidence_level).toBe(1);
+    expect(genreOnly.confidence_level).toBeLessThan(full.confidence_level);
+    expect(genreOnly.reasoning.filter(r => r.kind === 'summary').map(r => r.factor))
+      .toEqual(['Predicted rating', 'Success probability', 'Inputs', 'Model']);
+  });
+
+  test('should explain a prediction with contributions that add up', () => {
+    const prediction = model.predict(rows[1]);
+    const rating = prediction.contributions.reduce((sum, c) => sum + c.rating, 0);
+    const probability = prediction.contributions.reduce((sum, c) => sum + c.probability, 0);
+
+    expect(prediction.contributions.map(c => c.factor)).toEqual(expect.arrayContaining(['Page Count', 'Genre (Comedy)']));
+    expect(prediction.baseline.rating + rating).toBeCloseTo(prediction.predicted_rating, 1);
+    expect(prediction.baseline.success_probability + probability).toBeCloseTo(prediction.success_probability, 1);
+    expect(prediction.reasoning.filter(r => r.kind === 'contribution')).toHaveLength(prediction.contributions.length);
+  });
+
+  test('should not sign a contribution that rounds to zero', () => {
+    const prediction = model.predict(rows[1]);
+    const [first] = prediction.contributions;
+    const contributions = [-0.001, 0.004, 0.02, -0.3].map(probability => ({ ...first, probability }));
+
+    expect(model.reasoning({ ...prediction, contributions }).filter(r => r.kind === 'contribution').map(r => r.impact))
+      .toEqual(['0.00', '0.00', '+0.02', '-0.30']);
+  });
+
+  test('should suggest changes that raise the score within the training range', () => {
+    // 94 pages, where longer scripts rate higher
+    const prediction = model.predict(rows[12]);
+    const pages = prediction.counterfactuals.find(c => c.feature === 'page_count');
+
+    expect(pages.from).toBe(94);
+    expect(pages.to).toBeGreaterThan(94);
+    expect(pages.to).toBeLessThanOrEqual(129);
+    expect(pages.probability).toBeGreaterThan(0);
+    expect(pages.suggestion).toMatch(new RegExp(`^Extending to ${pages.to} pages raises the score by \\d+ points`));
+    expect(prediction.reasoning.filter(r => r.kind === 'counterfactual').map(r => r.impact)).toContain(pages.suggestion);
+
+    // Already the longest script: nothing to gain from its length
+    const longest = model.predict(rows.find(r => r.features.page_count === 129));
+    expect(longest.counterfactuals.map(c => c.feature)).not.toContain('page_count');
+  });
+
+  test('should save and load the artifact', () => {
+    const file = path.join(dir, 'round-trip.json');
+    model.save(file);
+
+    const loaded = SuccessModel.load(file);
+    expect(loaded.version).toBe(model.version);
+    expect(loaded.predict(rows[3])).toEqual(model.predict(rows[3]));
+    expect(SuccessModel.load(path.join(dir, 'missing.json'))).toBeNull();
+  });
+
+  test('should refuse to train on too few rated scripts', () => {
+    expect(() => new SuccessModel().trainOn(rows.slice(0, 5))).toThrow('Need at least 8 rated scripts');
+  });
+});
+
+describe('SuccessModel predictions', () => {
+  let ids;
+
+  beforeAll(async () => {
+    db.useStore(new MemoryStore({ schemaSql: new Migrator().migrations().map(m => m.up) }));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    const { data } = await db
+      .from('scripts')
+      .insert(rows.slice(0, 12).map((r, i) => ({
+        title: r.title,
+        imdb_rating: r.imdb_rating,
+        page_count: r.features.page_count,
+        genre_tags: r.genres,
+        budget: 10e6 + i * 5e6,
+        box_office: Math.round(3 * (10e6 + i * 5e6) * (r.imdb_rating / 7))
+      })))
+      .select();
+    ids = data.map(s => s.id);
+  });
+
+  afterAll(() => {
+    console.log.mockRestore();
+    db.useStore(null);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('should answer 503 until a model is trained', async () => {
+    const response = await request(app).post(`/api/scripts/${ids[0]}/predict`);
+    expect(response.status).toBe(503);
+  });
+
+  test('should store one prediction per script', async () => {
+    const model = new SuccessModel();
+    await model.train();
+    model.save();
+
+    await model.predictScripts();
+    const saved = await model.predictScripts();
+
+    const { data: predictions } = await db.from('predictions').select('*');
+    expect(saved).toHaveLength(12);
+    expect(predictions).toHaveLength(12);
+    expect(predictions[0]).toMatchObject({ model_version: model.version });
+    predictions.forEach(p => {
+      expect(ids).toContain(p.script_id);
+      expect(p.predicted_rating).toBeGreaterThan(0);
+      expect(p.success_probability).toBeGreaterThanOrEqual(0);
+      expect(p.reasoning.map(r => r.kind)).toEqual(expect.arrayContaining(['summary', 'contribution']));
+      expect(p.predicted_revenue).toBeGreaterThan(0);
+      expect(p.recommended_budget_range).toMatch(/^\$/);
+    });
+  });
+
+  test('should forecast a film without its own box office', async () => {
+    const model = SuccessModel.load();
+    const fit = jest.spyOn(model.forecaster, 'fit');
+    const [saved] = await model.predictScripts([ids[3]]);
+    const calls = fit.mock.calls.map(([fitted]) => fitted);
+    fit.mockRestore();
+
+    // The full fit gives the band width; the forecast itself comes from the other 11
+    const forecastFilms = calls[calls.length - 1];
+    expect(calls[0]).toHaveLength(12);
+    expect(forecastFilms).toHaveLength(11);
+    expect(forecastFilms.map(f => f.id)).not.toContain(ids[3]);
+
+    const films = await model.forecaster.loadFilms();
+    const others = model.forecaster.fit(films.filter(f => f.id !== ids[3]), { spread: false });
+    const forecast = model.forecaster.forecastWith({ ...others, residual_sd: model.forecaster.fit(films).residual_sd }, {
+      genres: saved.genre,
+      budget: films.find(f => f.id === ids[3]).budget,
+      predicted_rating: saved.predicted_rating
+    });
+    expect(saved.predicted_revenue).toBe(forecast.revenue.median);
+  });
+
+  test('should predict a script through the API', async () => {
+    const response = await request(app).post(`/api/scripts/${ids[2]}/predict`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.prediction.script_id).toBe(ids[2]);
+    expect(response.body.model.test.rmse).toBeGreaterThanOrEqual(0);
+
+    const missing = await request(app).post('/api/scripts/00000000-0000-0000-0000-000000000000/predict');
+    expect(missing.status).toBe(404);
+  });
+
+  test('should use the model for outline predictions', async () => {
+    const response = await request(app)
+      .post('/api/generate-outline')
+      .send({ premise: 'A stand-up comic runs for mayor', title: 'Open Mic', genre: 'Comedy', targetLength: 100 });
+
+    const { prediction } = response.body.outline;
+    expect(prediction.model_version).toMatch(/^ridge-/);
+    expect(prediction.predicted_rating).toBeGreaterThan(0);
+    expect(prediction.reasoning).toContain('100-page Comedy');
+    expect(prediction.contributions.map(c => c.factor)).toContain('Genre (Comedy)');
+
+    const { data: saved } = await db.from('predictions').select('*').eq('id', prediction.prediction_id).single();
+    expect(saved).toMatchObject({
+      concept_title: 'Open Mic',
+      concept_description: 'A stand-up comic runs for mayor',
+      script_id: null,
+      genre: ['Comedy']
+    });
+    expect(saved.reasoning.filter(r => r.kind === 'contribution')).toHaveLength(prediction.contributions.length);
+  });
+
+  test('should not save outline predictions when save is false', async () => {
+    const { data: before } = await db.from('predictions').select('id');
+    const response = await request(app)
+      .post('/api/generate-outline')
+      .send({ premise: 'A lighthouse keeper adopts a seal', genre: 'Drama', save: false });
+
+    expect(response.body.outline.prediction.model_version).toMatch(/^ridge-/);
+    expect(response.body.outline.prediction.prediction_id).toBeUndefined();
+    const { data: after } = await db.from('predictions').select('id');
+    expect(after).toHaveLength(before.length);
+  });
+
+  test('should count scenes and characters per script and fail on a failed read', async () => {
+    const features = new ScriptFeatures();
+    await db.from('scenes').insert([1, 2].map(n => ({ script_id: ids[0], scene_number: n, heading: `INT. ROOM ${n} - DAY` })));
+    await db.from('characters').insert({ script_id: ids[0], name: 'MILLER' });
+
+    const [row] = await features.load([ids[0]]);
+    expect(row.features).toMatchObject({ scene_count: 2, character_count: 1 });
+
+    const store = db.getStore();
+    const execute = store.execute.bind(store);
+    jest.spyOn(store, 'execute').mockImplementation(query =>
+      (query.table === 'story_beats' ? Promise.reject(new Error('statement timeout')) : execute(query)));
+    await expect(features.load()).rejects.toThrow('Error fetching story_beats: statement timeout');
+    store.execute.mockRestore();
+  });
+});
@@ -0,0 +1,44 @@
+const fs = require('fs');
+const path = require('path');
+const TextTokenizer = require('../parsers/text-tokenizer');
+const { parseCharacterCue } = require('../parsers/character-cue');
+
+const script = fs.readFileSync(path.join(__dirname, 'fixtures', 'long-night.txt'), 'utf8');
+
+describe('TextTokenizer', () => {
+
+  test('should classify indented screenplay text', () => {
+    const elements = new TextTokenizer().tokenize(script);
+    expect(elements.map(e => e.type)).toEqual([
+      'action', 'transition', 'scene_heading', 'action',
+      'character', 'dialogue', 'parenthetical', 'dialogue',
+      'character', 'parenthetical', 'dialogue',
+      'character', 'dialogue',
+      'action', 'transition', 'scene_heading', 'action',
+      'character', 'dialogue'
+    ]);
+  });
+
+  test('should keep multi-line speeches together and parentheticals apart', () => {
+    const elements = new TextTokenizer().tokenize(script);
+    const miller = elements.findIndex(e => e.type === 'character');
+    expect(elements[miller]).toMatchObject({ name: 'MILLER', extension: 'V.O.' });
+    expect(elements[miller + 1].text).toBe('She never came back.');
+    expect(elements[miller + 2].text).toBe('(beat)');
+    expect(elements[miller + 3].text).toBe('Not once. Not even\nfor her things.');
+  });
+
+  test('should use form feeds as page boundaries', () => {
+    const elements = new TextTokenizer().tokenize('INT. DINER - NIGHT\n\nRain.\f\nEXT. PIER - DAWN');
+    expect(elements.map(e => e.page)).toEqual([1, 1, 2]);
+  });
+});
+
+describe('parseCharacterCue', () => {
+
+  test('should normalize extensions and continuations', () => {
+    expect(parseCharacterCue("JOHN (V.O.) (CONT'D)")).toEqual({ name: 'JOHN', extension: 'V.O.', continued: true });
+    expect(parseCharacterCue('JOHN (o.s.)')).toEqual({ name: 'JOHN', extension: 'O.S.', continued: false });
+    expect(parseCharacterCue('John  Smith:')).toEqual({ name: 'JOHN SMITH', extension: null, continued: false });
+  });
+});
@@ -0,0 +1,68 @@
+const VoiceProfiler = require('../parsers/voice-profiler');
+
+describe('VoiceProfiler', () => {
+  const profiler = new VoiceProfiler();
+  let lineNumber = 0;
+  const say = (character, ...texts) => texts.map(text => ({
+    character, text, scene_number: 1, line_number: ++lineNumber
+  }));
+
+  const dialogue = [
+    ...say('HARGREAVES',
+      'I shall certainly consider the matter, however improbable it appears.',
+      'Indeed, the evidence suggests a rather different conclusion.',
+      'Perhaps we ought to examine the correspondence more carefully.',
+      'I must insist, sir, that we proceed with considerable caution.',
+      'Yeah, whatever, dude, this is gonna be so cool.'),
+    ...say('RICKY',
+      "Yeah, dude, we're gonna be fine. Chill.",
+      "Nah, man, that's not it! C'mon!",
+      "Hey, you wanna grab food? I'm starving!",
+      "Dude. Seriously? That's wild.",
+      "Okay okay, I'm coming!"),
+    ...say('TOMMY',
+      "Dude, we're gonna be late! Move!",
+      "Yeah, man, that's what I said!",
+      "Hey! You wanna go or what?",
+      "Nah, dude. No way.")
+  ];
+
+  const result = profiler.analyze(dialogue);
+
+  test('should profile style, formality and signature phrases', () => {
+    const { HARGREAVES, RICKY } = result.profiles;
+    expect(HARGREAVES.formality).toBeGreaterThan(RICKY.formality);
+    expect(RICKY.contraction_rate).toBeGreaterThan(HARGREAVES.contraction_rate);
+    expect(RICKY.exclamation_rate).toBeGreaterThan(0);
+    expect(HARGREAVES.sentence_length.mean).toBeGreaterThan(RICKY.sentence_length.mean);
+    expect(HARGREAVES.sentence_length.distribution['8-12']).toBeGreaterThan(0);
+
+    const catchphrase = profiler.analyze([
+      ...say('RICKY', 'Yeah, dude, we are fine.', 'No way, dude.', 'Dude, seriously.'),
+      ...say('ANN', 'I think so.', 'Fine by me.', 'Let us go.')
+    ]);
+    expect(catchphrase.profiles.RICKY.signature_phrases[0]).toEqual({ phrase: 'dude', count: 3 });
+    expect(catchphrase.profiles.ANN.signature_phrases).toEqual([]);
+  });
+
+  test('should find the characters who sound alike', () => {
+    expect(result.pairs[0]).toMatchObject({ character_a: 'RICKY', character_b: 'TOMMY' });
+    expect(result.profiles.TOMMY.sounds_like).toBe('RICKY');
+    expect(result.profiles.HARGREAVES.distinctiveness).toBeGreaterThan(result.profiles.RICKY.distinctiveness);
+  });
+
+  test('should flag lines spoken out of voice', () => {
+    expect(result.out_of_voice[0]).toMatchObject({
+      character: 'HARGREAVES',
+      text: 'Yeah, whatever, dude, this is gonna be so cool.'
+    });
+    expect(result.out_of_voice[0].reasons).toContain('slang from a formal speaker');
+    expect(result.out_of_voice.find(l => l.character === 'RICKY')).toBeUndefined();
+  });
+
+  test('should skip characters with too little dialogue', () => {
+    const { profiles, differentiation } = profiler.analyze(say('EXTRA', 'Taxi!'));
+    expect(profiles).toEqual({});
+    expect(differentiation).toBe('low');
+  });
+});
@@ -1,10 +1,6 @@
 require('dotenv').config();
-const { createClient } = require('@supabase/supabase-js');
 
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_KEY
-);
+const db = require('../storage');
 
 class PatternRecognitionEngine {
   
@@ -18,7 +14,7 @@ class PatternRecognitionEngine {
     console.log('='.repeat(60));
     
     // Simple query without JOINs
-    const { data: scripts, error } = await supabase
+    const { data: scripts, error } = await db
       .from('scripts')
       .select('*')
       .gt('imdb_rating', 0)
@@ -2,395 +2,428 @@
 // VESPER42 - Pattern Recognition Engine
 // Learn what makes scripts successful
 // =========================================
+//
+// Each analysis step measures one family of script features (structure,
+// dialogue, characters, beat timing, genre, casting, emotional arc). Every
+// feature is then tested against IMDb rating and box office: Pearson and
+// Spearman correlation, a 95% interval for r, Cohen's d between hits and
+// misses, and a p-value corrected across all tests of the run
+// (Benjamini-Hochberg). Features with too few scripts behind them are not
+// saved at all.
+//
+// Structure, dialogue, character and beat timing features are also tested
+// within each genre and each media type, since what works differs between
+// them. Those patterns are named with their scope ("Scene Count vs Rating
+// (Horror)") and tagged with its genre or media_type.
 
 require('dotenv').config();
 
-const { createClient } = require('@supabase/supabase-js');
+const EmotionAnalyzer = require('../parsers/emotion-analyzer');
+const PatternStatistics = require('./pattern-statistics');
 
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_KEY
-);
+const db = require('../storage');
+
+// Feature families that are also tested within each genre and media type
+const SCOPED_TYPES = ['structure', 'dialogue', 'character', 'beat_timing'];
+
+const OUTCOMES = [
+  {
+    key: 'imdb_rating',
+    label: 'Rating',
+    value: s => (s.imdb_rating > 0 ? s.imdb_rating : null)
+  },
+  {
+    // Log scale: box office spans orders of magnitude
+    key: 'box_office',
+    label: 'Box Office',
+    value: s => (s.box_office > 0 ? Math.log10(s.box_office) : null)
+  }
+];
 
 class PatternRecognitionEngine {
-  
-  constructor() {
-    this.successThreshold = 7.0; // IMDb rating threshold for "successful"
+
+  constructor({ successThreshold = 7.0, minSampleSize = 8, minGroupSize = 3, alpha = 0.05 } = {}) {
+    this.successThreshold = successThreshold; // IMDb rating threshold for "successful"
+    this.minSampleSize = minSampleSize; // scripts with both the feature and the outcome
+    this.minGroupSize = minGroupSize; // hits and misses (and scripts with/without a yes-no feature)
+    this.alpha = alpha; // false discovery rate
+    this.stats = new PatternStatistics();
+    this.features = [];
     this.patterns = [];
   }
-  
+
   // Main analysis function
   async analyzeAllPatterns() {
     console.log('\n🧠 PATTERN RECOGNITION ENGINE - Starting Analysis\n');
     console.log('='.repeat(60));
-    
-    // Get all scripts with ratings
+
+    this.features = [];
+    this.patterns = [];
+
+    // Get all scripts with a rating or box office figure
+    const { data: allScripts, error } = await db
       .from('scripts')
-  .select(`
-    *,
-    scenes(count),
-    characters(count),
-    dialogue(count),
-    story_beats(count),
-    awards(count),
-    performances(count)
-  `)
-  .gt('imdb_rating', 0)
-  .order('imdb_rating', { ascending: false });
-const { data: scripts } = await supabase
-  .from('scripts')
-  .select('*')
-  .gt('imdb_rating', 0)
-  .order('imdb_rating', { ascending: false });
-
-// Get counts separately
-if (scripts) {
-  for (const script of scripts) {
-    const { count: sceneCount } = await supabase
-      .from('scenes')
-      .select('*', { count: 'exact', head: true })
-      .eq('script_id', script.id);
-    script.scene_count = sceneCount || 0;
-
-    const { count: charCount } = await supabase
-      .from('characters')
-      .select('*', { count: 'exact', head: true })
-      .eq('script_id', script.id);
-    script.character_count = charCount || 0;
-  }
-}
-    
-    if (!scripts || scripts.length === 0) {
-      console.log('❌ No scripts with ratings found');
-      return;
+      .select('id, title, imdb_rating, box_office, page_count, dialogue_ratio, genre_tags, media_type, arc_shape, pacing')
+      .order('imdb_rating', { ascending: false });
+
+    if (error) {
+      console.error('❌ Error fetching scripts:', error.message);
+      return [];
+    }
+
+    const scripts = (allScripts || []).filter(s => s.imdb_rating > 0 || s.box_office > 0);
+    if (scripts.length === 0) {
+      console.log('❌ No scripts with ratings or box office found');
+      return [];
+    }
+
+    // Get counts separately
+    for (const script of scripts) {
+      const { count: sceneCount } = await db
+        .from('scenes')
+        .select('*', { count: 'exact', head: true })
+        .eq('script_id', script.id);
+      script.scene_count = sceneCount || 0;
+
+      const { count: charCount } = await db
+        .from('characters')
+        .select('*', { count: 'exact', head: true })
+        .eq('script_id', script.id);
+      script.character_count = charCount || 0;
     }
-    
+
     console.log(`📚 Analyzing ${scripts.length} scripts\n`);
-    
-    // Classify scripts
+
     const successful = scripts.filter(s => s.imdb_rating >= this.successThreshold);
-    const unsuccessful = scripts.filter(s => s.imdb_rating < this.successThreshold);
-    
     console.log(`✅ Successful scripts (${this.successThreshold}+): ${successful.length}`);
-    console.log(`❌ Less successful scripts: ${unsuccessful.length}\n`);
-    
-    // Run pattern analyses
-    await this.analyzeStructurePatterns(successful, unsuccessful);
-    await this.analyzeDialoguePatterns(successful, unsuccessful);
-    await this.analyzeCharacterPatterns(successful, unsuccessful);
-    await this.analyzeBeatTimingPatterns(successful, unsuccessful);
-    await this.analyzeGenrePatterns(successful, unsuccessful);
-    await this.analyzeCastingPatterns(successful, unsuccessful);
-    
+    console.log(`❌ Less successful scripts: ${scripts.length - successful.length}\n`);
+
+    // Measure features
+    await this.analyzeStructurePatterns(scripts);
+    await this.analyzeDialoguePatterns(scripts);
+    await this.analyzeCharacterPatterns(scripts);
+    await this.analyzeBeatTimingPatterns(scripts);
+    await this.analyzeGenrePatterns(scripts);
+    await this.analyzeCastingPatterns(scripts);
+    await this.analyzeEmotionalArcPatterns(scripts);
+
+    // Test them against the outcomes
+    this.testFeatures(scripts);
+
     // Save patterns to database
     await this.savePatterns();
-    
+
     // Generate report
     this.generateReport();
-    
+
     console.log('\n✅ Pattern analysis complete!\n');
+    return this.patterns;
   }
-  
-  // Analyze structure patterns
-  async analyzeStructurePatterns(successful, unsuccessful) {
-    console.log('📐 Analyzing Structure Patterns...');
-    
-    // Average scene count
-    const avgScenesSuccess = this.average(successful.map(s => s.scene_count || 0));
-    const avgScenesUnsuccessful = this.average(unsuccessful.map(s => s.scene_count || 0));
-    
-    // Average page count
-    const avgPagesSuccess = this.average(successful.map(s => s.page_count || 0));
-    const avgPagesUnsuccessful = this.average(unsuccessful.map(s => s.page_count || 0));
-    
-    // Scene density (scenes per page)
-    const sceneDensitySuccess = avgScenesSuccess / avgPagesSuccess;
-    const sceneDensityUnsuccessful = avgScenesUnsuccessful / avgPagesUnsuccessful;
-    
-    this.patterns.push({
-      pattern_type: 'structure',
-      pattern_name: 'Optimal Scene Count',
-      description: `Successful scripts average ${avgScenesSuccess.toFixed(1)} scenes vs ${avgScenesUnsuccessful.toFixed(1)} in less successful ones`,
-      success_correlation_score: this.calculateCorrelation(avgScenesSuccess, avgScenesUnsuccessful),
-      found_in_successful_scripts: successful.length,
-      found_in_unsuccessful_scripts: unsuccessful.length,
-      genres: ['all']
-    });
-    
-    this.patterns.push({
-      pattern_type: 'structure',
-      pattern_name: 'Optimal Page Count',
-      description: `Successful scripts average ${avgPagesSuccess.toFixed(1)} pages`,
-      success_correlation_score: 0.7,
-      found_in_successful_scripts: successful.length,
-      found_in_unsuccessful_scripts: 0,
-      genres: ['all']
-    });
-    
-    console.log(`   ✓ Scene count pattern: ${avgScenesSuccess.toFixed(1)} scenes (successful) vs ${avgScenesUnsuccessful.toFixed(1)} (unsuccessful)`);
-    console.log(`   ✓ Page count pattern: ${avgPagesSuccess.toFixed(1)} pages (successful)`);
-    console.log(`   ✓ Scene density: ${sceneDensitySuccess.toFixed(2)} scenes/page\n`);
+
+  // A feature to test: `value(script)` is a number, or null when unknown
+  addFeature(pattern_type, name, value, { binary = false, genres = ['all'] } = {}) {
+    this.features.push({ pattern_type, name, value, binary, genres });
   }
-  
-  // Analyze dialogue patterns
-  async analyzeDialoguePatterns(successful, unsuccessful) {
-    console.log('💬 Analyzing Dialogue Patterns...');
-    
-    // Get dialogue data for successful scripts
-    const successfulIds = successful.map(s => s.id);
-    
-    const { data: successDialogue } = await supabase
-      .from('dialogue')
-      .select('length, tone')
-      .in('script_id', successfulIds);
-    
-    const { data: unsuccessDialogue } = await supabase
+
+  // Structure features
+  async analyzeStructurePatterns(scripts) {
+    console.log('📐 Measuring Structure...');
+
+    this.addFeature('structure', 'Scene Count', s => s.scene_count || null);
+    this.addFeature('structure', 'Page Count', s => s.page_count || null);
+    this.addFeature('structure', 'Scene Density', s => (s.page_count ? s.scene_count / s.page_count : null));
+    this.addFeature('structure', 'Average Scene Length', s => s.pacing?.avg_scene_eighths ?? null);
+    this.addFeature('structure', 'Pace', s => s.pacing?.avg_pace ?? null);
+
+    console.log(`   ✓ 5 structure features over ${scripts.length} scripts\n`);
+  }
+
+  // Dialogue features: line length and the share of each tone
+  async analyzeDialoguePatterns(scripts) {
+    console.log('💬 Measuring Dialogue...');
+
+    const dialogue = await db.selectAll('dialogue', () => db
       .from('dialogue')
-      .select('length, tone')
-      .in('script_id', unsuccessful.map(s => s.id));
-    
-    if (successDialogue && successDialogue.length > 0) {
-      // Average line length
-      const avgLengthSuccess = this.average(successDialogue.map(d => d.length || 0));
-      const avgLengthUnsuccessful = unsuccessDialogue 
-        ? this.average(unsuccessDialogue.map(d => d.length || 0))
-        : 0;
-      
-      // Tone distribution
-      const toneDistSuccess = this.getToneDistribution(successDialogue);
-      const dominantTone = Object.entries(toneDistSuccess)
-        .sort((a, b) => b[1] - a[1])[0];
-      
-      this.patterns.push({
-        pattern_type: 'dialogue',
-        pattern_name: 'Optimal Line Length',
-        description: `Successful scripts have dialogue averaging ${avgLengthSuccess.toFixed(1)} words per line (vs ${avgLengthUnsuccessful.toFixed(1)})`,
-        success_correlation_score: 0.75,
-        found_in_successful_scripts: successful.length,
-        found_in_unsuccessful_scripts: unsuccessful.length,
-        genres: ['all']
-      });
-      
-      this.patterns.push({
-        pattern_type: 'dialogue',
-        pattern_name: 'Tone Balance',
-        description: `Most successful scripts lean ${dominantTone[0]} (${dominantTone[1]} lines)`,
-        success_correlation_score: 0.65,
-        found_in_successful_scripts: successful.length,
-        found_in_unsuccessful_scripts: 0,
-        genres: ['all']
+      .select('script_id, length, tone')
+      .in('script_id', scripts.map(s => s.id)));
+
+    const byScript = this.groupBy(dialogue, 'script_id');
+    const tones = Array.from(new Set(dialogue.map(d => d.tone).filter(Boolean))).sort();
+
+    this.addFeature('dialogue', 'Dialogue Line Length', s => {
+      const lines = byScript[s.id];
+      return lines ? this.stats.mean(lines.map(d => d.length || 0)) : null;
+    });
+    this.addFeature('dialogue', 'Dialogue Ratio', s => s.dialogue_ratio ?? null);
+
+    tones.forEach(tone => {
+      const label = tone.charAt(0).toUpperCase() + tone.slice(1);
+      this.addFeature('dialogue', `${label} Dialogue Share`, s => {
+        const lines = byScript[s.id];
+        return lines ? lines.filter(d => d.tone === tone).length / lines.length : null;
       });
-      
-      console.log(`   ✓ Line length: ${avgLengthSuccess.toFixed(1)} words (successful) vs ${avgLengthUnsuccessful.toFixed(1)} (unsuccessful)`);
-      console.log(`   ✓ Dominant tone: ${dominantTone[0]} (${dominantTone[1]} occurrences)\n`);
-    }
+    });
+
+    console.log(`   ✓ ${2 + tones.length} dialogue features from ${dialogue.length} lines\n`);
   }
-  
-  // Analyze character patterns
-  async analyzeCharacterPatterns(successful, unsuccessful) {
-    console.log('👥 Analyzing Character Patterns...');
-    
-    const avgCharsSuccess = this.average(successful.map(s => s.character_count || 0));
-    const avgCharsUnsuccessful = this.average(unsuccessful.map(s => s.character_count || 0));
-    
-    // Get character data
-    const { data: successChars } = await supabase
-      .from('characters')
-      .select('archetype, importance_rank')
-      .in('script_id', successful.map(s => s.id));
-    
-    if (successChars && successChars.length > 0) {
-      // Most common archetypes
-      const archetypeCounts = {};
-      successChars.forEach(c => {
-        if (c.archetype) {
-          archetypeCounts[c.archetype] = (archetypeCounts[c.archetype] || 0) + 1;
-        }
-      });
-      
-      const topArchetype = Object.entries(archetypeCounts)
-        .sort((a, b) => b[1] - a[1])[0];
-      
-      this.patterns.push({
-        pattern_type: 'character',
-        pattern_name: 'Optimal Character Count',
-        description: `Successful scripts average ${avgCharsSuccess.toFixed(1)} distinct characters`,
-        success_correlation_score: 0.7,
-        found_in_successful_scripts: successful.length,
-        found_in_unsuccessful_scripts: unsuccessful.length,
-        genres: ['all']
-      });
-      
-      if (topArchetype) {
-        this.patterns.push({
-          pattern_type: 'character',
-          pattern_name: 'Winning Archetype',
-          description: `Most common protagonist archetype: ${topArchetype[0]} (found in ${topArchetype[1]} successful scripts)`,
-          success_correlation_score: 0.8,
-          found_in_successful_scripts: topArchetype[1],
-          found_in_unsuccessful_scripts: 0,
-          genres: ['all']
-        });
-      }
-      
-      console.log(`   ✓ Character count: ${avgCharsSuccess.toFixed(1)} (successful) vs ${avgCharsUnsuccessful.toFixed(1)} (unsuccessful)`);
-      if (topArchetype) {
-        console.log(`   ✓ Top archetype: ${topArchetype[0]} (${topArchetype[1]} occurrences)\n`);
-      }
-    }
+
+  // Character features
+  async analyzeCharacterPatterns(scripts) {
+    console.log('👥 Measuring Characters...');
+
+    this.addFeature('character', 'Character Count', s => s.character_count || null);
+
+    console.log('   ✓ 1 character feature\n');
   }
-  
-  // Analyze beat timing patterns
-  async analyzeBeatTimingPatterns(successful, unsuccessful) {
-    console.log('🎬 Analyzing Beat Timing Patterns...');
-    
-    const { data: successBeats } = await supabase
+
+  // Beat timing: where each beat lands, as a share of the script
+  async analyzeBeatTimingPatterns(scripts) {
+    console.log('🎬 Measuring Beat Timing...');
+
+    const beats = await db.selectAll('story beats', () => db
       .from('story_beats')
-      .select('beat_type, page_number')
-      .in('script_id', successful.map(s => s.id));
-    
-    if (successBeats && successBeats.length > 0) {
-      // Group by beat type
-      const beatsByType = {};
-      successBeats.forEach(b => {
-        if (!beatsByType[b.beat_type]) {
-          beatsByType[b.beat_type] = [];
-        }
-        beatsByType[b.beat_type].push(b.page_number);
-      });
-      
-      // Calculate average timing for each beat
-      Object.entries(beatsByType).forEach(([beatType, pages]) => {
-        const avgPage = this.average(pages);
-        
-        this.patterns.push({
-          pattern_type: 'beat_timing',
-          pattern_name: `${beatType} Timing`,
-          description: `${beatType} typically occurs at page ${avgPage.toFixed(1)} in successful scripts`,
-          success_correlation_score: 0.85,
-          found_in_successful_scripts: pages.length,
-          found_in_unsuccessful_scripts: 0,
-          genres: ['all']
-        });
-        
-        console.log(`   ✓ ${beatType}: page ${avgPage.toFixed(1)}`);
-      });
-      
-      console.log('');
-    }
-  }
-  
-  // Analyze genre patterns
-  async analyzeGenrePatterns(successful, unsuccessful) {
-    console.log('🎭 Analyzing Genre Patterns...');
-    
-    // Count genres
-    const genreCounts = {};
-    successful.forEach(s => {
-      if (s.genre_tags) {
-        s.genre_tags.forEach(genre => {
-          genreCounts[genre] = (genreCounts[genre] || 0) + 1;
-        });
-      }
+      .select('script_id, beat_type, page_number')
+      .in('script_id', scripts.map(s => s.id)));
+
+    const pages = Object.fromEntries(scripts.map(s => [s.id, s.page_count]));
+    const position = {};
+    const pageNumbers = {};
+    beats.forEach(b => {
+      if (!b.page_number || !pages[b.script_id]) return;
+      position[b.beat_type] = position[b.beat_type] || {};
+      position[b.beat_type][b.script_id] = b.page_number / pages[b.script_id];
+      pageNumbers[b.beat_type] = (pageNumbers[b.beat_type] || new Set()).add(b.page_number);
     });
-    
-    const topGenres = Object.entries(genreCounts)
-      .sort((a, b) => b[1] - a[1])
-      .slice(0, 5);
-    
-    topGenres.forEach(([genre, count]) => {
-      const avgRating = this.average(
-        successful
-          .filter(s => s.genre_tags && s.genre_tags.includes(genre))
-          .map(s => s.imdb_rating)
-      );
-      
-      this.patterns.push({
-        pattern_type: 'genre',
-        pattern_name: `${genre} Success Rate`,
-        description: `${genre} scripts average ${avgRating.toFixed(1)} rating (${count} successful scripts)`,
-        success_correlation_score: 0.75,
-        found_in_successful_scripts: count,
-        found_in_unsuccessful_scripts: 0,
+
+    // A beat that's always on the same page (Opening Image) only measures script length
+    const timed = Object.keys(position).filter(beatType => pageNumbers[beatType].size > 1);
+    timed.forEach(beatType => {
+      this.addFeature('beat_timing', `${beatType} Timing`, s => position[beatType][s.id] ?? null);
+    });
+
+    console.log(`   ✓ ${timed.length} beat timing features\n`);
+  }
+
+  // Genre membership
+  async analyzeGenrePatterns(scripts) {
+    console.log('🎭 Measuring Genres...');
+
+    const genres = Array.from(new Set(scripts.flatMap(s => s.genre_tags || []))).sort();
+    genres.forEach(genre => {
+      this.addFeature('genre', genre, s => (s.genre_tags ? (s.genre_tags.includes(genre) ? 1 : 0) : null), {
+        binary: true,
         genres: [genre.toLowerCase()]
       });
-      
-      console.log(`   ✓ ${genre}: ${count} successful scripts, avg rating ${avgRating.toFixed(1)}`);
     });
-    
-    console.log('');
+
+    console.log(`   ✓ ${genres.length} genres\n`);
   }
-  
-  // Analyze casting patterns
-  async analyzeCastingPatterns(successful, unsuccessful) {
-    console.log('🎭 Analyzing Casting Patterns...');
-    
-    const { data: successPerfs } = await supabase
+
+  // Casting: award-winning actors in the cast
+  async analyzeCastingPatterns(scripts) {
+    console.log('🎭 Measuring Casting...');
+
+    const performances = await db.selectAll('performances', () => db
       .from('performances')
-      .select(`
-        *,
-        actors(name, oscar_wins, emmy_wins),
-        scripts(imdb_rating, box_office)
-      `)
-      .in('script_id', successful.map(s => s.id));
-    
-    if (successPerfs && successPerfs.length > 0) {
-      // Count performances with award-winning actors
-      const awardWinnerPerfs = successPerfs.filter(p => 
-        p.actors && (p.actors.oscar_wins > 0 || p.actors.emmy_wins > 0)
-      );
-      
-      const avgRatingWithAwards = this.average(
-        awardWinnerPerfs.map(p => p.scripts?.imdb_rating).filter(r => r)
-      );
-      
-      this.patterns.push({
-        pattern_type: 'casting',
-        pattern_name: 'Award-Winning Cast Effect',
-        description: `Scripts with award-winning actors average ${avgRatingWithAwards.toFixed(1)} rating (${awardWinnerPerfs.length} performances)`,
-        success_correlation_score: 0.82,
-        found_in_successful_scripts: awardWinnerPerfs.length,
-        found_in_unsuccessful_scripts: 0,
-        genres: ['all']
-      });
-      
-      console.log(`   ✓ Performances with award winners: ${awardWinnerPerfs.length}`);
-      console.log(`   ✓ Average rating with award winners: ${avgRatingWithAwards.toFixed(1)}\n`);
+      .select('script_id, actors(oscar_wins, emmy_wins)')
+      .in('script_id', scripts.map(s => s.id)));
+
+    const winners = {};
+    performances.forEach(p => {
+      winners[p.script_id] = winners[p.script_id] || 0;
+      if (p.actors && (p.actors.oscar_wins > 0 || p.actors.emmy_wins > 0)) winners[p.script_id]++;
+    });
+
+    // Scripts without any cast on file are unknown, not zero
+    this.addFeature('casting', 'Award-Winning Cast', s => (s.id in winners ? (winners[s.id] > 0 ? 1 : 0) : null), { binary: true });
+
+    console.log(`   ✓ Cast on file for ${Object.keys(winners).length} scripts\n`);
+  }
+
+  // Emotional arc shape membership
+  async analyzeEmotionalArcPatterns(scripts) {
+    console.log('📈 Measuring Emotional Arcs...');
+
+    const emotions = new EmotionAnalyzer();
+    const withArcs = scripts.filter(s => s.arc_shape && s.arc_shape !== 'flat');
+    const shapes = Array.from(new Set(withArcs.map(s => s.arc_shape))).sort();
+
+    shapes.forEach(shape => {
+      this.addFeature('emotional_arc', `${emotions.arcLabel(shape)} Arc`,
+        s => (s.arc_shape && s.arc_shape !== 'flat' ? (s.arc_shape === shape ? 1 : 0) : null),
+        { binary: true });
+    });
+
+    console.log(`   ✓ ${shapes.length} arc shapes over ${withArcs.length} scripts\n`);
+  }
+
+  // Every script, then each genre and media type that is a real subset with enough scripts
+  scopes(scripts) {
+    const scopes = [{ label: null, genres: null, media_type: null, scripts }];
+    const subset = (extra, members) => {
+      if (members.length >= this.minSampleSize && members.length < scripts.length) {
+        scopes.push({ genres: null, media_type: null, ...extra, scripts: members });
+      }
+    };
+
+    Array.from(new Set(scripts.flatMap(s => s.genre_tags || []))).sort().forEach(genre => {
+      subset({ label: genre, genres: [genre.toLowerCase()] }, scripts.filter(s => (s.genre_tags || []).includes(genre)));
+    });
+    Array.from(new Set(scripts.map(s => s.media_type || 'movie'))).sort().forEach(mediaType => {
+      subset({ label: mediaType === 'tv' ? 'TV' : 'Movie', media_type: mediaType },
+        scripts.filter(s => (s.media_type || 'movie') === mediaType));
+    });
+
+    return scopes;
+  }
+
+  // Test every feature against every outcome in every scope, correct for the number of tests, keep the testable ones
+  testFeatures(scripts) {
+    console.log('🧪 Testing features...');
+
+    const scopes = this.scopes(scripts);
+    const tests = [];
+    let gated = 0;
+    scopes.forEach(scope => {
+      this.features
+        .filter(feature => !scope.label || SCOPED_TYPES.includes(feature.pattern_type))
+        .forEach(feature => {
+          OUTCOMES.forEach(outcome => {
+            const test = this.testFeature(feature, outcome, scope.scripts);
+            if (test) tests.push({ ...test, scope });
+            else gated++;
+          });
+        });
+    });
+
+    const adjusted = this.stats.adjustPValues(tests.map(t => t.p_value));
+    this.patterns = tests.map((test, i) => this.toPattern(test, adjusted[i], tests.length));
+
+    const significant = this.patterns.filter(p => p.is_significant).length;
+    console.log(`   ✓ ${tests.length} tests in ${scopes.length} scopes (${gated} skipped for too few scripts), ${significant} significant at FDR ${this.alpha}\n`);
+  }
+
+  // Statistics for one feature and outcome, or null when the sample can't support them
+  testFeature(feature, outcome, scripts) {
+    const sample = scripts
+      .map(s => ({ x: feature.value(s), y: outcome.value(s) }))
+      .filter(p => p.x !== null && p.x !== undefined && Number.isFinite(p.x) && p.y !== null);
+
+    if (sample.length < this.minSampleSize) return null;
+
+    const xs = sample.map(p => p.x);
+    const ys = sample.map(p => p.y);
+    if (this.stats.variance(xs) === 0 || this.stats.variance(ys) === 0) return null;
+
+    // Hits: successful ratings, or above-median box office
+    const cutoff = outcome.key === 'imdb_rating' ? this.successThreshold : this.median(ys);
+    const hits = sample.filter(p => p.y >= cutoff).map(p => p.x);
+    const misses = sample.filter(p => p.y < cutoff).map(p => p.x);
+    if (hits.length < this.minGroupSize || misses.length < this.minGroupSize) return null;
+
+    if (feature.binary) {
+      const present = xs.filter(x => x === 1).length;
+      if (present < this.minGroupSize || sample.length - present < this.minGroupSize) return null;
     }
+
+    const n = sample.length;
+    const r = this.stats.pearson(xs, ys);
+    const rho = this.stats.spearman(xs, ys);
+    const effect = this.stats.cohensD(hits, misses);
+
+    return {
+      feature,
+      outcome,
+      n,
+      r,
+      rho,
+      p_value: this.stats.correlationPValue(r, n),
+      spearman_p: this.stats.correlationPValue(rho, n),
+      ci: this.stats.correlationInterval(r, n),
+      effect,
+      hits,
+      misses
+    };
+  }
+
+  toPattern(test, adjustedP, testCount) {
+    const { feature, outcome, scope, n, r, rho, ci, effect, hits, misses } = test;
+    const name = scope.label ? `${feature.name} (${scope.label})` : feature.name;
+    const significant = adjustedP < this.alpha;
+    const hitLabel = outcome.key === 'imdb_rating' ? `Successful scripts (${this.successThreshold}+)` : 'Above-median earners';
+    const round = (value, places = 3) => (value === null ? null : Number(value.toFixed(places)));
+
+    const contrast = feature.binary
+      ? `${hitLabel}: ${hits.filter(x => x === 1).length} of ${hits.length} vs ${misses.filter(x => x === 1).length} of ${misses.length} others`
+      : `${hitLabel} average ${this.format(this.stats.mean(hits))} vs ${this.format(this.stats.mean(misses))}`;
+
+    return {
+      pattern_type: feature.pattern_type,
+      pattern_name: `${feature.name} vs ${outcome.label}${scope.label ? ` (${scope.label})` : ''}`,
+      description: `${name} vs ${outcome.label.toLowerCase()}: r = ${r.toFixed(2)} ` +
+        `(95% CI ${ci[0].toFixed(2)} to ${ci[1].toFixed(2)}), n = ${n}. ${contrast}` +
+        `${effect ? ` (d = ${effect.d.toFixed(2)})` : ''}. ` +
+        `${significant ? 'Significant' : 'Not significant'} after correction (q = ${adjustedP.toFixed(3)})`,
+      success_correlation_score: round(r),
+      found_in_successful_scripts: feature.binary ? hits.filter(x => x === 1).length : hits.length,
+      found_in_unsuccessful_scripts: feature.binary ? misses.filter(x => x === 1).length : misses.length,
+      genres: scope.genres || feature.genres,
+      media_type: scope.media_type,
+      outcome: outcome.key,
+      sample_size: n,
+      effect_size: effect ? round(effect.d) : null,
+      p_value: round(test.p_value, 6),
+      adjusted_p_value: round(adjustedP, 6),
+      is_significant: significant,
+      statistics: {
+        pearson: { r: round(r), ci: ci.map(v => round(v)), p: round(test.p_value, 6) },
+        spearman: { rho: round(rho), p: round(test.spearman_p, 6) },
+        effect: effect ? { d: round(effect.d), ci: effect.ci.map(v => round(v)) } : null,
+        means: { hits: round(this.stats.mean(hits)), misses: round(this.stats.mean(misses)) },
+        groups: { hits: hits.length, misses: misses.length },
+        correction: 'benjamini-hochberg',
+        tests: testCount
+      }
+    };
   }
-  
-  // Save patterns to database
+
+  // Save patterns to database; patterns this run didn't produce are removed
   async savePatterns() {
     console.log('💾 Saving patterns to database...');
-    
+
     for (const pattern of this.patterns) {
-      const { error } = await supabase
+      const { error } = await db
         .from('learned_patterns')
-        .upsert({
-          pattern_type: pattern.pattern_type,
-          pattern_name: pattern.pattern_name,
-          description: pattern.description,
-          success_correlation_score: pattern.success_correlation_score,
-          found_in_successful_scripts: pattern.found_in_successful_scripts,
-          found_in_unsuccessful_scripts: pattern.found_in_unsuccessful_scripts,
-          genres: pattern.genres
-        }, { onConflict: 'pattern_type,pattern_name' });
-      
+        .upsert(pattern, { onConflict: 'pattern_type,pattern_name' });
+
       if (error) {
         console.error(`Error saving pattern ${pattern.pattern_name}:`, error.message);
       }
     }
-    
-    console.log(`✅ Saved ${this.patterns.length} patterns\n`);
+
+    const { data: existing } = await db
+      .from('learned_patterns')
+      .select('id, pattern_type, pattern_name');
+    const keep = new Set(this.patterns.map(p => `${p.pattern_type}:${p.pattern_name}`));
+    const stale = (existing || []).filter(p => !keep.has(`${p.pattern_type}:${p.pattern_name}`)).map(p => p.id);
+
+    if (stale.length > 0) {
+      const { error } = await db.from('learned_patterns').delete().in('id', stale);
+      if (error) console.error('Error removing stale patterns:', error.message);
+    }
+
+    console.log(`✅ Saved ${this.patterns.length} patterns${stale.length > 0 ? `, removed ${stale.length} stale` : ''}\n`);
   }
-  
+
   // Generate final report
   generateReport() {
     console.log('='.repeat(60));
     console.log('📊 PATTERN RECOGNITION REPORT');
     console.log('='.repeat(60));
-    console.log(`\n🧠 Discovered ${this.patterns.length} success patterns\n`);
-    
+
+    const significant = this.patterns.filter(p => p.is_significant).length;
+    console.log(`\n🧠 Tested ${this.patterns.length} patterns, ${significant} significant after correction\n`);
+
     // Group by pattern type
     const byType = {};
     this.patterns.forEach(p => {
@@ -399,41 +432,38 @@ if (scripts) {
       }
       byType[p.pattern_type].push(p);
     });
-    
+
     Object.entries(byType).forEach(([type, patterns]) => {
       console.log(`\n${type.toUpperCase()} PATTERNS (${patterns.length}):`);
-      patterns.forEach(p => {
-        console.log(`   • ${p.pattern_name}`);
-        console.log(`     ${p.description}`);
-        console.log(`     Correlation: ${(p.success_correlation_score * 100).toFixed(0)}%\n`);
-      });
+      patterns
+        .slice()
+        .sort((a, b) => a.adjusted_p_value - b.adjusted_p_value)
+        .forEach(p => {
+          console.log(`   ${p.is_significant ? '⭐' : '•'} ${p.pattern_name}`);
+          console.log(`     ${p.description}\n`);
+        });
     });
-    
+
     console.log('='.repeat(60));
   }
-  
-  // Helper: Calculate average
-  average(arr) {
-    if (!arr || arr.length === 0) return 0;
-    return arr.reduce((sum, val) => sum + val, 0) / arr.length;
-  }
-  
-  // Helper: Calculate correlation
-  calculateCorrelation(successVal, unsuccessVal) {
-    const diff = Math.abs(successVal - unsuccessVal);
-    const avg = (successVal + unsuccessVal) / 2;
-    return Math.min(1, diff / avg);
+
+  median(values) {
+    const sorted = values.slice().sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
   }
-  
-  // Helper: Get tone distribution
-  getToneDistribution(dialogueArray) {
-    const tones = {};
-    dialogueArray.forEach(d => {
-      if (d.tone) {
-        tones[d.tone] = (tones[d.tone] || 0) + 1;
-      }
+
+  groupBy(rows, key) {
+    const groups = {};
+    rows.forEach(row => {
+      groups[row[key]] = groups[row[key]] || [];
+      groups[row[key]].push(row);
     });
-    return tones;
+    return groups;
+  }
+
+  format(value) {
+    return Math.abs(value) >= 10 ? value.toFixed(1) : value.toFixed(2);
   }
 }
 
@@ -442,7 +472,7 @@ module.exports = PatternRecognitionEngine;
 // Run if called directly
 if (require.main === module) {
   const engine = new PatternRecognitionEngine();
-  
+
   engine.analyzeAllPatterns()
     .then(() => {
       console.log('🎉 Pattern analysis complete!');
@@ -0,0 +1,206 @@
+// =========================================
+// VESPER42 - Pattern Statistics
+// Correlations, effect sizes, intervals and p-values for pattern mining
+// =========================================
+
+class PatternStatistics {
+
+  mean(xs) {
+    if (!xs || xs.length === 0) return 0;
+    return xs.reduce((sum, x) => sum + x, 0) / xs.length;
+  }
+
+  // Sample variance (n - 1)
+  variance(xs) {
+    if (xs.length < 2) return 0;
+    const m = this.mean(xs);
+    return xs.reduce((sum, x) => sum + (x - m) ** 2, 0) / (xs.length - 1);
+  }
+
+  // Pearson correlation of two equal-length series (0 when either is constant)
+  pearson(xs, ys) {
+    const meanX = this.mean(xs);
+    const meanY = this.mean(ys);
+    let cov = 0;
+    let varX = 0;
+    let varY = 0;
+    xs.forEach((x, i) => {
+      cov += (x - meanX) * (ys[i] - meanY);
+      varX += (x - meanX) ** 2;
+      varY += (ys[i] - meanY) ** 2;
+    });
+    return varX > 0 && varY > 0 ? cov / Math.sqrt(varX * varY) : 0;
+  }
+
+  // Spearman: Pearson on ranks, ties sharing their average rank
+  spearman(xs, ys) {
+    return this.pearson(this.ranks(xs), this.ranks(ys));
+  }
+
+  ranks(xs) {
+    const order = xs.map((x, i) => [x, i]).sort((a, b) => a[0] - b[0]);
+    const ranks = new Array(xs.length);
+    for (let start = 0; start < order.length;) {
+      let end = start;
+      while (end + 1 < order.length && order[end + 1][0] === order[start][0]) end++;
+      const rank = (start + end) / 2 + 1;
+      for (let k = start; k <= end; k++) ranks[order[k][1]] = rank;
+      start = end + 1;
+    }
+    return ranks;
+  }
+
+  // Two-sided p-value for a correlation of r over n pairs (t-test, n - 2 df)
+  correlationPValue(r, n) {
+    if (n < 3) return 1;
+    if (Math.abs(r) >= 1) return 0;
+    const t = r * Math.sqrt((n - 2) / (1 - r * r));
+    return this.studentTwoTailed(t, n - 2);
+  }
+
+  // Confidence interval for r via the Fisher z-transform
+  correlationInterval(r, n, level = 0.95) {
+    if (n < 4) return [-1, 1];
+    const clamped = Math.max(-0.999999, Math.min(0.999999, r));
+    const z = Math.atanh(clamped);
+    const margin = this.normalQuantile(1 - (1 - level) / 2) / Math.sqrt(n - 3);
+    return [Math.tanh(z - margin), Math.tanh(z + margin)];
+  }
+
+  // Cohen's d (a minus b, pooled SD) with an approximate confidence interval
+  cohensD(a, b, level = 0.95) {
+    const na = a.length;
+    const nb = b.length;
+    if (na < 2 || nb < 2) return null;
+    const pooled = Math.sqrt(((na - 1) * this.variance(a) + (nb - 1) * this.variance(b)) / (na + nb - 2));
+    if (pooled === 0) return null;
+    const d = (this.mean(a) - this.mean(b)) / pooled;
+    const se = Math.sqrt((na + nb) / (na * nb) + (d * d) / (2 * (na + nb)));
+    const margin = this.normalQuantile(1 - (1 - level) / 2) * se;
+    return { d, ci: [d - margin, d + margin] };
+  }
+
+  // Benjamini-Hochberg adjusted p-values (false discovery rate), in input order
+  adjustPValues(pValues) {
+    const m = pValues.length;
+    const order = pValues.map((p, i) => [p, i]).sort((a, b) => b[0] - a[0]);
+    const adjusted = new Array(m);
+    let running = 1;
+    order.forEach(([p, i], k) => {
+      running = Math.min(running, (p * m) / (m - k));
+      adjusted[i] = running;
+    });
+    return adjusted;
+  }
+
+  // P(|T| > |t|) for Student's t with df degrees of freedom
+  studentTwoTailed(t, df) {
+    return this.incompleteBeta(df / (df + t * t), df / 2, 0.5);
+  }
+
+  // Regularized incomplete beta I_x(a, b), continued fraction (Numerical Recipes)
+  incompleteBeta(x, a, b) {
+    if (x <= 0) return 0;
+    if (x >= 1) return 1;
+    const front = Math.exp(
+      this.logGamma(a + b) - this.logGamma(a) - this.logGamma(b) + a * Math.log(x) + b * Math.log(1 - x)
+    );
+    if (x < (a + 1) / (a + b + 2)) return (front * this.betaFraction(x, a, b)) / a;
+    return 1 - (front * this.betaFraction(1 - x, b, a)) / b;
+  }
+
+  betaFraction(x, a, b) {
+    const tiny = 1e-30;
+    let c = 1;
+    let d = 1 - ((a + b) * x) / (a + 1);
+    if (Math.abs(d) < tiny) d = tiny;
+    d = 1 / d;
+    let h = d;
+    for (let m = 1; m <= 200; m++) {
+      const m2 = 2 * m;
+      let aa = (m * (b - m) * x) / ((a + m2 - 1) * (a + m2));
+      d = 1 + aa * d;
+      if (Math.abs(d) < tiny) d = tiny;
+      c = 1 + aa / c;
+      if (Math.abs(c) < tiny) c = tiny;
+      d = 1 / d;
+      h *= d * c;
+      aa = (-(a + m) * (a + b + m) * x) / ((a + m2) * (a + m2 + 1));
+      d = 1 + aa * d;
+      if (Math.abs(d) < tiny) d = tiny;
+      c = 1 + aa / c;
+      if (Math.abs(c) < tiny) c = tiny;
+      d = 1 / d;
+      const step = d * c;
+      h *= step;
+      if (Math.abs(step - 1) < 1e-12) break;
+    }
+    return h;
+  }
+
+  // Lanczos approximation
+  logGamma(x) {
+    const g = [76.18009172947146, -86.50532032941677, 24.01409824083091,
+      -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5];
+    let y = x;
+    const tmp = x + 5.5 - (x + 0.5) * Math.log(x + 5.5);
+    let series = 1.000000000190015;
+    g.forEach(coefficient => { series += coefficient / ++y; });
+    return -tmp + Math.log((2.5066282746310005 * series) / x);
+  }
+
+  // Solve A x = b (Gaussian elimination with partial pivoting)
+  solveLinear(A, b) {
+    const n = b.length;
+    const m = A.map((row, i) => [...row, b[i]]);
+    for (let col = 0; col < n; col++) {
+      let pivot = col;
+      for (let r = col + 1; r < n; r++) {
+        if (Math.abs(m[r][col]) > Math.abs(m[pivot][col])) pivot = r;
+      }
+      [m[col], m[pivot]] = [m[pivot], m[col]];
+      for (let r = col + 1; r < n; r++) {
+        const factor = m[r][col] / m[col][col];
+        for (let c = col; c <= n; c++) m[r][c] -= factor * m[col][c];
+      }
+    }
+    const x = new Array(n).fill(0);
+    for (let r = n - 1; r >= 0; r--) {
+      let sum = m[r][n];
+      for (let c = r + 1; c < n; c++) sum -= m[r][c] * x[c];
+      x[r] = sum / m[r][r];
+    }
+    return x;
+  }
+
+  // Standard normal CDF (Abramowitz & Stegun 7.1.26 for erf)
+  normalCdf(z) {
+    const x = Math.abs(z) / Math.SQRT2;
+    const t = 1 / (1 + 0.3275911 * x);
+    const erf = 1 - (((((1.061405429 * t - 1.453152027) * t + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t) * Math.exp(-x * x);
+    return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+  }
+
+  // Inverse standard normal CDF (Acklam's rational approximation)
+  normalQuantile(p) {
+    const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.357751867269, -30.66479806614716, 2.506628277459239];
+    const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+    const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+    const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+    const low = 0.02425;
+
+    if (p < low) {
+      const q = Math.sqrt(-2 * Math.log(p));
+      return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+        ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+    }
+    if (p > 1 - low) return -this.normalQuantile(1 - p);
+
+    const q = p - 0.5;
+    const r = q * q;
+    return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+      (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+  }
+}
+
+module.exports = PatternStatistics;
@@ -0,0 +1,229 @@
+// =========================================
+// VESPER42 - Revenue Forecaster
+// Box office ranges, ROI and budget recommendations from comparable films
+// =========================================
+
+require('dotenv').config();
+
+const PatternStatistics = require('./pattern-statistics');
+
+const db = require('../storage');
+
+const BREAK_EVEN_MULTIPLE = 2.5; // theaters keep about half the gross; marketing costs about what production did
+const BAND_LEVELS = [0.5, 0.8];
+const GENRE_SHRINKAGE = 3; // films' worth of weight pulling genre effects to zero
+const BUDGET_STEPS = 40;
+
+class RevenueForecaster {
+
+  constructor({ breakEvenMultiple = BREAK_EVEN_MULTIPLE, minSampleSize = 8, levels = BAND_LEVELS } = {}) {
+    this.breakEvenMultiple = breakEvenMultiple;
+    this.minSampleSize = minSampleSize; // films with both a budget and box office
+    this.levels = levels;
+    this.stats = new PatternStatistics();
+  }
+
+  // Films with a budget and box office (TV has neither; budgets come from TMDB via SuccessDataCollector)
+  async loadFilms() {
+    const { data, error } = await db
+      .from('scripts')
+      .select('id, title, genre_tags, media_type, imdb_rating, budget, box_office')
+      .gt('budget', 0)
+      .gt('box_office', 0);
+
+    if (error) throw new Error(`Error fetching budgets: ${error.message}`);
+    return (data || []).filter(f => f.media_type !== 'tv');
+  }
+
+  // The fitted model, or null when too few films have both figures
+  async model() {
+    const films = await this.loadFilms();
+    if (films.length < this.minSampleSize) return null;
+    return this.fit(films);
+  }
+
+  // Least squares on centered log budget and rating, then shrunken genre effects
+  fit(films, { spread = true } = {}) {
+    const ratings = films.map(f => f.imdb_rating).filter(r => r > 0);
+    const ratingMean = this.stats.mean(ratings);
+    const logBudgetMean = this.stats.mean(films.map(f => Math.log10(f.budget)));
+
+    const x = f => [1, Math.log10(f.budget) - logBudgetMean, f.imdb_rating > 0 ? f.imdb_rating - ratingMean : 0];
+    const X = films.map(x);
+    const y = films.map(f => Math.log10(f.box_office));
+
+    // A whisker of ridge keeps the solve stable when every rating is the same
+    const A = [0, 1, 2].map(j => [0, 1, 2].map(k =>
+      X.reduce((sum, row) => sum + row[j] * row[k], 0) + (j === k && j > 0 ? 1e-6 : 0)
+    ));
+    const b = [0, 1, 2].map(j => X.reduce((sum, row, i) => sum + row[j] * y[i], 0));
+    const [intercept, elasticity, ratingEffect] = this.stats.solveLinear(A, b);
+
+    const residuals = films.map((f, i) => y[i] - (intercept + elasticity * X[i][1] + ratingEffect * X[i][2]));
+    const genreTotals = {};
+    films.forEach((f, i) => (f.genre_tags || []).forEach(tag => {
+      const genre = tag.toLowerCase();
+      genreTotals[genre] = genreTotals[genre] || { sum: 0, count: 0 };
+      genreTotals[genre].sum += residuals[i];
+      genreTotals[genre].count += 1;
+    }));
+    const genreEffects = Object.fromEntries(
+      Object.entries(genreTotals).map(([genre, t]) => [genre, t.sum / (t.count + GENRE_SHRINKAGE)])
+    );
+
+    const budgets = films.map(f => f.budget);
+    return {
+      films: films.length,
+      intercept,
+      elasticity,
+      rating_effect: ratingEffect,
+      rating_mean: ratingMean,
+      log_budget_mean: logBudgetMean,
+      genre_effects: genreEffects,
+      budget_range: [Math.min(...budgets), Math.max(...budgets)],
+      residual_sd: spread ? this.leaveOneOutSd(films) : null
+    };
+  }
+
+  // Spread of the errors when each film is predicted by a model fit without it: the band width
+  leaveOneOutSd(films) {
+    const errors = films.map((film, i) => {
+      const model = this.fit(films.filter((_, j) => j !== i), { spread: false });
+      return Math.log10(film.box_office) - this.logRevenue(model, film.budget, film.genre_tags || [], film.imdb_rating);
+    });
+    return Math.sqrt(this.stats.mean(errors.map(e => e * e)));
+  }
+
+  // Genres (any case) that the model has an effect for, lowercased
+  knownGenres(model, genres) {
+    return genres.map(g => g.toLowerCase()).filter(g => model.genre_effects[g] !== undefined);
+  }
+
+  // Expected log10 box office for a budget, genres and rating
+  logRevenue(model, budget, genres = [], rating = null) {
+    const known = this.knownGenres(model, genres);
+    const genreEffect = known.length > 0 ? this.stats.mean(known.map(g => model.genre_effects[g])) : 0;
+    return model.intercept +
+      model.elasticity * (Math.log10(budget) - model.log_budget_mean) +
+      model.rating_effect * (rating > 0 ? rating - model.rating_mean : 0) +
+      genreEffect;
+  }
+
+  // Box office above break-even, averaged over the forecast spread
+  expectedProfit(model, budget, genres, rating) {
+    const mu = this.logRevenue(model, budget, genres, rating);
+    const expected = 10 ** (mu + (model.residual_sd ** 2 * Math.LN10) / 2);
+    return expected - this.breakEvenMultiple * budget;
+  }
+
+  // Budget that maximizes expected profit within the budgets seen, and the range near it
+  recommendBudget(model, genres = [], rating = null) {
+    const [low, high] = model.budget_range.map(Math.log10);
+    const grid = Array.from({ length: BUDGET_STEPS + 1 }, (_, i) => 10 ** (low + ((high - low) * i) / BUDGET_STEPS))
+      .map(budget => ({ budget, profit: this.expectedProfit(model, budget, genres, rating) }));
+
+    const best = grid.reduce((a, b) => (b.profit > a.profit ? b : a));
+    const near = best.profit > 0 ? grid.filter(g => g.profit >= best.profit * 0.9) : [best];
+    const range = [Math.min(...near.map(g => g.budget)), Math.max(...near.map(g => g.budget))];
+
+    let basis = `maximizes expected box office above ${this.breakEvenMultiple}x budget across ${model.films} films`;
+    if (best.profit <= 0) basis = `loses least across ${model.films} films: no budget in the data is expected to break even`;
+    else if (best.budget === grid[grid.length - 1].budget) basis += ' (at the top of the budgets seen)';
+    else if (best.budget === grid[0].budget) basis += ' (at the bottom of the budgets seen)';
+
+    return {
+      best: this.roundMoney(best.budget),
+      low: this.roundMoney(range[0]),
+      high: this.roundMoney(range[1]),
+      range: range[0] === range[1]
+        ? this.formatMoney(range[0])
+        : `${this.formatMoney(range[0])}-${this.formatMoney(range[1])}`,
+      expected_profit: this.roundMoney(best.profit),
+      basis
+    };
+  }
+
+  // Revenue range, ROI and budget recommendation for a concept.
+  // Without a budget, the recommended one is used; without a rating, the average film's.
+  // A budget outside the ones seen is clamped to them and the forecast marked extrapolated.
+  async forecast({ genres = [], budget = null, predicted_rating = null } = {}) {
+    const model = await this.model();
+    if (!model) return null;
+    return this.forecastWith(model, { genres, budget, predicted_rating });
+  }
+
+  forecastWith(model, { genres = [], budget = null, predicted_rating = null } = {}) {
+    const rating = predicted_rating > 0 ? predicted_rating : model.rating_mean;
+    const recommended = this.recommendBudget(model, genres, rating);
+    const [lowest, highest] = model.budget_range;
+    const given = budget > 0 ? Math.min(Math.max(budget, lowest), highest) : null;
+    // ROI and break-even are against the budget reported, not the unrounded one
+    const spend = given ? this.roundMoney(given) : recommended.best;
+
+    const mu = this.logRevenue(model, spend, genres, rating);
+    const sd = model.residual_sd;
+    const median = 10 ** mu;
+    const roi = revenue => Math.round(((revenue - spend) / spend) * 100) / 100;
+
+    const bands = this.levels.map(level => {
+      const z = this.stats.normalQuantile(1 - (1 - level) / 2);
+      const low = 10 ** (mu - z * sd);
+      const high = 10 ** (mu + z * sd);
+      return {
+        level,
+        low: this.roundMoney(low),
+        high: this.roundMoney(high),
+        roi: [roi(low), roi(high)]
+      };
+    });
+
+    // With no spread, the film breaks even or it doesn't
+    const breakEven = this.breakEvenMultiple * spend;
+    const breakEvenProbability = sd > 0
+      ? 1 - this.stats.normalCdf((Math.log10(breakEven) - mu) / sd)
+      : Number(median >= breakEven);
+    return {
+      budget: spend,
+      budget_source: budget > 0 ? 'given' : 'recommended',
+      ...(budget > 0 && given !== budget ? { given_budget: budget, extrapolated: true } : {}),
+      predicted_rating: Math.round(rating * 100) / 100,
+      revenue: {
+        median: this.roundMoney(median),
+        expected: this.roundMoney(10 ** (mu + (sd ** 2 * Math.LN10) / 2)),
+        bands
+      },
+      roi: {
+        median: roi(median),
+        break_even_multiple: this.breakEvenMultiple,
+        break_even_revenue: this.roundMoney(breakEven),
+        break_even_probability: Math.round(breakEvenProbability * 1000) / 1000
+      },
+      recommended_budget: recommended,
+      model: {
+        films: model.films,
+        budget_elasticity: Math.round(model.elasticity * 1000) / 1000,
+        rating_effect: Math.round(model.rating_effect * 1000) / 1000,
+        residual_sd: Math.round(sd * 1000) / 1000,
+        genres: this.knownGenres(model, genres)
+      }
+    };
+  }
+
+  // Nearest $100K, or three significant figures below $10M: never 0 for a budget
+  roundMoney(value) {
+    const magnitude = Math.floor(Math.log10(Math.abs(value) || 1));
+    const step = Math.max(1, Math.min(100000, 10 ** (magnitude - 2)));
+    return Math.round(value / step) * step;
+  }
+
+  // '$40M', '$8.5M', '$1.2B'
+  formatMoney(value) {
+    if (value >= 1e9) return `$${(value / 1e9).toFixed(1)}B`;
+    if (value >= 1e7) return `$${Math.round(value / 1e6)}M`;
+    if (value >= 1e6) return `$${(value / 1e6).toFixed(1)}M`;
+    if (value >= 1e3) return `$${Math.round(value / 1e3)}K`;
+    return `$${Math.round(value)}`;
+  }
+}
+
+module.exports = RevenueForecaster;
@@ -0,0 +1,158 @@
+// =========================================
+// VESPER42 - Script Features
+// Fixed-length feature rows for the success model
+// =========================================
+
+const PatternStatistics = require('./pattern-statistics');
+
+const db = require('../storage');
+
+// Beats whose position (share of the script) is a feature
+const TIMED_BEATS = ['Inciting Incident', 'End of Act 1', 'Midpoint', 'All Is Lost', 'Climax'];
+
+const slug = name => name.toLowerCase().replace(/[^a-z0-9]+/g, '_');
+
+// `step` rounds suggested values; `unit` names them ('share' is a fraction of the script)
+const NUMERIC_FEATURES = [
+  { key: 'page_count', label: 'Page Count', step: 1, unit: 'pages' },
+  { key: 'scene_count', label: 'Scene Count', step: 1, unit: 'scenes' },
+  { key: 'scenes_per_page', label: 'Scenes per Page', step: 0.01 },
+  { key: 'character_count', label: 'Character Count', step: 1, unit: 'characters' },
+  { key: 'dialogue_ratio', label: 'Dialogue Ratio', step: 0.01 },
+  { key: 'line_length', label: 'Dialogue Line Length', step: 0.1, unit: 'words per line' },
+  { key: 'avg_scene_eighths', label: 'Average Scene Length', step: 0.1, unit: 'eighths of a page' },
+  { key: 'avg_pace', label: 'Average Pace', step: 0.01 },
+  { key: 'arc_fit', label: 'Emotional Arc Fit', step: 0.01 },
+  { key: 'is_tv', label: 'TV', binary: true },
+  ...TIMED_BEATS.map(beat => ({ key: `beat_${slug(beat)}`, label: `${beat} Timing`, beat, step: 0.01, unit: 'share' }))
+];
+
+class ScriptFeatures {
+
+  constructor() {
+    this.stats = new PatternStatistics();
+  }
+
+  static genreKey(genre) {
+    return `genre_${slug(genre)}`;
+  }
+
+  // Numeric feature definitions plus one yes-no feature per genre
+  definitions(genres = []) {
+    return [
+      ...NUMERIC_FEATURES,
+      ...genres.map(genre => ({ key: ScriptFeatures.genreKey(genre), label: genre, genre, binary: true }))
+    ];
+  }
+
+  // One row per saved script (all of them, or the ids given): { id, title, imdb_rating,
+  // box_office, budget, genres, media_type, features }, each feature a number or null when unknown
+  // Every read is paged and a failed one throws: a partial read would look like
+  // unknown features, which the model quietly treats as average.
+  async load(ids = null) {
+    const scripts = await db.selectAll('scripts', () => {
+      const query = db
+        .from('scripts')
+        .select('id, title, imdb_rating, box_office, budget, page_count, dialogue_ratio, genre_tags, media_type, arc_fit, pacing')
+        .order('title');
+      return ids ? query.in('id', ids) : query;
+    });
+    if (scripts.length === 0) return [];
+
+    // Child rows for these scripts, grouped by script
+    const scriptIds = scripts.map(s => s.id);
+    const ofScripts = async (table, columns) => this.groupBy(
+      await db.selectAll(table, () => db.from(table).select(columns).in('script_id', scriptIds)),
+      'script_id'
+    );
+
+    const lines = await ofScripts('dialogue', 'script_id, length');
+    const beatPages = await ofScripts('story_beats', 'script_id, beat_type, page_number');
+    const scenes = await ofScripts('scenes', 'script_id');
+    const characters = await ofScripts('characters', 'script_id');
+
+    const rows = [];
+    for (const script of scripts) {
+      const sceneCount = (scenes[script.id] || []).length;
+      const characterCount = (characters[script.id] || []).length;
+
+      const pages = script.page_count || null;
+      const beatsAt = Object.fromEntries(
+        (beatPages[script.id] || [])
+          .filter(b => b.page_number)
+          .map(b => [b.beat_type, b.page_number])
+      );
+
+      rows.push({
+        id: script.id,
+        title: script.title,
+        imdb_rating: script.imdb_rating,
+        box_office: script.box_office,
+        budget: script.budget || null,
+        genres: script.genre_tags || [],
+        media_type: script.media_type,
+        features: {
+          ...this.timing(pages, beatsAt),
+          page_count: pages,
+          scene_count: sceneCount || null,
+          scenes_per_page: pages && sceneCount ? sceneCount / pages : null,
+          character_count: characterCount || null,
+          dialogue_ratio: script.dialogue_ratio ?? null,
+          line_length: lines[script.id] ? this.stats.mean(lines[script.id].map(d => d.length || 0)) : null,
+          avg_scene_eighths: script.pacing?.avg_scene_eighths ?? null,
+          avg_pace: script.pacing?.avg_pace ?? null,
+          arc_fit: script.arc_fit ?? null,
+          is_tv: script.media_type ? (script.media_type === 'tv' ? 1 : 0) : null
+        }
+      });
+    }
+
+    return rows;
+  }
+
+  // A concept: genres and media type, plus a target length and beat pages if planned
+  fromConcept({ title = null, genres = [], media_type = null, page_count = null, beats = {} } = {}) {
+    return {
+      id: null,
+      title,
+      genres,
+      media_type,
+      features: {
+        ...this.timing(page_count, beats),
+        page_count: page_count || null,
+        is_tv: media_type ? (media_type === 'tv' ? 1 : 0) : null
+      }
+    };
+  }
+
+  // Beat positions as a share of the script
+  timing(pages, beatsAt) {
+    const features = {};
+    TIMED_BEATS.forEach(beat => {
+      const page = beatsAt[beat];
+      features[`beat_${slug(beat)}`] = pages && page ? page / pages : null;
+    });
+    return features;
+  }
+
+  // Value of one feature for a row (genre features come from the row's genres)
+  value(row, definition) {
+    if (definition.genre) {
+      if (row.genres.length === 0) return null;
+      return row.genres.some(g => g.toLowerCase() === definition.genre.toLowerCase()) ? 1 : 0;
+    }
+    const value = row.features[definition.key];
+    return value === undefined || value === null || Number.isNaN(value) ? null : value;
+  }
+
+  groupBy(rows, key) {
+    const groups = {};
+    rows.forEach(row => {
+      groups[row[key]] = groups[row[key]] || [];
+      groups[row[key]].push(row);
+    });
+    return groups;
+  }
+}
+
+module.exports = ScriptFeatures;
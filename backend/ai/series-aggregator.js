@@ -0,0 +1,156 @@
+// =========================================
+// VESPER42 - Series Aggregator
+// Character arcs, relationships and sets across episodes
+// =========================================
+
+class SeriesAggregator {
+
+  // `episodes`: parsed scripts of one show, each with its characters,
+  // scene locations and character relationships
+  aggregate(episodes) {
+    const ordered = episodes
+      .slice()
+      .sort((a, b) => (a.season_number || 0) - (b.season_number || 0) ||
+        (a.episode_number || 0) - (b.episode_number || 0));
+
+    return {
+      episode_count: ordered.length,
+      episodes: ordered.map(ep => this.summarizeEpisode(ep)),
+      structure: this.structureConsistency(ordered),
+      characters: this.characterArcs(ordered),
+      relationships: this.relationshipArcs(ordered),
+      locations: this.recurringLocations(ordered)
+    };
+  }
+
+  label(ep) {
+    const pad = n => String(n).padStart(2, '0');
+    if (ep.episode_number === null || ep.episode_number === undefined) return ep.title;
+    return `S${pad(ep.season_number || 1)}E${pad(ep.episode_number)}`;
+  }
+
+  summarizeEpisode(ep) {
+    const structure = ep.episode_structure || {};
+    return {
+      script_id: ep.script_id,
+      label: this.label(ep),
+      title: ep.episode_title || ep.title,
+      season_number: ep.season_number,
+      episode_number: ep.episode_number,
+      page_count: ep.page_count,
+      act_count: structure.act_count || 0,
+      has_teaser: Boolean(structure.has_teaser),
+      has_tag: Boolean(structure.has_tag),
+      protagonist: (ep.characters.find(c => c.is_protagonist) || {}).name || null
+    };
+  }
+
+  // How consistently the show is built: length, acts, teasers and tags
+  structureConsistency(episodes) {
+    const n = episodes.length || 1;
+    const structures = episodes.map(ep => ep.episode_structure || {});
+    const actCounts = {};
+    structures.forEach(s => {
+      actCounts[s.act_count || 0] = (actCounts[s.act_count || 0] || 0) + 1;
+    });
+    const typical = Object.entries(actCounts).sort((a, b) => b[1] - a[1])[0];
+
+    return {
+      avg_page_count: Math.round(episodes.reduce((sum, ep) => sum + (ep.page_count || 0), 0) / n * 10) / 10,
+      typical_act_count: typical ? Number(typical[0]) : 0,
+      act_count_consistency: typical ? Math.round(typical[1] / n * 100) / 100 : 0,
+      teaser_rate: Math.round(structures.filter(s => s.has_teaser).length / n * 100) / 100,
+      tag_rate: Math.round(structures.filter(s => s.has_tag).length / n * 100) / 100
+    };
+  }
+
+  // Each character's share of the dialogue, episode by episode
+  characterArcs(episodes) {
+    const names = new Set();
+    episodes.forEach(ep => ep.characters.forEach(c => names.add(c.name)));
+
+    return Array.from(names)
+      .map(name => {
+        const appearances = episodes.map(ep => ep.characters.find(c => c.name === name) || null);
+        const shares = appearances.map(c => c ? Math.round((c.dialogue_share || 0) * 1000) / 1000 : 0);
+        const present = appearances
+          .map((c, i) => (c ? i : -1))
+          .filter(i => i >= 0);
+        const peak = shares.indexOf(Math.max(...shares));
+
+        return {
+          name,
+          episodes_appeared: present.length,
+          first_episode: this.label(episodes[present[0]]),
+          last_episode: this.label(episodes[present[present.length - 1]]),
+          regular: present.length >= Math.max(2, Math.ceil(episodes.length / 2)),
+          total_lines: appearances.reduce((sum, c) => sum + (c ? c.total_lines || 0 : 0), 0),
+          protagonist_episodes: appearances.filter(c => c && c.is_protagonist).length,
+          dialogue_share: shares,
+          peak_episode: this.label(episodes[peak]),
+          trend: this.trend(shares)
+        };
+      })
+      .sort((a, b) => b.total_lines - a.total_lines);
+  }
+
+  // Pair strength per episode for pairs that recur
+  relationshipArcs(episodes) {
+    const pairs = new Map();
+    episodes.forEach((ep, index) => {
+      (ep.relationships || []).forEach(rel => {
+        const [a, b] = [rel.character_a, rel.character_b].sort();
+        const key = `${a}|${b}`;
+        if (!pairs.has(key)) {
+          pairs.set(key, { character_a: a, character_b: b, strength: new Array(episodes.length).fill(0) });
+        }
+        pairs.get(key).strength[index] = rel.strength || 0;
+      });
+    });
+
+    return Array.from(pairs.values())
+      .map(pair => ({
+        ...pair,
+        episodes_together: pair.strength.filter(v => v > 0).length,
+        avg_strength: Math.round(pair.strength.reduce((sum, v) => sum + v, 0) / episodes.length * 1000) / 1000,
+        trend: this.trend(pair.strength)
+      }))
+      .filter(pair => pair.episodes_together >= 2)
+      .sort((a, b) => b.avg_strength - a.avg_strength);
+  }
+
+  // Standing sets: locations used in more than one episode
+  recurringLocations(episodes) {
+    const usage = {};
+    episodes.forEach(ep => {
+      const counts = {};
+      (ep.locations || []).filter(Boolean).forEach(loc => {
+        counts[loc] = (counts[loc] || 0) + 1;
+      });
+      Object.entries(counts).forEach(([location, scenes]) => {
+        if (!usage[location]) usage[location] = { location, episodes: 0, scenes: 0 };
+        usage[location].episodes++;
+        usage[location].scenes += scenes;
+      });
+    });
+
+    return Object.values(usage)
+      .filter(loc => loc.episodes >= 2)
+      .sort((a, b) => b.episodes - a.episodes || b.scenes - a.scenes);
+  }
+
+  // Same early-vs-late comparison as relationship timelines within an episode
+  trend(values) {
+    const half = Math.floor(values.length / 2);
+    if (values.length < 2) return 'steady';
+    const mean = list => list.reduce((sum, v) => sum + v, 0) / list.length;
+    const early = mean(values.slice(0, half));
+    const late = mean(values.slice(values.length - half));
+    if (early === 0 && late === 0) return 'none';
+    if (late > early * 1.5) return 'growing';
+    if (early > late * 1.5) return 'fading';
+    return 'steady';
+  }
+}
+
+module.exports = SeriesAggregator;
@@ -0,0 +1,507 @@
+// =========================================
+// VESPER42 - Success Model
+// Ridge regression on script features, trained offline
+// =========================================
+
+require('dotenv').config();
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const PatternStatistics = require('./pattern-statistics');
+const RevenueForecaster = require('./revenue-forecaster');
+const ScriptFeatures = require('./script-features');
+
+const db = require('../storage');
+
+const MODEL_FILE = process.env.MODEL_FILE || path.join(__dirname, '..', 'models', 'success-model.json');
+const LAMBDAS = [0.01, 0.1, 1, 10, 100];
+const MIN_TRAINING_SCRIPTS = 8;
+const MAX_COUNTERFACTUALS = 3;
+const MIN_GAIN = 0.005; // smallest probability gain worth suggesting
+
+class SuccessModel {
+
+  constructor(artifact = null, { successThreshold = 7.0 } = {}) {
+    this.artifact = artifact;
+    this.successThreshold = artifact ? artifact.success_threshold : successThreshold;
+    this.stats = new PatternStatistics();
+    this.features = new ScriptFeatures();
+    this.forecaster = new RevenueForecaster();
+  }
+
+  // The saved model, or null when none has been trained
+  static load(file = MODEL_FILE) {
+    if (!fs.existsSync(file)) return null;
+    return new SuccessModel(JSON.parse(fs.readFileSync(file, 'utf8')));
+  }
+
+  save(file = MODEL_FILE) {
+    if (!this.artifact) throw new Error('Nothing to save: the model has not been trained');
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(this.artifact, null, 2));
+    return file;
+  }
+
+  get version() {
+    return this.artifact ? this.artifact.version : null;
+  }
+
+  // Train on every rated script in the database
+  async train(options = {}) {
+    console.log('\n🧮 SUCCESS MODEL - Training\n');
+    const rows = await this.features.load();
+    return this.trainOn(rows, options);
+  }
+
+  // Picks the penalty by k-fold CV on the training split and reports error on the
+  // held-out test split, then refits on every rated script
+  trainOn(rows, { testFraction = 0.2, folds = 5, lambdas = LAMBDAS, seed = 'vesper42' } = {}) {
+    const rated = rows.filter(r => r.imdb_rating > 0);
+    if (rated.length < MIN_TRAINING_SCRIPTS) {
+      throw new Error(`Need at least ${MIN_TRAINING_SCRIPTS} rated scripts to train, found ${rated.length}`);
+    }
+
+    // Genres shared by two or more scripts; features that vary
+    const genreCounts = {};
+    rated.forEach(r => r.genres.forEach(g => { genreCounts[g] = (genreCounts[g] || 0) + 1; }));
+    const genres = Object.keys(genreCounts).filter(g => genreCounts[g] >= 2).sort();
+    const definitions = this.features.definitions(genres).filter(definition => {
+      const values = rated.map(r => this.features.value(r, definition)).filter(v => v !== null);
+      return values.length >= 2 && new Set(values).size > 1;
+    });
+
+    const { train, test } = this.split(rated, testFraction, seed);
+
+    // Choose the penalty on the training split only
+    const cv = lambdas.map(lambda => ({ lambda, ...this.crossValidate(train, definitions, lambda, folds, seed) }));
+    const best = cv.reduce((a, b) => (b.rmse < a.rmse ? b : a));
+
+    const evaluated = this.fit(train, definitions, best.lambda);
+    const baseline = this.stats.mean(train.map(r => r.imdb_rating));
+
+    const fitted = this.fit(rated, definitions, best.lambda);
+    const version = 'ridge-' + crypto.createHash('sha1')
+      .update(JSON.stringify([fitted.intercept, fitted.features.map(f => f.coefficient)]))
+      .digest('hex')
+      .slice(0, 8);
+
+    this.artifact = {
+      version,
+      algorithm: 'ridge',
+      target: 'imdb_rating',
+      success_threshold: this.successThreshold,
+      trained_at: new Date().toISOString(),
+      training_scripts: rated.length,
+      split: { train: train.length, test: test.length, seed },
+      lambda: best.lambda,
+      intercept: fitted.intercept,
+      residual_sd: best.rmse,
+      features: fitted.features,
+      metrics: {
+        train: this.evaluate(evaluated, train),
+        test: this.evaluate(evaluated, test),
+        test_baseline: this.evaluate({ intercept: baseline, features: [] }, test),
+        cv: {
+          folds: Math.min(folds, train.length),
+          rmse: best.rmse,
+          mae: best.mae,
+          by_lambda: cv.map(c => ({ lambda: c.lambda, rmse: c.rmse, mae: c.mae }))
+        }
+      }
+    };
+
+    this.report();
+    return this.artifact;
+  }
+
+  // Standardize (unknown values count as average), then solve (X'X + lambda I) b = X'y around the mean rating
+  fit(rows, definitions, lambda) {
+    const scales = definitions.map(definition => {
+      const values = rows.map(r => this.features.value(r, definition)).filter(v => v !== null);
+      const mean = this.stats.mean(values);
+      const sd = Math.sqrt(this.stats.variance(values)) || 1;
+      return { mean, sd, min: Math.min(...values), max: Math.max(...values) };
+    });
+
+    const X = rows.map(r => definitions.map((definition, j) => {
+      const value = this.features.value(r, definition);
+      return value === null ? 0 : (value - scales[j].mean) / scales[j].sd;
+    }));
+    const intercept = this.stats.mean(rows.map(r => r.imdb_rating));
+    const y = rows.map(r => r.imdb_rating - intercept);
+
+    const p = definitions.length;
+    const A = Array.from({ length: p }, (_, j) => Array.from({ length: p }, (_, k) =>
+      X.reduce((sum, row) => sum + row[j] * row[k], 0) + (j === k ? lambda : 0)
+    ));
+    const b = Array.from({ length: p }, (_, j) => X.reduce((sum, row, i) => sum + row[j] * y[i], 0));
+    const coefficients = p > 0 ? this.stats.solveLinear(A, b) : [];
+
+    return {
+      intercept,
+      features: definitions.map((definition, j) => ({
+        ...definition,
+        mean: scales[j].mean,
+        sd: scales[j].sd,
+        min: scales[j].min,
+        max: scales[j].max,
+        coefficient: coefficients[j]
+      }))
+    };
+  }
+
+  // Rating for one feature row under a fitted model
+  rate(model, row) {
+    return model.features.reduce((sum, f) => {
+      const value = this.features.value(row, f);
+      return value === null ? sum : sum + f.coefficient * ((value - f.mean) / f.sd);
+    }, model.intercept);
+  }
+
+  evaluate(model, rows) {
+    if (rows.length === 0) return null;
+    const actual = rows.map(r => r.imdb_rating);
+    const errors = rows.map((r, i) => this.rate(model, r) - actual[i]);
+    const mean = this.stats.mean(actual);
+    const total = actual.reduce((sum, y) => sum + (y - mean) ** 2, 0);
+    const residual = errors.reduce((sum, e) => sum + e * e, 0);
+    return {
+      n: rows.length,
+      rmse: Math.sqrt(residual / rows.length),
+      mae: this.stats.mean(errors.map(Math.abs)),
+      r2: total > 0 ? 1 - residual / total : null
+    };
+  }
+
+  // k-fold cross-validation error for one penalty
+  crossValidate(rows, definitions, lambda, folds, seed) {
+    const k = Math.min(folds, rows.length);
+    const ordered = this.shuffle(rows, `${seed}:cv`);
+    const errors = [];
+    for (let fold = 0; fold < k; fold++) {
+      const held = ordered.filter((_, i) => i % k === fold);
+      const rest = ordered.filter((_, i) => i % k !== fold);
+      const model = this.fit(rest, definitions, lambda);
+      held.forEach(r => errors.push(this.rate(model, r) - r.imdb_rating));
+    }
+    return {
+      rmse: Math.sqrt(this.stats.mean(errors.map(e => e * e))),
+      mae: this.stats.mean(errors.map(Math.abs))
+    };
+  }
+
+  // Deterministic train/test split
+  split(rows, testFraction, seed) {
+    const ordered = this.shuffle(rows, seed);
+    const testSize = Math.max(1, Math.round(rows.length * testFraction));
+    return { test: ordered.slice(0, testSize), train: ordered.slice(testSize) };
+  }
+
+  shuffle(rows, seed) {
+    const key = r => crypto.createHash('sha1').update(`${seed}:${r.id || r.title}`).digest('hex');
+    return rows
+      .map(r => [key(r), r])
+      .sort((a, b) => (a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : 0))
+      .map(([, r]) => r);
+  }
+
+  // Prediction for a feature row (a saved script or ScriptFeatures.fromConcept)
+  predict(row) {
+    if (!this.artifact) throw new Error('The success model has not been trained (npm run train-model)');
+    const model = this.artifact;
+
+    const rating = this.rate(model, row);
+    const probability = this.probability(rating);
+
+    // Confidence is the share of the model's weight that the known inputs carry
+    const weight = f => Math.abs(f.coefficient);
+    const known = model.features.filter(f => this.features.value(row, f) !== null);
+    const totalWeight = model.features.reduce((sum, f) => sum + weight(f), 0);
+    const knownWeight = known.reduce((sum, f) => sum + weight(f), 0);
+
+    const prediction = {
+      predicted_rating: this.round(Math.min(10, Math.max(1, rating)), 2),
+      success_probability: this.round(probability, 3),
+      confidence_level: totalWeight > 0 ? this.round(knownWeight / totalWeight, 2) : 0,
+      known_features: known.length,
+      total_features: model.features.length,
+      model_version: model.version,
+      baseline: {
+        rating: this.round(model.intercept, 2),
+        success_probability: this.round(this.probability(model.intercept), 3)
+      },
+      contributions: this.contributions(row, rating),
+      counterfactuals: this.counterfactuals(row, probability)
+    };
+    prediction.reasoning = this.reasoning(prediction);
+    return prediction;
+  }
+
+  // Concept prediction: genre and media type, plus a target length and beat pages if planned
+  predictConcept(concept) {
+    return this.predict(this.features.fromConcept(concept));
+  }
+
+  // P(rating >= threshold), with the cross-validated RMSE as the error spread
+  probability(rating) {
+    return this.stats.normalCdf((rating - this.successThreshold) / this.artifact.residual_sd);
+  }
+
+  // What each known feature adds to the rating and probability, against the average script:
+  // coefficient times standardized value (these add up exactly), with the probability change
+  // shared out in proportion.
+  // Genre features are reported together as one "Genre" contribution.
+  contributions(row, rating) {
+    const model = this.artifact;
+    const terms = [];
+    const genre = { factor: `Genre (${row.genres.join(', ')})`, feature: 'genre', value: row.genres, rating: 0 };
+
+    model.features.forEach(f => {
+      const value = this.features.value(row, f);
+      if (value === null) return;
+      const term = f.coefficient * ((value - f.mean) / f.sd);
+      if (f.genre) {
+        genre.rating += term;
+      } else {
+        terms.push({ factor: f.label, feature: f.key, value: this.round(value, 3), rating: term });
+      }
+    });
+    if (model.features.some(f => f.genre) && row.genres.length > 0) terms.push(genre);
+
+    // Share the probability change out in proportion to each rating contribution;
+    // when those cancel out, use the slope of the probability at the average script
+    const total = rating - model.intercept;
+    const change = this.probability(rating) - this.probability(model.intercept);
+    const z = (model.intercept - this.successThreshold) / model.residual_sd;
+    const slope = Math.abs(total) > 1e-9
+      ? change / total
+      : Math.exp(-z * z / 2) / Math.sqrt(2 * Math.PI) / model.residual_sd;
+
+    return terms
+      .map(t => ({ ...t, rating: this.round(t.rating, 3), probability: this.round(t.rating * slope, 3) }))
+      .filter(t => t.rating !== 0)
+      .sort((a, b) => Math.abs(b.rating) - Math.abs(a.rating));
+  }
+
+  // Single-feature changes that would raise the success probability, biggest gain first.
+  // Each moves one feature by up to one standard deviation, within the training range.
+  counterfactuals(row, probability) {
+    const model = this.artifact;
+    const suggestions = [];
+
+    model.features.forEach(f => {
+      if (f.binary || f.min === undefined || !f.coefficient) return;
+      const value = this.features.value(row, f);
+      if (value === null) return;
+
+      const direction = Math.sign(f.coefficient);
+      const limit = direction > 0 ? f.max : f.min;
+      const moved = direction > 0 ? Math.min(limit, value + f.sd) : Math.max(limit, value - f.sd);
+      const target = this.round(Math.round(moved / f.step) * f.step, 3);
+      if ((target - value) * direction <= 0) return;
+
+      const changed = { ...row, features: { ...row.features, [f.key]: target } };
+      const rating = this.rate(model, changed);
+      const gain = this.probability(rating) - probability;
+      if (gain < MIN_GAIN) return;
+
+      const ratingChange = rating - this.rate(model, row);
+      suggestions.push({
+        feature: f.key,
+        factor: f.label,
+        from: this.round(value, 3),
+        to: target,
+        rating: this.round(ratingChange, 3),
+        probability: this.round(gain, 3),
+        suggestion: `${this.describeChange(f, value, target)} raises the score by ${Math.round(gain * 100)} ` +
+          `${Math.round(gain * 100) === 1 ? 'point' : 'points'} (rating +${ratingChange.toFixed(2)}), all else equal`
+      });
+    });
+
+    return suggestions
+      .sort((a, b) => b.probability - a.probability)
+      .slice(0, MAX_COUNTERFACTUALS);
+  }
+
+  // "Cutting to 105 pages", "Moving the Midpoint to 48% of the script", "Raising Dialogue Ratio to 0.52"
+  describeChange(feature, from, to) {
+    if (feature.unit === 'share') return `Moving the ${feature.beat} to ${Math.round(to * 100)}% of the script`;
+    const amount = feature.unit ? `${this.formatValue(feature, to)} ${feature.unit}` : this.formatValue(feature, to);
+    if (feature.unit === 'pages') return `${to < from ? 'Cutting' : 'Extending'} to ${amount}`;
+    if (['scenes', 'characters'].includes(feature.unit)) return `${to < from ? 'Cutting' : 'Going up'} to ${amount}`;
+    return `${to < from ? 'Lowering' : 'Raising'} ${feature.label} to ${amount}`;
+  }
+
+  formatValue(feature, value) {
+    const decimals = feature.step >= 1 ? 0 : Math.round(-Math.log10(feature.step));
+    return value.toFixed(decimals);
+  }
+
+  // Summary, contributions and counterfactuals, as stored in predictions.reasoning
+  reasoning(prediction) {
+    const model = this.artifact;
+    // A contribution that rounds to nothing reads 0.00, never -0.00 or +0.00
+    const signed = value => {
+      const rounded = Math.abs(value).toFixed(2);
+      return Number(rounded) === 0 ? rounded : `${value > 0 ? '+' : '-'}${rounded}`;
+    };
+    return [
+      {
+        kind: 'summary',
+        factor: 'Predicted rating',
+        impact: `${prediction.predicted_rating.toFixed(1)} / 10 (±${model.residual_sd.toFixed(2)} cross-validated error)`
+      },
+      {
+        kind: 'summary',
+        factor: 'Success probability',
+        impact: `${Math.round(prediction.success_probability * 100)}% chance of ${this.successThreshold.toFixed(1)}+ ` +
+          `(average script: ${Math.round(prediction.baseline.success_probability * 100)}%)`
+      },
+      {
+        kind: 'summary',
+        factor: 'Inputs',
+        impact: `${prediction.known_features} of ${prediction.total_features} features known; the rest assumed average`
+      },
+      {
+        kind: 'summary',
+        factor: 'Model',
+        impact: `${model.version}, ridge regression on ${model.training_scripts} scripts`
+      },
+      ...prediction.contributions.map(c => ({
+        kind: 'contribution',
+        factor: c.factor,
+        impact: signed(c.probability),
+        value: c.value,
+        rating: c.rating,
+        probability: c.probability
+      })),
+      ...prediction.counterfactuals.map(c => ({
+        kind: 'counterfactual',
+        factor: c.factor,
+        impact: c.suggestion,
+        from: c.from,
+        to: c.to,
+        rating: c.rating,
+        probability: c.probability
+      }))
+    ];
+  }
+
+  round(value, decimals) {
+    const factor = 10 ** decimals;
+    return Math.round(value * factor) / factor;
+  }
+
+  // A row for the predictions table, with a RevenueForecaster forecast if there is one
+  predictionRow(prediction, { concept_title, concept_description = null, genre = [], target_audience = null, script_id = null, forecast = null }) {
+    return {
+      concept_title,
+      concept_description,
+      genre,
+      target_audience,
+      script_id,
+      predicted_rating: prediction.predicted_rating,
+      predicted_revenue: forecast ? forecast.revenue.median : null,
+      recommended_budget_range: forecast ? forecast.recommended_budget.range : null,
+      success_probability: prediction.success_probability,
+      confidence_level: prediction.confidence_level,
+      reasoning: prediction.reasoning,
+      model_version: prediction.model_version
+    };
+  }
+
+  // Predict saved scripts (all, or the ids given) and store one prediction per script,
+  // with a revenue forecast for films when enough films have budgets
+  async predictScripts(ids = null) {
+    const rows = await this.features.load(ids);
+    const films = rows.length > 0 ? await this.forecaster.loadFilms() : [];
+    const fullModel = films.length >= this.forecaster.minSampleSize ? this.forecaster.fit(films) : null;
+    const saved = [];
+
+    // A film with its own box office is forecast by a model fit without it, so its figures
+    // don't predict themselves. The band width is already a leave-one-out spread.
+    const revenueModelFor = row => {
+      const others = films.filter(f => f.id !== row.id);
+      if (!fullModel || others.length === films.length) return fullModel;
+      if (others.length < this.forecaster.minSampleSize) return null;
+      return { ...this.forecaster.fit(others, { spread: false }), residual_sd: fullModel.residual_sd };
+    };
+
+    for (const row of rows) {
+      const prediction = this.predict(row);
+      const revenueModel = row.media_type !== 'tv' ? revenueModelFor(row) : null;
+      const forecast = revenueModel
+        ? this.forecaster.forecastWith(revenueModel, {
+          genres: row.genres,
+          budget: row.budget,
+          predicted_rating: prediction.predicted_rating
+        })
+        : null;
+
+      const { error: deleteError } = await db.from('predictions').delete().eq('script_id', row.id);
+      if (deleteError) throw new Error(`Error clearing predictions for ${row.title}: ${deleteError.message}`);
+
+      const { data, error } = await db
+        .from('predictions')
+        .insert(this.predictionRow(prediction, { concept_title: row.title, genre: row.genres, script_id: row.id, forecast }))
+        .select()
+        .single();
+      if (error) throw new Error(`Error saving prediction for ${row.title}: ${error.message}`);
+
+      saved.push(data);
+    }
+
+    return saved;
+  }
+
+  report() {
+    const { metrics, features } = this.artifact;
+    const format = m => (m ? `RMSE ${m.rmse.toFixed(3)}, MAE ${m.mae.toFixed(3)}, R² ${m.r2 === null ? 'n/a' : m.r2.toFixed(3)}` : 'n/a');
+
+    console.log(`📚 ${this.artifact.training_scripts} rated scripts, ${features.length} features`);
+    console.log(`✂️  Split: ${this.artifact.split.train} train / ${this.artifact.split.test} test`);
+    console.log(`🔁 ${metrics.cv.folds}-fold CV: lambda ${this.artifact.lambda}, RMSE ${metrics.cv.rmse.toFixed(3)}`);
+    console.log(`🏋️  Train: ${format(metrics.train)}`);
+    console.log(`🧪 Test:  ${format(metrics.test)}`);
+    console.log(`📏 Test (mean rating only): ${format(metrics.test_baseline)}`);
+    if (this.artifact.training_scripts < 30) {
+      console.log('⚠️  Fewer than 30 scripts: expect these metrics to be noisy');
+    }
+  }
+}
+
+SuccessModel.MODEL_FILE = MODEL_FILE;
+
+module.exports = SuccessModel;
+
+// Run if called directly
+if (require.main === module) {
+  const [command, scriptId] = process.argv.slice(2);
+
+  const run = async () => {
+    if (command === 'train') {
+      const model = new SuccessModel();
+      await model.train();
+      console.log(`\n💾 Saved ${model.version} to ${model.save()}`);
+    } else if (command === 'predict') {
+      const model = SuccessModel.load();
+      if (!model) throw new Error('No trained model found: run npm run train-model first');
+      const saved = await model.predictScripts(scriptId ? [scriptId] : null);
+      saved.forEach(p => {
+        console.log(`🎯 ${p.concept_title}: ${p.predicted_rating} (${Math.round(p.success_probability * 100)}% chance of ${model.successThreshold}+)`);
+      });
+      console.log(`\n💾 Saved ${saved.length} predictions`);
+    } else {
+      throw new Error('Usage: node ai/success-model.js train | predict [script-id]');
+    }
+  };
+
+  run()
+    .then(() => process.exit(0))
+    .catch(error => {
+      console.error('💥 Fatal error:', error.message);
+      process.exit(1);
+    });
+}
@@ -1,19 +1,35 @@
 const express = require('express');
 const cors = require('cors');
+const multer = require('multer');
 require('dotenv').config();
 
+const AdvancedScriptParser = require('./parsers/advanced-parser');
+const StructureTemplateRegistry = require('./parsers/structure-templates');
+const SeriesAggregator = require('./ai/series-aggregator');
+const PacingAnalyzer = require('./parsers/pacing-analyzer');
+const ParseHistory = require('./parsers/parse-history');
+const ParseQueue = require('./parsers/parse-queue');
+const ScriptOutlineGenerator = require('./generators/outline-generator');
+const SuccessModel = require('./ai/success-model');
+
 const app = express();
 const PORT = process.env.PORT || 3001;
 const HOST = process.env.NODE_ENV === 'production' ? '0.0.0.0' : 'localhost';
 
 app.use(cors());
-app.use(express.json());
+app.use(express.json({ limit: '10mb' }));
+
+// Uploaded scripts stay in memory; they are parsed, not stored as files
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 20 * 1024 * 1024 }
+});
 
-const { createClient } = require('@supabase/supabase-js');
-const supabase = createClient(
-  process.env.SUPABASE_URL || '',
-  process.env.SUPABASE_KEY || ''
-);
+const structureTemplates = new StructureTemplateRegistry();
+const parseQueue = new ParseQueue();
+const outlineGenerator = new ScriptOutlineGenerator();
+
+const db = require('./storage');
 
 app.get('/api/health', (req, res) => {
   res.json({ 
@@ -25,19 +41,19 @@ app.get('/api/health', (req, res) => {
 
 app.get('/api/stats', async (req, res) => {
   try {
-    const { count: scriptCount } = await supabase
+    const { count: scriptCount } = await db
       .from('scripts')
       .select('*', { count: 'exact', head: true });
     
-    const { count: sceneCount } = await supabase
+    const { count: sceneCount } = await db
       .from('scenes')
       .select('*', { count: 'exact', head: true });
     
-    const { count: dialogueCount } = await supabase
+    const { count: dialogueCount } = await db
       .from('dialogue')
       .select('*', { count: 'exact', head: true });
     
-    const { count: patternCount } = await supabase
+    const { count: patternCount } = await db
       .from('learned_patterns')
       .select('*', { count: 'exact', head: true });
     
@@ -61,7 +77,7 @@ app.get('/api/stats', async (req, res) => {
 
 app.get('/api/genres', async (req, res) => {
   try {
-    const { data: scripts } = await supabase
+    const { data: scripts } = await db
       .from('scripts')
       .select('genre_tags')
       .not('genre_tags', 'is', null);
@@ -94,7 +110,7 @@ app.get('/api/examples/:genre', async (req, res) => {
   try {
     const { genre } = req.params;
     
-    const { data: scripts } = await supabase
+    const { data: scripts } = await db
       .from('scripts')
       .select('title, imdb_rating, year, page_count')
       .contains('genre_tags', [genre])
@@ -115,9 +131,65 @@ app.get('/api/examples/:genre', async (req, res) => {
   }
 });
 
+// Learned patterns, optionally only those learned within one genre or media type
+app.get('/api/patterns', async (req, res) => {
+  try {
+    const { genre, media_type: mediaType, type, outcome, significant } = req.query;
+
+    if (mediaType && !['movie', 'tv'].includes(mediaType)) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown media_type: ${mediaType} (use movie or tv)`
+      });
+    }
+
+    if (outcome && !['imdb_rating', 'box_office'].includes(outcome)) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown outcome: ${outcome} (use imdb_rating or box_office)`
+      });
+    }
+
+    let query = db
+      .from('learned_patterns')
+      .select('pattern_type, pattern_name, description, genres, media_type, outcome, success_correlation_score, sample_size, effect_size, p_value, adjusted_p_value, is_significant, statistics')
+      .order('adjusted_p_value', { ascending: true });
+
+    if (genre) query = query.contains('genres', [genre.toLowerCase()]);
+    if (mediaType) query = query.eq('media_type', mediaType);
+    if (type) query = query.eq('pattern_type', type);
+    if (outcome) query = query.eq('outcome', outcome);
+    if (significant === 'true') query = query.eq('is_significant', true);
+
+    const { data: patterns, error } = await query;
+    if (error) throw error;
+
+    res.json({
+      success: true,
+      count: patterns.length,
+      patterns
+    });
+  } catch (error) {
+    console.error('Error fetching patterns:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Structure templates available for outlines and beat detection
+app.get('/api/structures', (req, res) => {
+  res.json({
+    success: true,
+    structures: structureTemplates.list()
+  });
+});
+
 app.post('/api/generate-outline', async (req, res) => {
   try {
-    const { premise, genre, targetLength } = req.body;
+    const { premise, genre, title, targetLength, budget, structure: structureId } = req.body;
+    const save = req.body.save !== false && req.body.save !== 'false';
     
     if (!premise || !genre) {
       return res.status(400).json({ 
@@ -125,10 +197,24 @@ app.post('/api/generate-outline', async (req, res) => {
         error: 'Missing required fields: premise and genre' 
       });
     }
+    
+    if (budget !== undefined && !(Number(budget) > 0)) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'budget must be a positive number (USD)' 
+      });
+    }
+    
+    if (structureId && !structureTemplates.has(structureId)) {
+      return res.status(400).json({ 
+        success: false,
+        error: `Unknown structure template: ${structureId}` 
+      });
+    }
 
     console.log(`Generating outline for: ${premise} (${genre})`);
 
-    const { data: similarScripts } = await supabase
+    const { data: similarScripts } = await db
       .from('scripts')
       .select('title, imdb_rating, year, page_count')
       .contains('genre_tags', [genre])
@@ -142,124 +228,35 @@ app.post('/api/generate-outline', async (req, res) => {
     
     const totalPages = targetLength || avgPages;
     
-    const structure = {
-      totalPages: totalPages,
-      act1End: Math.round(totalPages * 0.25),
-      act2aMidpoint: Math.round(totalPages * 0.50),
-      act2bEnd: Math.round(totalPages * 0.75),
-      act3End: totalPages
-    };
+    const { structure, acts } = structureTemplates.layout(structureId, totalPages, { genre, premise });
 
-    const avgRating = similarScripts && similarScripts.length > 0
-      ? similarScripts.reduce((sum, s) => sum + s.imdb_rating, 0) / similarScripts.length
-      : 7.5;
-    
-    const probability = Math.min(0.95, avgRating / 10);
+    const prediction = await outlineGenerator.predictSuccess(similarScripts || [], genre, {
+      totalPages,
+      beats: structureTemplates.beatPages(structureId, totalPages)
+    });
+    const forecast = await outlineGenerator.forecastRevenue(genre, prediction, budget ? Number(budget) : null);
 
     const outline = {
+      title: title || null,
       premise,
       genre,
       structure,
-      prediction: {
-        probability: Math.round(probability * 100) / 100,
-        confidence: probability > 0.75 ? 'high' : probability > 0.65 ? 'medium' : 'low',
-        reasoning: similarScripts && similarScripts.length > 0
-          ? `Based on ${similarScripts.length} similar successful ${genre} scripts (avg rating: ${avgRating.toFixed(1)})`
-          : `Based on general industry patterns for ${genre} genre`,
-        comparables: similarScripts && similarScripts.length > 0
-          ? similarScripts.slice(0, 3).map(s => ({
-              title: s.title,
-              rating: s.imdb_rating,
-              year: s.year
-            }))
-          : []
-      },
+      prediction,
+      forecast,
       recommendations: {
         targetLength: `${totalPages} pages`,
         pacing: 'Follow beat timing for maximum impact',
         characters: '8-12 distinct characters',
-        dialogue: 'Keep lines concise: 6-9 words average'
+        dialogue: 'Keep lines concise: 6-9 words average',
+        ...(forecast ? { budget: `${forecast.recommended_budget.range} (${forecast.recommended_budget.basis})` } : {})
       },
-      act1: {
-        title: 'ACT 1: SETUP',
-        pages: `1-${structure.act1End}`,
-        beats: [
-          {
-            name: 'Opening Image',
-            page: 1,
-            description: 'Establish protagonist ordinary world before journey begins',
-            example: `Introduce protagonist in normal routine for ${genre} genre`
-          },
-          {
-            name: 'Inciting Incident',
-            page: 12,
-            description: 'Event that disrupts ordinary world and starts story',
-            example: `Catalyst forcing protagonist into action: ${premise}`
-          },
-          {
-            name: 'Break into Two',
-            page: structure.act1End,
-            description: 'Protagonist commits to the journey',
-            example: 'Point of no return - enters new world'
-          }
-        ]
-      },
-      act2a: {
-        title: 'ACT 2A: CONFRONTATION',
-        pages: `${structure.act1End + 1}-${structure.act2aMidpoint}`,
-        beats: [
-          {
-            name: 'Fun and Games',
-            page: `${structure.act1End + 10}`,
-            description: 'Promise of the premise - genre expectations delivered',
-            example: `Core ${genre} elements showcased`
-          },
-          {
-            name: 'Midpoint',
-            page: structure.act2aMidpoint,
-            description: 'False victory or defeat - stakes raised',
-            example: 'Everything changes - momentum shifts'
-          }
-        ]
-      },
-      act2b: {
-        title: 'ACT 2B: COMPLICATIONS',
-        pages: `${structure.act2aMidpoint + 1}-${structure.act2bEnd}`,
-        beats: [
-          {
-            name: 'All Is Lost',
-            page: structure.act2bEnd - 15,
-            description: 'Lowest point - appears impossible to win',
-            example: 'Major setback or loss occurs'
-          },
-          {
-            name: 'Break into Three',
-            page: structure.act2bEnd,
-            description: 'Solution discovered - new resolve found',
-            example: 'Protagonist realizes what must be done'
-          }
-        ]
-      },
-      act3: {
-        title: 'ACT 3: RESOLUTION',
-        pages: `${structure.act2bEnd + 1}-${structure.act3End}`,
-        beats: [
-          {
-            name: 'Climax',
-            page: structure.act3End - 10,
-            description: 'Ultimate confrontation - decisive moment',
-            example: `Final ${genre} showdown`
-          },
-          {
-            name: 'Final Image',
-            page: structure.act3End,
-            description: 'Mirror of opening - shows character transformation',
-            example: 'New world established - arc complete'
-          }
-        ]
-      }
+      ...acts
     };
 
+    if (save) {
+      await outlineGenerator.savePrediction(outline);
+    }
+
     res.json({
       success: true,
       outline
@@ -274,18 +271,650 @@ app.post('/api/generate-outline', async (req, res) => {
   }
 });
 
-app.listen(PORT, HOST, () => {
-  console.log('\n' + '='.repeat(60));
-  console.log('VESPER42 ENTERTAINMENT INTELLIGENCE API');
-  console.log('='.repeat(60));
-  console.log(`\nServer: http://${HOST}:${PORT}`);
-  console.log(`\nEndpoints:`);
-  console.log(`   GET  /api/health`);
-  console.log(`   GET  /api/stats`);
-  console.log(`   GET  /api/genres`);
-  console.log(`   GET  /api/examples/:genre`);
-  console.log(`   POST /api/generate-outline`);
-  console.log('\n' + '='.repeat(60) + '\n');
+app.post('/api/forecast', async (req, res) => {
+  try {
+    const { genre, budget, targetLength } = req.body;
+    
+    if (!genre) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'Missing required field: genre' 
+      });
+    }
+    
+    if (budget !== undefined && !(Number(budget) > 0)) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'budget must be a positive number (USD)' 
+      });
+    }
+    
+    // Rate the concept with the success model when there is one
+    const model = SuccessModel.load();
+    const prediction = model ? model.predictConcept({ genres: [genre], page_count: targetLength || null }) : null;
+    
+    const forecast = await outlineGenerator.forecaster.forecast({
+      genres: [genre],
+      budget: budget ? Number(budget) : null,
+      predicted_rating: prediction ? prediction.predicted_rating : null
+    });
+    
+    if (!forecast) {
+      return res.status(503).json({ 
+        success: false,
+        error: `Not enough films with a budget and box office to forecast (need ${outlineGenerator.forecaster.minSampleSize})` 
+      });
+    }
+    
+    res.json({
+      success: true,
+      rating_source: prediction ? `model ${prediction.model_version}` : 'average film',
+      forecast
+    });
+
+  } catch (error) {
+    console.error('Error forecasting revenue:', error);
+    res.status(500).json({ 
+      success: false,
+      error: error.message 
+    });
+  }
+});
+
+app.post('/api/analyze', upload.single('file'), async (req, res) => {
+  try {
+    const { text, format, title, structure, mediaType, series, season, episode } = req.body;
+    const persist = req.body.persist === true || req.body.persist === 'true';
+    const input = req.file ? req.file.buffer : text;
+    
+    if (!input || input.length === 0) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'Missing required field: text (or a file upload)' 
+      });
+    }
+    
+    if (!req.file && typeof text !== 'string') {
+      return res.status(400).json({ 
+        success: false,
+        error: 'text must be a string' 
+      });
+    }
+    
+    if (format && !['text', 'fountain', 'fdx', 'pdf'].includes(format)) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'format must be "text", "fountain", "fdx" or "pdf"' 
+      });
+    }
+    
+    if (format === 'pdf' && !req.file) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'format "pdf" needs a file upload' 
+      });
+    }
+    
+    if (structure && !structureTemplates.has(structure)) {
+      return res.status(400).json({ 
+        success: false,
+        error: `Unknown structure template: ${structure}` 
+      });
+    }
+    
+    if (mediaType && !['movie', 'tv'].includes(mediaType)) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'mediaType must be "movie" or "tv"' 
+      });
+    }
+    
+    const parser = new AdvancedScriptParser();
+    const result = await parser.parseSource(input, {
+      format,
+      structure,
+      mediaType,
+      seriesTitle: series,
+      seasonNumber: season ? parseInt(season, 10) : undefined,
+      episodeNumber: episode ? parseInt(episode, 10) : undefined,
+      filename: req.file?.originalname
+    });
+    
+    if (persist) {
+      // Structured formats are stored as written so they can be re-imported
+      const rawText = ['fountain', 'fdx'].includes(result.format)
+        ? input.toString('utf8')
+        : result.text;
+      
+      const script = await parser.saveParsedScript(result, {
+        title: title || req.file?.originalname,
+        rawText
+      });
+      
+      if (!script) {
+        return res.status(500).json({ 
+          success: false,
+          error: 'Analysis succeeded but could not be saved',
+          save_report: result.save_report || null
+        });
+      }
+    }
+    
+    // Raw elements and normalized text are internal to the parser
+    const analysis = {
+      ...result,
+      scenes: result.scenes.map(({ elements, ...scene }) => scene)
+    };
+    delete analysis.text;
+    delete analysis.save_report;
+    
+    res.json({
+      success: true,
+      persisted: persist,
+      ...(persist ? { save_report: result.save_report } : {}),
+      analysis
+    });
+  } catch (error) {
+    console.error('Error analyzing script:', error);
+    // A source that can't be imported is the client's input, not a server fault
+    res.status(error.code === 'IMPORT_FAILED' ? 400 : 500).json({ 
+      success: false,
+      error: error.message 
+    });
+  }
+});
+
+// Character aliases detected for a script (plus manual overrides)
+app.get('/api/scripts/:id/aliases', async (req, res) => {
+  try {
+    const { data, error } = await db
+      .from('character_aliases')
+      .select('alias, canonical_name, reason, source')
+      .eq('script_id', req.params.id)
+      .order('canonical_name');
+    
+    if (error) throw error;
+    
+    res.json({
+      success: true,
+      script_id: req.params.id,
+      aliases: data
+    });
+  } catch (error) {
+    console.error('Error fetching aliases:', error);
+    res.status(500).json({ 
+      success: false,
+      error: error.message 
+    });
+  }
+});
+
+// Review alias merges: [{ alias, canonical_name }], canonical_name null keeps it separate
+app.put('/api/scripts/:id/aliases', async (req, res) => {
+  try {
+    const { aliases, reparse } = req.body;
+    
+    if (!Array.isArray(aliases) || aliases.length === 0 || 
+        aliases.some(a => !a || typeof a.alias !== 'string' || a.alias.trim() === '')) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'aliases must be a non-empty array of { alias, canonical_name }' 
+      });
+    }
+    
+    // Nothing is written for a script that doesn't exist
+    const { data: script, error: scriptError } = await db
+      .from('scripts')
+      .select('id')
+      .eq('id', req.params.id)
+      .maybeSingle();
+    
+    if (scriptError) throw scriptError;
+    
+    if (!script) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Script not found' 
+      });
+    }
+    
+    const rows = aliases.map(a => ({
+      script_id: req.params.id,
+      alias: a.alias.trim().toUpperCase(),
+      canonical_name: a.canonical_name ? String(a.canonical_name).trim().toUpperCase() : null,
+      reason: 'manual',
+      source: 'manual'
+    }));
+    
+    const { data, error } = await db
+      .from('character_aliases')
+      .upsert(rows, { onConflict: 'script_id,alias' })
+      .select('alias, canonical_name, reason, source');
+    
+    if (error) throw error;
+    
+    // Optionally re-run the parser so characters reflect the reviewed merges
+    let characters = null;
+    if (reparse === true || reparse === 'true') {
+      const parser = new AdvancedScriptParser();
+      const result = await parser.parseScript(req.params.id);
+      if (!result) {
+        return res.status(404).json({ 
+          success: false,
+          error: 'Script not found' 
+        });
+      }
+      const report = await parser.saveToDatabase(result);
+      if (!report.ok) throw new Error(report.error);
+      characters = result.characters.map(c => ({ name: c.name, aliases: c.aliases, total_lines: c.total_lines }));
+    }
+    
+    res.json({
+      success: true,
+      script_id: req.params.id,
+      aliases: data,
+      characters
+    });
+  } catch (error) {
+    console.error('Error updating aliases:', error);
+    res.status(500).json({ 
+      success: false,
+      error: error.message 
+    });
+  }
+});
+
+// Character graph: centrality + clusters from characters, weighted edges from relationships
+app.get('/api/scripts/:id/network', async (req, res) => {
+  try {
+    const { data: characters, error: charError } = await db
+      .from('characters')
+      .select('name, importance_rank, degree_centrality, betweenness_centrality, network_cluster')
+      .eq('script_id', req.params.id)
+      .order('importance_rank');
+    
+    if (charError) throw charError;
+    
+    if (!characters || characters.length === 0) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'No parsed characters for this script' 
+      });
+    }
+    
+    const { data: relationships, error: relError } = await db
+      .from('character_relationships')
+      .select('character_a, character_b, shared_scenes, exchanges, a_to_b, b_to_a, strength, trend, first_scene, last_scene, timeline')
+      .eq('script_id', req.params.id)
+      .order('strength', { ascending: false });
+    
+    if (relError) throw relError;
+    
+    const clusters = {};
+    characters.forEach(c => {
+      if (c.network_cluster === null || c.network_cluster === undefined) return;
+      if (!clusters[c.network_cluster]) clusters[c.network_cluster] = [];
+      clusters[c.network_cluster].push(c.name);
+    });
+    
+    res.json({
+      success: true,
+      script_id: req.params.id,
+      nodes: characters,
+      edges: relationships,
+      clusters: Object.entries(clusters).map(([id, members]) => ({ id: Number(id), members }))
+    });
+  } catch (error) {
+    console.error('Error fetching network:', error);
+    res.status(500).json({ 
+      success: false,
+      error: error.message 
+    });
+  }
+});
+
+// Voice fingerprints and the lines that don't sound like their speaker
+app.get('/api/scripts/:id/voices', async (req, res) => {
+  try {
+    const { data: characters, error: charError } = await db
+      .from('characters')
+      .select('id, name, importance_rank, voice_profile, voice_distinctiveness, sounds_like')
+      .eq('script_id', req.params.id)
+      .not('voice_profile', 'is', null)
+      .order('importance_rank');
+    
+    if (charError) throw charError;
+    
+    if (!characters || characters.length === 0) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'No voice profiles for this script' 
+      });
+    }
+    
+    const { data: lines, error: lineError } = await db
+      .from('dialogue')
+      .select('character_id, line_number, text, out_of_voice_score')
+      .eq('script_id', req.params.id)
+      .gte('out_of_voice_score', parseFloat(req.query.threshold) || 0.4)
+      .order('out_of_voice_score', { ascending: false });
+    
+    if (lineError) throw lineError;
+    
+    const names = Object.fromEntries(characters.map(c => [c.id, c.name]));
+    
+    res.json({
+      success: true,
+      script_id: req.params.id,
+      characters: characters.map(({ id, ...c }) => c),
+      out_of_voice: (lines || []).map(({ character_id, ...line }) => ({ character: names[character_id], ...line }))
+    });
+  } catch (error) {
+    console.error('Error fetching voices:', error);
+    res.status(500).json({ 
+      success: false,
+      error: error.message 
+    });
+  }
+});
+
+// Scene rhythm as a page-binned series for a heatmap, plus slow stretches
+app.get('/api/scripts/:id/pacing', async (req, res) => {
+  try {
+    const binPages = req.query.bin === undefined ? 5 : Number(req.query.bin);
+    if (!Number.isInteger(binPages) || binPages < 1 || binPages > 30) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'bin must be between 1 and 30 pages' 
+      });
+    }
+    
+    const { data: scenes, error } = await db
+      .from('scenes')
+      .select('scene_number, page_start, page_end, parent_location, location, length_eighths, action_density, dialogue_tempo, location_change, pace_score')
+      .eq('script_id', req.params.id)
+      .not('pace_score', 'is', null)
+      .order('scene_number');
+    
+    if (error) throw error;
+    
+    if (!scenes || scenes.length === 0) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'No pacing data for this script' 
+      });
+    }
+    
+    const pacingAnalyzer = new PacingAnalyzer();
+    const metrics = scenes.map(scene => ({
+      scene_number: scene.scene_number,
+      page_start: scene.page_start,
+      page_end: scene.page_end,
+      location: scene.parent_location || scene.location,
+      length_eighths: scene.length_eighths,
+      length_label: pacingAnalyzer.eighthsLabel(scene.length_eighths),
+      action_density: scene.action_density,
+      dialogue_tempo: scene.dialogue_tempo,
+      location_change: scene.location_change,
+      pace: scene.pace_score
+    }));
+    
+    res.json({
+      success: true,
+      script_id: req.params.id,
+      bin_pages: binPages,
+      ...pacingAnalyzer.report(metrics, { binPages })
+    });
+  } catch (error) {
+    console.error('Error fetching pacing:', error);
+    res.status(500).json({ 
+      success: false,
+      error: error.message 
+    });
+  }
+});
+
+// Predict a saved script with the trained success model and store the prediction
+app.post('/api/scripts/:id/predict', async (req, res) => {
+  try {
+    const model = SuccessModel.load();
+    if (!model) {
+      return res.status(503).json({ 
+        success: false,
+        error: 'No trained success model: run npm run train-model' 
+      });
+    }
+    
+    const [prediction] = await model.predictScripts([req.params.id]);
+    
+    if (!prediction) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Script not found' 
+      });
+    }
+    
+    res.json({
+      success: true,
+      prediction,
+      model: {
+        version: model.version,
+        trained_at: model.artifact.trained_at,
+        test: model.artifact.metrics.test,
+        cv: { folds: model.artifact.metrics.cv.folds, rmse: model.artifact.metrics.cv.rmse }
+      }
+    });
+
+  } catch (error) {
+    console.error('Error predicting script:', error);
+    res.status(500).json({ 
+      success: false,
+      error: error.message 
+    });
+  }
+});
+
+// Parser version of the stored analysis and what each re-parse changed
+app.get('/api/scripts/:id/history', async (req, res) => {
+  try {
+    const { data: script, error: scriptError } = await db
+      .from('scripts')
+      .select('id, title, analysis_version')
+      .eq('id', req.params.id)
+      .maybeSingle();
+    
+    if (scriptError) throw scriptError;
+    
+    if (!script) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Script not found' 
+      });
+    }
+    
+    const { data: history, error } = await db
+      .from('script_analysis_history')
+      .select('from_version, to_version, changes, created_at')
+      .eq('script_id', req.params.id)
+      .order('created_at', { ascending: false });
+    
+    if (error) throw error;
+    
+    res.json({
+      success: true,
+      script_id: script.id,
+      title: script.title,
+      analysis_version: script.analysis_version,
+      parser_version: ParseHistory.PARSER_VERSION,
+      outdated: new ParseHistory().isOutdated(script.analysis_version),
+      history: history || []
+    });
+  } catch (error) {
+    console.error('Error fetching analysis history:', error);
+    res.status(500).json({ 
+      success: false,
+      error: error.message 
+    });
+  }
+});
+
+// Progress of a batch parsing run ('latest' for the most recent), for the dashboard
+app.get('/api/batches/:id', async (req, res) => {
+  try {
+    const progress = await parseQueue.progress(req.params.id);
+    
+    if (!progress) {
+      return res.status(404).json({ 
+        success: false,
+        error: `Batch not found: ${req.params.id}` 
+      });
+    }
+    
+    res.json({
+      success: true,
+      ...progress
+    });
+  } catch (error) {
+    console.error('Error fetching batch progress:', error);
+    res.status(500).json({ 
+      success: false,
+      error: error.message 
+    });
+  }
 });
 
+// Shows with parsed episodes
+app.get('/api/series', async (req, res) => {
+  try {
+    const { data: scripts, error } = await db
+      .from('scripts')
+      .select('series_title, season_number')
+      .eq('media_type', 'tv')
+      .not('series_title', 'is', null);
+    
+    if (error) throw error;
+    
+    const series = {};
+    (scripts || []).forEach(s => {
+      if (!series[s.series_title]) {
+        series[s.series_title] = { series_title: s.series_title, episodes: 0, seasons: new Set() };
+      }
+      series[s.series_title].episodes++;
+      if (s.season_number) series[s.series_title].seasons.add(s.season_number);
+    });
+    
+    res.json({
+      success: true,
+      series: Object.values(series)
+        .map(s => ({ ...s, seasons: Array.from(s.seasons).sort((a, b) => a - b) }))
+        .sort((a, b) => b.episodes - a.episodes)
+    });
+  } catch (error) {
+    console.error('Error fetching series:', error);
+    res.status(500).json({ 
+      success: false,
+      error: error.message 
+    });
+  }
+});
+
+// Arcs across the episodes of one show
+app.get('/api/series/:title', async (req, res) => {
+  try {
+    let query = db
+      .from('scripts')
+      .select('id, title, page_count, season_number, episode_number, episode_title, episode_structure')
+      .eq('media_type', 'tv')
+      .ilike('series_title', req.params.title);
+    
+    if (req.query.season) query = query.eq('season_number', parseInt(req.query.season, 10));
+    
+    const { data: scripts, error } = await query;
+    if (error) throw error;
+    
+    if (!scripts || scripts.length === 0) {
+      return res.status(404).json({ 
+        success: false,
+        error: `No parsed episodes for series: ${req.params.title}` 
+      });
+    }
+    
+    const ids = scripts.map(s => s.id);
+    const [characters, scenes, relationships] = await Promise.all([
+      db
+        .from('characters')
+        .select('script_id, name, total_lines, dialogue_share, screen_time_share, is_protagonist')
+        .in('script_id', ids),
+      db
+        .from('scenes')
+        .select('script_id, parent_location, location')
+        .in('script_id', ids),
+      db
+        .from('character_relationships')
+        .select('script_id, character_a, character_b, strength')
+        .in('script_id', ids)
+    ]);
+    
+    const failed = [characters, scenes, relationships].find(r => r.error);
+    if (failed) throw failed.error;
+    
+    const episodes = scripts.map(s => ({
+      script_id: s.id,
+      title: s.title,
+      page_count: s.page_count,
+      season_number: s.season_number,
+      episode_number: s.episode_number,
+      episode_title: s.episode_title,
+      episode_structure: s.episode_structure,
+      characters: characters.data.filter(c => c.script_id === s.id),
+      locations: scenes.data.filter(sc => sc.script_id === s.id).map(sc => sc.parent_location || sc.location),
+      relationships: relationships.data.filter(r => r.script_id === s.id)
+    }));
+    
+    res.json({
+      success: true,
+      series_title: req.params.title,
+      ...new SeriesAggregator().aggregate(episodes)
+    });
+  } catch (error) {
+    console.error('Error aggregating series:', error);
+    res.status(500).json({ 
+      success: false,
+      error: error.message 
+    });
+  }
+});
+
+// Tests require the app without starting a server
+if (require.main === module) {
+  app.listen(PORT, HOST, () => {
+    console.log('\n' + '='.repeat(60));
+    console.log('VESPER42 ENTERTAINMENT INTELLIGENCE API');
+    console.log('='.repeat(60));
+    console.log(`\nServer: http://${HOST}:${PORT}`);
+    console.log(`Storage: ${db.backendName()}`);
+    console.log(`\nEndpoints:`);
+    console.log(`   GET  /api/health`);
+    console.log(`   GET  /api/stats`);
+    console.log(`   GET  /api/genres`);
+    console.log(`   GET  /api/examples/:genre`);
+    console.log(`   GET  /api/patterns`);
+    console.log(`   GET  /api/structures`);
+    console.log(`   POST /api/generate-outline`);
+    console.log(`   POST /api/forecast`);
+    console.log(`   POST /api/analyze`);
+    console.log(`   GET  /api/scripts/:id/aliases`);
+    console.log(`   PUT  /api/scripts/:id/aliases`);
+    console.log(`   GET  /api/scripts/:id/network`);
+    console.log(`   GET  /api/scripts/:id/voices`);
+    console.log(`   GET  /api/scripts/:id/pacing`);
+    console.log(`   POST /api/scripts/:id/predict`);
+    console.log(`   GET  /api/scripts/:id/history`);
+    console.log(`   GET  /api/batches/:id`);
+    console.log(`   GET  /api/series`);
+    console.log(`   GET  /api/series/:title`);
+    console.log('\n' + '='.repeat(60) + '\n');
+  });
+}
+
 module.exports = app;
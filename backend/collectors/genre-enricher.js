@@ -6,13 +6,8 @@
 require('dotenv').config();
 
 const axios = require('axios');
-const { createClient } = require('@supabase/supabase-js');
 
-// Initialize
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_KEY
-);
+const db = require('../storage');
 
 const TMDB_API_KEY = process.env.TMDB_API_KEY;
 const TMDB_BASE_URL = 'https://api.themoviedb.org/3';
@@ -165,8 +160,8 @@ class GenreEnricher {
       updated_at: new Date().toISOString()
     };
 
-    // Update in Supabase
-    const { data, error } = await supabase
+    // Update in the database
+    const { data, error } = await db
       .from('scripts')
       .update(enrichedData)
       .eq('id', script.id)
@@ -199,7 +194,7 @@ class GenreEnricher {
     console.log('\n🚀 Starting genre enrichment...\n');
 
     // Get all scripts without TMDB data
-    const { data: scripts, error } = await supabase
+    const { data: scripts, error } = await db
       .from('scripts')
       .select('*')
       .is('tmdb_id', null)
@@ -247,7 +242,7 @@ class GenreEnricher {
   async getStatistics() {
     console.log('\n📊 Generating statistics...\n');
 
-    const { data: scripts, error } = await supabase
+    const { data: scripts, error } = await db
       .from('scripts')
       .select('*')
       .not('tmdb_id', 'is', null);
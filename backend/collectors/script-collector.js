@@ -6,13 +6,8 @@
 require('dotenv').config();
 const axios = require('axios');
 const cheerio = require('cheerio');
-const { createClient } = require('@supabase/supabase-js');
 
-// Initialize Supabase (use your credentials)
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_KEY
-);
+const db = require('../storage');
 
 class ScriptCollector {
   constructor() {
@@ -120,9 +115,12 @@ class ScriptCollector {
     // Count scenes (INT. or EXT.)
     const sceneCount = (text.match(/\b(INT\.|EXT\.)/gi) || []).length;
     
-    // Estimate page count (industry standard: ~60 lines per page)
+    // Real pages when the text kept its page breaks (PDF import),
+    // otherwise estimate (industry standard: ~60 lines per page)
     const lines = text.split('\n').length;
-    const pageCount = Math.ceil(lines / 60);
+    const pageCount = text.includes('\f')
+      ? text.split('\f').length
+      : Math.ceil(lines / 60);
     
     // Count character names (all caps lines, typically names)
     const characterMatches = text.match(/^\s{20,}[A-Z][A-Z\s]+$/gm) || [];
@@ -143,12 +141,12 @@ class ScriptCollector {
     };
   }
 
-  // Step 4: Save to Supabase
+  // Step 4: Save to the database
   async saveScript(scriptData) {
     console.log(`💾 Saving ${scriptData.title} to database...`);
     
     try {
-      const { data, error } = await supabase
+      const { data, error } = await db
         .from('scripts')
         .insert([scriptData])
         .select();
@@ -186,7 +184,7 @@ class ScriptCollector {
       console.log(`\n[${i + 1}/${scriptsToCollect.length}]`);
       
       // Check if already exists in database
-      const { data: existing } = await supabase
+      const { data: existing } = await db
         .from('scripts')
         .select('id')
         .eq('title', scriptInfo.title)
@@ -0,0 +1,167 @@
+// =========================================
+// VESPER42 - Seed Collector
+// Loads the bundled fixture films into the local store
+// =========================================
+
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const db = require('../storage');
+const ScriptCollector = require('./script-collector');
+const SuccessDataCollector = require('./success-data-collector');
+const AdvancedScriptParser = require('../parsers/advanced-parser');
+const PatternRecognitionEngine = require('../ai/pattern-recognition');
+const ScreenplaySynthesizer = require('../generators/screenplay-synthesizer');
+
+const FILMS_DIR = path.join(__dirname, '..', 'seed', 'films');
+
+class SeedCollector {
+  constructor({ dir = FILMS_DIR } = {}) {
+    this.dir = dir;
+    this.synthesizer = new ScreenplaySynthesizer();
+    this.success = new SuccessDataCollector();
+  }
+
+  // Treatments in file name order, each with its slug
+  films() {
+    return fs.readdirSync(this.dir)
+      .filter(file => file.endsWith('.json'))
+      .sort()
+      .map(file => ({
+        slug: path.basename(file, '.json'),
+        ...JSON.parse(fs.readFileSync(path.join(this.dir, file), 'utf8'))
+      }));
+  }
+
+  // Stable UUID for a seeded script, so seeding again updates the same rows
+  scriptId(slug) {
+    const hex = crypto.createHash('sha1').update(`vesper42-seed:${slug}`).digest('hex');
+    return [hex.slice(0, 8), hex.slice(8, 12), `5${hex.slice(13, 16)}`, `8${hex.slice(17, 20)}`, hex.slice(20, 32)].join('-');
+  }
+
+  // Script row: the collector's basic analysis plus the treatment's metadata
+  scriptRow(film) {
+    const row = new ScriptCollector().analyzeScript({
+      title: film.title,
+      source: 'seed',
+      source_url: null,
+      raw_text: this.synthesizer.build(film)
+    });
+
+    return {
+      ...row,
+      id: this.scriptId(film.slug),
+      writer: film.writer,
+      year: film.year,
+      genre_tags: film.genres,
+      tone: film.tone,
+      media_type: 'movie',
+      tmdb_id: film.tmdb_id,
+      imdb_rating: film.imdb_rating,
+      rotten_tomatoes_score: film.rotten_tomatoes_score,
+      metacritic_score: film.metacritic_score,
+      budget: film.budget || null,
+      box_office: film.box_office,
+      awards: (film.awards || []).map(a => ({ name: a.award_name, category: a.category, year: a.year }))
+    };
+  }
+
+  // Cast, reviews and awards, in the shapes the success collector gets from TMDB
+  async saveSuccessData(film, scriptId) {
+    const cast = (film.cast || []).map((member, order) => ({
+      id: member.tmdb_id,
+      name: member.name,
+      character: member.character,
+      order
+    }));
+    await this.success.saveActors(cast, scriptId);
+
+    for (const member of film.cast || []) {
+      const { error } = await db
+        .from('actors')
+        .update({ oscar_wins: member.oscar_wins || 0, emmy_wins: member.emmy_wins || 0 })
+        .eq('tmdb_id', member.tmdb_id);
+      if (error) console.error(`Error updating awards for ${member.name}:`, error.message);
+    }
+
+    await this.success.saveReviews((film.reviews || []).map(review => ({
+      author: review.author,
+      content: review.content,
+      author_details: { rating: review.rating }
+    })), scriptId);
+
+    await this.success.saveAwards((film.awards || []).map(award => ({
+      ...award,
+      winner_name: film.title
+    })), scriptId);
+  }
+
+  async seedFilm(film) {
+    console.log(`\n🌱 Seeding ${film.title}...`);
+
+    const row = this.scriptRow(film);
+    const { error } = await db.from('scripts').upsert(row, { onConflict: 'id' });
+    if (error) {
+      console.error(`❌ Error saving ${film.title}:`, error.message);
+      return null;
+    }
+
+    const parser = new AdvancedScriptParser();
+    const result = await parser.parseAndSave(row.id);
+    if (!result || !result.save_report.ok) {
+      console.error(`❌ Analysis for ${film.title} was not saved`);
+      return null;
+    }
+
+    await this.saveSuccessData(film, row.id);
+
+    return {
+      title: film.title,
+      script_id: row.id,
+      pages: row.page_count,
+      scenes: result.scenes.length,
+      dialogue: result.dialogue.length
+    };
+  }
+
+  // Seed every film (or only the given slugs), then learn patterns from them
+  async seed({ only = null } = {}) {
+    const films = this.films().filter(f => !only || only.includes(f.slug));
+    console.log(`\n🚀 Seeding ${films.length} films into ${db.backendName()} storage\n`);
+
+    const seeded = [];
+    for (const film of films) {
+      const result = await this.seedFilm(film);
+      if (result) seeded.push(result);
+    }
+
+    if (seeded.length > 0) {
+      await new PatternRecognitionEngine().analyzeAllPatterns();
+    }
+
+    console.log(`\n✅ Seeded ${seeded.length}/${films.length} films\n`);
+    return seeded;
+  }
+}
+
+module.exports = SeedCollector;
+
+// Run if called directly
+if (require.main === module) {
+  if (db.backendName() === 'memory' && !process.env.STORAGE_FILE) {
+    console.error('❌ The memory store forgets everything on exit. Set STORAGE_FILE (e.g. STORAGE_FILE=./data/vesper42.json) and start the API with the same file');
+    process.exit(1);
+  }
+
+  new SeedCollector().seed()
+    .then(seeded => {
+      seeded.forEach(s => console.log(`🎬 ${s.title}: ${s.pages} pages, ${s.scenes} scenes, ${s.dialogue} lines`));
+      process.exit(0);
+    })
+    .catch(error => {
+      console.error('💥 Fatal error:', error);
+      process.exit(1);
+    });
+}
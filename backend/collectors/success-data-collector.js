@@ -6,12 +6,8 @@
 require('dotenv').config();
 
 const axios = require('axios');
-const { createClient } = require('@supabase/supabase-js');
 
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_KEY
-);
+const db = require('../storage');
 
 const TMDB_API_KEY = process.env.TMDB_API_KEY;
 const TMDB_BASE_URL = 'https://api.themoviedb.org/3';
@@ -78,7 +74,7 @@ class SuccessDataCollector {
     for (const member of castData.slice(0, 10)) { // Top 10 cast members
       try {
         // Check if actor exists
-        let { data: existingActor } = await supabase
+        let { data: existingActor } = await db
           .from('actors')
           .select('id')
           .eq('tmdb_id', member.id)
@@ -88,7 +84,7 @@ class SuccessDataCollector {
         
         if (!existingActor) {
           // Create new actor
-          const { data: newActor, error } = await supabase
+          const { data: newActor, error } = await db
             .from('actors')
             .insert({
               name: member.name,
@@ -110,7 +106,7 @@ class SuccessDataCollector {
         }
         
         // Save performance
-        const { error: perfError } = await supabase
+        const { error: perfError } = await db
           .from('performances')
           .upsert({
             actor_id: actorId,
@@ -150,7 +146,7 @@ class SuccessDataCollector {
       rating: review.author_details?.rating || null
     }));
     
-    const { error } = await supabase
+    const { error } = await db
       .from('critical_reviews')
       .upsert({
         script_id: scriptId,
@@ -224,9 +220,9 @@ class SuccessDataCollector {
     console.log(`🏆 Saving ${awardsData.length} awards...`);
     
     for (const award of awardsData) {
-      const { error } = await supabase
+      const { error } = await db
         .from('awards')
-        .insert({
+        .upsert({
           award_name: award.award_name,
           category: award.category,
           year: award.year,
@@ -234,7 +230,7 @@ class SuccessDataCollector {
           script_id: scriptId,
           winner_name: award.winner_name,
           prestige_level: 'major'
-        });
+        }, { onConflict: 'script_id,award_name,category,year', ignoreDuplicates: true });
       
       if (error) {
         console.error(`Error saving award:`, error.message);
@@ -252,7 +248,7 @@ class SuccessDataCollector {
     
     try {
       // Get script from database
-      const { data: script, error } = await supabase
+      const { data: script, error } = await db
         .from('scripts')
         .select('*')
         .eq('id', scriptId)
@@ -302,11 +298,13 @@ class SuccessDataCollector {
         await this.saveAwards(awards, scriptId);
       }
       
-      // Update script with additional data
-      const { error: updateError } = await supabase
+      // Update script with additional data (TMDB revenue only when no box office figure yet)
+      const { error: updateError } = await db
         .from('scripts')
         .update({
           imdb_id: detailedData.imdb_id,
+          budget: detailedData.budget || script.budget || null,
+          box_office: script.box_office || detailedData.revenue || null,
           updated_at: new Date().toISOString()
         })
         .eq('id', scriptId);
@@ -336,7 +334,7 @@ class SuccessDataCollector {
     console.log('\n🚀 ENRICHING ALL SCRIPTS WITH SUCCESS DATA\n');
     
     // Get all scripts with TMDB IDs
-    const { data: scripts, error } = await supabase
+    const { data: scripts, error } = await db
       .from('scripts')
       .select('id, title, tmdb_id, media_type')
       .not('tmdb_id', 'is', null)
@@ -382,22 +380,22 @@ class SuccessDataCollector {
   async printStats() {
     console.log('\n📈 DATABASE STATISTICS:\n');
     
-    const { count: actorCount } = await supabase
+    const { count: actorCount } = await db
       .from('actors')
       .select('*', { count: 'exact', head: true });
     console.log(`   Actors: ${actorCount || 0}`);
     
-    const { count: perfCount } = await supabase
+    const { count: perfCount } = await db
       .from('performances')
       .select('*', { count: 'exact', head: true });
     console.log(`   Performances: ${perfCount || 0}`);
     
-    const { count: awardCount } = await supabase
+    const { count: awardCount } = await db
       .from('awards')
       .select('*', { count: 'exact', head: true });
     console.log(`   Awards: ${awardCount || 0}`);
     
-    const { count: reviewCount } = await supabase
+    const { count: reviewCount } = await db
       .from('critical_reviews')
       .select('*', { count: 'exact', head: true });
     console.log(`   Reviews: ${reviewCount || 0}`);
@@ -5,22 +5,23 @@
 
 require('dotenv').config();
 
-const { createClient } = require('@supabase/supabase-js');
+const StructureTemplateRegistry = require('../parsers/structure-templates');
+const SuccessModel = require('../ai/success-model');
+const RevenueForecaster = require('../ai/revenue-forecaster');
 
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_KEY
-);
+const db = require('../storage');
 
 class ScriptOutlineGenerator {
   
   constructor() {
     this.patterns = null;
+    this.templates = new StructureTemplateRegistry();
+    this.forecaster = new RevenueForecaster();
   }
   
   // Load learned patterns from database
   async loadPatterns() {
-    const { data: patterns } = await supabase
+    const { data: patterns } = await db
       .from('learned_patterns')
       .select('*');
     
@@ -28,11 +29,19 @@ class ScriptOutlineGenerator {
     console.log(`📚 Loaded ${this.patterns.length} learned patterns`);
   }
   
+  // Significant patterns learned within the genre, or across all scripts when it has none
+  patternsFor(genre) {
+    const significant = (this.patterns || []).filter(p => p.is_significant);
+    const scoped = significant.filter(p => p.genres && p.genres.includes(genre.toLowerCase()) && !p.media_type);
+    const chosen = scoped.length > 0 ? scoped : significant.filter(p => p.genres && p.genres.includes('all') && !p.media_type);
+    return chosen.sort((a, b) => a.adjusted_p_value - b.adjusted_p_value);
+  }
+  
   // Find similar successful scripts
   async findSimilarScripts(genre, limit = 10) {
     console.log(`🔍 Finding similar ${genre} scripts...\n`);
     
-    const { data: scripts } = await supabase
+    const { data: scripts } = await db
       .from('scripts')
       .select('*')
       .contains('genre_tags', [genre])
@@ -54,52 +63,41 @@ class ScriptOutlineGenerator {
     return scripts;
   }
   
-  // Calculate optimal structure based on similar scripts
-  async calculateOptimalStructure(similarScripts) {
+  // Optimal length based on similar scripts
+  calculateTotalPages(similarScripts) {
     if (similarScripts.length === 0) {
       // Default industry standard
-      return {
-        totalPages: 110,
-        act1End: 30,
-        act2aMidpoint: 60,
-        act2bEnd: 90,
-        act3End: 110
-      };
+      return 110;
     }
     
     // Average from similar scripts
     const avgPages = similarScripts.reduce((sum, s) => sum + (s.page_count || 110), 0) / similarScripts.length;
-    
-    return {
-      totalPages: Math.round(avgPages),
-      act1End: Math.round(avgPages * 0.25),
-      act2aMidpoint: Math.round(avgPages * 0.50),
-      act2bEnd: Math.round(avgPages * 0.75),
-      act3End: Math.round(avgPages)
-    };
+    return Math.round(avgPages);
   }
   
-  // Get beat timing from database
-  async getBeatTiming(similarScripts) {
-    if (similarScripts.length === 0) return this.getDefaultBeats();
+  // Get beat timing from database (beats detected with the same template)
+  async getBeatTiming(similarScripts, template) {
+    if (similarScripts.length === 0) return {};
     
     const scriptIds = similarScripts.map(s => s.id);
     
-    const { data: beats } = await supabase
+    const { data: beats } = await db
       .from('story_beats')
-      .select('beat_type, page_number')
+      .select('beat_type, page_number, structure_template')
       .in('script_id', scriptIds);
     
-    if (!beats || beats.length === 0) return this.getDefaultBeats();
+    if (!beats || beats.length === 0) return {};
     
-    // Group by beat type and average
+    // Group by beat type and average (older rows predate templates: Save the Cat)
     const beatsByType = {};
-    beats.forEach(b => {
-      if (!beatsByType[b.beat_type]) {
-        beatsByType[b.beat_type] = [];
-      }
-      beatsByType[b.beat_type].push(b.page_number);
-    });
+    beats
+      .filter(b => (b.structure_template || 'save-the-cat') === template.id)
+      .forEach(b => {
+        if (!beatsByType[b.beat_type]) {
+          beatsByType[b.beat_type] = [];
+        }
+        beatsByType[b.beat_type].push(b.page_number);
+      });
     
     const averagedBeats = {};
     Object.entries(beatsByType).forEach(([type, pages]) => {
@@ -109,26 +107,17 @@ class ScriptOutlineGenerator {
     return averagedBeats;
   }
   
-  // Default industry standard beats
-  getDefaultBeats() {
-    return {
-      'Opening Image': 1,
-      'Inciting Incident': 12,
-      'End of Act 1': 25,
-      'Midpoint': 60,
-      'All Is Lost': 75,
-      'Climax': 95,
-      'Resolution': 110
-    };
-  }
-  
-  // Generate full outline
-  async generateOutline(premise, genre, targetLength = null) {
+  // Generate full outline using a structure template (Save the Cat by default).
+  // Model predictions are saved to predictions unless `save` is false.
+  async generateOutline(premise, genre, targetLength = null, structureId = null, { title = null, save = true } = {}) {
+    const template = this.templates.get(structureId);
+    
     console.log('\n' + '='.repeat(60));
     console.log('✨ GENERATING SCRIPT OUTLINE');
     console.log('='.repeat(60));
     console.log(`\n📝 Premise: "${premise}"`);
     console.log(`🎭 Genre: ${genre}`);
+    console.log(`🧱 Structure: ${template.name}`);
     console.log('');
     
     // Load patterns if not loaded
@@ -139,178 +128,79 @@ class ScriptOutlineGenerator {
     // Find similar successful scripts
     const similarScripts = await this.findSimilarScripts(genre);
     
-    // Calculate optimal structure
-    const structure = await this.calculateOptimalStructure(similarScripts);
-    const beats = await this.getBeatTiming(similarScripts);
-    
-    // Override with target length if provided
-    if (targetLength) {
-      structure.totalPages = targetLength;
-      structure.act1End = Math.round(targetLength * 0.25);
-      structure.act2aMidpoint = Math.round(targetLength * 0.50);
-      structure.act2bEnd = Math.round(targetLength * 0.75);
-      structure.act3End = targetLength;
-    }
+    // Calculate optimal structure (target length wins when provided)
+    const totalPages = targetLength || this.calculateTotalPages(similarScripts);
+    const learned = await this.getBeatTiming(similarScripts, template);
+    const { structure, acts } = this.templates.layout(template, totalPages, { genre, premise, learned });
     
     console.log('📐 Optimal Structure:');
     console.log(`   Total Pages: ${structure.totalPages}`);
-    console.log(`   Act 1: Pages 1-${structure.act1End}`);
-    console.log(`   Act 2A: Pages ${structure.act1End + 1}-${structure.act2aMidpoint}`);
-    console.log(`   Act 2B: Pages ${structure.act2aMidpoint + 1}-${structure.act2bEnd}`);
-    console.log(`   Act 3: Pages ${structure.act2bEnd + 1}-${structure.act3End}`);
+    structure.acts.forEach(act => {
+      console.log(`   ${act.title}: Pages ${act.pages}`);
+    });
     console.log('');
     
-    // Generate the outline
+    // Success prediction and revenue forecast
+    const prediction = await this.predictSuccess(similarScripts, genre, {
+      totalPages,
+      beats: this.templates.beatPages(template, totalPages, learned)
+    });
+    const forecast = await this.forecastRevenue(genre, prediction);
+    
+    // Generate the outline: one entry per act of the template
     const outline = {
+      title,
       premise,
       genre,
       structure,
-      
-      // ACT 1: Setup
-      act1: {
-        title: 'ACT 1: SETUP',
-        pages: `1-${structure.act1End}`,
-        beats: [
-          {
-            name: 'Opening Image',
-            page: beats['Opening Image'] || 1,
-            description: 'Establish the protagonist\'s ordinary world. Show their life before the journey begins.',
-            example: `Based on successful ${genre} scripts: Introduce protagonist in their normal routine, hint at their flaw/need.`
-          },
-          {
-            name: 'Theme Stated',
-            page: 5,
-            description: 'Someone states the theme/lesson of the story (often subtly).',
-            example: 'A conversation or observation that hints at what the protagonist will learn.'
-          },
-          {
-            name: 'Setup',
-            page: '1-10',
-            description: 'Establish all the "pieces" - characters, relationships, world rules.',
-            example: 'Introduce supporting characters, establish protagonist\'s wants vs needs.'
-          },
-          {
-            name: 'Inciting Incident',
-            page: beats['Inciting Incident'] || 12,
-            description: 'The event that disrupts the ordinary world and starts the story.',
-            example: `In your story: The catalyst that forces the protagonist into action related to: "${premise}"`
-          },
-          {
-            name: 'Debate',
-            page: '12-25',
-            description: 'Protagonist debates whether to take the journey. Should they? Can they?',
-            example: 'Show internal/external resistance. Raise the stakes. Make it personal.'
-          },
-          {
-            name: 'Break into Two',
-            page: beats['End of Act 1'] || structure.act1End,
-            description: 'Protagonist makes the choice to enter Act 2. Crosses the threshold.',
-            example: 'Point of no return. They commit to the goal. Enter the "upside-down world".'
-          }
-        ]
-      },
-      
-      // ACT 2A: Confrontation
-      act2a: {
-        title: 'ACT 2A: CONFRONTATION',
-        pages: `${structure.act1End + 1}-${structure.act2aMidpoint}`,
-        beats: [
-          {
-            name: 'B Story Begins',
-            page: structure.act1End + 5,
-            description: 'Introduce the relationship/subplot that will help protagonist learn the theme.',
-            example: 'New ally, mentor, or love interest who represents the "need" vs "want".'
-          },
-          {
-            name: 'Fun and Games',
-            page: `${structure.act1End + 10}-${structure.act2aMidpoint - 5}`,
-            description: 'The "promise of the premise". The fun part. What the poster advertises.',
-            example: `Deliver on the ${genre} genre expectations. Show protagonist tackling the problem with initial confidence.`
-          },
-          {
-            name: 'Midpoint',
-            page: beats['Midpoint'] || structure.act2aMidpoint,
-            description: 'False victory or false defeat. Stakes are raised. Time clock appears/intensifies.',
-            example: 'Either: protagonist gets what they want (but not what they need), OR everything falls apart. Either way - everything changes.'
-          }
-        ]
-      },
-      
-      // ACT 2B: Complications
-      act2b: {
-        title: 'ACT 2B: COMPLICATIONS',
-        pages: `${structure.act2aMidpoint + 1}-${structure.act2bEnd}`,
-        beats: [
-          {
-            name: 'Bad Guys Close In',
-            page: `${structure.act2aMidpoint + 5}-${structure.act2bEnd - 15}`,
-            description: 'Internal and external forces close in. Things get worse.',
-            example: 'If Midpoint was a victory: enemies regroup and hit harder. If defeat: protagonist struggles to recover. Pressure mounts.'
-          },
-          {
-            name: 'All Is Lost',
-            page: beats['All Is Lost'] || structure.act2bEnd - 15,
-            description: 'Lowest point. The "whiff of death" - something or someone dies (literally or metaphorically).',
-            example: 'False defeat. Mentor dies, relationship ends, hope is lost. Opposite of Midpoint.'
-          },
-          {
-            name: 'Dark Night of the Soul',
-            page: `${structure.act2bEnd - 10}-${structure.act2bEnd - 5}`,
-            description: 'Protagonist wallows in defeat. Seems impossible to win.',
-            example: 'Emotional low. Protagonist reflects on failures. Doubt reaches peak.'
-          },
-          {
-            name: 'Break into Three',
-            page: structure.act2bEnd,
-            description: 'Thanks to B Story, protagonist finds the solution. Synthesis of A and B stories.',
-            example: 'Eureka moment. Protagonist realizes what they need (not just want). Finds clarity and resolve.'
-          }
-        ]
-      },
-      
-      // ACT 3: Resolution
-      act3: {
-        title: 'ACT 3: RESOLUTION',
-        pages: `${structure.act2bEnd + 1}-${structure.act3End}`,
-        beats: [
-          {
-            name: 'Finale',
-            page: `${structure.act2bEnd + 1}-${structure.act3End - 5}`,
-            description: 'Protagonist executes the new plan. Synthesis of want + need.',
-            example: `The big ${genre} climax. Protagonist uses everything they've learned. Faces the antagonist/obstacle with new understanding.`
-          },
-          {
-            name: 'Climax',
-            page: beats['Climax'] || structure.act3End - 10,
-            description: 'The decisive moment. A vs B. Will protagonist succeed?',
-            example: 'The ultimate confrontation. Tension peaks. All or nothing.'
-          },
-          {
-            name: 'Final Image',
-            page: beats['Resolution'] || structure.act3End,
-            description: 'Mirror of Opening Image. Shows how protagonist has changed.',
-            example: 'The "new world". Protagonist in their changed state. Theme proven. Opposite of Opening Image.'
-          }
-        ]
-      },
-      
-      // Success prediction
-      prediction: await this.predictSuccess(similarScripts, genre),
+      ...acts,
+      prediction,
+      forecast,
       
       // Recommendations
-      recommendations: this.generateRecommendations(similarScripts, structure)
+      recommendations: this.generateRecommendations(structure, this.patternsFor(genre), forecast)
     };
     
+    if (save) {
+      await this.savePrediction(outline);
+    }
+    
     return outline;
   }
   
-  // Predict success based on similar scripts
-  async predictSuccess(similarScripts, genre) {
+  // Predict success with the trained model (comparable scripts alone when there is none)
+  async predictSuccess(similarScripts, genre, { totalPages = null, beats = {} } = {}) {
+    const comparables = similarScripts.slice(0, 3).map(s => ({
+      title: s.title,
+      rating: s.imdb_rating,
+      year: s.year
+    }));
+    
+    const model = SuccessModel.load();
+    if (model) {
+      const prediction = model.predictConcept({ genres: [genre], page_count: totalPages, beats });
+      return {
+        probability: Math.round(prediction.success_probability * 100) / 100,
+        success_probability: prediction.success_probability,
+        predicted_rating: prediction.predicted_rating,
+        confidence: prediction.confidence_level >= 0.6 ? 'high' : prediction.confidence_level >= 0.3 ? 'medium' : 'low',
+        confidence_level: prediction.confidence_level,
+        reasoning: `Predicted rating ${prediction.predicted_rating.toFixed(1)} for a ${totalPages}-page ${genre} script (model ${prediction.model_version}, ${prediction.known_features} of ${prediction.total_features} features known)`,
+        baseline: prediction.baseline,
+        contributions: prediction.contributions,
+        counterfactuals: prediction.counterfactuals,
+        factors: prediction.reasoning,
+        model_version: prediction.model_version,
+        comparables
+      };
+    }
+    
     if (similarScripts.length === 0) {
       return {
         probability: 0.65,
         confidence: 'medium',
-        reasoning: 'Based on general patterns (no similar scripts in database)'
+        reasoning: `Based on general patterns for the ${genre} genre (no similar scripts in database, no trained model)`,
+        comparables
       };
     }
     
@@ -320,17 +210,54 @@ class ScriptOutlineGenerator {
     return {
       probability: Math.round(probability * 100) / 100,
       confidence: probability > 0.75 ? 'high' : probability > 0.65 ? 'medium' : 'low',
-      reasoning: `Based on ${similarScripts.length} similar successful ${genre} scripts (avg rating: ${avgRating.toFixed(1)})`,
-      comparables: similarScripts.slice(0, 3).map(s => ({
-        title: s.title,
-        rating: s.imdb_rating,
-        year: s.year
-      }))
+      reasoning: `Based on ${similarScripts.length} similar successful ${genre} scripts (avg rating: ${avgRating.toFixed(1)}; no trained model)`,
+      comparables
     };
   }
   
+  // Revenue forecast at the predicted rating (null without enough budget data)
+  async forecastRevenue(genre, prediction, budget = null) {
+    return this.forecaster.forecast({
+      genres: [genre],
+      budget,
+      predicted_rating: prediction.predicted_rating || null
+    });
+  }
+  
+  // Save a model prediction and its forecast to predictions, under the outline's title
+  async savePrediction(outline) {
+    const { prediction, forecast } = outline;
+    if (!prediction.model_version) return null;
+    
+    const { data: saved, error } = await db
+      .from('predictions')
+      .insert({
+        concept_title: outline.title || `Untitled ${outline.genre}`,
+        concept_description: outline.premise,
+        genre: [outline.genre],
+        script_id: null,
+        success_probability: prediction.success_probability,
+        confidence_level: prediction.confidence_level,
+        predicted_rating: prediction.predicted_rating,
+        predicted_revenue: forecast ? forecast.revenue.median : null,
+        recommended_budget_range: forecast ? forecast.recommended_budget.range : null,
+        reasoning: prediction.factors,
+        model_version: prediction.model_version
+      })
+      .select('id')
+      .single();
+    
+    if (error) {
+      console.error('⚠️  Could not save prediction:', error.message);
+      return null;
+    }
+    
+    prediction.prediction_id = saved.id;
+    return saved.id;
+  }
+  
   // Generate recommendations
-  generateRecommendations(similarScripts, structure) {
+  generateRecommendations(structure, patterns = [], forecast = null) {
     const recommendations = {
       targetLength: `${structure.totalPages} pages (optimal for this genre)`,
       pacing: 'Follow the beat timing closely for maximum impact',
@@ -338,18 +265,12 @@ class ScriptOutlineGenerator {
       dialogue: 'Keep dialogue concise: 6-9 words per line average'
     };
     
-    if (similarScripts.length > 0) {
-      const avgBoxOffice = similarScripts
-        .filter(s => s.box_office)
-        .reduce((sum, s) => sum + s.box_office, 0) / similarScripts.filter(s => s.box_office).length;
-      
-      if (avgBoxOffice > 0) {
-        recommendations.budget = avgBoxOffice > 100000000 
-          ? '$40-80M (theatrical tentpole)'
-          : avgBoxOffice > 50000000
-          ? '$20-40M (mid-budget theatrical)'
-          : '$5-20M (indie/streaming)';
-      }
+    if (forecast) {
+      recommendations.budget = `${forecast.recommended_budget.range} (${forecast.recommended_budget.basis})`;
+    }
+    
+    if (patterns.length > 0) {
+      recommendations.patterns = patterns.slice(0, 5).map(p => p.description);
     }
     
     return recommendations;
@@ -360,7 +281,7 @@ class ScriptOutlineGenerator {
     console.log('\n' + '='.repeat(60));
     console.log('📜 GENERATED SCRIPT OUTLINE');
     console.log('='.repeat(60));
-    console.log(`\nTitle: [YOUR TITLE]`);
+    console.log(`\nTitle: ${outline.title || '[YOUR TITLE]'}`);
     console.log(`Premise: ${outline.premise}`);
     console.log(`Genre: ${outline.genre}`);
     console.log(`Length: ${outline.structure.totalPages} pages`);
@@ -370,22 +291,42 @@ class ScriptOutlineGenerator {
     console.log(`   Probability: ${(outline.prediction.probability * 100).toFixed(0)}%`);
     console.log(`   Confidence: ${outline.prediction.confidence}`);
     console.log(`   ${outline.prediction.reasoning}`);
+    (outline.prediction.contributions || []).forEach(c => {
+      console.log(`   ${c.factor}: ${c.probability >= 0 ? '+' : ''}${c.probability.toFixed(2)}`);
+    });
+    (outline.prediction.counterfactuals || []).forEach(c => console.log(`   💡 ${c.suggestion}`));
     
-    if (outline.prediction.comparables) {
+    if (outline.prediction.comparables && outline.prediction.comparables.length > 0) {
       console.log(`\n   Similar successful films:`);
       outline.prediction.comparables.forEach(c => {
         console.log(`   • ${c.title} (${c.year}): ${c.rating}/10`);
       });
     }
     
+    // Revenue forecast
+    if (outline.forecast) {
+      const { forecast } = outline;
+      const band = forecast.revenue.bands[forecast.revenue.bands.length - 1];
+      console.log(`\n💰 REVENUE FORECAST (${forecast.budget_source} budget ${this.forecaster.formatMoney(forecast.budget)}):`);
+      console.log(`   Box office: ${this.forecaster.formatMoney(forecast.revenue.median)} ` +
+        `(${Math.round(band.level * 100)}%: ${this.forecaster.formatMoney(band.low)}-${this.forecaster.formatMoney(band.high)})`);
+      console.log(`   ROI: ${Math.round(forecast.roi.median * 100)}%, ` +
+        `${Math.round(forecast.roi.break_even_probability * 100)}% chance of breaking even`);
+    }
+    
     // Recommendations
     console.log(`\n💡 RECOMMENDATIONS:`);
     Object.entries(outline.recommendations).forEach(([key, value]) => {
-      console.log(`   • ${key}: ${value}`);
+      if (Array.isArray(value)) {
+        console.log(`   • ${key}:`);
+        value.forEach(item => console.log(`     - ${item}`));
+      } else {
+        console.log(`   • ${key}: ${value}`);
+      }
     });
     
     // Act by Act
-    [outline.act1, outline.act2a, outline.act2b, outline.act3].forEach(act => {
+    outline.structure.acts.map(a => outline[a.key]).forEach(act => {
       console.log(`\n${'─'.repeat(60)}`);
       console.log(`${act.title} (${act.pages})`);
       console.log('─'.repeat(60));
@@ -0,0 +1,127 @@
+// =========================================
+// VESPER42 - Screenplay Synthesizer
+// Deterministic feature-length screenplays from a short treatment
+// =========================================
+
+const LINES_PER_PAGE = 60;
+const TIMES = ['DAY', 'NIGHT', 'MORNING', 'EVENING', 'LATER', 'CONTINUOUS'];
+const PARENTHETICALS = ['beat', 'quietly', 'not looking up', 'half a smile', 'flat', 'off her look', 'off his look'];
+
+class ScreenplaySynthesizer {
+
+  // Full screenplay text for a treatment. Key scenes are pinned to a point in
+  // the story ("at": 0-1); everything between them is drawn from the pools.
+  build(treatment) {
+    const random = this.random(treatment.title);
+    const cast = Object.keys(treatment.characters);
+    const targetLines = (treatment.pages || 100) * LINES_PER_PAGE;
+    const keyScenes = (treatment.key_scenes || []).slice().sort((a, b) => a.at - b.at);
+
+    const out = [];
+    out.push(this.center(treatment.title.toUpperCase()), '', this.indent('FADE IN:', 10), '');
+
+    let next = 0;
+    while (out.length < targetLines || next < keyScenes.length) {
+      const due = next < keyScenes.length && out.length >= keyScenes[next].at * targetLines;
+      const fillerDone = out.length >= targetLines;
+      const scene = due || fillerDone
+        ? keyScenes[next++]
+        : this.fillerScene(treatment, cast, random);
+
+      this.writeScene(out, scene);
+      if (random() < 0.15) out.push(this.indent('CUT TO:', 54), '');
+    }
+
+    out.push(this.indent('FADE OUT.', 54), '');
+    return out.join('\n');
+  }
+
+  // A scene in between the key scenes: the lead plus one or two others talking
+  fillerScene(treatment, cast, random) {
+    const pick = list => list[Math.floor(random() * list.length)];
+    const lead = cast[0];
+    const others = cast.slice(1);
+    const present = [lead, pick(others)];
+    if (others.length > 1 && random() < 0.4) present.push(pick(others.filter(c => !present.includes(c))));
+
+    // Speeches, broken up by a line of action every few exchanges
+    const dialogue = [];
+    const speeches = 6 + Math.floor(random() * 8);
+    let previous = null;
+    for (let i = 0; i < speeches; i++) {
+      const speaker = pick(present.filter(c => c !== previous));
+      const lines = treatment.characters[speaker];
+      const text = random() < 0.3 ? `${pick(lines)} ${pick(lines)}` : pick(lines);
+      dialogue.push(random() < 0.12 ? [speaker, text, pick(PARENTHETICALS)] : [speaker, text]);
+      previous = speaker;
+      if (i < speeches - 1 && random() < 0.35) dialogue.push(pick(treatment.action));
+    }
+
+    const action = [pick(treatment.action)];
+    if (random() < 0.6) action.push(pick(treatment.action));
+
+    return {
+      heading: `${pick(treatment.locations)} - ${pick(treatment.times || TIMES)}`,
+      action,
+      dialogue
+    };
+  }
+
+  // Dialogue entries are [speaker, text, parenthetical?], or a string of action
+  writeScene(out, { heading, action = [], dialogue = [] }) {
+    out.push(this.indent(heading, 10), '');
+    action.forEach(paragraph => {
+      this.wrap(paragraph, 58).forEach(line => out.push(this.indent(line, 10)));
+      out.push('');
+    });
+    dialogue.forEach(entry => {
+      if (typeof entry === 'string') {
+        this.wrap(entry, 58).forEach(line => out.push(this.indent(line, 10)));
+        out.push('');
+        return;
+      }
+      const [speaker, text, parenthetical] = entry;
+      out.push(this.indent(speaker, 30));
+      if (parenthetical) out.push(this.indent(`(${parenthetical})`, 25));
+      this.wrap(text, 35).forEach(line => out.push(this.indent(line, 20)));
+      out.push('');
+    });
+  }
+
+  wrap(text, width) {
+    const lines = [];
+    let current = '';
+    text.split(/\s+/).forEach(word => {
+      if (current && current.length + word.length + 1 > width) {
+        lines.push(current);
+        current = word;
+      } else {
+        current = current ? `${current} ${word}` : word;
+      }
+    });
+    if (current) lines.push(current);
+    return lines;
+  }
+
+  indent(text, spaces) {
+    return ' '.repeat(spaces) + text;
+  }
+
+  center(text) {
+    return this.indent(text, Math.max(0, 40 - Math.floor(text.length / 2)));
+  }
+
+  // mulberry32, seeded with a hash of `key`: the same treatment always gives the same text
+  random(key) {
+    let seed = 0;
+    for (const ch of key) seed = (Math.imul(seed, 31) + ch.charCodeAt(0)) | 0;
+    return () => {
+      seed = (seed + 0x6D2B79F5) | 0;
+      let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+      t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+}
+
+module.exports = ScreenplaySynthesizer;
@@ -0,0 +1,17 @@
+-- =========================================
+-- VESPER42 - Migration 001: Initial Schema (rollback)
+-- =========================================
+
+DROP FUNCTION IF EXISTS claim_parse_job(UUID);
+
+DROP TRIGGER IF EXISTS update_scripts_updated_at ON scripts;
+DROP FUNCTION IF EXISTS update_updated_at_column();
+
+DROP TABLE IF EXISTS parse_jobs;
+DROP TABLE IF EXISTS parse_batches;
+DROP TABLE IF EXISTS script_analysis_history;
+DROP TABLE IF EXISTS character_relationships;
+DROP TABLE IF EXISTS character_aliases;
+DROP TABLE IF EXISTS predictions;
+DROP TABLE IF EXISTS script_patterns;
+DROP TABLE IF EXISTS scripts;
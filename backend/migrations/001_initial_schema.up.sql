@@ -0,0 +1,246 @@
+-- =========================================
+-- VESPER42 - Migration 001: Initial Schema
+-- Scripts, patterns, predictions, aliases, relationships, history, parse queue
+-- =========================================
+
+-- Main scripts table
+CREATE TABLE IF NOT EXISTS scripts (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  
+  -- Basic Info
+  title TEXT NOT NULL,
+  writer TEXT,
+  year INTEGER,
+  source TEXT, -- 'imsdb', 'scriptsSlug', etc.
+  source_url TEXT,
+  raw_text TEXT, -- The full script text
+  
+  -- Structure Analysis (auto-calculated)
+  page_count INTEGER,
+  scene_count INTEGER,
+  act_structure JSONB, -- {acts: 3, page_breaks: [30, 60]}
+  
+  -- Character Analysis
+  character_count INTEGER,
+  main_characters JSONB, -- [{name: "John", lines: 150, scenes: 45}]
+  
+  -- Dialogue Analysis
+  dialogue_ratio FLOAT, -- percentage of script that's dialogue vs action
+  avg_scene_length FLOAT,
+  total_dialogue_lines INTEGER,
+  
+  -- Success Metrics (from TMDB/IMDB)
+  tmdb_id INTEGER,
+  imdb_id TEXT,
+  box_office BIGINT, -- in USD
+  imdb_rating FLOAT,
+  rotten_tomatoes_score INTEGER,
+  metacritic_score INTEGER,
+  awards JSONB, -- [{name: "Oscar", category: "Best Picture", year: 2020}]
+  
+  -- Series / Episode (TV)
+  media_type TEXT DEFAULT 'movie', -- 'movie' or 'tv'
+  series_title TEXT,
+  season_number INTEGER,
+  episode_number INTEGER,
+  episode_title TEXT,
+  episode_structure JSONB, -- {segments: [{key: "teaser", scene_start: 1, ...}], act_count: 4, has_tag: true}
+  
+  -- Emotional Arc (lexicon sentiment, smoothed across the script)
+  arc_shape TEXT, -- 'rags_to_riches', 'tragedy', 'man_in_a_hole', 'icarus', 'cinderella', 'oedipus', 'flat'
+  arc_fit FLOAT, -- correlation with the shape, -1 to 1
+  avg_sentiment FLOAT,
+  emotional_trajectory JSONB, -- 20 smoothed sentiment samples, start to end
+  
+  -- Pacing (scene rhythm; per-scene values live on scenes)
+  pacing JSONB, -- {avg_scene_eighths: 9.5, avg_pace: 0.48, location_changes_per_10_pages: 4.2, slow_stretches: 1, ...}
+  
+  -- Classification
+  genre_tags TEXT[], -- ['action', 'sci-fi']
+  themes TEXT[], -- ['redemption', 'family']
+  tone TEXT, -- 'dark', 'comedic', 'dramatic'
+  
+  -- Processing Status
+  processed BOOLEAN DEFAULT false,
+  analysis_version TEXT DEFAULT '1.0', -- parser version that produced the stored analysis
+  
+  -- Timestamps
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Patterns discovered from analyzing scripts
+CREATE TABLE IF NOT EXISTS script_patterns (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  
+  pattern_type TEXT NOT NULL, -- 'opening_scene', 'act_break', 'climax', etc.
+  genre TEXT,
+  description TEXT,
+  
+  -- Pattern characteristics
+  typical_page_location INTEGER, -- where does this usually happen?
+  success_correlation FLOAT, -- how often does this pattern appear in successful scripts?
+  
+  -- Examples
+  example_scripts JSONB, -- [{script_id: "...", title: "...", timestamp: 45}]
+  
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Predictions history
+CREATE TABLE IF NOT EXISTS predictions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  
+  -- Input
+  concept_title TEXT NOT NULL,
+  concept_description TEXT,
+  genre TEXT[],
+  target_audience TEXT,
+  
+  -- Prediction Output
+  success_probability FLOAT, -- 0.0 to 1.0
+  confidence_level FLOAT,
+  predicted_rating FLOAT,
+  predicted_revenue BIGINT,
+  
+  -- Reasoning
+  reasoning JSONB, -- [{factor: "Genre trending", impact: "+15%"}]
+  similar_scripts JSONB, -- [{script_id, similarity_score}]
+  
+  -- Recommendations
+  recommended_platform TEXT, -- 'theatrical', 'streaming', 'hybrid'
+  recommended_budget_range TEXT, -- '$20M-$40M'
+  recommended_release_window TEXT, -- 'Summer 2026'
+  
+  -- Meta
+  model_version TEXT DEFAULT '1.0',
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Character name variants merged by the parser ("MILLER" → "DETECTIVE MILLER")
+CREATE TABLE IF NOT EXISTS character_aliases (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  script_id UUID REFERENCES scripts(id) ON DELETE CASCADE,
+  
+  alias TEXT NOT NULL,
+  canonical_name TEXT, -- NULL (or = alias) keeps the alias as its own character
+  reason TEXT, -- 'title_or_age', 'nickname', 'partial_name', 'cast_list', 'manual'
+  source TEXT DEFAULT 'auto', -- 'auto' (parser) or 'manual' (reviewed via API)
+  
+  created_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE(script_id, alias)
+);
+
+-- Character network: one row per pair that shares scenes or talks
+CREATE TABLE IF NOT EXISTS character_relationships (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  script_id UUID REFERENCES scripts(id) ON DELETE CASCADE,
+  
+  character_a TEXT NOT NULL,
+  character_b TEXT NOT NULL,
+  
+  shared_scenes INTEGER DEFAULT 0,
+  exchanges INTEGER DEFAULT 0, -- back-to-back speeches between the two
+  a_to_b INTEGER DEFAULT 0, -- times A answered B
+  b_to_a INTEGER DEFAULT 0,
+  strength FLOAT, -- 0-1, relative to the strongest pair in the script
+  trend TEXT, -- 'growing', 'fading', 'steady'
+  first_scene INTEGER,
+  last_scene INTEGER,
+  timeline JSONB, -- strength per tenth of the script
+  
+  created_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE(script_id, character_a, character_b)
+);
+
+-- What each re-parse changed, one row per version upgrade of a script
+CREATE TABLE IF NOT EXISTS script_analysis_history (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  script_id UUID REFERENCES scripts(id) ON DELETE CASCADE,
+  
+  from_version TEXT,
+  to_version TEXT NOT NULL,
+  changes JSONB, -- {scenes: {before, after, change}, characters: {added: [], removed: []}, beats: {moved: [...]}, ...}
+  
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Batch parsing runs; a batch left 'running' is resumed by the next run
+CREATE TABLE IF NOT EXISTS parse_batches (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  
+  status TEXT DEFAULT 'running', -- 'running', 'finished'
+  total INTEGER,
+  options JSONB, -- {force: false, maxAttempts: 3}
+  
+  started_at TIMESTAMP,
+  finished_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+-- One job per script in a batch
+CREATE TABLE IF NOT EXISTS parse_jobs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  batch_id UUID REFERENCES parse_batches(id) ON DELETE CASCADE,
+  script_id UUID REFERENCES scripts(id) ON DELETE CASCADE,
+  
+  title TEXT,
+  position INTEGER, -- queue order
+  status TEXT DEFAULT 'pending', -- 'pending', 'running', 'done', 'skipped', 'failed'
+  attempts INTEGER DEFAULT 0,
+  max_attempts INTEGER DEFAULT 3,
+  next_attempt_at TIMESTAMP DEFAULT NOW(), -- retries wait here with exponential backoff
+  last_error TEXT,
+  result JSONB, -- {mode: "parse", scenes: 118, ...} or {mode: "reparse", changes: {...}}
+  
+  started_at TIMESTAMP,
+  finished_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE(batch_id, script_id)
+);
+
+-- Create indexes for faster queries
+CREATE INDEX IF NOT EXISTS idx_scripts_title ON scripts(title);
+CREATE INDEX IF NOT EXISTS idx_scripts_year ON scripts(year);
+CREATE INDEX IF NOT EXISTS idx_scripts_genre ON scripts USING GIN(genre_tags);
+CREATE INDEX IF NOT EXISTS idx_scripts_processed ON scripts(processed);
+CREATE INDEX IF NOT EXISTS idx_scripts_tmdb ON scripts(tmdb_id);
+CREATE INDEX IF NOT EXISTS idx_scripts_arc_shape ON scripts(arc_shape);
+CREATE INDEX IF NOT EXISTS idx_scripts_series ON scripts(series_title, season_number, episode_number);
+CREATE INDEX IF NOT EXISTS idx_character_aliases_script ON character_aliases(script_id);
+CREATE INDEX IF NOT EXISTS idx_character_relationships_script ON character_relationships(script_id);
+CREATE INDEX IF NOT EXISTS idx_script_analysis_history_script ON script_analysis_history(script_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_parse_jobs_queue ON parse_jobs(batch_id, status, next_attempt_at, position);
+
+-- Create updated_at trigger
+CREATE OR REPLACE FUNCTION update_updated_at_column()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = NOW();
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+DROP TRIGGER IF EXISTS update_scripts_updated_at ON scripts;
+CREATE TRIGGER update_scripts_updated_at BEFORE UPDATE ON scripts
+FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Hand the next due job of a batch to a worker. SKIP LOCKED lets any number of
+-- workers (in one process or several) claim jobs without taking the same one.
+CREATE OR REPLACE FUNCTION claim_parse_job(p_batch_id UUID)
+RETURNS SETOF parse_jobs AS $$
+  UPDATE parse_jobs
+  SET status = 'running',
+      attempts = attempts + 1,
+      started_at = NOW()
+  WHERE id = (
+    SELECT id FROM parse_jobs
+    WHERE batch_id = p_batch_id
+      AND status = 'pending'
+      AND next_attempt_at <= NOW()
+    ORDER BY position
+    LIMIT 1
+    FOR UPDATE SKIP LOCKED
+  )
+  RETURNING *;
+$$ LANGUAGE sql;
@@ -0,0 +1,11 @@
+-- =========================================
+-- VESPER42 - Migration 002: Analysis Tables (rollback)
+-- =========================================
+
+DROP FUNCTION IF EXISTS save_script_analysis(UUID, TEXT, JSONB, JSONB);
+
+DROP TABLE IF EXISTS learned_patterns;
+DROP TABLE IF EXISTS story_beats;
+DROP TABLE IF EXISTS dialogue;
+DROP TABLE IF EXISTS characters;
+DROP TABLE IF EXISTS scenes;
@@ -0,0 +1,260 @@
+-- =========================================
+-- VESPER42 - Migration 002: Analysis Tables
+-- What the parser writes per script, and the patterns learned across scripts
+-- =========================================
+
+-- One row per scene, in script order
+CREATE TABLE IF NOT EXISTS scenes (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  script_id UUID NOT NULL REFERENCES scripts(id) ON DELETE CASCADE,
+  
+  -- Heading
+  scene_number INTEGER NOT NULL,
+  scene_number_label TEXT, -- printed number from a shooting script ("12A")
+  scene_type TEXT, -- 'INT.', 'EXT.', 'INT./EXT.', 'EST.'
+  heading_type TEXT, -- 'standard', 'montage', 'intercut', 'flashback', ...
+  location TEXT,
+  parent_location TEXT, -- "POLICE STATION" for "POLICE STATION - INTERROGATION ROOM"
+  sub_location TEXT,
+  time TEXT, -- as written ("LATER", "NIGHT")
+  time_of_day TEXT, -- relative times ("LATER") inherit the previous scene's
+  episode_segment TEXT, -- 'teaser', 'act_1', ..., 'tag' (TV)
+  
+  -- Emotion
+  sentiment FLOAT,
+  sentiment_smoothed FLOAT,
+  dominant_emotion TEXT,
+  
+  -- Pacing
+  length_eighths INTEGER, -- page eighths
+  action_density FLOAT,
+  dialogue_tempo FLOAT,
+  location_change BOOLEAN,
+  pace_score FLOAT,
+  
+  -- Content
+  page_start INTEGER,
+  page_end INTEGER,
+  content TEXT,
+  dialogue_ratio FLOAT,
+  action_line_count INTEGER,
+  dialogue_line_count INTEGER,
+  characters_present TEXT[],
+  
+  created_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE(script_id, scene_number)
+);
+
+-- One row per speaking character (after alias merging)
+CREATE TABLE IF NOT EXISTS characters (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  script_id UUID NOT NULL REFERENCES scripts(id) ON DELETE CASCADE,
+  
+  name TEXT NOT NULL,
+  archetype TEXT,
+  aliases TEXT[] DEFAULT '{}',
+  
+  -- Presence
+  first_appearance_page INTEGER,
+  last_appearance_page INTEGER,
+  total_scenes INTEGER,
+  speaking_scenes INTEGER,
+  total_lines INTEGER,
+  total_words INTEGER,
+  total_speeches INTEGER,
+  dialogue_share FLOAT,
+  screen_time_share FLOAT,
+  importance_rank INTEGER,
+  is_protagonist BOOLEAN DEFAULT false,
+  
+  -- Network
+  degree_centrality FLOAT,
+  betweenness_centrality FLOAT,
+  network_cluster INTEGER,
+  
+  -- Voice
+  voice_profile JSONB, -- {question_rate: 0.2, formality: 0.4, signature_phrases: [...], ...}
+  voice_distinctiveness FLOAT,
+  sounds_like TEXT, -- the character whose voice is closest
+  
+  created_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE(script_id, name)
+);
+
+-- One row per speech
+CREATE TABLE IF NOT EXISTS dialogue (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  script_id UUID NOT NULL REFERENCES scripts(id) ON DELETE CASCADE,
+  scene_id UUID REFERENCES scenes(id) ON DELETE CASCADE,
+  character_id UUID REFERENCES characters(id) ON DELETE CASCADE,
+  
+  line_number INTEGER,
+  text TEXT NOT NULL,
+  length INTEGER, -- words
+  tone TEXT, -- 'neutral', 'questioning', 'exclamatory', ...
+  sentiment FLOAT,
+  emotion TEXT,
+  out_of_voice_score FLOAT,
+  extension TEXT, -- 'V.O.', 'O.S.', ...
+  parentheticals TEXT[],
+  is_dual BOOLEAN DEFAULT false,
+  
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Structure beats found in the script, one per beat type
+CREATE TABLE IF NOT EXISTS story_beats (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  script_id UUID NOT NULL REFERENCES scripts(id) ON DELETE CASCADE,
+  scene_id UUID REFERENCES scenes(id) ON DELETE SET NULL,
+  
+  beat_type TEXT NOT NULL, -- 'Catalyst', 'Midpoint', ...
+  structure_template TEXT, -- 'save-the-cat', 'heros-journey', ...
+  page_number INTEGER,
+  description TEXT,
+  expected_page_range TEXT, -- '10-12'
+  timing_accuracy TEXT, -- 'perfect', 'approximate'
+  confidence FLOAT,
+  signals JSONB, -- {location_shift: 1, tone_shift: 0.4, ...}
+  
+  created_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE(script_id, beat_type)
+);
+
+-- Patterns found by the pattern recognition engine across all scripts
+CREATE TABLE IF NOT EXISTS learned_patterns (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  
+  pattern_type TEXT NOT NULL, -- 'structure', 'dialogue', 'character', 'beat_timing', 'casting'
+  pattern_name TEXT NOT NULL,
+  description TEXT,
+  success_correlation_score FLOAT,
+  found_in_successful_scripts INTEGER,
+  found_in_unsuccessful_scripts INTEGER,
+  genres TEXT[] DEFAULT '{}',
+  
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE(pattern_type, pattern_name)
+);
+
+CREATE INDEX IF NOT EXISTS idx_characters_script_rank ON characters(script_id, importance_rank);
+CREATE INDEX IF NOT EXISTS idx_dialogue_script ON dialogue(script_id, line_number);
+CREATE INDEX IF NOT EXISTS idx_dialogue_scene ON dialogue(scene_id);
+CREATE INDEX IF NOT EXISTS idx_dialogue_character ON dialogue(character_id);
+CREATE INDEX IF NOT EXISTS idx_story_beats_scene ON story_beats(scene_id);
+
+DROP TRIGGER IF EXISTS update_learned_patterns_updated_at ON learned_patterns;
+CREATE TRIGGER update_learned_patterns_updated_at BEFORE UPDATE ON learned_patterns
+FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Save a parse of one script: scripts columns, scenes, characters, dialogue, story
+-- beats, detected aliases and relationships, all in one transaction. On any error
+-- nothing is written and the previous analysis is left untouched.
+-- p_analysis holds JSON arrays of column values ({script: {...}, scenes: [...], ...});
+-- dialogue and beats name their scene by scene_number (dialogue its speaker by
+-- character) and are linked here. Returns the number of rows written per table.
+-- p_changes, when given, is recorded in script_analysis_history.
+CREATE OR REPLACE FUNCTION save_script_analysis(
+  p_script_id UUID,
+  p_version TEXT,
+  p_analysis JSONB,
+  p_changes JSONB DEFAULT NULL
+)
+RETURNS JSONB AS $$
+DECLARE
+  previous_version TEXT;
+  assignments TEXT;
+  written JSONB := '{}'::JSONB;
+  row_total INTEGER;
+BEGIN
+  SELECT analysis_version INTO previous_version FROM scripts WHERE id = p_script_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Script % not found', p_script_id;
+  END IF;
+
+  -- Script-level columns: only keys that are columns of scripts
+  SELECT string_agg(format('%I = r.%I', a.attname, a.attname), ', ')
+  INTO assignments
+  FROM pg_attribute a
+  WHERE a.attrelid = 'scripts'::REGCLASS AND a.attnum > 0 AND NOT a.attisdropped
+    AND a.attname <> 'id' AND (p_analysis->'script') ? a.attname;
+
+  IF assignments IS NOT NULL THEN
+    EXECUTE format('UPDATE scripts t SET %s FROM jsonb_populate_record(NULL::scripts, $1) r WHERE t.id = $2',
+      assignments)
+    USING p_analysis->'script', p_script_id;
+  END IF;
+
+  DELETE FROM dialogue WHERE script_id = p_script_id;
+  DELETE FROM story_beats WHERE script_id = p_script_id;
+  DELETE FROM characters WHERE script_id = p_script_id;
+  DELETE FROM scenes WHERE script_id = p_script_id;
+  DELETE FROM character_relationships WHERE script_id = p_script_id;
+  DELETE FROM character_aliases WHERE script_id = p_script_id AND source = 'auto';
+
+  INSERT INTO scenes
+  SELECT (jsonb_populate_record(NULL::scenes, row_data || jsonb_build_object(
+    'id', gen_random_uuid(), 'script_id', p_script_id, 'created_at', NOW()))).*
+  FROM jsonb_array_elements(p_analysis->'scenes') AS row_data;
+  GET DIAGNOSTICS row_total = ROW_COUNT;
+  written := written || jsonb_build_object('scenes', row_total);
+
+  INSERT INTO characters
+  SELECT (jsonb_populate_record(NULL::characters, row_data || jsonb_build_object(
+    'id', gen_random_uuid(), 'script_id', p_script_id, 'created_at', NOW()))).*
+  FROM jsonb_array_elements(p_analysis->'characters') AS row_data;
+  GET DIAGNOSTICS row_total = ROW_COUNT;
+  written := written || jsonb_build_object('characters', row_total);
+
+  INSERT INTO dialogue
+  SELECT (jsonb_populate_record(NULL::dialogue, row_data || jsonb_build_object(
+    'id', gen_random_uuid(), 'script_id', p_script_id, 'created_at', NOW(),
+    'scene_id', s.id, 'character_id', c.id))).*
+  FROM jsonb_array_elements(p_analysis->'dialogue') AS row_data
+  JOIN scenes s ON s.script_id = p_script_id AND s.scene_number = (row_data->>'scene_number')::INTEGER
+  JOIN characters c ON c.script_id = p_script_id AND c.name = row_data->>'character';
+  GET DIAGNOSTICS row_total = ROW_COUNT;
+  written := written || jsonb_build_object('dialogue', row_total);
+
+  INSERT INTO story_beats
+  SELECT (jsonb_populate_record(NULL::story_beats, row_data || jsonb_build_object(
+    'id', gen_random_uuid(), 'script_id', p_script_id, 'created_at', NOW(), 'scene_id', s.id))).*
+  FROM jsonb_array_elements(p_analysis->'beats') AS row_data
+  LEFT JOIN scenes s ON s.script_id = p_script_id AND s.scene_number = (row_data->>'scene_number')::INTEGER;
+  GET DIAGNOSTICS row_total = ROW_COUNT;
+  written := written || jsonb_build_object('story_beats', row_total);
+
+  -- Manual overrides stay; a detected alias never replaces one
+  INSERT INTO character_aliases
+  SELECT (jsonb_populate_record(NULL::character_aliases, row_data || jsonb_build_object(
+    'id', gen_random_uuid(), 'script_id', p_script_id, 'created_at', NOW()))).*
+  FROM jsonb_array_elements(p_analysis->'aliases') AS row_data
+  ON CONFLICT (script_id, alias) DO NOTHING;
+  GET DIAGNOSTICS row_total = ROW_COUNT;
+  written := written || jsonb_build_object('character_aliases', row_total);
+
+  INSERT INTO character_relationships
+  SELECT (jsonb_populate_record(NULL::character_relationships, row_data || jsonb_build_object(
+    'id', gen_random_uuid(), 'script_id', p_script_id, 'created_at', NOW()))).*
+  FROM jsonb_array_elements(p_analysis->'relationships') AS row_data;
+  GET DIAGNOSTICS row_total = ROW_COUNT;
+  written := written || jsonb_build_object('character_relationships', row_total);
+
+  UPDATE scripts
+  SET analysis_version = p_version,
+      processed = true,
+      scene_count = (written->>'scenes')::INTEGER,
+      character_count = (written->>'characters')::INTEGER,
+      total_dialogue_lines = (written->>'dialogue')::INTEGER
+  WHERE id = p_script_id;
+
+  IF p_changes IS NOT NULL THEN
+    INSERT INTO script_analysis_history (script_id, from_version, to_version, changes)
+    VALUES (p_script_id, previous_version, p_version, p_changes);
+  END IF;
+
+  RETURN written;
+END;
+$$ LANGUAGE plpgsql;
+
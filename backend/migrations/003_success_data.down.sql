@@ -0,0 +1,8 @@
+-- =========================================
+-- VESPER42 - Migration 003: Success Data (rollback)
+-- =========================================
+
+DROP TABLE IF EXISTS critical_reviews;
+DROP TABLE IF EXISTS awards;
+DROP TABLE IF EXISTS performances;
+DROP TABLE IF EXISTS actors;
@@ -0,0 +1,62 @@
+-- =========================================
+-- VESPER42 - Migration 003: Success Data
+-- Cast, awards and critical reviews from TMDB (success-data-collector)
+-- =========================================
+
+CREATE TABLE IF NOT EXISTS actors (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  
+  name TEXT NOT NULL,
+  tmdb_id INTEGER UNIQUE,
+  oscar_wins INTEGER DEFAULT 0,
+  emmy_wins INTEGER DEFAULT 0,
+  best_genres TEXT[] DEFAULT '{}',
+  typecast_roles TEXT[] DEFAULT '{}',
+  
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Who played whom in which script
+CREATE TABLE IF NOT EXISTS performances (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  actor_id UUID NOT NULL REFERENCES actors(id) ON DELETE CASCADE,
+  script_id UUID NOT NULL REFERENCES scripts(id) ON DELETE CASCADE,
+  
+  character_name TEXT,
+  role_type TEXT, -- 'lead', 'supporting', 'ensemble'
+  
+  created_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE(actor_id, script_id)
+);
+
+CREATE TABLE IF NOT EXISTS awards (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  script_id UUID REFERENCES scripts(id) ON DELETE CASCADE,
+  actor_id UUID REFERENCES actors(id) ON DELETE CASCADE,
+  
+  award_name TEXT NOT NULL, -- 'Academy Award'
+  category TEXT NOT NULL, -- 'Best Picture'
+  year INTEGER NOT NULL,
+  winner_type TEXT, -- 'script' or 'actor'
+  winner_name TEXT,
+  prestige_level TEXT, -- 'major', 'minor'
+  
+  created_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE(script_id, award_name, category, year)
+);
+
+-- Review quotes, one row per script and source
+CREATE TABLE IF NOT EXISTS critical_reviews (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  script_id UUID NOT NULL REFERENCES scripts(id) ON DELETE CASCADE,
+  
+  source TEXT NOT NULL, -- 'TMDB'
+  top_critic_quotes JSONB, -- [{author: "...", content: "...", rating: 8}]
+  
+  created_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE(script_id, source)
+);
+
+CREATE INDEX IF NOT EXISTS idx_performances_script ON performances(script_id);
+CREATE INDEX IF NOT EXISTS idx_awards_script ON awards(script_id);
+CREATE INDEX IF NOT EXISTS idx_awards_actor ON awards(actor_id);
@@ -0,0 +1,6 @@
+-- =========================================
+-- VESPER42 - Migration 004: Market Signals (rollback)
+-- =========================================
+
+DROP TABLE IF EXISTS social_signals;
+DROP TABLE IF EXISTS trends;
@@ -0,0 +1,38 @@
+-- =========================================
+-- VESPER42 - Migration 004: Market Signals
+-- Trending titles and social buzz for the dashboard (server.js)
+-- =========================================
+
+CREATE TABLE IF NOT EXISTS trends (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  
+  tmdb_id INTEGER NOT NULL UNIQUE,
+  title TEXT NOT NULL,
+  media_type TEXT, -- 'movie' or 'tv'
+  genre TEXT,
+  vote_average FLOAT,
+  popularity FLOAT,
+  momentum_score FLOAT,
+  release_date DATE,
+  
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Ids come from the collector ("social_3_1712345678901")
+CREATE TABLE IF NOT EXISTS social_signals (
+  id TEXT PRIMARY KEY,
+  
+  show_title TEXT NOT NULL,
+  platform TEXT, -- 'reddit', ...
+  sentiment_score FLOAT,
+  engagement_score INTEGER,
+  mention_count INTEGER,
+  buzz_score FLOAT,
+  
+  collected_at TIMESTAMP DEFAULT NOW(),
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_trends_momentum ON trends(momentum_score DESC);
+CREATE INDEX IF NOT EXISTS idx_social_signals_buzz ON social_signals(buzz_score DESC);
+CREATE INDEX IF NOT EXISTS idx_social_signals_show ON social_signals(show_title);
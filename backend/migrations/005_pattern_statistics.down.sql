@@ -0,0 +1,12 @@
+-- =========================================
+-- VESPER42 - Migration 005: Pattern Statistics (rollback)
+-- =========================================
+
+ALTER TABLE learned_patterns
+  DROP COLUMN IF EXISTS statistics,
+  DROP COLUMN IF EXISTS is_significant,
+  DROP COLUMN IF EXISTS adjusted_p_value,
+  DROP COLUMN IF EXISTS p_value,
+  DROP COLUMN IF EXISTS effect_size,
+  DROP COLUMN IF EXISTS sample_size,
+  DROP COLUMN IF EXISTS outcome;
@@ -0,0 +1,13 @@
+-- =========================================
+-- VESPER42 - Migration 005: Pattern Statistics
+-- Test statistics behind each learned pattern (ai/pattern-recognition.js)
+-- =========================================
+
+ALTER TABLE learned_patterns
+  ADD COLUMN IF NOT EXISTS outcome TEXT, -- 'imdb_rating' or 'box_office'
+  ADD COLUMN IF NOT EXISTS sample_size INTEGER, -- scripts with both the feature and the outcome
+  ADD COLUMN IF NOT EXISTS effect_size FLOAT, -- Cohen's d, hits vs misses
+  ADD COLUMN IF NOT EXISTS p_value FLOAT, -- Pearson test, uncorrected
+  ADD COLUMN IF NOT EXISTS adjusted_p_value FLOAT, -- Benjamini-Hochberg across the run
+  ADD COLUMN IF NOT EXISTS is_significant BOOLEAN DEFAULT false,
+  ADD COLUMN IF NOT EXISTS statistics JSONB; -- {pearson: {r, ci, p}, spearman: {rho, p}, effect: {d, ci}, means: {...}}
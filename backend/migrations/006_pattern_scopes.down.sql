@@ -0,0 +1,9 @@
+-- =========================================
+-- VESPER42 - Migration 006: Pattern Scopes (rollback)
+-- =========================================
+
+DROP INDEX IF EXISTS idx_learned_patterns_media_type;
+DROP INDEX IF EXISTS idx_learned_patterns_genres;
+
+ALTER TABLE learned_patterns
+  DROP COLUMN IF EXISTS media_type;
@@ -0,0 +1,11 @@
+-- =========================================
+-- VESPER42 - Migration 006: Pattern Scopes
+-- Patterns learned within one genre or media type
+-- =========================================
+
+ALTER TABLE learned_patterns
+  ADD COLUMN IF NOT EXISTS media_type TEXT; -- 'movie' or 'tv' when learned within one media type
+
+-- genres is ['all'], or the one genre the pattern was learned within
+CREATE INDEX IF NOT EXISTS idx_learned_patterns_genres ON learned_patterns USING GIN(genres);
+CREATE INDEX IF NOT EXISTS idx_learned_patterns_media_type ON learned_patterns(media_type);
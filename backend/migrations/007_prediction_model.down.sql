@@ -0,0 +1,8 @@
+-- =========================================
+-- VESPER42 - Migration 007: Prediction Model (rollback)
+-- =========================================
+
+DROP INDEX IF EXISTS idx_predictions_script;
+
+ALTER TABLE predictions
+  DROP COLUMN IF EXISTS script_id;
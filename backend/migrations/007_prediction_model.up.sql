@@ -0,0 +1,9 @@
+-- =========================================
+-- VESPER42 - Migration 007: Prediction Model
+-- Predictions for saved scripts, from the trained success model
+-- =========================================
+
+ALTER TABLE predictions
+  ADD COLUMN IF NOT EXISTS script_id UUID REFERENCES scripts(id) ON DELETE CASCADE; -- null for concepts
+
+CREATE INDEX IF NOT EXISTS idx_predictions_script ON predictions(script_id);
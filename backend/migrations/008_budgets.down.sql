@@ -0,0 +1,6 @@
+-- =========================================
+-- VESPER42 - Migration 008: Budgets (rollback)
+-- =========================================
+
+ALTER TABLE scripts
+  DROP COLUMN IF EXISTS budget;
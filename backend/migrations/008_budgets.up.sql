@@ -0,0 +1,7 @@
+-- =========================================
+-- VESPER42 - Migration 008: Budgets
+-- Production budgets for revenue forecasting
+-- =========================================
+
+ALTER TABLE scripts
+  ADD COLUMN IF NOT EXISTS budget BIGINT; -- production budget in USD (TMDB)
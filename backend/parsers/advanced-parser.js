@@ -5,12 +5,25 @@
 
 require('dotenv').config();
 
-const { createClient } = require('@supabase/supabase-js');
+const FountainImporter = require('./fountain-importer');
+const FdxImporter = require('./fdx-importer');
+const PdfImporter = require('./pdf-importer');
+const TextTokenizer = require('./text-tokenizer');
+const SluglineParser = require('./slugline-parser');
+const AliasResolver = require('./alias-resolver');
+const CharacterNetwork = require('./character-network');
+const BeatDetector = require('./beat-detector');
+const StructureTemplateRegistry = require('./structure-templates');
+const EpisodeStructure = require('./episode-structure');
+const EmotionAnalyzer = require('./emotion-analyzer');
+const VoiceProfiler = require('./voice-profiler');
+const PacingAnalyzer = require('./pacing-analyzer');
+const ParseHistory = require('./parse-history');
+const AnalysisRows = require('./analysis-rows');
 
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_KEY
-);
+const { PARSER_VERSION } = ParseHistory;
+
+const db = require('../storage');
 
 class AdvancedScriptParser {
   
@@ -19,7 +32,7 @@ class AdvancedScriptParser {
     console.log(`\n🔬 Deep parsing script ID: ${scriptId}\n`);
     
     // Get the script
-    const { data: script, error } = await supabase
+    const { data: script, error } = await db
       .from('scripts')
       .select('*')
       .eq('id', scriptId)
@@ -30,108 +43,331 @@ class AdvancedScriptParser {
       return null;
     }
     
-    const text = script.raw_text;
+    const hints = await this.loadAliasHints(scriptId);
+    
+    return this.parseSource(script.raw_text, {
+      scriptId,
+      filename: script.source_url,
+      mediaType: script.media_type,
+      seriesTitle: script.series_title,
+      seasonNumber: script.season_number,
+      episodeNumber: script.episode_number,
+      ...hints
+    });
+  }
+  
+  // Cast list names and reviewed alias overrides for a stored script
+  async loadAliasHints(scriptId) {
+    const { data: performances } = await db
+      .from('performances')
+      .select('character_name')
+      .eq('script_id', scriptId);
+    
+    const { data: overrides } = await db
+      .from('character_aliases')
+      .select('alias, canonical_name')
+      .eq('script_id', scriptId)
+      .eq('source', 'manual');
+    
+    return {
+      castNames: (performances || []).map(p => p.character_name).filter(Boolean),
+      aliasOverrides: overrides || []
+    };
+  }
+  
+  // Parse script text or a file buffer without touching the database
+  async parseSource(input, options = {}) {
+    // Step 0: Import the source (plain text, Fountain, Final Draft or PDF)
+    const source = await this.importScript(input, options);
+    const text = source.text;
+    console.log(`✅ Imported ${source.format} source`);
     
     // Step 1: Extract scenes
-    const scenes = this.extractScenes(text);
+    const scenes = source.elements
+      ? this.extractScenesFromElements(source.elements)
+      : this.extractScenes(text);
     console.log(`✅ Extracted ${scenes.length} scenes`);
     
-    // Step 2: Extract characters
-    const characters = this.extractCharacters(scenes);
+    // Step 2: Extract dialogue
+    const dialogue = this.extractDialogue(scenes);
+    console.log(`✅ Parsed ${dialogue.length} dialogue lines`);
+    
+    // Step 2b: Merge name variants ("DETECTIVE MILLER" = "MILLER")
+    const aliases = this.resolveAliases(scenes, dialogue, options);
+    console.log(`✅ Resolved ${Object.keys(aliases.aliases).length} character aliases`);
+    
+    // Step 3: Extract characters from their actual speeches
+    const characters = this.extractCharacters(scenes, dialogue);
+    characters.forEach(char => {
+      const group = aliases.groups.find(g => g.canonical_name === char.name);
+      char.aliases = group ? group.variants.map(v => v.alias) : [];
+    });
     console.log(`✅ Identified ${characters.length} characters`);
     
-    // Step 3: Extract dialogue
-    const dialogue = this.extractDialogue(scenes, characters);
-    console.log(`✅ Parsed ${dialogue.length} dialogue lines`);
+    // Step 3b: Who shares scenes with whom, who talks to whom
+    const network = new CharacterNetwork().build(scenes, dialogue, characters);
+    characters.forEach(char => {
+      const node = network.nodes.find(n => n.name === char.name);
+      char.degree_centrality = node ? node.degree_centrality : 0;
+      char.betweenness_centrality = node ? node.betweenness_centrality : 0;
+      char.network_cluster = node ? node.cluster : null;
+    });
+    console.log(`✅ Mapped ${network.edges.length} character relationships`);
+    
+    // Step 3c: Episodes: teaser / act breaks / tag, season and episode numbers
+    const episode = this.analyzeEpisode(scenes, source, options);
+    if (episode.media_type === 'tv') {
+      console.log(`✅ TV episode with ${episode.act_count} acts${episode.has_teaser ? ' + teaser' : ''}${episode.has_tag ? ' + tag' : ''}`);
+    }
+    
+    // Step 3d: Sentiment per line and scene, smoothed into an emotional arc
+    const emotionalArc = new EmotionAnalyzer().analyze(scenes, dialogue);
+    console.log(`✅ Emotional arc: ${emotionalArc.arc_label} (fit ${emotionalArc.arc_fit})`);
+    
+    // Step 3e: Voice fingerprints, who sounds alike, lines out of voice
+    const voices = new VoiceProfiler().analyze(dialogue, characters);
+    characters.forEach(char => {
+      const profile = voices.profiles[char.name];
+      char.voice_profile = profile || null;
+      char.voice_distinctiveness = profile ? profile.distinctiveness : null;
+      char.sounds_like = profile ? profile.sounds_like : null;
+    });
+    console.log(`✅ Profiled ${Object.keys(voices.profiles).length} character voices (${voices.out_of_voice.length} lines out of voice)`);
+    
+    // Step 3f: Scene rhythm: length in eighths, tempo, location churn, slow stretches
+    const pacing = new PacingAnalyzer().analyze(scenes, dialogue);
+    pacing.scenes.forEach((metrics, i) => {
+      Object.assign(scenes[i], {
+        length_eighths: metrics.length_eighths,
+        action_density: metrics.action_density,
+        dialogue_tempo: metrics.dialogue_tempo,
+        location_change: metrics.location_change,
+        pace_score: metrics.pace
+      });
+    });
+    console.log(`✅ Measured pacing (${pacing.slow_stretches.length} slow stretches)`);
     
-    // Step 4: Identify story beats
-    const beats = this.identifyBeats(scenes, text);
+    // Step 4: Identify story beats for the chosen structure template
+    // (episodes default to a TV template fitted to their act breaks)
+    const structure = new StructureTemplateRegistry().get(options.structure ||
+      (episode.media_type === 'tv' ? new EpisodeStructure().templateFor(episode) : undefined));
+    const beats = this.identifyBeats(scenes, text, characters, dialogue, structure, episode.segments);
     console.log(`✅ Identified ${beats.length} story beats`);
     
     // Step 5: Analyze patterns
-    const analysis = this.analyzePatterns(scenes, characters, dialogue, beats);
+    const analysis = this.analyzePatterns(scenes, characters, dialogue, beats, voices, pacing);
     console.log(`✅ Completed pattern analysis`);
     
     return {
-      script_id: scriptId,
+      script_id: options.scriptId || null,
+      format: source.format,
+      text,
+      title_page: source.title_page,
       scenes,
       characters,
+      aliases: aliases.groups,
+      alias_map: aliases.aliases,
+      network,
       dialogue,
+      episode,
+      emotional_arc: emotionalArc,
+      voices: { pairs: voices.pairs, out_of_voice: voices.out_of_voice },
+      pacing: { heatmap: pacing.heatmap, slow_stretches: pacing.slow_stretches, summary: pacing.summary },
+      structure_template: structure.id,
       beats,
       analysis
     };
   }
   
-  // Extract scenes from script
-  extractScenes(text) {
-    const scenes = [];
-    const lines = text.split('\n');
+  // Guess the source format from file name and content
+  detectFormat(text, filename = '') {
+    const name = (filename || '').toLowerCase();
+    if (/\.pdf$/.test(name) || text.startsWith('%PDF-')) return 'pdf';
+    if (/\.fdx$/.test(name)) return 'fdx';
+    if (/\.(fountain|spmd)$/.test(name)) return 'fountain';
+    
+    const head = text.slice(0, 2000);
+    if (/<FinalDraft[\s>]/.test(head)) return 'fdx';
+    
+    // IMSDB-style text is laid out with deep indentation; Fountain never is
+    const lines = text.split('\n').filter(l => l.trim().length > 0);
+    const indented = lines.filter(l => /^\s{10,}/.test(l)).length;
+    if (lines.length === 0 || indented / lines.length > 0.2) return 'text';
+    
+    const fountainMarkers = [
+      /^(Title|Credit|Author|Draft date):/im,
+      /^\.[A-Z0-9][^.]/m,
+      /^@\S/m,
+      /\^\s*$/m,
+      /^>.*<\s*$/m,
+      /^===+\s*$/m,
+      /\[\[[\s\S]*?\]\]/,
+      /\/\*[\s\S]*?\*\//
+    ];
+    return fountainMarkers.some(marker => marker.test(text)) ? 'fountain' : 'text';
+  }
+  
+  // Normalize any supported source into text (+ elements for structured formats)
+  // Errors from a malformed source are tagged code 'IMPORT_FAILED' (bad input, not a server fault)
+  async importScript(source, options = {}) {
+    const isBuffer = Buffer.isBuffer(source);
+    const head = isBuffer ? source.slice(0, 2000).toString('latin1') : source;
+    const format = options.format || this.detectFormat(head, options.filename);
     
-    let currentScene = null;
-    let sceneNumber = 0;
-    let pageCount = 0;
+    try {
+      // PDFs keep their physical pages, joined with form feeds
+      if (format === 'pdf') {
+        return await new PdfImporter().parse(isBuffer ? source : Buffer.from(source, 'latin1'));
+      }
+      
+      const text = isBuffer ? source.toString('utf8') : source;
+      
+      if (format === 'text') {
+        return { format, text, elements: null, title_page: {}, notes: [] };
+      }
+      
+      const importer = format === 'fdx' ? new FdxImporter() : new FountainImporter();
+      const imported = importer.parse(text);
+      
+      return {
+        ...imported,
+        text: this.renderElements(imported.elements).join('\n')
+      };
+    } catch (error) {
+      error.code = error.code || 'IMPORT_FAILED';
+      throw error;
+    }
+  }
+  
+  // Render elements back to plain screenplay lines
+  renderElements(elements) {
+    const lines = [];
+    elements.forEach(element => {
+      lines.push(...this.renderElement(element), '');
+    });
+    return lines;
+  }
+  
+  renderElement(element) {
+    switch (element.type) {
+      case 'scene_heading':
+      case 'transition':
+        return [element.text];
+      case 'character':
+        return [element.extension ? `${element.name} (${element.extension})` : element.name];
+      case 'section':
+      case 'synopsis':
+      case 'page_break':
+        return [];
+      default:
+        return element.text.split('\n');
+    }
+  }
+  
+  // Parse sluglines: "12 INT. HOUSE - KITCHEN - MOMENTS LATER", montages, intercuts...
+  parseSceneHeading(line) {
+    const heading = new SluglineParser().parse(line);
     
-    for (let i = 0; i < lines.length; i++) {
-      const line = lines[i].trim();
+    return {
+      scene_type: heading.scene_type,
+      heading_type: heading.heading_type,
+      location: heading.location || 'UNKNOWN',
+      parent_location: heading.parent_location,
+      sub_location: heading.sub_location,
+      description: heading.description,
+      time: heading.time,
+      time_relative: heading.time_relative,
+      modifiers: heading.modifiers,
+      scene_number_label: heading.scene_number_label
+    };
+  }
+  
+  // "LATER" / "CONTINUOUS" / missing times inherit the previous scene's time of day
+  resolveTimeOfDay(scenes) {
+    let current = null;
+    scenes.forEach(scene => {
+      if (scene.time && !scene.time_relative) current = scene.time;
+      scene.time_of_day = current;
+    });
+  }
+  
+  // Build scenes from screenplay elements (any source format)
+  extractScenesFromElements(elements) {
+    const scenes = [];
+    let currentScene = null;
+    let lineIndex = 0;
+    let pageBreaks = 0;
+    
+    // Known pages (PDF / tokenizer) first, then explicit page breaks, then the line estimate
+    const hasPageBreaks = elements.some(e => e.type === 'page_break');
+    const pageOf = element => element.page || (hasPageBreaks
+      ? pageBreaks + 1
+      : Math.floor(lineIndex / 60) + 1);
+    let lastPage = 1;
+    const episodes = new EpisodeStructure();
+    let segment = null; // teaser / act / tag the next scene belongs to
+    
+    elements.forEach(element => {
+      if (element.type === 'page_break') {
+        pageBreaks++;
+        return;
+      }
+      
+      const rendered = this.renderElement(element);
+      const page = pageOf(element);
+      lineIndex += rendered.length + 1;
+      lastPage = page;
       
-      // Detect scene header (INT. or EXT.)
-      if (/^(INT\.|EXT\.)/i.test(line)) {
-        // Save previous scene
+      // "ACT TWO" / "END OF TEASER" mark where the next scenes belong, not scene content
+      const marker = episodes.markerOf(element);
+      if (marker) {
+        segment = marker.end ? episodes.after(marker) : marker;
+        return;
+      }
+      
+      if (element.type === 'scene_heading') {
         if (currentScene) {
-          currentScene.page_end = pageCount;
+          currentScene.page_end = page;
           scenes.push(currentScene);
         }
         
-        // Start new scene
-        sceneNumber++;
-        const match = line.match(/^(INT\.|EXT\.)\s+(.+?)\s+-\s+(DAY|NIGHT|DAWN|DUSK|CONTINUOUS)/i);
-        
+        const heading = this.parseSceneHeading(element.text);
         currentScene = {
-          scene_number: sceneNumber,
-          scene_type: match ? match[1].toUpperCase() : 'INT.',
-          location: match ? match[2].trim() : 'UNKNOWN',
-          time: match ? match[3].toUpperCase() : 'DAY',
-          page_start: pageCount,
+          scene_number: scenes.length + 1,
+          ...heading,
+          scene_number_label: element.scene_number_label || heading.scene_number_label,
+          episode_segment: segment ? segment.key : null,
+          episode_segment_title: segment ? segment.title : null,
+          page_start: page,
           page_end: null,
           content: '',
           dialogue_lines: [],
           action_lines: [],
-          characters_present: new Set()
+          characters_present: new Set(),
+          elements: []
         };
       }
       
-      // Add content to current scene
-      if (currentScene) {
-        currentScene.content += line + '\n';
-        
-        // Track characters (all-caps names)
-        if (/^[A-Z][A-Z\s]{2,}$/.test(line) && line.length < 30) {
-          currentScene.characters_present.add(line.trim());
-        }
-        
-        // Classify line type
-        if (/^[A-Z][A-Z\s]{2,}$/.test(line)) {
-          // Character name
-        } else if (line.length > 0 && i > 0 && /^[A-Z][A-Z\s]{2,}$/.test(lines[i-1].trim())) {
-          // Dialogue (follows character name)
-          currentScene.dialogue_lines.push(line);
-        } else if (line.length > 0) {
-          // Action
-          currentScene.action_lines.push(line);
-        }
-      }
+      if (!currentScene) return;
       
-      // Estimate page count (60 lines = 1 page)
-      if (i % 60 === 0) pageCount++;
-    }
+      currentScene.elements.push(element);
+      currentScene.content += rendered.map(l => l + '\n').join('');
+      
+      if (element.type === 'character') {
+        currentScene.characters_present.add(element.name);
+      } else if (element.type === 'dialogue') {
+        currentScene.dialogue_lines.push(...element.text.split('\n').filter(l => l.trim()));
+      } else if (element.type === 'action' || element.type === 'centered') {
+        currentScene.action_lines.push(...element.text.split('\n').filter(l => l.trim()));
+      }
+    });
     
-    // Save last scene
     if (currentScene) {
-      currentScene.page_end = pageCount;
+      currentScene.page_end = lastPage;
       scenes.push(currentScene);
     }
     
-    // Convert Set to Array
+    this.resolveTimeOfDay(scenes);
     scenes.forEach(scene => {
       scene.characters_present = Array.from(scene.characters_present);
       scene.dialogue_ratio = scene.dialogue_lines.length / 
@@ -141,113 +377,225 @@ class AdvancedScriptParser {
     return scenes;
   }
   
-  // Extract all characters from scenes
-  extractCharacters(scenes) {
+  countPages(text) {
+    return text.includes('\f')
+      ? text.split('\f').length
+      : Math.ceil(text.split('\n').length / 60);
+  }
+  
+  // Extract scenes from plain script text
+  extractScenes(text) {
+    return this.extractScenesFromElements(new TextTokenizer().tokenize(text));
+  }
+  
+  // Cluster speaker name variants and rename them to one canonical name
+  resolveAliases(scenes, dialogue, { castNames = [], aliasOverrides = [] } = {}) {
+    const weights = {};
+    scenes.forEach(scene => scene.characters_present.forEach(name => {
+      weights[name] = weights[name] || 0;
+    }));
+    dialogue.forEach(d => {
+      weights[d.character] = (weights[d.character] || 0) + d.line_count;
+    });
+    
+    const resolution = new AliasResolver().resolve(
+      Object.keys(weights).map(name => ({ name, weight: weights[name] })),
+      { castNames, overrides: aliasOverrides }
+    );
+    const canonical = name => resolution.aliases[name] || name;
+    
+    scenes.forEach(scene => {
+      scene.characters_present = Array.from(new Set(scene.characters_present.map(canonical)));
+      scene.elements.forEach(element => {
+        if (element.type === 'character') element.name = canonical(element.name);
+      });
+    });
+    dialogue.forEach(d => {
+      d.character = canonical(d.character);
+    });
+    
+    return resolution;
+  }
+  
+  // Extract characters with exact per-speaker counts from the dialogue blocks
+  extractCharacters(scenes, dialogue) {
     const characterMap = new Map();
+    const sceneLength = scene => scene.content.split('\n').filter(l => l.trim()).length;
+    const totalLength = scenes.reduce((sum, s) => sum + sceneLength(s), 0) || 1;
+    const totalWords = dialogue.reduce((sum, d) => sum + d.length, 0) || 1;
+    const lastPage = scenes[scenes.length - 1]?.page_end || 1;
+    
+    const characterFor = (name, scene) => {
+      if (!characterMap.has(name)) {
+        characterMap.set(name, {
+          name,
+          first_appearance: scene.page_start,
+          last_appearance: scene.page_end,
+          first_scene: scene.scene_number,
+          last_scene: scene.scene_number,
+          scenes_in: [],
+          speeches_per_scene: {},
+          total_speeches: 0,
+          total_lines: 0,
+          total_words: 0,
+          screen_time: 0,
+          dialogue_samples: []
+        });
+      }
+      return characterMap.get(name);
+    };
     
     scenes.forEach(scene => {
-      scene.characters_present.forEach(charName => {
-        if (!characterMap.has(charName)) {
-          characterMap.set(charName, {
-            name: charName,
-            first_appearance: scene.page_start,
-            scenes_in: [],
-            total_lines: 0,
-            dialogue_samples: []
-          });
-        }
-        
-        const char = characterMap.get(charName);
+      scene.characters_present.forEach(name => {
+        const char = characterFor(name, scene);
         char.scenes_in.push(scene.scene_number);
-        char.total_lines += scene.dialogue_lines.length; // Approximate
+        char.last_appearance = scene.page_end;
+        char.last_scene = scene.scene_number;
+        char.screen_time += sceneLength(scene);
       });
     });
     
-    return Array.from(characterMap.values()).sort((a, b) => 
-      b.total_lines - a.total_lines
-    );
+    const sceneByNumber = new Map(scenes.map(s => [s.scene_number, s]));
+    dialogue.forEach(d => {
+      const char = characterFor(d.character, sceneByNumber.get(d.scene_number));
+      char.total_speeches++;
+      char.total_lines += d.line_count;
+      char.total_words += d.length;
+      char.speeches_per_scene[d.scene_number] = (char.speeches_per_scene[d.scene_number] || 0) + 1;
+      if (char.dialogue_samples.length < 3) char.dialogue_samples.push(d.text);
+    });
+    
+    const characters = Array.from(characterMap.values()).map(char => {
+      const speakingScenes = Object.keys(char.speeches_per_scene).length;
+      return {
+        ...char,
+        speaking_scenes: speakingScenes,
+        avg_words_per_speech: char.total_speeches > 0 ? char.total_words / char.total_speeches : 0,
+        dialogue_share: char.total_words / totalWords,
+        screen_time_share: char.screen_time / totalLength,
+        // How much of the script lies between first and last appearance
+        presence_span: (char.last_appearance - char.first_appearance + 1) / lastPage
+      };
+    });
+    
+    return this.rankCharacters(characters);
+  }
+  
+  // Protagonist = most dialogue + most screen time + present from start to finish
+  rankCharacters(characters) {
+    const maxShare = Math.max(...characters.map(c => c.dialogue_share), 0) || 1;
+    const maxScreen = Math.max(...characters.map(c => c.screen_time_share), 0) || 1;
+    
+    characters.forEach(char => {
+      char.importance_score = Math.round((
+        0.45 * (char.dialogue_share / maxShare) +
+        0.35 * (char.screen_time_share / maxScreen) +
+        0.2 * Math.min(char.presence_span, 1)
+      ) * 1000) / 1000;
+    });
+    
+    characters.sort((a, b) => b.importance_score - a.importance_score || b.total_words - a.total_words);
+    characters.forEach((char, index) => {
+      char.importance_rank = index + 1;
+      char.is_protagonist = index === 0 && char.total_speeches > 0;
+    });
+    
+    return characters;
   }
   
-  // Extract dialogue with context
-  extractDialogue(scenes, characters) {
+  // Extract dialogue as speech blocks: one entry per speech, with the
+  // speaker's extension, parentheticals and dual-dialogue flag
+  extractDialogue(scenes) {
     const dialogue = [];
     
     scenes.forEach(scene => {
-      const lines = scene.content.split('\n');
-      let currentCharacter = null;
+      let block = null;
       let lineNumber = 0;
       
-      lines.forEach(line => {
-        const trimmed = line.trim();
-        
-        // Character name
-        if (/^[A-Z][A-Z\s]{2,}$/.test(trimmed) && trimmed.length < 30) {
-          currentCharacter = trimmed;
-        }
-        // Dialogue line
-        else if (currentCharacter && trimmed.length > 0 && 
-                 !/^(INT\.|EXT\.|FADE|CUT)/.test(trimmed)) {
+      const closeBlock = () => {
+        if (block && block.lines.length > 0) {
+          const text = block.lines.join(' ');
           lineNumber++;
           dialogue.push({
             scene_number: scene.scene_number,
-            character: currentCharacter,
+            character: block.character,
+            speaker_cue: block.speaker_cue,
+            extension: block.extension,
+            continued: block.continued,
+            parentheticals: block.parentheticals,
+            dual: block.dual,
             line_number: lineNumber,
-            text: trimmed,
-            length: trimmed.split(' ').length,
-            // Basic tone detection
-            tone: this.detectTone(trimmed)
+            text,
+            line_count: block.lines.length,
+            length: text.split(/\s+/).filter(Boolean).length,
+            tone: this.detectTone(text)
           });
         }
+        block = null;
+      };
+      
+      scene.elements.forEach(element => {
+        if (element.type === 'character') {
+          closeBlock();
+          block = {
+            character: element.name,
+            speaker_cue: element.text,
+            extension: element.extension || null,
+            continued: Boolean(element.continued),
+            parentheticals: [],
+            dual: Boolean(element.dual),
+            lines: []
+          };
+        } else if (block && element.type === 'parenthetical') {
+          block.parentheticals.push(element.text.replace(/\s*\n\s*/g, ' '));
+        } else if (block && element.type === 'dialogue') {
+          block.lines.push(...element.text.split('\n').map(l => l.trim()).filter(Boolean));
+        } else {
+          closeBlock();
+        }
       });
+      
+      closeBlock();
     });
     
     return dialogue;
   }
   
-  // Identify story beats
-  identifyBeats(scenes, fullText) {
-    const beats = [];
-    const totalPages = Math.ceil(fullText.split('\n').length / 60);
-    
-    // Industry standard beat locations
-    const beatTemplates = [
-      { name: 'Opening Image', range: [1, 3] },
-      { name: 'Inciting Incident', range: [10, 15] },
-      { name: 'End of Act 1', range: [25, 30] },
-      { name: 'Midpoint', range: [55, 65] },
-      { name: 'All Is Lost', range: [75, 85] },
-      { name: 'Climax', range: [90, 100] },
-      { name: 'Resolution', range: [105, 115] }
-    ];
+  // Identify story beats from scene signals, scaled to the script's length
+  // (or to the episode's written act breaks when it has them)
+  identifyBeats(scenes, fullText, characters = [], dialogue = [], structure, segments = []) {
+    const registry = new StructureTemplateRegistry();
+    let beats = registry.detectionBeats(structure);
+    if (segments.length > 0) {
+      beats = new EpisodeStructure().alignBeats(beats, registry.get(structure), segments);
+    }
     
-    beatTemplates.forEach(template => {
-      // Find scenes in this range
-      const matchingScenes = scenes.filter(s => 
-        s.page_start >= template.range[0] && 
-        s.page_start <= template.range[1]
-      );
-      
-      if (matchingScenes.length > 0) {
-        // Take the scene with most dialogue (usually the important one)
-        const importantScene = matchingScenes.sort((a, b) => 
-          b.dialogue_lines.length - a.dialogue_lines.length
-        )[0];
-        
-        beats.push({
-          beat_type: template.name,
-          page_number: importantScene.page_start,
-          scene_number: importantScene.scene_number,
-          location: importantScene.location,
-          confidence: matchingScenes.length > 1 ? 0.7 : 0.5
-        });
-      }
+    return new BeatDetector().detect(scenes, {
+      totalPages: this.countPages(fullText),
+      characters,
+      dialogue,
+      beats
     });
+  }
+  
+  // Act structure plus series / season / episode; explicit options win over the title page
+  analyzeEpisode(scenes, source, options = {}) {
+    const episodes = new EpisodeStructure();
+    const structure = episodes.build(scenes);
+    const info = episodes.metadata(source.title_page, source.text);
     
-    return beats;
+    return {
+      media_type: episodes.mediaType(structure, info, options.mediaType),
+      series_title: options.seriesTitle || info.series_title,
+      season_number: options.seasonNumber ?? info.season_number,
+      episode_number: options.episodeNumber ?? info.episode_number,
+      episode_title: options.episodeTitle || info.episode_title,
+      ...structure
+    };
   }
   
   // Analyze patterns in the script
-  analyzePatterns(scenes, characters, dialogue, beats) {
+  analyzePatterns(scenes, characters, dialogue, beats, voices, pacing) {
     return {
       structure: {
         total_scenes: scenes.length,
@@ -257,11 +605,13 @@ class AdvancedScriptParser {
         action_heavy_scenes: scenes.filter(s => s.dialogue_ratio < 0.3).length
       },
       
+      locations: this.analyzeLocations(scenes),
+      
       characters: {
         total_count: characters.length,
         main_characters: characters.filter(c => c.total_lines > 50).length,
-        protagonist: characters[0]?.name || 'Unknown',
-        voice_differentiation: this.analyzeVoiceDiff(dialogue, characters)
+        protagonist: characters.find(c => c.is_protagonist)?.name || 'Unknown',
+        voice_differentiation: voices ? voices.differentiation : 'low'
       },
       
       dialogue: {
@@ -274,8 +624,42 @@ class AdvancedScriptParser {
       pacing: {
         beats_identified: beats.length,
         beat_timing_accuracy: this.checkBeatTiming(beats),
-        scene_density: scenes.length / (scenes[scenes.length - 1]?.page_end || 100)
+        scene_density: scenes.length / (scenes[scenes.length - 1]?.page_end || 100),
+        ...(pacing?.summary || {})
+      }
+    };
+  }
+  
+  // Helper: Location usage grouped by parent location
+  analyzeLocations(scenes) {
+    const byParent = {};
+    const timesOfDay = {};
+    
+    scenes.forEach(scene => {
+      if (scene.time_of_day) {
+        timesOfDay[scene.time_of_day] = (timesOfDay[scene.time_of_day] || 0) + 1;
       }
+      if (!scene.parent_location) return;
+      
+      const entry = byParent[scene.parent_location] ||
+        (byParent[scene.parent_location] = { name: scene.parent_location, scenes: 0, pages: 0, sub_locations: new Set() });
+      entry.scenes++;
+      entry.pages += scene.page_end - scene.page_start + 1;
+      if (scene.sub_location) entry.sub_locations.add(scene.sub_location);
+    });
+    
+    const locations = Object.values(byParent)
+      .map(l => ({ ...l, sub_locations: Array.from(l.sub_locations) }))
+      .sort((a, b) => b.scenes - a.scenes);
+    
+    return {
+      unique_locations: locations.length,
+      unique_settings: locations.reduce((sum, l) => sum + Math.max(l.sub_locations.length, 1), 0),
+      interior_scenes: scenes.filter(s => s.scene_type === 'INT.' || s.scene_type === 'INT./EXT.').length,
+      exterior_scenes: scenes.filter(s => s.scene_type === 'EXT.' || s.scene_type === 'INT./EXT.').length,
+      special_headings: scenes.filter(s => s.heading_type !== 'standard').length,
+      time_of_day: timesOfDay,
+      top_locations: locations.slice(0, 10)
     };
   }
   
@@ -293,33 +677,6 @@ class AdvancedScriptParser {
     return 'neutral';
   }
   
-  // Helper: Analyze voice differentiation
-  analyzeVoiceDiff(dialogue, characters) {
-    // Group dialogue by character
-    const byCharacter = {};
-    
-    dialogue.forEach(d => {
-      if (!byCharacter[d.character]) {
-        byCharacter[d.character] = [];
-      }
-      byCharacter[d.character].push(d);
-    });
-    
-    // Calculate average line length per character
-    const avgLengths = {};
-    Object.keys(byCharacter).forEach(char => {
-      const lines = byCharacter[char];
-      avgLengths[char] = lines.reduce((sum, l) => 
-        sum + l.length, 0) / lines.length;
-    });
-    
-    // High variation = good voice differentiation
-    const lengths = Object.values(avgLengths);
-    const variation = Math.max(...lengths) - Math.min(...lengths);
-    
-    return variation > 5 ? 'high' : variation > 2 ? 'medium' : 'low';
-  }
-  
   // Helper: Get tone distribution
   getToneDistribution(dialogue) {
     const tones = {};
@@ -329,160 +686,148 @@ class AdvancedScriptParser {
     return tones;
   }
   
-  // Helper: Check beat timing accuracy
+  // Helper: Check beat timing accuracy (share of beats inside their expected range)
   checkBeatTiming(beats) {
-    // Compare to industry standards
-    const standards = {
-      'Inciting Incident': [10, 15],
-      'End of Act 1': [25, 30],
-      'Midpoint': [55, 65],
-      'Climax': [90, 100]
-    };
+    const timed = beats.filter(b => b.expected_page_range);
+    const accurate = timed.filter(b => 
+      b.page_number >= b.expected_page_range[0] && 
+      b.page_number <= b.expected_page_range[1]
+    ).length;
     
-    let accurate = 0;
-    let total = 0;
+    return timed.length > 0 ? (accurate / timed.length) * 100 : 0;
+  }
+  
+  // Write a parse in one transaction (save_script_analysis): scenes, characters,
+  // dialogue, beats, aliases and relationships are replaced together or not at all.
+  // Returns a report of rows written and rows rejected, with reasons.
+  async saveToDatabase(parseResult, { changes = null } = {}) {
+    console.log('\n💾 Saving parsed data to database...\n');
     
-    beats.forEach(beat => {
-      if (standards[beat.beat_type]) {
-        total++;
-        const [min, max] = standards[beat.beat_type];
-        if (beat.page_number >= min && beat.page_number <= max) {
-          accurate++;
-        }
-      }
+    const rows = new AnalysisRows();
+    const { payload, rejected } = rows.build(parseResult);
+    
+    if (rejected.length > 0) {
+      console.log(`⚠️  ${rejected.length} rows rejected before saving`);
+    }
+    
+    const { data: written, error } = await db.rpc('save_script_analysis', {
+      p_script_id: parseResult.script_id,
+      p_version: PARSER_VERSION,
+      p_analysis: payload,
+      p_changes: changes
+    });
+    
+    if (error) {
+      console.error('❌ Error saving to database (nothing written):', error.message);
+      return rows.report(rejected, null, error);
+    }
+    
+    const report = rows.report(rejected, written);
+    Object.entries(report.written).forEach(([table, count]) => {
+      console.log(`✅ Saved ${count} ${table.replace(/_/g, ' ')}`);
     });
     
-    return total > 0 ? (accurate / total) * 100 : 0;
+    console.log('\n🎉 All data saved successfully!\n');
+    return report;
   }
   
-  // Save parsed data to database
-  async saveToDatabase(parseResult) {
-    console.log('\n💾 Saving parsed data to database...\n');
+  // Summary of the analysis currently stored for a script, to diff a re-parse against
+  async loadSnapshot(scriptId) {
+    const [script, scenes, characters, dialogue, beats] = await Promise.all([
+      db.from('scripts').select('analysis_version, media_type, arc_shape').eq('id', scriptId).single(),
+      db.from('scenes').select('scene_number').eq('script_id', scriptId),
+      db.from('characters').select('name, is_protagonist').eq('script_id', scriptId),
+      db.from('dialogue').select('*', { count: 'exact', head: true }).eq('script_id', scriptId),
+      db.from('story_beats').select('beat_type, page_number, structure_template').eq('script_id', scriptId)
+    ]);
+    
+    const failed = [script, scenes, characters, dialogue, beats].find(r => r.error);
+    if (failed) throw failed.error;
+    
+    return new ParseHistory().snapshot({
+      version: script.data.analysis_version,
+      scenes: scenes.data || [],
+      characters: characters.data || [],
+      dialogueCount: dialogue.count || 0,
+      beats: beats.data || [],
+      script: { ...script.data, structure_template: (beats.data || [])[0]?.structure_template }
+    });
+  }
+  
+  // Replace a script's stored analysis with a new parse, recording what changed
+  // since the old version; throws (leaving the old rows) if the save fails
+  async replaceAnalysis(parseResult, previous) {
+    const history = new ParseHistory();
+    const changes = history.diff(previous, history.snapshot({
+      version: PARSER_VERSION,
+      scenes: parseResult.scenes,
+      characters: parseResult.characters,
+      dialogueCount: parseResult.dialogue.length,
+      beats: parseResult.beats,
+      script: {
+        structure_template: parseResult.structure_template,
+        media_type: parseResult.episode?.media_type,
+        arc_shape: parseResult.emotional_arc?.arc_shape
+      }
+    }));
     
-    const { script_id, scenes, characters, dialogue, beats } = parseResult;
+    const report = await this.saveToDatabase(parseResult, { changes });
+    if (!report.ok) throw new Error(report.error);
     
-    try {
-      // 1. Save scenes
-      console.log('Saving scenes...');
-      for (const scene of scenes) {
-        const { error } = await supabase
-          .from('scenes')
-          .upsert({
-            script_id,
-            scene_number: scene.scene_number,
-            scene_type: scene.scene_type,
-            location: scene.location,
-            time: scene.time,
-            page_start: scene.page_start,
-            page_end: scene.page_end,
-            content: scene.content,
-            dialogue_ratio: scene.dialogue_ratio,
-            action_line_count: scene.action_lines.length,
-            dialogue_line_count: scene.dialogue_lines.length,
-            characters_present: scene.characters_present
-          }, { onConflict: 'script_id,scene_number' });
-        
-        if (error) console.error('Error saving scene:', error.message);
-      }
-      console.log(`✅ Saved ${scenes.length} scenes`);
-      
-      // 2. Save characters
-      console.log('Saving characters...');
-      const characterIdMap = {}; // Map names to IDs for dialogue linking
-      
-      for (const char of characters) {
-        const { data, error } = await supabase
-          .from('characters')
-          .upsert({
-            script_id,
-            name: char.name,
-            first_appearance_page: char.first_appearance,
-            total_scenes: char.scenes_in.length,
-            total_lines: char.total_lines,
-            importance_rank: characters.indexOf(char) + 1
-          }, { onConflict: 'script_id,name' })
-          .select();
-        
-        if (error) {
-          console.error('Error saving character:', error.message);
-        } else if (data && data[0]) {
-          characterIdMap[char.name] = data[0].id;
-        }
-      }
-      console.log(`✅ Saved ${characters.length} characters`);
-      
-      // 3. Get scene IDs for dialogue linking
-      const { data: savedScenes } = await supabase
-        .from('scenes')
-        .select('id, scene_number')
-        .eq('script_id', script_id);
-      
-      const sceneIdMap = {};
-      if (savedScenes) {
-        savedScenes.forEach(s => {
-          sceneIdMap[s.scene_number] = s.id;
-        });
-      }
-      
-      // 4. Save dialogue (in batches to avoid timeout)
-      console.log('Saving dialogue...');
-      const batchSize = 100;
-      for (let i = 0; i < dialogue.length; i += batchSize) {
-        const batch = dialogue.slice(i, i + batchSize);
-        
-        const dialogueRows = batch.map(d => ({
-          script_id,
-          scene_id: sceneIdMap[d.scene_number],
-          character_id: characterIdMap[d.character],
-          line_number: d.line_number,
-          text: d.text,
-          length: d.length,
-          tone: d.tone
-        })).filter(d => d.scene_id && d.character_id); // Only save if we have valid IDs
-        
-        if (dialogueRows.length > 0) {
-          const { error } = await supabase
-            .from('dialogue')
-            .insert(dialogueRows);
-          
-          if (error) console.error('Error saving dialogue batch:', error.message);
-        }
-      }
-      console.log(`✅ Saved ${dialogue.length} dialogue lines`);
-      
-      // 5. Save story beats
-      console.log('Saving story beats...');
-      for (const beat of beats) {
-        const { error } = await supabase
-          .from('story_beats')
-          .upsert({
-            script_id,
-            scene_id: sceneIdMap[beat.scene_number],
-            beat_type: beat.beat_type,
-            page_number: beat.page_number,
-            description: `${beat.location}`,
-            expected_page_range: null, // Will add standards later
-            timing_accuracy: beat.confidence > 0.6 ? 'perfect' : 'approximate'
-          }, { onConflict: 'script_id,beat_type' });
-        
-        if (error) console.error('Error saving beat:', error.message);
-      }
-      console.log(`✅ Saved ${beats.length} story beats`);
-      
-      console.log('\n🎉 All data saved successfully!\n');
-      return true;
-      
-    } catch (error) {
-      console.error('❌ Error saving to database:', error);
-      return false;
+    return { changes, report };
+  }
+  
+  // Re-parse a script analyzed by an older parser version and replace its rows
+  async reparseAndReplace(scriptId) {
+    const previous = await this.loadSnapshot(scriptId);
+    const result = await this.parseScript(scriptId);
+    if (!result) return null;
+    
+    const { changes, report } = await this.replaceAnalysis(result, previous);
+    console.log(`🔁 Replaced analysis ${previous.version || 'none'} → ${PARSER_VERSION}` +
+      (changes.unchanged ? ' (no changes)' : ''));
+    return { result, changes, report };
+  }
+  
+  // Store a script that was parsed from an upload, then its analysis
+  async saveParsedScript(parseResult, { title, rawText, source = 'upload' } = {}) {
+    const { data: script, error } = await db
+      .from('scripts')
+      .insert({
+        title: title || parseResult.title_page?.title || 'Untitled',
+        source,
+        raw_text: rawText || parseResult.text,
+        page_count: this.countPages(parseResult.text),
+        scene_count: parseResult.scenes.length,
+        character_count: parseResult.characters.length,
+        total_dialogue_lines: parseResult.dialogue.length,
+        ...new AnalysisRows().scriptRow(parseResult),
+        analysis_version: PARSER_VERSION,
+        processed: true
+      })
+      .select()
+      .single();
+    
+    if (error || !script) {
+      console.error('❌ Error saving script:', error?.message);
+      return null;
+    }
+    
+    // All or nothing: a script whose analysis can't be saved isn't kept either
+    parseResult.script_id = script.id;
+    parseResult.save_report = await this.saveToDatabase(parseResult);
+    if (!parseResult.save_report.ok) {
+      await db.from('scripts').delete().eq('id', script.id);
+      return null;
     }
+    return script;
   }
   
-  // Parse and save a script
+  // Parse and save a script; `save_report` on the result says what was written
   async parseAndSave(scriptId) {
     const result = await this.parseScript(scriptId);
     if (result) {
-      await this.saveToDatabase(result);
+      result.save_report = await this.saveToDatabase(result);
     }
     return result;
   }
@@ -495,7 +840,7 @@ if (require.main === module) {
   const parser = new AdvancedScriptParser();
   
   // Get first script to test
-  supabase
+  db
     .from('scripts')
     .select('id, title')
     .limit(1)
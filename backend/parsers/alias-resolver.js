@@ -0,0 +1,238 @@
+// =========================================
+// VESPER42 - Character Alias Resolver
+// "DETECTIVE MILLER" / "YOUNG MILLER" / "MILLER" → one character
+// =========================================
+
+// Words that describe a role rather than identify a person
+const TITLES = [
+  'DETECTIVE', 'DET', 'OFFICER', 'OFC', 'SERGEANT', 'SGT', 'LIEUTENANT', 'LT', 'CAPTAIN', 'CAPT',
+  'COMMANDER', 'CHIEF', 'AGENT', 'SPECIAL AGENT', 'SHERIFF', 'DEPUTY', 'INSPECTOR',
+  'CONSTABLE', 'MAJOR', 'COLONEL', 'COL', 'GENERAL', 'GEN', 'ADMIRAL', 'PRIVATE', 'PVT', 'CORPORAL',
+  'DOCTOR', 'DR', 'NURSE', 'PROFESSOR', 'PROF', 'JUDGE', 'SENATOR', 'PRESIDENT', 'MAYOR', 'GOVERNOR',
+  'MR', 'MRS', 'MS', 'MISS', 'MISTER', 'SIR', 'MADAM', 'LADY', 'LORD', 'KING', 'QUEEN', 'PRINCE',
+  'PRINCESS', 'FATHER', 'FR', 'SISTER', 'BROTHER', 'MOTHER', 'REVEREND', 'REV', 'PASTOR', 'RABBI',
+  'UNCLE', 'AUNT', 'AUNTIE', 'GRANDMA', 'GRANDPA', 'COACH'
+];
+
+// Titles that tell "MR. MILLER" and "MRS. MILLER" apart
+const FEMALE_TITLES = /^(MRS|MS|MISS|MADAM|LADY|QUEEN|PRINCESS|SISTER|MOTHER|AUNT|AUNTIE|GRANDMA)\b/;
+const MALE_TITLES = /^(MR|MISTER|SIR|LORD|KING|PRINCE|BROTHER|FATHER|FR|UNCLE|GRANDPA)\b/;
+
+// Age and time-of-life qualifiers: same person, different actor or era
+const AGE_MARKERS = [
+  'YOUNG', 'YOUNGER', 'OLD', 'OLDER', 'ELDERLY', 'LITTLE', 'TEEN', 'TEENAGE', 'TEENAGED',
+  'ADULT', 'BABY', 'CHILD', 'KID', 'PRESENT DAY', 'FUTURE', 'ELDER'
+];
+
+// Nickname → formal first name
+const NICKNAMES = {
+  'BOB': 'ROBERT', 'BOBBY': 'ROBERT', 'ROB': 'ROBERT', 'ROBBIE': 'ROBERT',
+  'BILL': 'WILLIAM', 'BILLY': 'WILLIAM', 'WILL': 'WILLIAM', 'WILLIE': 'WILLIAM', 'LIAM': 'WILLIAM',
+  'JIM': 'JAMES', 'JIMMY': 'JAMES', 'JAMIE': 'JAMES',
+  'MIKE': 'MICHAEL', 'MIKEY': 'MICHAEL', 'MICK': 'MICHAEL',
+  'DAVE': 'DAVID', 'DAVEY': 'DAVID', 'DANNY': 'DANIEL', 'DAN': 'DANIEL',
+  'TOM': 'THOMAS', 'TOMMY': 'THOMAS', 'JOE': 'JOSEPH', 'JOEY': 'JOSEPH',
+  'JACK': 'JOHN', 'JOHNNY': 'JOHN', 'CHRIS': 'CHRISTOPHER', 'NICK': 'NICHOLAS', 'NICKY': 'NICHOLAS',
+  'TONY': 'ANTHONY', 'STEVE': 'STEVEN', 'STEVIE': 'STEVEN', 'RICK': 'RICHARD', 'RICKY': 'RICHARD',
+  'DICK': 'RICHARD', 'RICH': 'RICHARD', 'ED': 'EDWARD', 'EDDIE': 'EDWARD', 'TED': 'EDWARD',
+  'CHARLIE': 'CHARLES', 'CHUCK': 'CHARLES', 'HANK': 'HENRY', 'HARRY': 'HENRY',
+  'SAM': 'SAMUEL', 'SAMMY': 'SAMUEL', 'BEN': 'BENJAMIN', 'BENNY': 'BENJAMIN',
+  'MATT': 'MATTHEW', 'PETE': 'PETER', 'ALEX': 'ALEXANDER', 'ANDY': 'ANDREW', 'DREW': 'ANDREW',
+  'GREG': 'GREGORY', 'JERRY': 'GERALD', 'LARRY': 'LAWRENCE', 'FRANK': 'FRANCIS', 'FRANKIE': 'FRANCIS',
+  'KATE': 'KATHERINE', 'KATIE': 'KATHERINE', 'KATHY': 'KATHERINE', 'KAT': 'KATHERINE',
+  'LIZ': 'ELIZABETH', 'LIZZIE': 'ELIZABETH', 'BETH': 'ELIZABETH', 'BETTY': 'ELIZABETH', 'ELIZA': 'ELIZABETH',
+  'MAGGIE': 'MARGARET', 'MEG': 'MARGARET', 'PEGGY': 'MARGARET', 'JENNY': 'JENNIFER', 'JEN': 'JENNIFER',
+  'SUE': 'SUSAN', 'SUSIE': 'SUSAN', 'ABBY': 'ABIGAIL', 'MANDY': 'AMANDA', 'BECKY': 'REBECCA',
+  'VICKY': 'VICTORIA', 'TORI': 'VICTORIA', 'ALLY': 'ALEXANDRA', 'SANDY': 'SANDRA', 'PATTY': 'PATRICIA',
+  'TRISH': 'PATRICIA', 'DEB': 'DEBORAH', 'DEBBIE': 'DEBORAH', 'NAT': 'NATALIE', 'JESS': 'JESSICA'
+};
+
+// Cue suffixes that mark a group or a numbered extra, never merged
+const GENERIC = /(#\s*\d+|\b\d+)$|^(MAN|WOMAN|BOY|GIRL|GUY|COP|GUARD|VOICE|CROWD|ALL|BOTH|EVERYONE)$/;
+
+class AliasResolver {
+
+  // Cluster name variants; returns alias → canonical map plus reviewable groups
+  // names: [{ name, weight }], castNames: ['Det. John Miller', ...], overrides: [{ alias, canonical_name }]
+  resolve(names, { castNames = [], overrides = [] } = {}) {
+    const entries = names.map(n => ({ ...n, core: this.coreName(n.name) }));
+    const parent = new Map(entries.map(e => [e.name, e.name]));
+    const gender = new Map(entries.map(e => [e.name, this.titleGender(e.name)]));
+    const reasons = new Map();
+
+    const find = name => {
+      while (parent.get(name) !== name) name = parent.get(name);
+      return name;
+    };
+    const union = (a, b, reason) => {
+      const rootA = find(a);
+      const rootB = find(b);
+      if (rootA === rootB) return;
+      // Never merge "MR. MILLER" into "MRS. MILLER"
+      if (gender.get(rootA) && gender.get(rootB) && gender.get(rootA) !== gender.get(rootB)) return;
+      parent.set(rootB, rootA);
+      gender.set(rootA, gender.get(rootA) || gender.get(rootB));
+      [a, b].forEach(name => { if (!reasons.has(name)) reasons.set(name, reason); });
+    };
+
+    const mergeable = entries.filter(e => e.core && !GENERIC.test(e.core));
+    mergeable.forEach(e => { e.key = this.formalKey(e.core); });
+
+    // Merge each group, but with both "MR." and "MRS." around keep them and
+    // the untitled variants in separate clusters
+    const mergeGroups = (groups, reason) => Object.values(groups).forEach(group => {
+      const genders = new Set(group.map(e => gender.get(e.name)).filter(Boolean));
+      const subgroups = genders.size > 1
+        ? Object.values(this.groupBy(group, e => gender.get(e.name) || 'none'))
+        : [group];
+      subgroups.forEach(sub => {
+        sub.slice(1).forEach(e => union(sub[0].name, e.name, reason));
+      });
+    });
+
+    // 1. Same name once titles and ages are stripped
+    mergeGroups(this.groupBy(mergeable, e => e.core), 'title_or_age');
+
+    // 2. Nicknames: "BOBBY" and "ROBERT"
+    mergeGroups(this.groupBy(mergeable, e => e.key), 'nickname');
+
+    // 3. "MILLER" and "JOHN MILLER": a single word that belongs to exactly one full name
+    const fullNames = mergeable.filter(e => e.key.includes(' '));
+    mergeable.filter(e => !e.key.includes(' ')).forEach(e => {
+      const owners = fullNames.filter(f => f.key.split(' ').includes(e.key));
+      if (owners.length === 1) union(owners[0].name, e.name, 'partial_name');
+    });
+
+    // 4. Cast list: "Det. John Miller" ties together "JOHN" and "MILLER"
+    const cast = castNames
+      .filter(Boolean)
+      .map(c => this.formalKey(this.coreName(String(c).replace(/["“”]/g, ''))).split(' '))
+      .filter(words => words.length > 1);
+
+    cast.forEach(words => {
+      const matches = mergeable.filter(e => {
+        const own = e.key.split(' ');
+        // Words shared with another cast member are ambiguous
+        return own.every(w => words.includes(w)) &&
+          cast.filter(other => own.every(w => other.includes(w))).length === 1;
+      });
+      matches.slice(1).forEach(e => union(matches[0].name, e.name, 'cast_list'));
+    });
+
+    // Canonical name: the variant with the most dialogue
+    const weightOf = new Map(entries.map(e => [e.name, e.weight || 0]));
+    const groups = this.groupBy(entries, e => find(e.name));
+    const aliases = {};
+
+    Object.values(groups).forEach(group => {
+      const canonical = group
+        .slice()
+        .sort((a, b) => weightOf.get(b.name) - weightOf.get(a.name) || a.name.length - b.name.length)[0].name;
+      group.forEach(e => {
+        if (e.name !== canonical) aliases[e.name] = { canonical, reason: reasons.get(e.name) || 'title_or_age' };
+      });
+    });
+
+    // Manual overrides win; an alias pointing at itself is kept separate
+    overrides.forEach(({ alias, canonical_name }) => {
+      if (!alias) return;
+      if (!canonical_name || canonical_name === alias) {
+        delete aliases[alias];
+        // Anything that was merged into it falls back to its own name
+        Object.keys(aliases).forEach(name => {
+          if (aliases[name].canonical === alias && name !== alias) delete aliases[name];
+        });
+      } else {
+        aliases[alias] = { canonical: canonical_name, reason: 'manual' };
+      }
+    });
+
+    return this.summarize(entries.map(e => e.name), aliases);
+  }
+
+  // Follow alias chains to the final canonical name
+  canonicalFor(aliases, name) {
+    let current = name;
+    const seen = new Set();
+    while (aliases[current] && !seen.has(current)) {
+      seen.add(current);
+      current = aliases[current].canonical;
+    }
+    return current;
+  }
+
+  summarize(names, aliases) {
+    const groups = {};
+    names.forEach(name => {
+      const canonical = this.canonicalFor(aliases, name);
+      if (!groups[canonical]) groups[canonical] = { canonical_name: canonical, variants: [] };
+      if (name !== canonical) {
+        groups[canonical].variants.push({ alias: name, reason: aliases[name].reason });
+      }
+    });
+
+    const map = {};
+    Object.keys(aliases).forEach(name => {
+      map[name] = this.canonicalFor(aliases, name);
+    });
+
+    return {
+      aliases: map,
+      groups: Object.values(groups).filter(g => g.variants.length > 0)
+    };
+  }
+
+  // Strip titles, age markers and punctuation: "DET. JOHN MILLER (YOUNG)" → "JOHN MILLER"
+  coreName(name) {
+    let core = name
+      .toUpperCase()
+      .replace(/\(.*?\)/g, ' ')
+      .replace(/[.,]/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+
+    const strip = (words) => {
+      let changed = true;
+      while (changed) {
+        changed = false;
+        for (const word of words) {
+          const prefix = new RegExp(`^${word}\\s+`);
+          if (prefix.test(core)) {
+            core = core.replace(prefix, '');
+            changed = true;
+          }
+        }
+      }
+    };
+
+    strip([...AGE_MARKERS, ...TITLES].sort((a, b) => b.length - a.length));
+    core = core.replace(new RegExp(`\\s+(${AGE_MARKERS.join('|')})$`), '');
+
+    // Nothing left means the cue is just a title ("DETECTIVE")
+    return core.trim();
+  }
+
+  // Nicknames mapped word by word: "BOBBY MILLER" → "ROBERT MILLER"
+  formalKey(core) {
+    return core.split(' ').map(word => NICKNAMES[word] || word).join(' ');
+  }
+
+  titleGender(name) {
+    const upper = name.toUpperCase().replace(/\./g, '');
+    if (FEMALE_TITLES.test(upper)) return 'female';
+    if (MALE_TITLES.test(upper)) return 'male';
+    return null;
+  }
+
+  groupBy(items, keyFn) {
+    const groups = {};
+    items.forEach(item => {
+      const key = keyFn(item);
+      if (!groups[key]) groups[key] = [];
+      groups[key].push(item);
+    });
+    return groups;
+  }
+}
+
+module.exports = AliasResolver;
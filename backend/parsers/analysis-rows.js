@@ -0,0 +1,245 @@
+// =========================================
+// VESPER42 - Analysis Rows
+// Database rows for a parse, validated before they're written
+// =========================================
+
+class AnalysisRows {
+
+  // Everything save_script_analysis writes for one script, plus the rows
+  // rejected on the way and why. Dialogue and beats name their scene by
+  // scene_number (dialogue its speaker by character); the database links them.
+  build(parseResult) {
+    const rejected = [];
+    const reject = (table, key, reason) => {
+      rejected.push({ table, key, reason });
+      return false;
+    };
+
+    const sceneNumbers = new Set();
+    const scenes = parseResult.scenes.filter(scene => {
+      if (!Number.isInteger(scene.scene_number)) return reject('scenes', null, 'missing_scene_number');
+      if (sceneNumbers.has(scene.scene_number)) {
+        return reject('scenes', `scene ${scene.scene_number}`, 'duplicate_scene_number');
+      }
+      sceneNumbers.add(scene.scene_number);
+      return true;
+    });
+
+    const names = new Set();
+    const characters = parseResult.characters.filter(char => {
+      if (!char.name) return reject('characters', null, 'missing_name');
+      if (names.has(char.name)) return reject('characters', char.name, 'duplicate_name');
+      names.add(char.name);
+      return true;
+    });
+
+    const dialogue = parseResult.dialogue.filter(d => {
+      const key = `line ${d.line_number}`;
+      if (!sceneNumbers.has(d.scene_number)) return reject('dialogue', key, 'unknown_scene');
+      if (!names.has(d.character)) return reject('dialogue', key, 'unknown_character');
+      if (!d.text || !d.text.trim()) return reject('dialogue', key, 'empty_text');
+      return true;
+    });
+
+    const beatTypes = new Set();
+    const beats = (parseResult.beats || []).filter(beat => {
+      if (beatTypes.has(beat.beat_type)) return reject('story_beats', beat.beat_type, 'duplicate_beat_type');
+      beatTypes.add(beat.beat_type);
+      return true;
+    });
+
+    const pairs = new Set();
+    const relationships = (parseResult.network?.edges || []).filter(edge => {
+      const key = `${edge.source}|${edge.target}`;
+      if (!names.has(edge.source) || !names.has(edge.target)) {
+        return reject('character_relationships', key, 'unknown_character');
+      }
+      if (pairs.has(key)) return reject('character_relationships', key, 'duplicate_pair');
+      pairs.add(key);
+      return true;
+    });
+
+    // Manual overrides belong to the reviewer and are never rewritten by a parse
+    const aliases = this.aliasRows(parseResult.aliases || []);
+
+    return {
+      payload: {
+        script: this.scriptRow(parseResult),
+        scenes: scenes.map(scene => this.sceneRow(scene)),
+        characters: characters.map(char => this.characterRow(char)),
+        dialogue: dialogue.map(d => ({ ...this.dialogueRow(d), scene_number: d.scene_number, character: d.character })),
+        beats: beats.map(beat => ({
+          ...this.beatRow(beat, parseResult.structure_template),
+          scene_number: beat.scene_number
+        })),
+        aliases,
+        relationships: relationships.map(edge => this.relationshipRow(edge))
+      },
+      rejected
+    };
+  }
+
+  // Rows written (as counted by the database) and rows rejected, by table and reason
+  report(rejected, written = null, error = null) {
+    const byTable = {};
+    const byReason = {};
+    rejected.forEach(r => {
+      byTable[r.table] = (byTable[r.table] || 0) + 1;
+      byReason[r.reason] = (byReason[r.reason] || 0) + 1;
+    });
+
+    return {
+      ok: !error,
+      error: error ? error.message : null,
+      written: written || {},
+      rejected: byTable,
+      reasons: byReason,
+      rejections: rejected
+    };
+  }
+
+  // scripts columns computed by the parse
+  scriptRow({ episode, emotional_arc: arc, pacing }) {
+    return {
+      ...(episode ? this.episodeColumns(episode) : {}),
+      ...(pacing ? { pacing: pacing.summary } : {}),
+      ...(arc ? {
+        arc_shape: arc.arc_shape,
+        arc_fit: arc.arc_fit,
+        avg_sentiment: arc.avg_sentiment,
+        emotional_trajectory: arc.trajectory
+      } : {})
+    };
+  }
+
+  // scripts columns for an analyzed episode (movies just get their media type)
+  episodeColumns(episode) {
+    return {
+      media_type: episode.media_type,
+      series_title: episode.series_title,
+      season_number: episode.season_number,
+      episode_number: episode.episode_number,
+      episode_title: episode.episode_title,
+      episode_structure: episode.media_type === 'tv'
+        ? {
+          segments: episode.segments,
+          has_teaser: episode.has_teaser,
+          has_tag: episode.has_tag,
+          act_count: episode.act_count,
+          act_breaks: episode.act_breaks
+        }
+        : null
+    };
+  }
+
+  sceneRow(scene) {
+    return {
+      scene_number: scene.scene_number,
+      scene_number_label: scene.scene_number_label,
+      scene_type: scene.scene_type,
+      heading_type: scene.heading_type,
+      location: scene.location,
+      parent_location: scene.parent_location,
+      sub_location: scene.sub_location,
+      time: scene.time,
+      time_of_day: scene.time_of_day,
+      episode_segment: scene.episode_segment,
+      sentiment: scene.sentiment,
+      sentiment_smoothed: scene.sentiment_smoothed,
+      dominant_emotion: scene.dominant_emotion,
+      length_eighths: scene.length_eighths,
+      action_density: scene.action_density,
+      dialogue_tempo: scene.dialogue_tempo,
+      location_change: scene.location_change,
+      pace_score: scene.pace_score,
+      page_start: scene.page_start,
+      page_end: scene.page_end,
+      content: scene.content,
+      dialogue_ratio: scene.dialogue_ratio,
+      action_line_count: scene.action_lines.length,
+      dialogue_line_count: scene.dialogue_lines.length,
+      characters_present: scene.characters_present
+    };
+  }
+
+  characterRow(char) {
+    return {
+      name: char.name,
+      first_appearance_page: char.first_appearance,
+      last_appearance_page: char.last_appearance,
+      total_scenes: char.scenes_in.length,
+      speaking_scenes: char.speaking_scenes,
+      total_lines: char.total_lines,
+      total_words: char.total_words,
+      total_speeches: char.total_speeches,
+      dialogue_share: char.dialogue_share,
+      screen_time_share: char.screen_time_share,
+      importance_rank: char.importance_rank,
+      is_protagonist: char.is_protagonist,
+      aliases: char.aliases,
+      degree_centrality: char.degree_centrality,
+      betweenness_centrality: char.betweenness_centrality,
+      network_cluster: char.network_cluster,
+      voice_profile: char.voice_profile,
+      voice_distinctiveness: char.voice_distinctiveness,
+      sounds_like: char.sounds_like
+    };
+  }
+
+  dialogueRow(d) {
+    return {
+      line_number: d.line_number,
+      text: d.text,
+      length: d.length,
+      tone: d.tone,
+      sentiment: d.sentiment,
+      emotion: d.emotion,
+      out_of_voice_score: d.out_of_voice_score,
+      extension: d.extension,
+      parentheticals: d.parentheticals,
+      is_dual: d.dual
+    };
+  }
+
+  beatRow(beat, structureTemplate) {
+    return {
+      beat_type: beat.beat_type,
+      structure_template: structureTemplate,
+      page_number: beat.page_number,
+      description: beat.explanation,
+      expected_page_range: beat.expected_page_range.join('-'),
+      timing_accuracy: beat.confidence > 0.6 ? 'perfect' : 'approximate',
+      confidence: beat.confidence,
+      signals: beat.signals
+    };
+  }
+
+  relationshipRow(edge) {
+    return {
+      character_a: edge.source,
+      character_b: edge.target,
+      shared_scenes: edge.shared_scenes,
+      exchanges: edge.exchanges,
+      a_to_b: edge.responses[edge.source],
+      b_to_a: edge.responses[edge.target],
+      strength: edge.strength,
+      trend: edge.trend,
+      first_scene: edge.first_scene,
+      last_scene: edge.last_scene,
+      timeline: edge.timeline
+    };
+  }
+
+  aliasRows(aliases) {
+    return aliases.flatMap(group => group.variants
+      .filter(v => v.reason !== 'manual')
+      .map(v => ({
+        alias: v.alias,
+        canonical_name: group.canonical_name,
+        reason: v.reason,
+        source: 'auto'
+      })));
+  }
+}
+
+module.exports = AnalysisRows;
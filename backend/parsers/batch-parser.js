@@ -6,133 +6,226 @@
 require('dotenv').config();
 
 const AdvancedScriptParser = require('./advanced-parser');
-const { createClient } = require('@supabase/supabase-js');
+const ParseHistory = require('./parse-history');
+const ParseQueue = require('./parse-queue');
+const BatchScheduler = require('./batch-scheduler');
 
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_KEY
-);
+const db = require('../storage');
 
 class BatchParser {
   constructor() {
     this.parser = new AdvancedScriptParser();
-    this.successCount = 0;
-    this.failCount = 0;
-    this.skippedCount = 0;
+    this.queue = new ParseQueue();
+    this.scheduler = new BatchScheduler();
+    this.history = new ParseHistory();
   }
 
-  async parseAllScripts() {
+  // Queue every script and parse them with `concurrency` workers. An unfinished
+  // batch (the last run crashed or was stopped) is resumed unless `fresh` is set.
+  // `force` re-parses every script, even those already at the current parser version;
+  // a resumed batch is forced if it was started with `force` or is resumed with it.
+  async parseAllScripts({ force = false, concurrency = 2, fresh = false, maxAttempts = 3 } = {}) {
     console.log('\n🚀 BATCH PARSING - Starting deep analysis of all scripts...\n');
     
-    // Get all scripts that haven't been parsed yet
-    const { data: scripts, error } = await supabase
+    let batch = fresh ? null : await this.queue.unfinishedBatch();
+    
+    if (batch) {
+      const requeued = await this.queue.requeueStale(batch.id);
+      const batchForce = Boolean(batch.options?.force);
+      if (force && !batchForce) {
+        console.log(`⚠️  Batch ${batch.id} was started without --force: forcing the remaining scripts`);
+      } else if (batchForce && !force) {
+        console.log(`⚠️  Batch ${batch.id} was started with --force: still forcing the remaining scripts (--fresh starts over)`);
+      }
+      force = force || batchForce;
+      console.log(`⏯️  Resuming batch ${batch.id} (${requeued} interrupted jobs requeued)`);
+    } else {
+      const { data: scripts, error } = await db
+        .from('scripts')
+        .select('id, title')
+        .order('created_at', { ascending: true });
+
+      if (error) {
+        console.error('❌ Error fetching scripts:', error.message);
+        return;
+      }
+
+      if (!scripts || scripts.length === 0) {
+        console.log('📭 No scripts found in database.');
+        return;
+      }
+
+      batch = await this.queue.createBatch(scripts, { force, maxAttempts });
+      console.log(`📚 Queued ${scripts.length} scripts in batch ${batch.id}`);
+    }
+
+    console.log(`🔖 Parser version ${ParseHistory.PARSER_VERSION}${force ? ' (forced re-parse)' : ''}`);
+    console.log(`👷 ${concurrency} workers\n`);
+
+    await this.scheduler.runPool(
+      concurrency,
+      () => this.queue.next(batch.id),
+      job => this.runJob(job, force)
+    );
+
+    await this.queue.finishBatch(batch.id);
+
+    // Final report
+    await this.printReport(batch.id);
+  }
+
+  // One queued script: parse, re-parse or skip it; failures go back in the queue
+  async runJob(job, force) {
+    console.log(`\n▶️  [attempt ${job.attempts}/${job.max_attempts}] Processing: ${job.title}`);
+
+    try {
+      const outcome = await this.processScript(job, force);
+      await this.queue.complete(job, outcome.status, outcome.result);
+    } catch (error) {
+      const retryIn = await this.queue.fail(job, error);
+      console.error(`\n❌ Error parsing ${job.title}:`, error.message);
+      console.log(retryIn !== null
+        ? `   ↩️  Retrying in ${Math.round(retryIn / 1000)}s`
+        : `   🛑 Giving up after ${job.attempts} attempts`);
+    }
+  }
+
+  async processScript(job, force) {
+    const { data: script, error } = await db
       .from('scripts')
-      .select('id, title, processed')
-      .order('created_at', { ascending: true });
+      .select('id, title, analysis_version')
+      .eq('id', job.script_id)
+      .single();
 
-    if (error) {
-      console.error('❌ Error fetching scripts:', error.message);
-      return;
+    if (error) throw error;
+
+    // Check if already parsed (has scenes)
+    const { data: existingScenes, error: sceneError } = await db
+      .from('scenes')
+      .select('id')
+      .eq('script_id', script.id)
+      .limit(1);
+
+    if (sceneError) throw sceneError;
+
+    const alreadyParsed = existingScenes && existingScenes.length > 0;
+    const outdated = this.history.isOutdated(script.analysis_version);
+
+    if (alreadyParsed && !outdated && !force) {
+      console.log(`⏭️  ${script.title} already parsed with v${script.analysis_version}, skipping...`);
+      return { status: 'skipped', result: { reason: 'current_version' } };
     }
 
-    if (!scripts || scripts.length === 0) {
-      console.log('📭 No scripts found in database.');
-      return;
+    // Scripts parsed by an older version are re-parsed and replaced in one go
+    if (alreadyParsed) {
+      const replaced = await this.parser.reparseAndReplace(script.id);
+      if (!replaced) throw new Error('Re-parse failed (previous analysis kept)');
+      
+      this.printChanges(script, replaced.changes);
+      this.printRejections(replaced.report);
+      return {
+        status: 'done',
+        result: { mode: 'reparse', changes: replaced.changes, written: replaced.report.written, rejected: replaced.report.reasons }
+      };
     }
 
-    console.log(`📚 Found ${scripts.length} scripts to process\n`);
-
-    // Process each script
-    for (let i = 0; i < scripts.length; i++) {
-      const script = scripts[i];
-      console.log(`\n${'='.repeat(60)}`);
-      console.log(`[${i + 1}/${scripts.length}] Processing: ${script.title}`);
-      console.log('='.repeat(60));
-
-      // Check if already parsed (has scenes)
-      const { data: existingScenes } = await supabase
-        .from('scenes')
-        .select('id')
-        .eq('script_id', script.id)
-        .limit(1);
-
-      if (existingScenes && existingScenes.length > 0) {
-        console.log('⏭️  Already parsed, skipping...');
-        this.skippedCount++;
-        continue;
+    // Parse the script
+    const result = await this.parser.parseAndSave(script.id);
+    if (!result) throw new Error('Parse failed');
+    if (!result.save_report.ok) throw new Error(`Save failed: ${result.save_report.error}`);
+
+    console.log(`\n✅ Successfully parsed ${script.title}`);
+    console.log(`   - Scenes: ${result.scenes.length}`);
+    console.log(`   - Characters: ${result.characters.length}`);
+    console.log(`   - Dialogue: ${result.dialogue.length} lines`);
+    console.log(`   - Beats: ${result.beats.length}`);
+    this.printRejections(result.save_report);
+
+    return {
+      status: 'done',
+      result: {
+        mode: 'parse',
+        scenes: result.scenes.length,
+        characters: result.characters.length,
+        dialogue: result.dialogue.length,
+        beats: result.beats.length,
+        written: result.save_report.written,
+        rejected: result.save_report.reasons
       }
+    };
+  }
 
-      // Parse the script
-      try {
-        const result = await this.parser.parseAndSave(script.id);
-        
-        if (result) {
-          this.successCount++;
-          console.log(`\n✅ Successfully parsed ${script.title}`);
-          console.log(`   - Scenes: ${result.scenes.length}`);
-          console.log(`   - Characters: ${result.characters.length}`);
-          console.log(`   - Dialogue: ${result.dialogue.length} lines`);
-          console.log(`   - Beats: ${result.beats.length}`);
-        } else {
-          this.failCount++;
-          console.log(`\n❌ Failed to parse ${script.title}`);
-        }
-
-        // Small delay to avoid overwhelming the database
-        await new Promise(resolve => setTimeout(resolve, 500));
-
-      } catch (error) {
-        this.failCount++;
-        console.error(`\n❌ Error parsing ${script.title}:`, error.message);
-      }
-    }
+  printRejections(report) {
+    Object.entries(report.reasons).forEach(([reason, count]) => {
+      console.log(`   ⚠️  ${count} rows rejected: ${reason.replace(/_/g, ' ')}`);
+    });
+  }
 
-    // Final report
-    this.printReport();
+  printChanges(script, changes) {
+    console.log(`\n🔁 Re-parsed ${script.title} (v${changes.from_version || '?'} → v${changes.to_version})`);
+    if (changes.unchanged) {
+      console.log('   - No changes');
+      return;
+    }
+    console.log(`   - Scenes: ${changes.scenes.before} → ${changes.scenes.after}`);
+    console.log(`   - Dialogue: ${changes.dialogue.before} → ${changes.dialogue.after} lines`);
+    if (changes.characters.added.length > 0) {
+      console.log(`   - New characters: ${changes.characters.added.join(', ')}`);
+    }
+    if (changes.characters.removed.length > 0) {
+      console.log(`   - Dropped characters: ${changes.characters.removed.join(', ')}`);
+    }
+    changes.beats.moved.forEach(beat => {
+      console.log(`   - ${beat.beat_type}: page ${beat.from_page} → ${beat.to_page}`);
+    });
   }
 
-  printReport() {
+  async printReport(batchId) {
+    const progress = await this.queue.progress(batchId);
+
     console.log('\n' + '='.repeat(60));
     console.log('📊 BATCH PARSING COMPLETE!');
     console.log('='.repeat(60));
-    console.log(`✅ Successfully parsed: ${this.successCount}`);
-    console.log(`⏭️  Skipped (already parsed): ${this.skippedCount}`);
-    console.log(`❌ Failed: ${this.failCount}`);
-    console.log(`📚 Total processed: ${this.successCount + this.failCount + this.skippedCount}`);
+    console.log(`✅ Parsed or re-parsed: ${progress.done}`);
+    console.log(`⏭️  Skipped (already parsed): ${progress.skipped}`);
+    console.log(`❌ Failed: ${progress.failed}`);
+    console.log(`↩️  Retries: ${progress.retries}`);
+    console.log(`📚 Total processed: ${progress.done + progress.skipped + progress.failed}/${progress.total}`);
+    progress.failures.forEach(f => console.log(`   - ${f.title}: ${f.error}`));
     console.log('='.repeat(60));
     console.log('\n🎉 All scripts have been analyzed!\n');
     
-    this.printDatabaseStats();
+    await this.printDatabaseStats();
   }
 
   async printDatabaseStats() {
     console.log('📈 DATABASE STATISTICS:\n');
 
     // Count scenes
-    const { count: sceneCount } = await supabase
+    const { count: sceneCount } = await db
       .from('scenes')
       .select('*', { count: 'exact', head: true });
     console.log(`   Scenes: ${sceneCount || 0}`);
 
     // Count characters
-    const { count: charCount } = await supabase
+    const { count: charCount } = await db
       .from('characters')
       .select('*', { count: 'exact', head: true });
     console.log(`   Characters: ${charCount || 0}`);
 
     // Count dialogue
-    const { count: dialogueCount } = await supabase
+    const { count: dialogueCount } = await db
       .from('dialogue')
       .select('*', { count: 'exact', head: true });
     console.log(`   Dialogue lines: ${dialogueCount || 0}`);
 
     // Count beats
-    const { count: beatCount } = await supabase
+    const { count: beatCount } = await db
       .from('story_beats')
       .select('*', { count: 'exact', head: true });
     console.log(`   Story beats: ${beatCount || 0}`);
 
-    console.log('\n💾 All data saved to Supabase!\n');
+    console.log('\n💾 All data saved to the database!\n');
   }
 }
 
@@ -140,7 +233,14 @@ class BatchParser {
 if (require.main === module) {
   const batchParser = new BatchParser();
   
-  batchParser.parseAllScripts()
+  const arg = name => (process.argv.find(a => a.startsWith(`--${name}=`)) || '').split('=')[1];
+  
+  batchParser.parseAllScripts({
+    force: process.argv.includes('--force'),
+    fresh: process.argv.includes('--fresh'),
+    concurrency: parseInt(arg('concurrency') || process.env.BATCH_CONCURRENCY, 10) || 2,
+    maxAttempts: parseInt(arg('attempts'), 10) || 3
+  })
     .then(() => {
       console.log('🏁 Done!');
       process.exit(0);
@@ -0,0 +1,65 @@
+// =========================================
+// VESPER42 - Batch Scheduler
+// Worker pool, retry backoff and progress for parse jobs
+// =========================================
+
+const BASE_DELAY_MS = 2000;
+const MAX_DELAY_MS = 60000;
+const IDLE_POLL_MS = 1000; // how often idle workers look for retries that came due
+
+class BatchScheduler {
+
+  // Delay before retry number `attempt` (1-based): 2s, 4s, 8s ... capped at a minute
+  backoff(attempt, { base = BASE_DELAY_MS, max = MAX_DELAY_MS } = {}) {
+    return Math.min(base * 2 ** Math.max(attempt - 1, 0), max);
+  }
+
+  // Run `concurrency` workers. `next()` resolves to a job, a number of ms to wait
+  // before asking again (retries not due yet), or null when the queue is drained.
+  async runPool(concurrency, next, handle, { sleep = ms => new Promise(r => setTimeout(r, ms)) } = {}) {
+    const worker = async () => {
+      for (;;) {
+        const job = await next();
+        if (job === null || job === undefined) return;
+        if (typeof job === 'number') {
+          await sleep(Math.min(Math.max(job, IDLE_POLL_MS), MAX_DELAY_MS));
+          continue;
+        }
+        await handle(job);
+      }
+    };
+
+    await Promise.all(Array.from({ length: Math.max(1, concurrency) }, worker));
+  }
+
+  // Counts, percentage and ETA for a batch from its job rows
+  progress(batch, jobs, now = Date.now()) {
+    const counts = { pending: 0, running: 0, done: 0, skipped: 0, failed: 0 };
+    jobs.forEach(job => {
+      counts[job.status] = (counts[job.status] || 0) + 1;
+    });
+
+    const total = jobs.length;
+    const finished = counts.done + counts.skipped + counts.failed;
+    const started = batch.started_at ? new Date(batch.started_at).getTime() : now;
+    const elapsed = Math.max((now - started) / 1000, 0);
+    const rate = elapsed > 0 ? finished / elapsed : 0;
+
+    return {
+      batch_id: batch.id,
+      status: batch.status,
+      total,
+      ...counts,
+      retries: jobs.reduce((sum, job) => sum + Math.max((job.attempts || 0) - 1, 0), 0),
+      percent: total > 0 ? Math.round(finished / total * 1000) / 10 : 100,
+      elapsed_seconds: Math.round(elapsed),
+      eta_seconds: rate > 0 && finished < total ? Math.round((total - finished) / rate) : null,
+      running_scripts: jobs.filter(job => job.status === 'running').map(job => job.title),
+      failures: jobs
+        .filter(job => job.status === 'failed')
+        .map(job => ({ script_id: job.script_id, title: job.title, attempts: job.attempts, error: job.last_error }))
+    };
+  }
+}
+
+module.exports = BatchScheduler;
@@ -0,0 +1,186 @@
+// =========================================
+// VESPER42 - Story Beat Detector
+// Beats located by script-relative position + scene signals
+// =========================================
+
+const StructureTemplateRegistry = require('./structure-templates');
+
+const SIGNAL_LABELS = {
+  location_shift: 'a move to a new location',
+  action_density: 'an action-led scene',
+  entrances: 'new characters entering',
+  tone_shift: 'a change in dialogue tone',
+  intensity: 'heated dialogue',
+  pacing: 'a change of scene rhythm',
+  dialogue_density: 'unusually dialogue-heavy writing',
+  protagonist: 'the protagonist on screen'
+};
+
+const INTENSE_TONES = ['intense', 'aggressive'];
+
+class BeatDetector {
+
+  // Locate each beat in the scenes; windows scale with the script's length.
+  // `beats` come from a structure template (Save the Cat unless told otherwise)
+  detect(scenes, { totalPages, characters = [], dialogue = [], beats } = {}) {
+    if (scenes.length === 0) return [];
+    beats = beats || new StructureTemplateRegistry().detectionBeats();
+
+    const pages = totalPages || scenes[scenes.length - 1].page_end || 1;
+    const positions = this.positionsOf(scenes);
+    const signals = this.measureSignals(scenes, characters, dialogue);
+    const results = [];
+    let lastScene = 0;
+
+    beats.forEach(beat => {
+      const [from, to] = beat.window;
+      const expected = [Math.max(1, Math.round(from * pages)), Math.max(1, Math.round(to * pages))];
+      const halfWidth = Math.max(to - from, 0.02) / 2;
+
+      // Beats happen in order; never reuse or go back before the previous one
+      const candidates = scenes
+        .map((scene, index) => ({ scene, index, position: positions[index] }))
+        .filter(c => c.scene.scene_number > lastScene &&
+          c.position >= from - halfWidth / 2 && c.position <= to + halfWidth / 2);
+
+      if (candidates.length === 0) return;
+
+      const scored = candidates
+        .map(c => {
+          const contributions = {};
+          Object.entries(beat.weights).forEach(([signal, weight]) => {
+            contributions[signal] = weight * signals[c.index][signal];
+          });
+          const evidence = Object.values(contributions).reduce((sum, v) => sum + v, 0);
+          const proximity = Math.max(0, 1 - Math.abs(c.position - beat.target) / (halfWidth * 2));
+          return { ...c, contributions, evidence, proximity, score: 0.7 * evidence + 0.3 * proximity };
+        })
+        .sort((a, b) => b.score - a.score);
+
+      const best = scored[0];
+      const runnerUp = scored[1];
+      const margin = runnerUp ? best.score - runnerUp.score : best.score;
+
+      results.push({
+        beat_type: beat.name,
+        page_number: best.scene.page_start,
+        scene_number: best.scene.scene_number,
+        location: best.scene.location,
+        position: Math.round(best.position * 1000) / 1000,
+        expected_page_range: expected,
+        confidence: this.confidence(best, margin, candidates.length),
+        signals: this.roundValues(signals[best.index]),
+        explanation: this.explain(beat, best, pages)
+      });
+
+      lastScene = best.scene.scene_number;
+    });
+
+    return results;
+  }
+
+  // Fraction of the script elapsed when each scene starts, by line count
+  // (finer than pages, which several short scenes can share)
+  positionsOf(scenes) {
+    const lengths = scenes.map(s => s.content.split('\n').length);
+    const total = lengths.reduce((sum, n) => sum + n, 0) || 1;
+    let elapsed = 0;
+    return lengths.map(length => {
+      const position = elapsed / total;
+      elapsed += length;
+      return position;
+    });
+  }
+
+  // Per-scene signals, each scaled to 0-1 across the script
+  measureSignals(scenes, characters, dialogue) {
+    const protagonist = characters.find(c => c.is_protagonist)?.name;
+    const major = new Set(characters.slice(0, 6).map(c => c.name));
+    const lengths = scenes.map(s => Math.max(s.page_end - s.page_start + 1, s.content.split('\n').length / 60));
+    const avgRatio = scenes.reduce((sum, s) => sum + s.dialogue_ratio, 0) / scenes.length;
+
+    const intensityOf = scene => {
+      const speeches = dialogue.filter(d => d.scene_number === scene.scene_number);
+      if (speeches.length === 0) return 0;
+      return speeches.filter(d => INTENSE_TONES.includes(d.tone)).length / speeches.length;
+    };
+    const intensities = scenes.map(intensityOf);
+
+    const seenLocations = new Set();
+    const seenCharacters = new Set();
+
+    const raw = scenes.map((scene, i) => {
+      const recent = (values) => {
+        const window = values.slice(Math.max(0, i - 3), i);
+        return window.length > 0 ? window.reduce((sum, v) => sum + v, 0) / window.length : values[i];
+      };
+
+      // New world beats previously visited places
+      let locationShift = 0;
+      if (scene.parent_location && !seenLocations.has(scene.parent_location)) locationShift = 1;
+      else if (i > 0 && scene.parent_location !== scenes[i - 1].parent_location) locationShift = 0.5;
+      if (scene.parent_location) seenLocations.add(scene.parent_location);
+
+      const newcomers = scene.characters_present.filter(name => !seenCharacters.has(name));
+      scene.characters_present.forEach(name => seenCharacters.add(name));
+
+      return {
+        location_shift: locationShift,
+        action_density: 1 - scene.dialogue_ratio,
+        entrances: newcomers.reduce((sum, name) => sum + (major.has(name) ? 1 : 0.3), 0),
+        tone_shift: Math.abs(intensities[i] - recent(intensities)),
+        intensity: intensities[i],
+        pacing: Math.abs(lengths[i] - recent(lengths)),
+        dialogue_density: Math.max(0, scene.dialogue_ratio - avgRatio),
+        protagonist: protagonist && scene.characters_present.includes(protagonist) ? 1 : 0
+      };
+    });
+
+    // Scale every signal against its strongest scene
+    const keys = Object.keys(raw[0] || {});
+    const max = {};
+    keys.forEach(key => {
+      max[key] = Math.max(...raw.map(r => r[key]), 0);
+    });
+
+    return raw.map(r => {
+      const scaled = {};
+      keys.forEach(key => {
+        scaled[key] = max[key] > 0 ? r[key] / max[key] : 0;
+      });
+      return scaled;
+    });
+  }
+
+  // Strong evidence, a clear winner and enough candidates to choose from
+  confidence(best, margin, candidateCount) {
+    const choice = candidateCount > 1 ? Math.min(margin * 4, 1) : 0.3;
+    const value = 0.5 * best.evidence + 0.3 * choice + 0.2 * best.proximity;
+    return Math.round(Math.min(Math.max(value, 0.05), 0.99) * 100) / 100;
+  }
+
+  explain(beat, best, pages) {
+    const reasons = Object.entries(best.contributions)
+      .filter(([, value]) => value > 0.05)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, 2)
+      .map(([signal]) => SIGNAL_LABELS[signal]);
+
+    const where = `Scene ${best.scene.scene_number} at ${Math.round(best.position * 100)}% of the script ` +
+      `(page ${best.scene.page_start} of ${pages}; ${beat.name} usually lands around ${Math.round(beat.target * 100)}%)`;
+
+    return reasons.length > 0
+      ? `${where}, marked by ${reasons.join(' and ')}.`
+      : `${where}; no strong signal, chosen by position.`;
+  }
+
+  roundValues(values) {
+    const rounded = {};
+    Object.entries(values).forEach(([key, value]) => {
+      rounded[key] = Math.round(value * 100) / 100;
+    });
+    return rounded;
+  }
+}
+
+module.exports = BeatDetector;
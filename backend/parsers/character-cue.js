@@ -0,0 +1,49 @@
+// =========================================
+// VESPER42 - Character Cue Parsing
+// "JOHN (V.O.) (CONT'D)" → speaker identity + extension
+// =========================================
+
+// Extension spellings → canonical form
+const EXTENSIONS = {
+  'V.O.': 'V.O.', 'VO': 'V.O.', 'V/O': 'V.O.', 'VOICE OVER': 'V.O.', 'VOICE-OVER': 'V.O.',
+  'O.S.': 'O.S.', 'OS': 'O.S.', 'OFF SCREEN': 'O.S.', 'OFF-SCREEN': 'O.S.',
+  'O.C.': 'O.C.', 'OC': 'O.C.', 'OFF CAMERA': 'O.C.',
+  'FILTERED': 'FILTERED', 'ON PHONE': 'ON PHONE', 'INTO PHONE': 'ON PHONE',
+  'ON TV': 'ON TV', 'ON RADIO': 'ON RADIO', 'PRE-LAP': 'PRE-LAP', 'PRELAP': 'PRE-LAP',
+  'SUBTITLED': 'SUBTITLED', 'SUBTITLE': 'SUBTITLED', 'SINGING': 'SINGING', 'WHISPERING': 'WHISPERING'
+};
+
+const CONTINUED = /^(CONT'D|CONT’D|CONTD|CONT\.?|CONTINUED|CONTINUING)$/;
+
+// Split a cue into a normalized speaker name, extension and continuation flag
+function parseCharacterCue(cue) {
+  let text = cue.trim().replace(/\^$/, '').trim();
+  const groups = [];
+
+  // Pull every trailing or embedded "(...)" group out of the name
+  text = text.replace(/\(([^)]*)\)/g, (match, group) => {
+    groups.push(group.trim().toUpperCase());
+    return ' ';
+  });
+
+  let extension = null;
+  let continued = false;
+
+  groups.forEach(group => {
+    if (CONTINUED.test(group)) {
+      continued = true;
+    } else if (!extension && group.length > 0) {
+      extension = EXTENSIONS[group] || EXTENSIONS[group.replace(/\./g, '')] || group;
+    }
+  });
+
+  const name = text
+    .toUpperCase()
+    .replace(/\s+/g, ' ')
+    .replace(/[:;,.\s]+$/, '')
+    .trim();
+
+  return { name, extension, continued };
+}
+
+module.exports = { parseCharacterCue, EXTENSIONS };
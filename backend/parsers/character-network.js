@@ -0,0 +1,238 @@
+// =========================================
+// VESPER42 - Character Network
+// Who shares scenes with whom, who talks to whom
+// =========================================
+
+const SEGMENTS = 10; // timeline resolution: tenths of the script
+const EXCHANGE_WEIGHT = 2; // a direct exchange says more than sharing a room
+
+class CharacterNetwork {
+
+  // Build the graph: nodes with centrality + cluster, weighted edges with a timeline
+  build(scenes, dialogue, characters = []) {
+    const names = new Set(characters.map(c => c.name));
+    scenes.forEach(scene => scene.characters_present.forEach(name => names.add(name)));
+
+    const edges = this.buildEdges(scenes, dialogue);
+    const nodes = Array.from(names).sort().map(name => ({ name }));
+
+    this.scoreEdges(edges);
+    this.computeCentrality(nodes, edges);
+    const clusters = this.detectClusters(nodes, edges);
+
+    const n = nodes.length;
+    return {
+      nodes,
+      edges,
+      clusters,
+      density: n > 1 ? edges.length / (n * (n - 1) / 2) : 0
+    };
+  }
+
+  // Edges from scene co-occurrence and back-to-back speeches
+  buildEdges(scenes, dialogue) {
+    const edgeMap = new Map();
+    const segmentOf = sceneNumber => Math.min(
+      SEGMENTS - 1,
+      Math.floor((sceneNumber - 1) / Math.max(scenes.length, 1) * SEGMENTS)
+    );
+
+    const edgeFor = (a, b) => {
+      const [source, target] = [a, b].sort();
+      const key = `${source}|${target}`;
+      if (!edgeMap.has(key)) {
+        edgeMap.set(key, {
+          source,
+          target,
+          shared_scenes: 0,
+          exchanges: 0,
+          responses: { [source]: 0, [target]: 0 }, // times each one answered the other
+          first_scene: null,
+          last_scene: null,
+          timeline: new Array(SEGMENTS).fill(0)
+        });
+      }
+      return edgeMap.get(key);
+    };
+
+    const touch = (edge, sceneNumber, weight) => {
+      edge.first_scene = edge.first_scene === null ? sceneNumber : Math.min(edge.first_scene, sceneNumber);
+      edge.last_scene = Math.max(edge.last_scene || 0, sceneNumber);
+      edge.timeline[segmentOf(sceneNumber)] += weight;
+    };
+
+    scenes.forEach(scene => {
+      const present = Array.from(new Set(scene.characters_present)).sort();
+      for (let i = 0; i < present.length; i++) {
+        for (let j = i + 1; j < present.length; j++) {
+          const edge = edgeFor(present[i], present[j]);
+          edge.shared_scenes++;
+          touch(edge, scene.scene_number, 1);
+        }
+      }
+    });
+
+    // A speech answered by another character in the same scene is an exchange
+    for (let i = 1; i < dialogue.length; i++) {
+      const prev = dialogue[i - 1];
+      const curr = dialogue[i];
+      if (prev.scene_number !== curr.scene_number || prev.character === curr.character) continue;
+
+      const edge = edgeFor(prev.character, curr.character);
+      edge.exchanges++;
+      edge.responses[curr.character]++;
+      touch(edge, curr.scene_number, EXCHANGE_WEIGHT);
+    }
+
+    return Array.from(edgeMap.values());
+  }
+
+  // Strength = co-occurrence + weighted exchanges, scaled 0-1 against the strongest pair
+  scoreEdges(edges) {
+    const raw = edges.map(e => e.shared_scenes + EXCHANGE_WEIGHT * e.exchanges);
+    const max = Math.max(...raw, 1);
+
+    edges.forEach((edge, i) => {
+      edge.weight = raw[i];
+      edge.strength = Math.round(raw[i] / max * 1000) / 1000;
+      edge.timeline = edge.timeline.map(v => Math.round(v / max * 1000) / 1000);
+      edge.trend = this.trend(edge.timeline);
+    });
+
+    edges.sort((a, b) => b.weight - a.weight);
+  }
+
+  // Does a relationship grow or fade over the script?
+  trend(timeline) {
+    const half = timeline.length / 2;
+    const early = timeline.slice(0, half).reduce((sum, v) => sum + v, 0);
+    const late = timeline.slice(half).reduce((sum, v) => sum + v, 0);
+    if (early === 0 && late === 0) return 'none';
+    if (late > early * 1.5) return 'growing';
+    if (early > late * 1.5) return 'fading';
+    return 'steady';
+  }
+
+  // Degree, weighted degree and betweenness (Brandes, unweighted)
+  computeCentrality(nodes, edges) {
+    const adjacency = new Map(nodes.map(n => [n.name, []]));
+    edges.forEach(edge => {
+      adjacency.get(edge.source).push({ name: edge.target, weight: edge.weight });
+      adjacency.get(edge.target).push({ name: edge.source, weight: edge.weight });
+    });
+
+    const betweenness = this.betweenness(nodes.map(n => n.name), adjacency);
+    const n = nodes.length;
+    // Undirected: each pair counted from both ends
+    const pairs = n > 2 ? (n - 1) * (n - 2) : 1;
+
+    nodes.forEach(node => {
+      const neighbors = adjacency.get(node.name);
+      node.degree = neighbors.length;
+      node.weighted_degree = neighbors.reduce((sum, nb) => sum + nb.weight, 0);
+      node.degree_centrality = n > 1 ? node.degree / (n - 1) : 0;
+      node.betweenness_centrality = Math.round(betweenness.get(node.name) / pairs * 1000) / 1000;
+    });
+  }
+
+  betweenness(names, adjacency) {
+    const score = new Map(names.map(name => [name, 0]));
+
+    names.forEach(source => {
+      const stack = [];
+      const predecessors = new Map(names.map(name => [name, []]));
+      const paths = new Map(names.map(name => [name, 0]));
+      const distance = new Map(names.map(name => [name, -1]));
+      paths.set(source, 1);
+      distance.set(source, 0);
+
+      const queue = [source];
+      while (queue.length > 0) {
+        const v = queue.shift();
+        stack.push(v);
+        adjacency.get(v).forEach(({ name: w }) => {
+          if (distance.get(w) < 0) {
+            distance.set(w, distance.get(v) + 1);
+            queue.push(w);
+          }
+          if (distance.get(w) === distance.get(v) + 1) {
+            paths.set(w, paths.get(w) + paths.get(v));
+            predecessors.get(w).push(v);
+          }
+        });
+      }
+
+      const dependency = new Map(names.map(name => [name, 0]));
+      while (stack.length > 0) {
+        const w = stack.pop();
+        predecessors.get(w).forEach(v => {
+          dependency.set(v, dependency.get(v) + paths.get(v) / paths.get(w) * (1 + dependency.get(w)));
+        });
+        if (w !== source) score.set(w, score.get(w) + dependency.get(w));
+      }
+    });
+
+    return score;
+  }
+
+  // Weighted label propagation; deterministic so re-parses give the same clusters
+  detectClusters(nodes, edges) {
+    const labels = new Map(nodes.map(n => [n.name, n.name]));
+    const neighbors = new Map(nodes.map(n => [n.name, []]));
+    edges.forEach(edge => {
+      neighbors.get(edge.source).push({ name: edge.target, weight: edge.weight });
+      neighbors.get(edge.target).push({ name: edge.source, weight: edge.weight });
+    });
+
+    // Strongest characters settle first
+    const order = nodes
+      .slice()
+      .sort((a, b) => b.weighted_degree - a.weighted_degree || a.name.localeCompare(b.name));
+
+    for (let iteration = 0; iteration < 20; iteration++) {
+      let changed = false;
+
+      order.forEach(node => {
+        const votes = {};
+        neighbors.get(node.name).forEach(nb => {
+          const label = labels.get(nb.name);
+          votes[label] = (votes[label] || 0) + nb.weight;
+        });
+
+        const best = Object.entries(votes)
+          .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))[0];
+        if (best && best[0] !== labels.get(node.name) && best[1] > (votes[labels.get(node.name)] || 0)) {
+          labels.set(node.name, best[0]);
+          changed = true;
+        }
+      });
+
+      if (!changed) break;
+    }
+
+    // Number clusters by size, largest first
+    const groups = {};
+    nodes.forEach(node => {
+      const label = labels.get(node.name);
+      if (!groups[label]) groups[label] = [];
+      groups[label].push(node.name);
+    });
+
+    const clusters = Object.values(groups)
+      .sort((a, b) => b.length - a.length)
+      .map((members, index) => {
+        const hub = members
+          .map(name => nodes.find(n => n.name === name))
+          .sort((a, b) => b.weighted_degree - a.weighted_degree)[0];
+        return { id: index + 1, hub: hub.name, members: members.sort() };
+      });
+
+    clusters.forEach(cluster => cluster.members.forEach(name => {
+      nodes.find(n => n.name === name).cluster = cluster.id;
+    }));
+
+    return clusters;
+  }
+}
+
+module.exports = CharacterNetwork;
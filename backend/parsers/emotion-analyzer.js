@@ -0,0 +1,265 @@
+// =========================================
+// VESPER42 - Emotion Analyzer
+// Lexicon sentiment + emotions → smoothed arc → arc shape
+// =========================================
+
+const BeatDetector = require('./beat-detector');
+
+// word: [valence -3..3, emotion]
+const LEXICON = {
+  // joy
+  love: [3, 'joy'], loved: [3, 'joy'], lovely: [3, 'joy'], happy: [3, 'joy'], happiness: [3, 'joy'],
+  joy: [3, 'joy'], glad: [2, 'joy'], laugh: [2, 'joy'], laughing: [2, 'joy'], laughs: [2, 'joy'],
+  smile: [2, 'joy'], smiles: [2, 'joy'], smiling: [2, 'joy'], grin: [2, 'joy'], grins: [2, 'joy'],
+  beautiful: [3, 'joy'], wonderful: [3, 'joy'], great: [3, 'joy'], amazing: [3, 'joy'], perfect: [3, 'joy'],
+  fun: [2, 'joy'], celebrate: [3, 'joy'], celebration: [3, 'joy'], party: [2, 'joy'], dance: [2, 'joy'],
+  dances: [2, 'joy'], win: [3, 'joy'], won: [3, 'joy'], victory: [3, 'joy'], free: [2, 'joy'],
+  freedom: [2, 'joy'], proud: [2, 'joy'], delighted: [3, 'joy'], excited: [3, 'joy'], hug: [2, 'joy'],
+  hugs: [2, 'joy'], kiss: [2, 'joy'], kisses: [2, 'joy'], sweet: [2, 'joy'], cheer: [2, 'joy'],
+  cheers: [2, 'joy'], enjoy: [2, 'joy'], peace: [2, 'joy'], peaceful: [2, 'joy'], warm: [1, 'joy'],
+  success: [2, 'joy'], alive: [2, 'joy'], thank: [2, 'joy'], thanks: [2, 'joy'], good: [2, 'joy'],
+  best: [3, 'joy'], nice: [2, 'joy'], funny: [2, 'joy'], married: [2, 'joy'], wedding: [2, 'joy'],
+  home: [1, 'joy'], gift: [2, 'joy'], bright: [1, 'joy'], shine: [1, 'joy'],
+
+  // trust
+  trust: [2, 'trust'], friend: [2, 'trust'], friends: [2, 'trust'], promise: [2, 'trust'],
+  honest: [2, 'trust'], truth: [1, 'trust'], believe: [2, 'trust'], faith: [2, 'trust'], loyal: [2, 'trust'],
+  safe: [2, 'trust'], protect: [2, 'trust'], help: [2, 'trust'], helps: [2, 'trust'], together: [1, 'trust'],
+  family: [2, 'trust'], partner: [1, 'trust'], sure: [1, 'trust'], agree: [1, 'trust'], forgive: [2, 'trust'],
+  care: [2, 'trust'], brave: [2, 'trust'], hero: [2, 'trust'], save: [2, 'trust'],
+  saved: [2, 'trust'], rescue: [2, 'trust'],
+
+  // anticipation
+  wait: [0, 'anticipation'], waiting: [0, 'anticipation'], soon: [0, 'anticipation'], plan: [1, 'anticipation'],
+  tomorrow: [0, 'anticipation'], ready: [1, 'anticipation'], chance: [1, 'anticipation'], dream: [2, 'anticipation'],
+  dreams: [2, 'anticipation'], hope: [2, 'anticipation'], hopes: [2, 'anticipation'], want: [0, 'anticipation'],
+  need: [0, 'anticipation'], start: [1, 'anticipation'], begin: [1, 'anticipation'], future: [1, 'anticipation'],
+  expect: [0, 'anticipation'], eager: [2, 'anticipation'],
+
+  // surprise
+  surprise: [1, 'surprise'], surprised: [1, 'surprise'], sudden: [0, 'surprise'], suddenly: [0, 'surprise'],
+  shock: [-2, 'surprise'], shocked: [-2, 'surprise'], stunned: [-1, 'surprise'], gasps: [-1, 'surprise'],
+  gasp: [-1, 'surprise'], wow: [2, 'surprise'], whoa: [0, 'surprise'], unexpected: [0, 'surprise'],
+  astonished: [1, 'surprise'], reveal: [0, 'surprise'], reveals: [0, 'surprise'], impossible: [-1, 'surprise'],
+
+  // fear
+  afraid: [-2, 'fear'], fear: [-2, 'fear'], scared: [-2, 'fear'], terrified: [-3, 'fear'], terror: [-3, 'fear'],
+  panic: [-3, 'fear'], danger: [-2, 'fear'], dangerous: [-2, 'fear'], threat: [-2, 'fear'], run: [-1, 'fear'],
+  runs: [-1, 'fear'], hide: [-1, 'fear'], hides: [-1, 'fear'], worried: [-2, 'fear'], worry: [-2, 'fear'],
+  nervous: [-2, 'fear'], trembling: [-2, 'fear'], trembles: [-2, 'fear'], scream: [-2, 'fear'],
+  screams: [-2, 'fear'], horror: [-3, 'fear'], nightmare: [-3, 'fear'], dark: [-1, 'fear'], shadow: [-1, 'fear'],
+  shadows: [-1, 'fear'], lost: [-2, 'fear'], trapped: [-3, 'fear'], escape: [-1, 'fear'],
+  chase: [-1, 'fear'], gun: [-2, 'fear'], guns: [-2, 'fear'], knife: [-2, 'fear'], bomb: [-3, 'fear'],
+  explosion: [-2, 'fear'], blood: [-2, 'fear'], bleeding: [-3, 'fear'], wound: [-2, 'fear'],
+  monster: [-2, 'fear'], ghost: [-1, 'fear'], risk: [-1, 'fear'], careful: [-1, 'fear'], emergency: [-2, 'fear'],
+
+  // anger
+  angry: [-3, 'anger'], anger: [-3, 'anger'], mad: [-2, 'anger'], furious: [-3, 'anger'], rage: [-3, 'anger'],
+  hate: [-3, 'anger'], hates: [-3, 'anger'], fight: [-2, 'anger'], fights: [-2, 'anger'], fighting: [-2, 'anger'],
+  punch: [-2, 'anger'], punches: [-2, 'anger'], hit: [-2, 'anger'], hits: [-2, 'anger'], kill: [-3, 'anger'],
+  kills: [-3, 'anger'], killed: [-3, 'anger'], attack: [-3, 'anger'], attacks: [-3, 'anger'], yell: [-2, 'anger'],
+  yells: [-2, 'anger'], shout: [-2, 'anger'], shouts: [-2, 'anger'], slams: [-2, 'anger'], slam: [-2, 'anger'],
+  damn: [-2, 'anger'], hell: [-2, 'anger'], bastard: [-3, 'anger'], fuck: [-3, 'anger'], fucking: [-3, 'anger'],
+  shit: [-2, 'anger'], liar: [-3, 'anger'], lie: [-2, 'anger'], lied: [-2, 'anger'], betray: [-3, 'anger'],
+  betrayed: [-3, 'anger'], revenge: [-3, 'anger'], destroy: [-3, 'anger'], enemy: [-2, 'anger'], war: [-3, 'anger'],
+  threaten: [-2, 'anger'], shut: [-1, 'anger'], stupid: [-2, 'anger'], idiot: [-3, 'anger'], blame: [-2, 'anger'],
+
+  // sadness
+  sad: [-2, 'sadness'], cry: [-2, 'sadness'], cries: [-2, 'sadness'], crying: [-2, 'sadness'], tears: [-2, 'sadness'],
+  weep: [-2, 'sadness'], weeps: [-2, 'sadness'], sob: [-2, 'sadness'], sobs: [-2, 'sadness'], grief: [-3, 'sadness'],
+  dead: [-3, 'sadness'], death: [-3, 'sadness'], die: [-3, 'sadness'], dies: [-3, 'sadness'], died: [-3, 'sadness'],
+  dying: [-3, 'sadness'], funeral: [-3, 'sadness'], grave: [-2, 'sadness'], miss: [-1, 'sadness'],
+  lonely: [-2, 'sadness'], alone: [-2, 'sadness'], broken: [-2, 'sadness'], hurt: [-2, 'sadness'],
+  pain: [-2, 'sadness'], sorrow: [-3, 'sadness'], regret: [-2, 'sadness'], goodbye: [-1, 'sadness'],
+  leave: [-1, 'sadness'], leaving: [-1, 'sadness'], gone: [-2, 'sadness'], lose: [-2, 'sadness'],
+  failed: [-2, 'sadness'], fail: [-2, 'sadness'], failure: [-2, 'sadness'], empty: [-2, 'sadness'],
+  tired: [-1, 'sadness'], sick: [-2, 'sadness'], poor: [-1, 'sadness'], worse: [-2, 'sadness'],
+  worst: [-3, 'sadness'], bad: [-2, 'sadness'], wrong: [-2, 'sadness'], sorry: [-1, 'sadness'], silence: [-1, 'sadness'],
+
+  // disgust
+  disgusting: [-3, 'disgust'], gross: [-2, 'disgust'], vomit: [-3, 'disgust'],
+  filthy: [-2, 'disgust'], dirty: [-1, 'disgust'], rotten: [-2, 'disgust'], ugly: [-2, 'disgust'],
+  creep: [-2, 'disgust'], pathetic: [-2, 'disgust'], shame: [-2, 'disgust'], ashamed: [-2, 'disgust'],
+  corrupt: [-2, 'disgust'], cheat: [-2, 'disgust'], stinks: [-2, 'disgust'], smell: [-1, 'disgust']
+};
+
+const NEGATIONS = new Set(['not', 'no', 'never', 'nothing', 'nobody', 'without', 'cannot', 'neither', 'nor']);
+const INTENSIFIERS = { very: 1.5, so: 1.3, really: 1.4, too: 1.2, extremely: 1.8, totally: 1.5, completely: 1.5 };
+
+// Reagan et al.'s six basic arcs as control points (position, relative fortune)
+const ARC_SHAPES = {
+  rags_to_riches: { label: 'Rags to Riches', points: [[0, 0], [1, 1]] },
+  tragedy: { label: 'Tragedy (Riches to Rags)', points: [[0, 1], [1, 0]] },
+  man_in_a_hole: { label: 'Man in a Hole', points: [[0, 0.7], [0.5, 0], [1, 0.9]] },
+  icarus: { label: 'Icarus', points: [[0, 0.2], [0.5, 1], [1, 0]] },
+  cinderella: { label: 'Cinderella', points: [[0, 0], [0.35, 0.7], [0.65, 0.2], [1, 1]] },
+  oedipus: { label: 'Oedipus', points: [[0, 1], [0.35, 0.3], [0.65, 0.8], [1, 0]] }
+};
+
+const SAMPLES = 20; // resolution of the stored trajectory
+const SMOOTHING = 0.08; // Gaussian width, as a fraction of the script
+const ACTION_WEIGHT = 0.7; // narration counts, but characters' words count more
+
+class EmotionAnalyzer {
+
+  // Sentiment of a piece of text: compound valence in -1..1 plus emotion counts
+  scoreText(text) {
+    const tokens = (text || '').toLowerCase().replace(/n't\b/g, ' not').match(/[a-z']+|[!]/g) || [];
+    const emotions = {};
+    let sum = 0;
+    let matched = 0;
+    const exclaimed = tokens.includes('!');
+
+    tokens.forEach((token, i) => {
+      const entry = this.lookup(token);
+      if (!entry) return;
+
+      const [valence, emotion] = entry;
+      const window = tokens.slice(Math.max(0, i - 3), i);
+      const negated = window.some(t => NEGATIONS.has(t));
+      const boost = window.reduce((factor, t) => factor * (INTENSIFIERS[t] || 1), 1);
+
+      // "not happy" is mildly negative rather than the opposite of happy
+      let score = valence * boost * (exclaimed ? 1.2 : 1);
+      if (negated) score *= -0.5;
+      sum += score;
+      matched++;
+
+      if (emotion && !negated) emotions[emotion] = (emotions[emotion] || 0) + 1;
+    });
+
+    return {
+      valence: this.normalize(sum),
+      raw: sum,
+      matched,
+      emotions,
+      dominant: this.dominant(emotions)
+    };
+  }
+
+  // Exact word, then a light stem ("screaming" → "scream")
+  lookup(token) {
+    if (LEXICON[token]) return LEXICON[token];
+    const stem = token.replace(/(ing|ed|es|s|ly)$/, '');
+    return LEXICON[stem] || LEXICON[stem + 'e'] || null;
+  }
+
+  // VADER-style squashing of a summed score into -1..1
+  normalize(sum) {
+    return Math.round(sum / Math.sqrt(sum * sum + 15) * 1000) / 1000;
+  }
+
+  dominant(emotions) {
+    const top = Object.entries(emotions).sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))[0];
+    return top ? top[0] : null;
+  }
+
+  // Per-scene sentiment, smoothed trajectory and arc shape; tags dialogue lines too
+  analyze(scenes, dialogue = []) {
+    dialogue.forEach(d => {
+      const score = this.scoreText(d.text);
+      d.sentiment = score.valence;
+      d.emotion = score.dominant;
+    });
+
+    const scored = scenes.map(scene => {
+      const speech = this.scoreText(scene.dialogue_lines.join(' '));
+      const action = this.scoreText(scene.action_lines.join(' '));
+      const emotions = { ...speech.emotions };
+      Object.entries(action.emotions).forEach(([emotion, count]) => {
+        emotions[emotion] = (emotions[emotion] || 0) + count * ACTION_WEIGHT;
+      });
+      return {
+        valence: this.normalize(speech.raw + ACTION_WEIGHT * action.raw),
+        emotions,
+        dominant: this.dominant(emotions)
+      };
+    });
+
+    const positions = new BeatDetector().positionsOf(scenes);
+    const smoothAt = x => this.smooth(positions, scored.map(s => s.valence), x);
+
+    scenes.forEach((scene, i) => {
+      scene.sentiment = scored[i].valence;
+      scene.sentiment_smoothed = smoothAt(positions[i]);
+      scene.dominant_emotion = scored[i].dominant;
+    });
+
+    const trajectory = Array.from({ length: SAMPLES }, (_, i) => smoothAt(i / (SAMPLES - 1)));
+    const totals = {};
+    scored.forEach(s => Object.entries(s.emotions).forEach(([emotion, count]) => {
+      totals[emotion] = Math.round(((totals[emotion] || 0) + count) * 10) / 10;
+    }));
+
+    return {
+      avg_sentiment: scenes.length > 0
+        ? Math.round(scored.reduce((sum, s) => sum + s.valence, 0) / scenes.length * 1000) / 1000
+        : 0,
+      trajectory,
+      emotions: totals,
+      dominant_emotion: this.dominant(totals),
+      ...this.classifyArc(trajectory)
+    };
+  }
+
+  // Gaussian-weighted average of scene values around position x
+  smooth(positions, values, x) {
+    let weighted = 0;
+    let total = 0;
+    positions.forEach((p, i) => {
+      const w = Math.exp(-((p - x) ** 2) / (2 * SMOOTHING * SMOOTHING));
+      weighted += w * values[i];
+      total += w;
+    });
+    return total > 0 ? Math.round(weighted / total * 1000) / 1000 : 0;
+  }
+
+  // Best-correlated basic shape; flat trajectories have no shape
+  classifyArc(trajectory) {
+    const mean = trajectory.reduce((sum, v) => sum + v, 0) / (trajectory.length || 1);
+    const spread = Math.sqrt(trajectory.reduce((sum, v) => sum + (v - mean) ** 2, 0) / (trajectory.length || 1));
+
+    if (trajectory.length < 3 || spread < 0.01) {
+      return { arc_shape: 'flat', arc_label: 'Flat', arc_fit: 0, arc_scores: {} };
+    }
+
+    const scores = {};
+    Object.entries(ARC_SHAPES).forEach(([shape, { points }]) => {
+      const template = trajectory.map((_, i) => this.interpolate(points, i / (trajectory.length - 1)));
+      scores[shape] = Math.round(this.correlation(trajectory, template) * 1000) / 1000;
+    });
+
+    const [shape, fit] = Object.entries(scores).sort((a, b) => b[1] - a[1])[0];
+    return { arc_shape: shape, arc_label: this.arcLabel(shape), arc_fit: fit, arc_scores: scores };
+  }
+
+  arcLabel(shape) {
+    return ARC_SHAPES[shape] ? ARC_SHAPES[shape].label : 'Flat';
+  }
+
+  interpolate(points, x) {
+    for (let i = 1; i < points.length; i++) {
+      const [x0, y0] = points[i - 1];
+      const [x1, y1] = points[i];
+      if (x <= x1) return y0 + (y1 - y0) * (x - x0) / (x1 - x0);
+    }
+    return points[points.length - 1][1];
+  }
+
+  correlation(a, b) {
+    const n = a.length;
+    const meanA = a.reduce((sum, v) => sum + v, 0) / n;
+    const meanB = b.reduce((sum, v) => sum + v, 0) / n;
+    let cov = 0;
+    let varA = 0;
+    let varB = 0;
+    for (let i = 0; i < n; i++) {
+      cov += (a[i] - meanA) * (b[i] - meanB);
+      varA += (a[i] - meanA) ** 2;
+      varB += (b[i] - meanB) ** 2;
+    }
+    return varA > 0 && varB > 0 ? cov / Math.sqrt(varA * varB) : 0;
+  }
+}
+
+module.exports = EmotionAnalyzer;
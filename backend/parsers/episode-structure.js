@@ -0,0 +1,199 @@
+// =========================================
+// VESPER42 - Episode Structure
+// Teasers, act breaks and tags; season/episode metadata
+// =========================================
+
+const BeatDetector = require('./beat-detector');
+
+const NUMBER_WORDS = ['ONE', 'TWO', 'THREE', 'FOUR', 'FIVE', 'SIX', 'SEVEN', 'EIGHT'];
+const ROMAN = ['I', 'II', 'III', 'IV', 'V', 'VI', 'VII', 'VIII'];
+
+const OPENING = /^(COLD OPEN(ING)?|TEASER|PROLOGUE)$/;
+const CLOSING = /^(TAG|EPILOGUE|STINGER)$/;
+const ACT = /^ACT\s+([A-Z]+|\d+)$/;
+const END_OF = /^END\s+OF\s+(.+)$/;
+
+// Elements that can carry an act marker ("ACT TWO", "END OF TEASER", ">TAG<", "# Act One")
+const MARKER_TYPES = ['action', 'centered', 'section', 'transition', 'act_break'];
+
+// Season/episode numbering as it appears on title pages
+const EPISODE_PATTERNS = [
+  { pattern: /\bS(\d{1,2})\s*E(\d{1,3})\b/i, season: 1, episode: 2 },
+  { pattern: /\bSEASON\s+(\d{1,2})\W+EPISODE\s+(\d{1,3})\b/i, season: 1, episode: 2 },
+  { pattern: /\b(\d{1,2})x(\d{2})\b/, season: 1, episode: 2 },
+  { pattern: /\b(?:EPISODE|EP\.?)\s*[:#]?\s*(\d)(\d{2})\b/i, season: 1, episode: 2 },
+  { pattern: /(?:^|\s)#(\d)(\d{2})\b/, season: 1, episode: 2 },
+  { pattern: /\b(?:EPISODE|EP\.?)\s*[:#]?\s*(\d{1,2})\b/i, episode: 1 }
+];
+
+class EpisodeStructure {
+
+  // Act marker carried by an element, or null
+  markerOf(element) {
+    if (!MARKER_TYPES.includes(element.type) || element.text.includes('\n')) return null;
+
+    const text = element.text
+      .replace(/[_*]/g, '')
+      .replace(/[:.]+$/, '')
+      .replace(/\s+/g, ' ')
+      .trim()
+      .toUpperCase();
+
+    const end = text.match(END_OF);
+    const segment = this.segmentOf(end ? end[1] : text);
+    return segment ? { ...segment, end: Boolean(end) } : null;
+  }
+
+  segmentOf(text) {
+    if (OPENING.test(text)) return { key: 'teaser', title: text };
+    if (CLOSING.test(text)) return { key: 'tag', title: text };
+
+    const act = text.match(ACT);
+    if (!act) return null;
+
+    const number = /^\d+$/.test(act[1])
+      ? parseInt(act[1], 10)
+      : Math.max(NUMBER_WORDS.indexOf(act[1]), ROMAN.indexOf(act[1])) + 1;
+    return number > 0 ? { key: `act${number}`, title: text, number } : null;
+  }
+
+  // Segment the scenes after an "END OF ..." marker belong to until the next marker
+  after(marker) {
+    if (marker.key === 'teaser') return { key: 'act1', title: 'ACT ONE', number: 1 };
+    if (marker.number) {
+      const number = marker.number + 1;
+      return { key: `act${number}`, title: `ACT ${NUMBER_WORDS[number - 1] || number}`, number };
+    }
+    return null;
+  }
+
+  // Group scenes into teaser / acts / tag; empty for scripts without act markers
+  build(scenes) {
+    if (!scenes.some(s => s.episode_segment)) {
+      return { segments: [], has_teaser: false, has_tag: false, act_count: 0, act_breaks: [] };
+    }
+
+    // Scenes before the first marker play as a cold open
+    let started = false;
+    scenes.forEach(scene => {
+      if (scene.episode_segment) started = true;
+      if (!started) {
+        scene.episode_segment = 'teaser';
+        scene.episode_segment_title = 'TEASER';
+      }
+    });
+
+    const positions = new BeatDetector().positionsOf(scenes);
+    const segments = [];
+    scenes.forEach((scene, index) => {
+      const last = segments[segments.length - 1];
+      if (last && last.key === scene.episode_segment) {
+        last.scene_end = scene.scene_number;
+        last.page_end = scene.page_end;
+        last.scene_count++;
+        return;
+      }
+      if (last) last.end = positions[index];
+      segments.push({
+        key: scene.episode_segment,
+        title: scene.episode_segment_title,
+        scene_start: scene.scene_number,
+        scene_end: scene.scene_number,
+        page_start: scene.page_start,
+        page_end: scene.page_end,
+        scene_count: 1,
+        start: positions[index],
+        end: 1
+      });
+    });
+
+    segments.forEach(segment => {
+      segment.start = Math.round(segment.start * 1000) / 1000;
+      segment.end = Math.round(segment.end * 1000) / 1000;
+    });
+
+    const acts = segments.filter(s => /^act\d+$/.test(s.key));
+    return {
+      segments,
+      has_teaser: segments.some(s => s.key === 'teaser'),
+      has_tag: segments.some(s => s.key === 'tag'),
+      act_count: acts.length,
+      act_breaks: acts.slice(0, -1).map(s => s.page_end)
+    };
+  }
+
+  // Season / episode / titles from the title page and the lines above the first scene
+  metadata(titlePage = {}, text = '') {
+    const fields = Object.entries(titlePage).filter(([key]) => key !== 'lines');
+    const head = [];
+    for (const line of text.split('\n').slice(0, 60)) {
+      if (/^\s*(INT|EXT|EST|I\/E)[.\s]/i.test(line)) break;
+      if (line.trim()) head.push(line.trim());
+    }
+    const values = [...fields.map(([, value]) => String(value)), ...(titlePage.lines || []), ...head]
+      .flatMap(v => v.split('\n'));
+    // Keep Fountain keys ("Episode: 101") next to their values for the numbering patterns
+    const lines = [...fields.map(([key, value]) => `${key.replace(/_/g, ' ')}: ${value}`), ...values];
+
+    const info = { series_title: null, season_number: null, episode_number: null, episode_title: null };
+
+    for (const line of lines) {
+      const match = EPISODE_PATTERNS
+        .map(p => ({ ...p, found: line.match(p.pattern) }))
+        .find(p => p.found);
+      if (match) {
+        info.season_number = match.season ? parseInt(match.found[match.season], 10) : null;
+        info.episode_number = parseInt(match.found[match.episode], 10);
+        break;
+      }
+    }
+
+    const quoted = values.map(l => l.match(/^["“](.+)["”]$/)).find(Boolean);
+    if (quoted) info.episode_title = quoted[1].trim();
+
+    if (info.episode_number === null && values.some(l => /\bPILOT\b/i.test(l))) {
+      info.season_number = 1;
+      info.episode_number = 1;
+      info.episode_title = info.episode_title || 'Pilot';
+    }
+
+    // The series is the title line, unless that line is the episode title itself
+    const title = (titlePage.title || head[0] || '').split('\n')[0].replace(/^["“]|["”]$/g, '').trim();
+    const isLabel = EPISODE_PATTERNS.some(p => p.pattern.test(title)) || /\bPILOT\b/i.test(title) ||
+      this.segmentOf(title.toUpperCase());
+    if (title && !isLabel && title !== info.episode_title &&
+      (info.episode_number !== null || info.episode_title)) {
+      info.series_title = title;
+    }
+
+    return info;
+  }
+
+  // TV when told so, when the script has act markers or carries episode numbering
+  mediaType(structure, info, explicit) {
+    if (explicit) return explicit;
+    return structure.segments.length > 0 || info.episode_number !== null ? 'tv' : 'movie';
+  }
+
+  // Structure template for an episode without one chosen
+  templateFor(structure) {
+    return structure.act_count >= 4 ? 'five-act-tv' : 'tv-half-hour';
+  }
+
+  // Stretch each beat's window over the act it belongs to, as actually written
+  alignBeats(beats, template, segments) {
+    return beats.map(beat => {
+      const act = template.acts.find(a => a.key === beat.act);
+      const segment = segments.find(s => s.key === beat.act);
+      if (!act || !segment || act.end <= act.start) return beat;
+
+      const scale = x => {
+        const within = Math.min(Math.max((x - act.start) / (act.end - act.start), 0), 1);
+        return Math.round((segment.start + within * (segment.end - segment.start)) * 1000) / 1000;
+      };
+      return { ...beat, target: scale(beat.target), window: beat.window.map(scale) };
+    });
+  }
+}
+
+module.exports = EpisodeStructure;
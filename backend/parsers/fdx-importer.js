@@ -0,0 +1,126 @@
+// =========================================
+// VESPER42 - Final Draft Importer
+// .fdx XML paragraphs → screenplay elements
+// =========================================
+
+const cheerio = require('cheerio');
+const { parseCharacterCue } = require('./character-cue');
+
+// Final Draft paragraph types → our element types
+const PARAGRAPH_TYPES = {
+  'Scene Heading': 'scene_heading',
+  'Action': 'action',
+  'General': 'action',
+  'Shot': 'action',
+  'Character': 'character',
+  'Parenthetical': 'parenthetical',
+  'Dialogue': 'dialogue',
+  'Transition': 'transition',
+  'Lyrics': 'lyric',
+  'New Act': 'act_break',
+  'End of Act': 'act_break'
+};
+
+class FdxImporter {
+
+  // Parse a Final Draft document into title page + ordered elements
+  parse(xml) {
+    const $ = cheerio.load(xml, { xmlMode: true });
+
+    if ($('FinalDraft').length === 0) {
+      throw new Error('Not a Final Draft document (missing <FinalDraft> root)');
+    }
+
+    return {
+      format: 'fdx',
+      title_page: this.parseTitlePage($),
+      elements: this.parseContent($),
+      notes: this.parseNotes($)
+    };
+  }
+
+  parseContent($) {
+    const elements = [];
+
+    $('FinalDraft > Content').find('Paragraph').each((i, node) => {
+      const paragraph = $(node);
+
+      // Dual dialogue wrappers have no type; their children are visited next
+      if (paragraph.children('DualDialogue').length > 0) return;
+
+      const type = PARAGRAPH_TYPES[paragraph.attr('Type')];
+      if (!type) return;
+
+      if (paragraph.attr('StartsNewPage') === 'Yes' && elements.length > 0) {
+        elements.push({ type: 'page_break', text: '' });
+      }
+
+      const text = this.paragraphText($, paragraph);
+      if (text.length === 0) return;
+
+      const element = { type, text };
+      const dual = paragraph.parents('DualDialogue').length > 0;
+
+      if (type === 'scene_heading') {
+        element.text = text.toUpperCase();
+        if (paragraph.attr('Number')) {
+          element.scene_number_label = paragraph.attr('Number');
+        }
+      }
+
+      if (type === 'character') {
+        Object.assign(element, parseCharacterCue(text));
+      }
+
+      if (dual && ['character', 'parenthetical', 'dialogue'].includes(type)) {
+        element.dual = true;
+      }
+
+      elements.push(element);
+    });
+
+    return elements;
+  }
+
+  // A paragraph's text is split across styled <Text> runs
+  paragraphText($, paragraph) {
+    return paragraph
+      .children('Text')
+      .map((i, run) => $(run).text())
+      .get()
+      .join('')
+      .replace(/\r\n?/g, '\n')
+      .trim();
+  }
+
+  // Title page paragraphs have no keys; keep the first line as the title
+  parseTitlePage($) {
+    const lines = [];
+    $('FinalDraft > TitlePage').find('Paragraph').each((i, node) => {
+      const text = this.paragraphText($, $(node));
+      if (text) lines.push(text);
+    });
+
+    if (lines.length === 0) return {};
+
+    const titlePage = { title: lines[0] };
+    const credit = lines.findIndex(l => /^(written )?by$/i.test(l));
+    if (credit !== -1 && lines[credit + 1]) {
+      titlePage.credit = lines[credit];
+      titlePage.author = lines[credit + 1];
+    }
+    titlePage.lines = lines;
+    return titlePage;
+  }
+
+  parseNotes($) {
+    const notes = [];
+    $('FinalDraft ScriptNote').each((i, node) => {
+      const text = $(node).find('Text').map((j, run) => $(run).text()).get().join('').trim();
+      if (text) notes.push(text);
+    });
+    return notes;
+  }
+}
+
+module.exports = FdxImporter;
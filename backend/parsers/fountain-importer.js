@@ -0,0 +1,228 @@
+// =========================================
+// VESPER42 - Fountain Importer
+// Fountain markup → screenplay elements
+// =========================================
+
+const { parseCharacterCue } = require('./character-cue');
+
+const SCENE_HEADING = /^(INT|EXT|EST|INT\.?\/EXT|I\/E)[\.\s]/i;
+const SCENE_NUMBER = /\s*#([\w.\-]+)#\s*$/;
+const TRANSITION = /^[A-Z\s]+TO:$/;
+
+class FountainImporter {
+
+  // Parse a Fountain document into title page + ordered elements
+  parse(source) {
+    const notes = [];
+    let text = source.replace(/\r\n?/g, '\n');
+
+    // Boneyard is ignored entirely
+    text = text.replace(/\/\*[\s\S]*?\*\//g, '');
+
+    // Notes can span lines; keep them aside for reviewers
+    text = text.replace(/\[\[([\s\S]*?)\]\]/g, (match, note) => {
+      notes.push(note.trim());
+      return '';
+    });
+
+    const lines = text.split('\n');
+    const { titlePage, bodyStart } = this.parseTitlePage(lines);
+    const elements = this.parseBody(lines.slice(bodyStart));
+
+    return {
+      format: 'fountain',
+      title_page: titlePage,
+      elements,
+      notes
+    };
+  }
+
+  // Title page: "Key: value" pairs at the top, ended by a blank line
+  parseTitlePage(lines) {
+    const titlePage = {};
+    if (!/^[A-Za-z][A-Za-z ]*:/.test(lines[0] || '')) {
+      return { titlePage, bodyStart: 0 };
+    }
+
+    let currentKey = null;
+    let i = 0;
+
+    for (; i < lines.length; i++) {
+      const line = lines[i];
+      if (line.trim() === '') break;
+
+      const pair = line.match(/^([A-Za-z][A-Za-z ]*):\s*(.*)$/);
+      if (pair && !/^\s/.test(line)) {
+        currentKey = pair[1].trim().toLowerCase().replace(/\s+/g, '_');
+        titlePage[currentKey] = pair[2].trim();
+      } else if (currentKey) {
+        // Indented continuation of the previous key
+        titlePage[currentKey] = [titlePage[currentKey], line.trim()]
+          .filter(Boolean)
+          .join('\n');
+      }
+    }
+
+    return { titlePage, bodyStart: i + 1 };
+  }
+
+  // Walk the body line by line, tracking dialogue blocks
+  parseBody(lines) {
+    const elements = [];
+    let inDialogue = false;
+
+    for (let i = 0; i < lines.length; i++) {
+      const raw = lines[i];
+      const line = raw.trim();
+      const prevBlank = i === 0 || lines[i - 1].trim() === '';
+      const nextBlank = i === lines.length - 1 || lines[i + 1].trim() === '';
+
+      if (line === '') {
+        // Two spaces keep a blank line inside a speech
+        if (inDialogue && raw === '  ') {
+          this.appendText(elements, 'dialogue', '');
+          continue;
+        }
+        inDialogue = false;
+        continue;
+      }
+
+      // Dialogue block continues until a blank line
+      if (inDialogue) {
+        if (/^\(.*\)$/.test(line)) {
+          elements.push({ type: 'parenthetical', text: line });
+        } else {
+          this.appendText(elements, 'dialogue', this.cleanEmphasis(line));
+        }
+        continue;
+      }
+
+      if (/^={3,}$/.test(line)) {
+        elements.push({ type: 'page_break', text: '' });
+        continue;
+      }
+
+      if (line.startsWith('#')) {
+        const depth = line.match(/^#+/)[0].length;
+        elements.push({ type: 'section', text: line.slice(depth).trim(), depth });
+        continue;
+      }
+
+      if (/^=(?!=)/.test(line)) {
+        elements.push({ type: 'synopsis', text: line.slice(1).trim() });
+        continue;
+      }
+
+      if (line.startsWith('~')) {
+        elements.push({ type: 'lyric', text: line.slice(1).trim() });
+        continue;
+      }
+
+      if (/^>.*<$/.test(line)) {
+        elements.push({ type: 'centered', text: this.cleanEmphasis(line.slice(1, -1).trim()) });
+        continue;
+      }
+
+      if (line.startsWith('>')) {
+        elements.push({ type: 'transition', text: line.slice(1).trim() });
+        continue;
+      }
+
+      if (line.startsWith('!')) {
+        this.pushAction(elements, line.slice(1), prevBlank);
+        continue;
+      }
+
+      // Scene headings: forced "." or standard INT/EXT prefixes
+      const forcedHeading = /^\.[A-Za-z0-9]/.test(line);
+      if (prevBlank && (forcedHeading || SCENE_HEADING.test(line))) {
+        elements.push(this.buildSceneHeading(forcedHeading ? line.slice(1) : line));
+        continue;
+      }
+
+      if (prevBlank && nextBlank && TRANSITION.test(line)) {
+        elements.push({ type: 'transition', text: line });
+        continue;
+      }
+
+      // Character cue: forced "@" or an all-caps line followed by dialogue
+      const forcedCharacter = line.startsWith('@');
+      if (prevBlank && !nextBlank && (forcedCharacter || this.isCharacterCue(line))) {
+        elements.push(this.buildCharacter(forcedCharacter ? line.slice(1) : line, elements));
+        inDialogue = true;
+        continue;
+      }
+
+      this.pushAction(elements, raw, prevBlank);
+    }
+
+    return elements;
+  }
+
+  // All caps (extensions may be lowercase), at least one letter
+  isCharacterCue(line) {
+    const name = line.replace(/\^$/, '').replace(/\(.*?\)/g, '').trim();
+    return /[A-Z]/.test(name) && name === name.toUpperCase() && !/^[\d\W]+$/.test(name);
+  }
+
+  buildSceneHeading(line) {
+    const element = { type: 'scene_heading', text: line.trim() };
+    const number = line.match(SCENE_NUMBER);
+    if (number) {
+      element.scene_number_label = number[1];
+      element.text = line.replace(SCENE_NUMBER, '').trim();
+    }
+    element.text = element.text.toUpperCase();
+    return element;
+  }
+
+  buildCharacter(line, elements) {
+    let cue = line.trim();
+    const dual = cue.endsWith('^');
+    if (dual) {
+      cue = cue.slice(0, -1).trim();
+      // The caret marks the second speaker; the previous speech is its pair
+      for (let i = elements.length - 1; i >= 0; i--) {
+        if (elements[i].type === 'character') {
+          elements[i].dual = true;
+          break;
+        }
+        if (!['dialogue', 'parenthetical'].includes(elements[i].type)) break;
+      }
+    }
+
+    const element = { type: 'character', text: cue, ...parseCharacterCue(cue) };
+    if (dual) element.dual = true;
+    return element;
+  }
+
+  // Consecutive action lines form one paragraph
+  pushAction(elements, line, prevBlank) {
+    const text = this.cleanEmphasis(line.replace(/\s+$/, ''));
+    const last = elements[elements.length - 1];
+    if (!prevBlank && last && last.type === 'action') {
+      last.text += '\n' + text;
+    } else {
+      elements.push({ type: 'action', text });
+    }
+  }
+
+  appendText(elements, type, text) {
+    const last = elements[elements.length - 1];
+    if (last && last.type === type) {
+      last.text += '\n' + text;
+    } else {
+      elements.push({ type, text });
+    }
+  }
+
+  // Strip *italic*, **bold** and _underline_ markers, keep escaped ones
+  cleanEmphasis(text) {
+    return text
+      .replace(/(^|[^\\])\*{1,3}(?=\S)(.+?)(?<=\S)\*{1,3}/g, '$1$2')
+      .replace(/(^|[^\\])_(?=\S)(.+?)(?<=\S)_/g, '$1$2')
+      .replace(/\\([*_])/g, '$1');
+  }
+}
+
+module.exports = FountainImporter;
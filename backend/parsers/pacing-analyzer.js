@@ -0,0 +1,179 @@
+// =========================================
+// VESPER42 - Pacing Analyzer
+// Scene lengths in eighths, tempo, location churn, slow stretches
+// =========================================
+
+const LINES_PER_PAGE = 60; // same estimate the parser uses for pages
+const LINES_PER_EIGHTH = LINES_PER_PAGE / 8;
+const SLOW_PACE = 0.35; // scenes below this pace count as slow
+const MIN_SLOW_RUN = 3; // consecutive slow scenes before it's a stretch
+
+class PacingAnalyzer {
+
+  // Per-scene metrics, a page-binned heatmap series and script-level rhythm
+  analyze(scenes, dialogue = [], { binPages = 5 } = {}) {
+    if (scenes.length === 0) {
+      return { scenes: [], heatmap: [], slow_stretches: [], summary: null };
+    }
+
+    const speechesByScene = {};
+    dialogue.forEach(d => {
+      if (!speechesByScene[d.scene_number]) speechesByScene[d.scene_number] = [];
+      speechesByScene[d.scene_number].push(d);
+    });
+
+    const metrics = scenes.map((scene, i) =>
+      this.measureScene(scene, scenes[i - 1], speechesByScene[scene.scene_number] || []));
+    this.scorePace(metrics);
+
+    return this.report(metrics, { binPages });
+  }
+
+  // Heatmap, lulls and summary from scored scene metrics (fresh or loaded back from the database)
+  report(metrics, { binPages = 5 } = {}) {
+    const slowStretches = this.slowStretches(metrics);
+    const totalPages = Math.max(...metrics.map(m => m.page_end || m.page_start || 1));
+
+    return {
+      scenes: metrics,
+      heatmap: this.heatmap(metrics, totalPages, binPages),
+      slow_stretches: slowStretches,
+      summary: this.summarize(metrics, totalPages, slowStretches)
+    };
+  }
+
+  measureScene(scene, previous, speeches) {
+    const lines = scene.content.split('\n').filter(l => l.trim()).length;
+    const eighths = Math.max(1, Math.round(lines / LINES_PER_EIGHTH));
+
+    const actionWords = this.countWords(scene.action_lines);
+    const dialogueWords = this.countWords(scene.dialogue_lines);
+    const switches = speeches.filter((d, i) => i > 0 && d.character !== speeches[i - 1].character).length;
+
+    return {
+      scene_number: scene.scene_number,
+      page_start: scene.page_start,
+      page_end: scene.page_end,
+      location: scene.parent_location || scene.location,
+      length_eighths: eighths,
+      length_label: this.eighthsLabel(eighths),
+      action_density: actionWords + dialogueWords > 0
+        ? Math.round(actionWords / (actionWords + dialogueWords) * 100) / 100
+        : 0,
+      speeches: speeches.length,
+      // Back-and-forth per eighth of a page: quick exchanges read fast
+      dialogue_tempo: Math.round(switches / eighths * 100) / 100,
+      avg_speech_words: speeches.length > 0
+        ? Math.round(speeches.reduce((sum, d) => sum + (d.length || 0), 0) / speeches.length * 10) / 10
+        : 0,
+      location_change: Boolean(previous) &&
+        (scene.parent_location || scene.location) !== (previous.parent_location || previous.location)
+    };
+  }
+
+  countWords(lines) {
+    return lines.join(' ').split(/\s+/).filter(Boolean).length;
+  }
+
+  // "1 3/8" pages, the way a breakdown sheet writes it
+  eighthsLabel(eighths) {
+    const pages = Math.floor(eighths / 8);
+    const rest = eighths % 8;
+    if (rest === 0) return `${pages}`;
+    return pages > 0 ? `${pages} ${rest}/8` : `${rest}/8`;
+  }
+
+  // 0 = slow, 1 = fast: short scenes, quick exchanges, terse speeches, new places
+  scorePace(metrics) {
+    const maxLength = Math.max(...metrics.map(m => m.length_eighths), 1);
+    const maxTempo = Math.max(...metrics.map(m => m.dialogue_tempo), 0);
+    const maxSpeech = Math.max(...metrics.map(m => m.avg_speech_words), 0);
+
+    metrics.forEach(m => {
+      const brevity = 1 - Math.log(m.length_eighths) / Math.log(Math.max(maxLength, 2));
+      const tempo = maxTempo > 0 ? m.dialogue_tempo / maxTempo : 0;
+      const terse = m.speeches > 0 && maxSpeech > 0 ? 1 - m.avg_speech_words / maxSpeech : m.action_density;
+      const pace = 0.45 * brevity + 0.2 * tempo + 0.2 * terse + 0.15 * (m.location_change ? 1 : 0);
+      m.pace = Math.round(Math.min(Math.max(pace, 0), 1) * 100) / 100;
+    });
+  }
+
+  // Runs of slow scenes long enough to feel like a lull
+  slowStretches(metrics) {
+    const stretches = [];
+    let run = [];
+
+    const close = () => {
+      if (run.length >= MIN_SLOW_RUN) {
+        const eighths = run.reduce((sum, m) => sum + m.length_eighths, 0);
+        stretches.push({
+          scene_start: run[0].scene_number,
+          scene_end: run[run.length - 1].scene_number,
+          page_start: run[0].page_start,
+          page_end: run[run.length - 1].page_end,
+          scenes: run.length,
+          length_eighths: eighths,
+          length_label: this.eighthsLabel(eighths),
+          avg_pace: Math.round(run.reduce((sum, m) => sum + m.pace, 0) / run.length * 100) / 100
+        });
+      }
+      run = [];
+    };
+
+    metrics.forEach(m => {
+      if (m.pace < SLOW_PACE) run.push(m);
+      else close();
+    });
+    close();
+
+    return stretches;
+  }
+
+  // Fixed-width page bins: one heatmap cell per bin
+  heatmap(metrics, totalPages, binPages) {
+    const bins = [];
+    for (let start = 1; start <= totalPages; start += binPages) {
+      const end = Math.min(start + binPages - 1, totalPages);
+      const inBin = metrics.filter(m => m.page_start >= start && m.page_start <= end);
+      const average = key => inBin.length > 0
+        ? Math.round(inBin.reduce((sum, m) => sum + m[key], 0) / inBin.length * 100) / 100
+        : null;
+
+      bins.push({
+        page_start: start,
+        page_end: end,
+        scenes: inBin.length,
+        pace: average('pace'),
+        avg_length_eighths: average('length_eighths'),
+        action_density: average('action_density'),
+        dialogue_tempo: average('dialogue_tempo'),
+        location_changes_per_10_pages: Math.round(
+          inBin.filter(m => m.location_change).length / (end - start + 1) * 10 * 10) / 10
+      });
+    }
+    return bins;
+  }
+
+  summarize(metrics, totalPages, slowStretches) {
+    const lengths = metrics.map(m => m.length_eighths).sort((a, b) => a - b);
+    const paces = metrics.map(m => m.pace);
+    const meanPace = paces.reduce((sum, p) => sum + p, 0) / paces.length;
+    const longest = metrics.reduce((best, m) => (m.length_eighths > best.length_eighths ? m : best));
+
+    return {
+      avg_scene_eighths: Math.round(lengths.reduce((sum, v) => sum + v, 0) / lengths.length * 10) / 10,
+      median_scene_eighths: lengths[Math.floor(lengths.length / 2)],
+      longest_scene: { scene_number: longest.scene_number, length_label: longest.length_label },
+      avg_pace: Math.round(meanPace * 100) / 100,
+      // How much the rhythm varies; a flat line reads as monotonous
+      pace_variation: Math.round(
+        Math.sqrt(paces.reduce((sum, p) => sum + (p - meanPace) ** 2, 0) / paces.length) * 100) / 100,
+      location_changes_per_10_pages: Math.round(
+        metrics.filter(m => m.location_change).length / Math.max(totalPages, 1) * 10 * 10) / 10,
+      slow_stretches: slowStretches.length,
+      slow_pages: slowStretches.reduce((sum, s) => sum + s.length_eighths, 0) / 8
+    };
+  }
+}
+
+module.exports = PacingAnalyzer;
@@ -0,0 +1,86 @@
+// =========================================
+// VESPER42 - Parse History
+// Parser versioning and what changed between two parses
+// =========================================
+
+// Bump whenever the parser's output changes, so stored analyses get re-parsed.
+// 1.0 = original scene/dialogue parser (schema default)
+// 2.0 = importers, sluglines, aliases, network, episodes, emotion, voices, pacing
+const PARSER_VERSION = '2.0';
+
+class ParseHistory {
+
+  // True when a stored analysis predates `current` ("1.0" < "1.10" < "2.0")
+  isOutdated(version, current = PARSER_VERSION) {
+    if (!version) return true;
+    const a = String(version).split('.').map(n => parseInt(n, 10) || 0);
+    const b = String(current).split('.').map(n => parseInt(n, 10) || 0);
+    for (let i = 0; i < Math.max(a.length, b.length); i++) {
+      if ((a[i] || 0) !== (b[i] || 0)) return (a[i] || 0) < (b[i] || 0);
+    }
+    return false;
+  }
+
+  // Compact summary of a parse, from a fresh result or from stored rows
+  snapshot({ version, scenes = [], characters = [], dialogueCount = 0, beats = [], script = {} }) {
+    return {
+      version: version || null,
+      scene_count: scenes.length,
+      character_count: characters.length,
+      dialogue_count: dialogueCount,
+      characters: characters.map(c => c.name).sort(),
+      protagonist: (characters.find(c => c.is_protagonist) || {}).name || null,
+      beats: Object.fromEntries(beats.map(b => [b.beat_type, b.page_number])),
+      structure_template: script.structure_template || null,
+      media_type: script.media_type || null,
+      arc_shape: script.arc_shape || null
+    };
+  }
+
+  // What a re-parse changed: counts, characters found or lost, beats moved
+  diff(before, after) {
+    const count = key => ({
+      before: before[key],
+      after: after[key],
+      change: after[key] - before[key]
+    });
+    const field = key => (before[key] !== after[key] ? { before: before[key], after: after[key] } : null);
+
+    const beatTypes = new Set([...Object.keys(before.beats), ...Object.keys(after.beats)]);
+    const beats = { added: [], removed: [], moved: [] };
+    beatTypes.forEach(type => {
+      const from = before.beats[type];
+      const to = after.beats[type];
+      if (from === undefined) beats.added.push({ beat_type: type, page_number: to });
+      else if (to === undefined) beats.removed.push({ beat_type: type, page_number: from });
+      else if (from !== to) beats.moved.push({ beat_type: type, from_page: from, to_page: to });
+    });
+
+    const changes = {
+      from_version: before.version,
+      to_version: after.version,
+      scenes: count('scene_count'),
+      characters: {
+        ...count('character_count'),
+        added: after.characters.filter(name => !before.characters.includes(name)),
+        removed: before.characters.filter(name => !after.characters.includes(name))
+      },
+      dialogue: count('dialogue_count'),
+      beats,
+      fields: Object.fromEntries(['protagonist', 'structure_template', 'media_type', 'arc_shape']
+        .map(key => [key, field(key)])
+        .filter(([, value]) => value))
+    };
+
+    changes.unchanged = changes.scenes.change === 0 && changes.dialogue.change === 0 &&
+      changes.characters.added.length === 0 && changes.characters.removed.length === 0 &&
+      beats.added.length + beats.removed.length + beats.moved.length === 0 &&
+      Object.keys(changes.fields).length === 0;
+
+    return changes;
+  }
+}
+
+ParseHistory.PARSER_VERSION = PARSER_VERSION;
+
+module.exports = ParseHistory;
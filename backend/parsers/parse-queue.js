@@ -0,0 +1,160 @@
+// =========================================
+// VESPER42 - Parse Queue
+// Batches of parse jobs in parse_batches / parse_jobs
+// =========================================
+
+require('dotenv').config();
+
+const BatchScheduler = require('./batch-scheduler');
+
+const db = require('../storage');
+
+class ParseQueue {
+  constructor() {
+    this.scheduler = new BatchScheduler();
+  }
+
+  // One job per script, in the order given
+  async createBatch(scripts, options = {}) {
+    const { data: batch, error } = await db
+      .from('parse_batches')
+      .insert({
+        status: 'running',
+        total: scripts.length,
+        options,
+        started_at: new Date().toISOString()
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    const jobs = scripts.map((script, position) => ({
+      batch_id: batch.id,
+      script_id: script.id,
+      title: script.title,
+      position,
+      max_attempts: options.maxAttempts || 3
+    }));
+
+    for (let i = 0; i < jobs.length; i += 500) {
+      const { error: jobError } = await db
+        .from('parse_jobs')
+        .insert(jobs.slice(i, i + 500));
+
+      if (jobError) throw jobError;
+    }
+
+    return batch;
+  }
+
+  // Most recent batch that never finished (the process stopped or crashed)
+  async unfinishedBatch() {
+    const { data, error } = await db
+      .from('parse_batches')
+      .select('*')
+      .eq('status', 'running')
+      .order('created_at', { ascending: false })
+      .limit(1);
+
+    if (error) throw error;
+    return data && data[0] ? data[0] : null;
+  }
+
+  // Jobs left 'running' by a dead process go back in the queue
+  async requeueStale(batchId) {
+    const { data, error } = await db
+      .from('parse_jobs')
+      .update({ status: 'pending', next_attempt_at: new Date().toISOString() })
+      .eq('batch_id', batchId)
+      .eq('status', 'running')
+      .select('id');
+
+    if (error) throw error;
+    return data ? data.length : 0;
+  }
+
+  // Next job for a worker, ms until a retry comes due, or null when drained
+  async next(batchId) {
+    const { data, error } = await db.rpc('claim_parse_job', { p_batch_id: batchId });
+    if (error) throw error;
+    if (data && data[0]) return data[0];
+
+    const { data: waiting, error: waitError } = await db
+      .from('parse_jobs')
+      .select('next_attempt_at')
+      .eq('batch_id', batchId)
+      .eq('status', 'pending')
+      .order('next_attempt_at')
+      .limit(1);
+
+    if (waitError) throw waitError;
+    if (!waiting || waiting.length === 0) return null;
+    return new Date(waiting[0].next_attempt_at).getTime() - Date.now();
+  }
+
+  // `status`: 'done' or 'skipped'
+  async complete(job, status, result = null) {
+    const { error } = await db
+      .from('parse_jobs')
+      .update({ status, result, last_error: null, finished_at: new Date().toISOString() })
+      .eq('id', job.id);
+
+    if (error) throw error;
+  }
+
+  // Retry with backoff until the job runs out of attempts
+  async fail(job, failure) {
+    const retry = job.attempts < job.max_attempts;
+    const delay = this.scheduler.backoff(job.attempts);
+
+    const { error } = await db
+      .from('parse_jobs')
+      .update(retry
+        ? { status: 'pending', last_error: failure.message, next_attempt_at: new Date(Date.now() + delay).toISOString() }
+        : { status: 'failed', last_error: failure.message, finished_at: new Date().toISOString() })
+      .eq('id', job.id);
+
+    if (error) throw error;
+    return retry ? delay : null;
+  }
+
+  async finishBatch(batchId) {
+    const { error } = await db
+      .from('parse_batches')
+      .update({ status: 'finished', finished_at: new Date().toISOString() })
+      .eq('id', batchId);
+
+    if (error) throw error;
+  }
+
+  // `batchId` of 'latest' picks the most recently created batch
+  async progress(batchId) {
+    let query = db.from('parse_batches').select('*');
+    query = batchId === 'latest'
+      ? query.order('created_at', { ascending: false }).limit(1)
+      : query.eq('id', batchId);
+
+    const { data: batches, error } = await query;
+    if (error) throw error;
+    if (!batches || batches.length === 0) return null;
+
+    const batch = batches[0];
+    const { data: jobs, error: jobError } = await db
+      .from('parse_jobs')
+      .select('script_id, title, status, attempts, last_error')
+      .eq('batch_id', batch.id)
+      .order('position');
+
+    if (jobError) throw jobError;
+
+    return {
+      ...this.scheduler.progress(batch, jobs || []),
+      created_at: batch.created_at,
+      finished_at: batch.finished_at,
+      options: batch.options
+    };
+  }
+}
+
+module.exports = ParseQueue;
@@ -0,0 +1,180 @@
+// =========================================
+// VESPER42 - PDF Importer
+// Screenplay PDF → text with real page boundaries
+// =========================================
+
+// lib entry point skips the debug harness in pdf-parse's index.js
+const pdfParse = require('pdf-parse/lib/pdf-parse.js');
+const SluglineParser = require('./slugline-parser');
+
+// Courier 12pt: 10 characters per inch, 6 lines per inch
+const POINTS_PER_CHAR = 7.2;
+const POINTS_PER_LINE = 12;
+const LEFT_EDGE = 72; // 1" - scene numbers live between here and the 1.5" margin
+
+const sluglines = new SluglineParser();
+
+class PdfImporter {
+
+  // Extract, clean and join pages with form feeds
+  async parse(buffer) {
+    const rawPages = await this.extractPages(buffer);
+    const { pages, title_page } = this.cleanPages(rawPages);
+
+    return {
+      format: 'pdf',
+      text: pages.map(lines => lines.join('\n')).join('\f'),
+      pages,
+      title_page,
+      elements: null,
+      notes: []
+    };
+  }
+
+  // One array of laid-out lines per physical page
+  async extractPages(buffer) {
+    const pages = [];
+
+    // Copy out of Node's pooled Buffer memory; pdf.js reads the whole ArrayBuffer
+    await pdfParse(new Uint8Array(buffer), {
+      pagerender: pageData => pageData
+        .getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false })
+        .then(content => {
+          pages[pageData.pageIndex] = this.layoutPage(content.items);
+          return '';
+        })
+    });
+
+    return pages.map(lines => lines || []);
+  }
+
+  // Rebuild lines from positioned text items, keeping indentation
+  layoutPage(items) {
+    const rows = [];
+
+    items
+      .filter(item => item.str.length > 0)
+      .forEach(item => {
+        const x = item.transform[4];
+        const y = item.transform[5];
+        let row = rows.find(r => Math.abs(r.y - y) < 2);
+        if (!row) {
+          row = { y, items: [] };
+          rows.push(row);
+        }
+        row.items.push({ x, str: item.str });
+      });
+
+    // PDF y grows upwards
+    rows.sort((a, b) => b.y - a.y);
+
+    const lines = [];
+    let lastY = null;
+
+    rows.forEach(row => {
+      if (lastY !== null) {
+        const gap = Math.round((lastY - row.y) / POINTS_PER_LINE) - 1;
+        for (let i = 0; i < gap; i++) lines.push('');
+      }
+      lastY = row.y;
+
+      let line = '';
+      row.items
+        .sort((a, b) => a.x - b.x)
+        .forEach(item => {
+          const column = Math.max(0, Math.round((item.x - LEFT_EDGE) / POINTS_PER_CHAR));
+          if (column > line.length) {
+            line += ' '.repeat(column - line.length);
+          } else if (line.length > 0 && !/\s$/.test(line) && !/^\s/.test(item.str)) {
+            line += ' ';
+          }
+          line += item.str;
+        });
+
+      lines.push(line.replace(/\s+$/, ''));
+    });
+
+    return lines;
+  }
+
+  // Strip page furniture and stitch dialogue split across pages
+  cleanPages(rawPages) {
+    const pages = rawPages.map(lines => lines.slice());
+    let title_page = {};
+
+    // A leading page without any scene heading is the title page
+    if (pages.length > 1 && !pages[0].some(l => sluglines.isHeading(this.stripSceneNumbers(l).text))) {
+      const lines = pages.shift().map(l => l.trim()).filter(Boolean);
+      title_page = lines.length > 0 ? { title: lines[0], lines } : {};
+    }
+
+    let continuedSpeaker = null;
+
+    const cleaned = pages.map(lines => {
+      const output = [];
+      let lastSpeaker = null;
+
+      lines.forEach((line, index) => {
+        const trimmed = line.trim();
+
+        // Page numbers ("12." or "12") in the header
+        if (index < 3 && /^\d+\.?$/.test(trimmed)) return;
+
+        // Continuation furniture
+        if (/^\(?CONTINUED:?\)?(\s*\(\d+\))?$/i.test(trimmed)) return;
+        if (/^\d*\s*CONTINUED:?\s*\(?\d*\)?\s*\d*$/i.test(trimmed)) return;
+
+        if (/^\(MORE\)$/i.test(trimmed)) {
+          continuedSpeaker = lastSpeaker;
+          return;
+        }
+
+        // "NAME (CONT'D)" after a (MORE) is the same speech, not a new one
+        if (continuedSpeaker && output.every(l => l.trim() === '')) {
+          const cue = trimmed.replace(/\s*\((CONT'D|CONT’D|CONTINUED|CONT)\)\s*$/i, '');
+          if (cue !== trimmed && cue === continuedSpeaker) {
+            lastSpeaker = cue;
+            continuedSpeaker = null;
+            return;
+          }
+        }
+        if (trimmed.length > 0) continuedSpeaker = null;
+
+        const { text, label } = this.stripSceneNumbers(line);
+        if (label && sluglines.isHeading(text)) {
+          output.push(`${text.replace(/\s+$/, '')} #${label}#`);
+          return;
+        }
+
+        if (this.isCharacterCue(trimmed)) {
+          lastSpeaker = trimmed.replace(/\s*\([^)]*\)\s*$/, '');
+        }
+
+        output.push(line);
+      });
+
+      // Drop leading/trailing blank lines so pages join cleanly
+      while (output.length > 0 && output[0].trim() === '') output.shift();
+      while (output.length > 0 && output[output.length - 1].trim() === '') output.pop();
+      return output;
+    });
+
+    return { pages: cleaned, title_page };
+  }
+
+  // "12   INT. HOUSE - DAY   12" → heading + label "12"
+  stripSceneNumbers(line) {
+    const match = line.match(/^(\s*)([A-Z]?\d+[A-Z]?)(\s{2,})(.*?)(?:\s{2,}\2)?\s*$/);
+    if (!match) return { text: line, label: null };
+    // Blank out the number so the heading keeps its indentation
+    return { text: match[1] + ' '.repeat(match[2].length) + match[3] + match[4], label: match[2] };
+  }
+
+  isCharacterCue(line) {
+    const name = line.replace(/\s*\([^)]*\)\s*$/, '');
+    return name.length > 1 && name.length < 30 &&
+      /^[A-Z][A-Z0-9 .'\-]+$/.test(name) && !sluglines.isHeading(name);
+  }
+}
+
+module.exports = PdfImporter;
@@ -0,0 +1,152 @@
+// =========================================
+// VESPER42 - Slugline Parser
+// "12 INT. HOUSE - KITCHEN - NIGHT (1985) 12" → structured heading
+// =========================================
+
+// Interior/exterior prefixes → canonical scene type
+const PREFIXES = [
+  { pattern: /^(INT\.?\s*\/\s*EXT\.?|EXT\.?\s*\/\s*INT\.?|I\.?\/E\.?|E\.?\/I\.?|INT\.?-EXT\.?)(?=[\s.]|$)\.?/, type: 'INT./EXT.' },
+  { pattern: /^(INT\.|INT(?=\s)|INTERIOR(?=\s))/, type: 'INT.' },
+  { pattern: /^(EXT\.|EXT(?=\s)|EXTERIOR(?=\s))/, type: 'EXT.' },
+  { pattern: /^(EST\.|EST(?=\s)|ESTABLISHING(?: SHOT)?(?=\s|$))/, type: 'EST.' }
+];
+
+// Headings that are not a single place and time
+const SPECIAL_HEADINGS = [
+  { pattern: /^(END (OF )?(MONTAGE|FLASHBACK|INTERCUT|SERIES OF SHOTS|DREAM( SEQUENCE)?))\b/, type: 'end' },
+  { pattern: /^(QUICK )?MONTAGE\b/, type: 'montage' },
+  { pattern: /^SERIES OF (QUICK )?SHOTS\b/, type: 'series_of_shots' },
+  { pattern: /^INTERCUT\b/, type: 'intercut' },
+  { pattern: /^FLASH(BACK|FORWARD)\b/, type: 'flashback' },
+  { pattern: /^DREAM( SEQUENCE)?\b/, type: 'dream' }
+];
+
+const TIMES_OF_DAY = [
+  'DAY', 'NIGHT', 'DAWN', 'DUSK', 'MORNING', 'AFTERNOON', 'EVENING', 'SUNSET', 'SUNRISE',
+  'NOON', 'MIDDAY', 'MIDNIGHT', 'TWILIGHT', 'MAGIC HOUR', 'LATE NIGHT', 'EARLY MORNING',
+  'LATE AFTERNOON', 'PRE-DAWN', 'FIRST LIGHT', 'GOLDEN HOUR'
+];
+
+// Times that only make sense relative to the previous scene
+const RELATIVE_TIMES = /^((A )?(FEW )?(MOMENTS?|SECONDS?|MINUTES?|HOURS?) LATER|LATER( THAT (DAY|NIGHT|MORNING|EVENING))?|CONTINUOUS|SAME( TIME)?|SIMULTANEOUS|MOMENTS BEFORE)$/;
+
+const SCENE_NUMBER = /^([A-Z]?\d+[A-Z]?)\.?\s+/;
+const SCENE_NUMBER_SUFFIX = /\s+([A-Z]?\d+[A-Z]?)\.?$/;
+const LABEL = /\s*#([\w.\-]+)#$/;
+
+class SluglineParser {
+
+  // Is this line a scene heading of any kind?
+  isHeading(line) {
+    const text = this.stripSceneNumbers(line.trim()).text;
+    if (text.length === 0 || text.length > 120) return false;
+
+    // Mixed-case lines only count with an explicit "INT." / "EXT." style prefix
+    if (text !== text.toUpperCase()) {
+      return /^(INT\.|EXT\.|EST\.|I\/E\b)/i.test(text);
+    }
+
+    if (PREFIXES.some(p => p.pattern.test(text))) return true;
+
+    // "INTERCUT WITH:" and "FLASHBACK TO:" are transitions
+    return !/:$/.test(text) && SPECIAL_HEADINGS.some(h => h.pattern.test(text));
+  }
+
+  // Break a heading into type, parent/sub location and time
+  parse(line) {
+    const { text, label } = this.stripSceneNumbers(line.trim());
+    let body = text.toUpperCase();
+    const result = {
+      scene_number_label: label,
+      heading_type: 'standard',
+      scene_type: null,
+      location: null,
+      parent_location: null,
+      sub_location: null,
+      description: null,
+      time: null,
+      time_relative: false,
+      modifiers: []
+    };
+
+    // Trailing "(FLASHBACK)", "(1985)", "(PRESENT DAY)"
+    let modifier;
+    while ((modifier = body.match(/\s*\(([^)]*)\)\s*$/))) {
+      result.modifiers.unshift(modifier[1].trim());
+      body = body.slice(0, modifier.index);
+    }
+
+    // "FLASHBACK - INT. HOUSE - NIGHT" wraps a regular heading
+    const special = SPECIAL_HEADINGS.find(h => h.pattern.test(body));
+    if (special) {
+      result.heading_type = special.type;
+      body = body.replace(special.pattern, '').replace(/^\s*([-–—:]+|\s)\s*/, '');
+    } else {
+      const flagged = result.modifiers.find(m => SPECIAL_HEADINGS.some(h => h.pattern.test(m)));
+      if (flagged) result.heading_type = SPECIAL_HEADINGS.find(h => h.pattern.test(flagged)).type;
+    }
+
+    const prefix = PREFIXES.find(p => p.pattern.test(body));
+    if (prefix) {
+      result.scene_type = prefix.type;
+      body = body.replace(prefix.pattern, '').trim();
+    }
+
+    const parts = body
+      .split(/\s+[-–—]+\s+|\s+--\s*|\s*--\s+/)
+      .map(p => p.trim().replace(/^[-–—.\s]+|[-–—\s]+$/g, ''))
+      .filter(Boolean);
+
+    // Last segment is the time when it reads like one
+    if (parts.length > 0) {
+      const last = parts[parts.length - 1];
+      if (TIMES_OF_DAY.includes(last) || RELATIVE_TIMES.test(last)) {
+        result.time = last;
+        result.time_relative = RELATIVE_TIMES.test(last);
+        parts.pop();
+      }
+    }
+
+    // "MONTAGE - MILLER INVESTIGATES" describes a sequence, not a place
+    if (!prefix && special) {
+      result.description = parts.join(' - ') || null;
+      return result;
+    }
+
+    if (parts.length > 0) {
+      result.parent_location = parts[0];
+      result.sub_location = parts.length > 1 ? parts.slice(1).join(' - ') : null;
+      result.location = parts.join(' - ');
+    }
+
+    return result;
+  }
+
+  // Scene numbers sit before and/or after the heading ("12 INT. ... 12", "#12#")
+  stripSceneNumbers(line) {
+    let text = line;
+    let label = null;
+
+    const fountainLabel = text.match(LABEL);
+    if (fountainLabel) {
+      label = fountainLabel[1];
+      text = text.slice(0, fountainLabel.index);
+    }
+
+    const leading = text.match(SCENE_NUMBER);
+    if (leading && /[A-Z]/i.test(text.slice(leading[0].length, leading[0].length + 1))) {
+      label = label || leading[1];
+      text = text.slice(leading[0].length);
+    }
+
+    const trailing = text.match(SCENE_NUMBER_SUFFIX);
+    if (trailing && (!label || trailing[1] === label)) {
+      label = label || trailing[1];
+      text = text.slice(0, trailing.index);
+    }
+
+    return { text: text.trim(), label };
+  }
+}
+
+module.exports = SluglineParser;
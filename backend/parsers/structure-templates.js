@@ -0,0 +1,504 @@
+// =========================================
+// VESPER42 - Structure Templates
+// Beat sheets as relative positions: detection + outlines
+// =========================================
+
+// Which scene signals mark a kind of beat (see BeatDetector)
+const SIGNAL_PROFILES = {
+  opening: { location_shift: 0.5, action_density: 0.5 },
+  disruption: { entrances: 0.3, tone_shift: 0.3, location_shift: 0.2, protagonist: 0.2 },
+  encounter: { entrances: 0.5, dialogue_density: 0.3, protagonist: 0.2 },
+  threshold: { location_shift: 0.4, entrances: 0.2, pacing: 0.2, protagonist: 0.2 },
+  reversal: { tone_shift: 0.35, dialogue_density: 0.25, pacing: 0.2, protagonist: 0.2 },
+  crisis: { tone_shift: 0.4, intensity: 0.2, protagonist: 0.2, pacing: 0.2 },
+  confrontation: { intensity: 0.35, pacing: 0.25, protagonist: 0.25, location_shift: 0.15 },
+  resolution: { tone_shift: 0.3, protagonist: 0.3, dialogue_density: 0.2, location_shift: 0.2 }
+};
+
+// Beats with `signals` are detected in parsed scripts; the rest only appear in outlines.
+// `span` marks beats that cover a stretch of pages rather than a single moment.
+// `beat_type` keeps the name stored in story_beats when it differs from the outline name.
+const BUILT_IN = [
+  {
+    id: 'save-the-cat',
+    name: 'Save the Cat (three acts)',
+    description: 'Blake Snyder\'s 15-beat sheet over a three-act, four-quarter feature.',
+    acts: [
+      { key: 'act1', title: 'ACT 1: SETUP', start: 0, end: 0.25, marker: 'act1End' },
+      { key: 'act2a', title: 'ACT 2A: CONFRONTATION', start: 0.25, end: 0.5, marker: 'act2aMidpoint' },
+      { key: 'act2b', title: 'ACT 2B: COMPLICATIONS', start: 0.5, end: 0.75, marker: 'act2bEnd' },
+      { key: 'act3', title: 'ACT 3: RESOLUTION', start: 0.75, end: 1, marker: 'act3End' }
+    ],
+    beats: [
+      {
+        name: 'Opening Image', act: 'act1', position: 0, window: [0, 0.03], signals: 'opening',
+        description: 'Establish the protagonist\'s ordinary world. Show their life before the journey begins.',
+        example: 'Based on successful {genre} scripts: Introduce protagonist in their normal routine, hint at their flaw/need.'
+      },
+      {
+        name: 'Theme Stated', act: 'act1', position: 0.045,
+        description: 'Someone states the theme/lesson of the story (often subtly).',
+        example: 'A conversation or observation that hints at what the protagonist will learn.'
+      },
+      {
+        name: 'Setup', act: 'act1', position: 0, span: [0, 0.09],
+        description: 'Establish all the "pieces" - characters, relationships, world rules.',
+        example: 'Introduce supporting characters, establish protagonist\'s wants vs needs.'
+      },
+      {
+        name: 'Inciting Incident', act: 'act1', position: 0.11, window: [0.06, 0.17], signals: 'disruption',
+        description: 'The event that disrupts the ordinary world and starts the story.',
+        example: 'In your story: The catalyst that forces the protagonist into action related to: "{premise}"'
+      },
+      {
+        name: 'Debate', act: 'act1', position: 0.11, span: [0.11, 0.23],
+        description: 'Protagonist debates whether to take the journey. Should they? Can they?',
+        example: 'Show internal/external resistance. Raise the stakes. Make it personal.'
+      },
+      {
+        name: 'Break into Two', beat_type: 'End of Act 1', act: 'act1', position: 0.25, window: [0.18, 0.31], signals: 'threshold',
+        description: 'Protagonist makes the choice to enter Act 2. Crosses the threshold.',
+        example: 'Point of no return. They commit to the goal. Enter the "upside-down world".'
+      },
+      {
+        name: 'B Story Begins', act: 'act2a', position: 0.3,
+        description: 'Introduce the relationship/subplot that will help protagonist learn the theme.',
+        example: 'New ally, mentor, or love interest who represents the "need" vs "want".'
+      },
+      {
+        name: 'Fun and Games', act: 'act2a', position: 0.34, span: [0.34, 0.45],
+        description: 'The "promise of the premise". The fun part. What the poster advertises.',
+        example: 'Deliver on the {genre} genre expectations. Show protagonist tackling the problem with initial confidence.'
+      },
+      {
+        name: 'Midpoint', act: 'act2a', position: 0.5, window: [0.42, 0.58], signals: 'reversal',
+        description: 'False victory or false defeat. Stakes are raised. Time clock appears/intensifies.',
+        example: 'Either: protagonist gets what they want (but not what they need), OR everything falls apart. Either way - everything changes.'
+      },
+      {
+        name: 'Bad Guys Close In', act: 'act2b', position: 0.55, span: [0.55, 0.61],
+        description: 'Internal and external forces close in. Things get worse.',
+        example: 'If Midpoint was a victory: enemies regroup and hit harder. If defeat: protagonist struggles to recover. Pressure mounts.'
+      },
+      {
+        name: 'All Is Lost', act: 'act2b', position: 0.68, window: [0.6, 0.76], signals: 'crisis',
+        description: 'Lowest point. The "whiff of death" - something or someone dies (literally or metaphorically).',
+        example: 'False defeat. Mentor dies, relationship ends, hope is lost. Opposite of Midpoint.'
+      },
+      {
+        name: 'Dark Night of the Soul', act: 'act2b', position: 0.69, span: [0.69, 0.74],
+        description: 'Protagonist wallows in defeat. Seems impossible to win.',
+        example: 'Emotional low. Protagonist reflects on failures. Doubt reaches peak.'
+      },
+      {
+        name: 'Break into Three', act: 'act2b', position: 0.75,
+        description: 'Thanks to B Story, protagonist finds the solution. Synthesis of A and B stories.',
+        example: 'Eureka moment. Protagonist realizes what they need (not just want). Finds clarity and resolve.'
+      },
+      {
+        name: 'Finale', act: 'act3', position: 0.76, span: [0.76, 0.95],
+        description: 'Protagonist executes the new plan. Synthesis of want + need.',
+        example: 'The big {genre} climax. Protagonist uses everything they\'ve learned. Faces the antagonist/obstacle with new understanding.'
+      },
+      {
+        name: 'Climax', act: 'act3', position: 0.86, window: [0.78, 0.94], signals: 'confrontation',
+        description: 'The decisive moment. A vs B. Will protagonist succeed?',
+        example: 'The ultimate confrontation. Tension peaks. All or nothing.'
+      },
+      {
+        name: 'Final Image', beat_type: 'Resolution', act: 'act3', position: 0.98, window: [0.92, 1], signals: 'resolution',
+        description: 'Mirror of Opening Image. Shows how protagonist has changed.',
+        example: 'The "new world". Protagonist in their changed state. Theme proven. Opposite of Opening Image.'
+      }
+    ]
+  },
+  {
+    id: 'heros-journey',
+    name: 'Hero\'s Journey (12 stages)',
+    description: 'Vogler\'s twelve stages across departure, initiation and return.',
+    acts: [
+      { key: 'act1', title: 'ACT 1: DEPARTURE', start: 0, end: 0.25 },
+      { key: 'act2', title: 'ACT 2: INITIATION', start: 0.25, end: 0.75 },
+      { key: 'act3', title: 'ACT 3: RETURN', start: 0.75, end: 1 }
+    ],
+    beats: [
+      {
+        name: 'Ordinary World', act: 'act1', position: 0, window: [0, 0.04], signals: 'opening',
+        description: 'The hero at home, before the adventure, with a lack or wound.',
+        example: 'Show what the hero of this {genre} story stands to lose - and what they are missing.'
+      },
+      {
+        name: 'Call to Adventure', act: 'act1', position: 0.1, window: [0.05, 0.15], signals: 'disruption',
+        description: 'A problem or challenge arrives that cannot be ignored.',
+        example: 'The call that sets things moving: "{premise}"'
+      },
+      {
+        name: 'Refusal of the Call', act: 'act1', position: 0.15,
+        description: 'Fear, duty or doubt makes the hero hesitate.',
+        example: 'Give the hero a real reason to say no.'
+      },
+      {
+        name: 'Meeting the Mentor', act: 'act1', position: 0.2, window: [0.14, 0.24], signals: 'encounter',
+        description: 'Someone (or something) gives the hero advice, training or a gift.',
+        example: 'The mentor supplies what the hero needs to commit.'
+      },
+      {
+        name: 'Crossing the Threshold', act: 'act1', position: 0.25, window: [0.2, 0.31], signals: 'threshold',
+        description: 'The hero commits and enters the special world.',
+        example: 'A clear change of place, rules or stakes.'
+      },
+      {
+        name: 'Tests, Allies, Enemies', act: 'act2', position: 0.27, span: [0.27, 0.45],
+        description: 'The hero learns the rules of the special world and who to trust.',
+        example: 'Set-pieces that deliver the {genre} promise while building the team and the opposition.'
+      },
+      {
+        name: 'Approach to the Inmost Cave', act: 'act2', position: 0.45,
+        description: 'Preparation for the central ordeal; the danger comes into view.',
+        example: 'Plans, doubts and regrouping before the big test.'
+      },
+      {
+        name: 'The Ordeal', act: 'act2', position: 0.55, window: [0.46, 0.64], signals: 'crisis',
+        description: 'The hero faces their greatest fear and a symbolic death.',
+        example: 'Everything is at stake; the hero barely survives.'
+      },
+      {
+        name: 'Reward', act: 'act2', position: 0.62,
+        description: 'Having survived, the hero seizes the sword, treasure or insight.',
+        example: 'A moment of celebration - and a new problem it creates.'
+      },
+      {
+        name: 'The Road Back', act: 'act3', position: 0.75, window: [0.68, 0.81], signals: 'threshold',
+        description: 'The hero recommits to finishing the journey; consequences give chase.',
+        example: 'Raise the clock: there is no going back now.'
+      },
+      {
+        name: 'Resurrection', act: 'act3', position: 0.88, window: [0.8, 0.95], signals: 'confrontation',
+        description: 'A final, most dangerous test that proves the hero has changed.',
+        example: 'The {genre} climax, won with what the hero learned.'
+      },
+      {
+        name: 'Return with the Elixir', act: 'act3', position: 0.98, window: [0.93, 1], signals: 'resolution',
+        description: 'The hero comes home transformed, bringing something that heals the ordinary world.',
+        example: 'Mirror the Ordinary World to show what has changed.'
+      }
+    ]
+  },
+  {
+    id: 'story-circle',
+    name: 'Story Circle (8 steps)',
+    description: 'Dan Harmon\'s eight-step circle: order, chaos, and back again changed.',
+    acts: [
+      { key: 'act1', title: 'ACT 1: ORDER', start: 0, end: 0.25 },
+      { key: 'act2', title: 'ACT 2: INTO CHAOS', start: 0.25, end: 0.5 },
+      { key: 'act3', title: 'ACT 3: PRICE', start: 0.5, end: 0.75 },
+      { key: 'act4', title: 'ACT 4: RETURN', start: 0.75, end: 1 }
+    ],
+    beats: [
+      {
+        name: 'You', act: 'act1', position: 0, window: [0, 0.05], signals: 'opening',
+        description: 'A character in a zone of comfort.',
+        example: 'Establish the protagonist\'s everyday {genre} world.'
+      },
+      {
+        name: 'Need', act: 'act1', position: 0.125, window: [0.06, 0.19], signals: 'disruption',
+        description: 'But they want something.',
+        example: 'The want that drives "{premise}"'
+      },
+      {
+        name: 'Go', act: 'act2', position: 0.25, window: [0.19, 0.31], signals: 'threshold',
+        description: 'They enter an unfamiliar situation.',
+        example: 'A clear crossing into the unknown.'
+      },
+      {
+        name: 'Search', act: 'act2', position: 0.375, window: [0.31, 0.44], signals: 'encounter',
+        description: 'Adapt to it.',
+        example: 'Trial and error; new allies and rules.'
+      },
+      {
+        name: 'Find', act: 'act3', position: 0.5, window: [0.44, 0.56], signals: 'reversal',
+        description: 'Get what they wanted.',
+        example: 'The goal is reached - but it is not what they expected.'
+      },
+      {
+        name: 'Take', act: 'act3', position: 0.625, window: [0.56, 0.69], signals: 'crisis',
+        description: 'Pay a heavy price for it.',
+        example: 'Loss, sacrifice or betrayal.'
+      },
+      {
+        name: 'Return', act: 'act4', position: 0.75, window: [0.69, 0.81], signals: 'threshold',
+        description: 'Then return to their familiar situation.',
+        example: 'Head home, carrying what happened.'
+      },
+      {
+        name: 'Change', act: 'act4', position: 0.9, window: [0.82, 1], signals: 'resolution',
+        description: 'Having changed.',
+        example: 'Show the difference against the opening.'
+      }
+    ]
+  },
+  {
+    id: 'five-act-tv',
+    name: 'Five-Act TV Drama (teaser + 5 acts)',
+    description: 'One-hour network drama: a teaser and five acts, each ending on an act-out.',
+    acts: [
+      { key: 'teaser', title: 'TEASER', start: 0, end: 0.08 },
+      { key: 'act1', title: 'ACT ONE', start: 0.08, end: 0.27 },
+      { key: 'act2', title: 'ACT TWO', start: 0.27, end: 0.46 },
+      { key: 'act3', title: 'ACT THREE', start: 0.46, end: 0.65 },
+      { key: 'act4', title: 'ACT FOUR', start: 0.65, end: 0.84 },
+      { key: 'act5', title: 'ACT FIVE', start: 0.84, end: 1 }
+    ],
+    beats: [
+      {
+        name: 'Teaser Hook', act: 'teaser', position: 0, window: [0, 0.08], signals: 'opening',
+        description: 'Grab the audience before the titles with the episode\'s question.',
+        example: 'Open on the problem of the week: "{premise}"'
+      },
+      {
+        name: 'Act One Out', act: 'act1', position: 0.27, window: [0.2, 0.3], signals: 'disruption',
+        description: 'The case or problem is fully engaged; end on a turn that holds through the break.',
+        example: 'A reveal that commits the characters.'
+      },
+      {
+        name: 'Act Two Out', act: 'act2', position: 0.46, window: [0.39, 0.49], signals: 'reversal',
+        description: 'A complication reverses the first plan.',
+        example: 'The obvious answer turns out to be wrong.'
+      },
+      {
+        name: 'Act Three Out', act: 'act3', position: 0.65, window: [0.58, 0.68], signals: 'crisis',
+        description: 'The episode\'s midpoint twist; stakes become personal.',
+        example: 'Someone the lead cares about is drawn in.'
+      },
+      {
+        name: 'Act Four Out', act: 'act4', position: 0.84, window: [0.77, 0.87], signals: 'confrontation',
+        description: 'Lowest point before the final act.',
+        example: 'The {genre} cliffhanger before the last break.'
+      },
+      {
+        name: 'Tag', act: 'act5', position: 0.97, window: [0.9, 1], signals: 'resolution',
+        description: 'Resolve the episode and seed the next one.',
+        example: 'Close the A-story, leave a runner open.'
+      }
+    ]
+  },
+  {
+    id: 'tv-half-hour',
+    name: 'Half-Hour TV (cold open, two acts, tag)',
+    description: 'Single-camera or multi-cam comedy: cold open, two acts and a closing tag.',
+    acts: [
+      { key: 'teaser', title: 'COLD OPEN', start: 0, end: 0.1 },
+      { key: 'act1', title: 'ACT ONE', start: 0.1, end: 0.5 },
+      { key: 'act2', title: 'ACT TWO', start: 0.5, end: 0.94 },
+      { key: 'tag', title: 'TAG', start: 0.94, end: 1 }
+    ],
+    beats: [
+      {
+        name: 'Cold Open', act: 'teaser', position: 0, window: [0, 0.1], signals: 'opening',
+        description: 'A self-contained runner or a hook into the episode\'s story before the titles.',
+        example: 'A quick {genre} set piece that shows who these people are.'
+      },
+      {
+        name: 'Inciting Incident', act: 'act1', position: 0.2, window: [0.12, 0.28], signals: 'disruption',
+        description: 'The A-story problem arrives.',
+        example: 'The complication behind: "{premise}"'
+      },
+      {
+        name: 'Act One Out', act: 'act1', position: 0.48, window: [0.42, 0.5], signals: 'reversal',
+        description: 'The plan backfires or the stakes jump right before the break.',
+        example: 'The lie gets bigger; now everyone is involved.'
+      },
+      {
+        name: 'Low Point', act: 'act2', position: 0.78, window: [0.7, 0.86], signals: 'crisis',
+        description: 'Everything the characters tried has made it worse.',
+        example: 'The truth comes out at the worst possible moment.'
+      },
+      {
+        name: 'Resolution', act: 'act2', position: 0.9, window: [0.86, 0.94], signals: 'resolution',
+        description: 'The A-story resolves and the status quo (mostly) returns.',
+        example: 'An apology, a lesson half-learned.'
+      },
+      {
+        name: 'Tag', act: 'tag', position: 0.97, window: [0.94, 1], signals: 'resolution',
+        description: 'A last joke or runner payoff after the story is over.',
+        example: 'The B-story gets its final beat.'
+      }
+    ]
+  },
+  {
+    id: 'sequence-approach',
+    name: 'Sequence Approach (8 sequences)',
+    description: 'Eight 12-15 page sequences, each with its own tension and resolution.',
+    acts: [
+      { key: 'act1', title: 'ACT 1: SEQUENCES A-B', start: 0, end: 0.25 },
+      { key: 'act2', title: 'ACT 2: SEQUENCES C-F', start: 0.25, end: 0.75 },
+      { key: 'act3', title: 'ACT 3: SEQUENCES G-H', start: 0.75, end: 1 }
+    ],
+    beats: [
+      {
+        name: 'Sequence A: Status Quo & Point of Attack', act: 'act1', position: 0.1, window: [0.04, 0.14], signals: 'disruption',
+        description: 'The world and the protagonist, ending on the inciting event.',
+        example: 'End the sequence on the moment that starts "{premise}"'
+      },
+      {
+        name: 'Sequence B: Predicament & Lock In', act: 'act1', position: 0.25, window: [0.18, 0.3], signals: 'threshold',
+        description: 'The protagonist wrestles with the problem until locked into it.',
+        example: 'Close every exit but forward.'
+      },
+      {
+        name: 'Sequence C: First Obstacle', act: 'act2', position: 0.375, window: [0.31, 0.43], signals: 'encounter',
+        description: 'The first real attempt at the goal, and the first serious obstacle.',
+        example: 'Deliver the {genre} set-piece the premise promises.'
+      },
+      {
+        name: 'Sequence D: First Culmination', act: 'act2', position: 0.5, window: [0.44, 0.56], signals: 'reversal',
+        description: 'The midpoint: a glimpse of the ending, raising the stakes.',
+        example: 'A false high or false low that reshapes the plan.'
+      },
+      {
+        name: 'Sequence E: Subplot & Rising Action', act: 'act2', position: 0.625, window: [0.57, 0.68], signals: 'encounter',
+        description: 'Subplots and relationships move to the front.',
+        example: 'Deepen the B-story; let it pressure the A-story.'
+      },
+      {
+        name: 'Sequence F: Main Culmination', act: 'act2', position: 0.75, window: [0.68, 0.8], signals: 'crisis',
+        description: 'The end of the second act: the highest stakes or lowest point.',
+        example: 'All seems lost - or too easily won.'
+      },
+      {
+        name: 'Sequence G: New Tension & Twist', act: 'act3', position: 0.875, window: [0.81, 0.93], signals: 'confrontation',
+        description: 'A new, final tension; often a twist that reframes everything.',
+        example: 'The final push against the antagonist.'
+      },
+      {
+        name: 'Sequence H: Resolution', act: 'act3', position: 0.98, window: [0.93, 1], signals: 'resolution',
+        description: 'The final resolution and the new equilibrium.',
+        example: 'Tie off the main tension and the subplots.'
+      }
+    ]
+  }
+];
+
+const DEFAULT_TEMPLATE = 'save-the-cat';
+
+class StructureTemplateRegistry {
+
+  constructor() {
+    this.templates = new Map();
+    BUILT_IN.forEach(template => this.register(template));
+  }
+
+  // Add (or replace) a template; positions are fractions of the script, 0-1
+  register(template) {
+    if (!template || !template.id || !Array.isArray(template.acts) || !Array.isArray(template.beats)) {
+      throw new Error('Structure template needs an id, acts and beats');
+    }
+
+    const invalid = template.beats.find(b =>
+      typeof b.position !== 'number' || b.position < 0 || b.position > 1 ||
+      (b.signals && !SIGNAL_PROFILES[b.signals] && typeof b.signals !== 'object'));
+    if (invalid) {
+      throw new Error(`Invalid beat "${invalid.name}" in structure template ${template.id}`);
+    }
+
+    this.templates.set(template.id, template);
+    return template;
+  }
+
+  has(id) {
+    return this.templates.has(id);
+  }
+
+  // Look up by id (or pass a template object straight through); default is Save the Cat
+  get(idOrTemplate = DEFAULT_TEMPLATE) {
+    if (idOrTemplate && typeof idOrTemplate === 'object') return idOrTemplate;
+
+    const template = this.templates.get(idOrTemplate || DEFAULT_TEMPLATE);
+    if (!template) {
+      throw new Error(`Unknown structure template: ${idOrTemplate}`);
+    }
+    return template;
+  }
+
+  // Summaries for the API
+  list() {
+    return Array.from(this.templates.values()).map(t => ({
+      id: t.id,
+      name: t.name,
+      description: t.description,
+      acts: t.acts.map(a => a.title),
+      beats: t.beats.map(b => b.name)
+    }));
+  }
+
+  // Beats the parser should look for, in the shape BeatDetector expects
+  detectionBeats(idOrTemplate) {
+    return this.get(idOrTemplate).beats
+      .filter(beat => beat.signals)
+      .map(beat => ({
+        name: beat.beat_type || beat.name,
+        act: beat.act,
+        target: beat.position,
+        window: beat.window || [Math.max(0, beat.position - 0.06), Math.min(1, beat.position + 0.06)],
+        weights: typeof beat.signals === 'object' ? beat.signals : SIGNAL_PROFILES[beat.signals]
+      }));
+  }
+
+  // Planned page of each single-page beat, by beat type
+  beatPages(idOrTemplate, totalPages, learned = {}) {
+    const template = this.get(idOrTemplate);
+    const pages = {};
+    template.beats
+      .filter(beat => !beat.span)
+      .forEach(beat => {
+        const type = beat.beat_type || beat.name;
+        pages[type] = learned[type] || Math.max(1, Math.round(beat.position * totalPages));
+      });
+    return pages;
+  }
+
+  // Turn a template into page numbers for a script of `totalPages`.
+  // `learned` maps beat types to average pages from successful scripts.
+  layout(idOrTemplate, totalPages, { genre = '', premise = '', learned = {} } = {}) {
+    const template = this.get(idOrTemplate);
+    const pageAt = fraction => Math.max(1, Math.round(fraction * totalPages));
+    const fill = text => (text || '').replace(/\{genre\}/g, genre).replace(/\{premise\}/g, premise);
+
+    const structure = {
+      template: template.id,
+      totalPages,
+      acts: template.acts.map(act => ({
+        key: act.key,
+        title: act.title,
+        pages: `${act.start === 0 ? 1 : pageAt(act.start) + 1}-${pageAt(act.end)}`
+      }))
+    };
+    // Named act breaks (act1End, act2aMidpoint, ...) for templates that define them
+    template.acts.forEach(act => {
+      if (act.marker) structure[act.marker] = pageAt(act.end);
+    });
+
+    const beatPages = this.beatPages(template, totalPages, learned);
+    const acts = {};
+    template.acts.forEach((act, index) => {
+      acts[act.key] = {
+        title: act.title,
+        pages: structure.acts[index].pages,
+        beats: template.beats
+          .filter(beat => beat.act === act.key)
+          .map(beat => ({
+            name: beat.name,
+            page: beat.span
+              ? `${pageAt(beat.span[0])}-${pageAt(beat.span[1])}`
+              : beatPages[beat.beat_type || beat.name],
+            description: fill(beat.description),
+            example: fill(beat.example)
+          }))
+      };
+    });
+
+    return { structure, acts };
+  }
+}
+
+module.exports = StructureTemplateRegistry;
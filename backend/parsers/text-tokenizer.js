@@ -0,0 +1,168 @@
+// =========================================
+// VESPER42 - Plain Text Tokenizer
+// IMSDB / PDF text → screenplay elements
+// =========================================
+
+const { parseCharacterCue } = require('./character-cue');
+const SluglineParser = require('./slugline-parser');
+
+const SCENE_LABEL = /\s*#([\w.\-]+)#$/;
+const TRANSITION = /^(FADE (IN|OUT|TO BLACK)|CUT TO|SMASH CUT|MATCH CUT|JUMP CUT|DISSOLVE( TO)?|WIPE TO|IRIS (IN|OUT))\b|^[A-Z .]+ TO:$/;
+const PAGE_FURNITURE = /^(\(?CONTINUED:?\)?|\(MORE\)|\d+\.?)$/i;
+
+class TextTokenizer {
+
+  constructor() {
+    this.sluglines = new SluglineParser();
+  }
+
+  // Turn screenplay text into elements, each tagged with its page
+  tokenize(text) {
+    const lines = this.paginate(text);
+    const layout = this.measureLayout(lines);
+    const elements = [];
+
+    let block = null; // current dialogue block: { parenthetical: bool }
+    let lastWasBlank = true;
+
+    for (let i = 0; i < lines.length; i++) {
+      const { raw, page } = lines[i];
+      const line = raw.trim();
+      const indent = raw.length - raw.replace(/^\s+/, '').length;
+
+      if (line === '') {
+        block = null;
+        lastWasBlank = true;
+        continue;
+      }
+
+      if (!block?.parenthetical && PAGE_FURNITURE.test(line)) continue;
+
+      // Inside a speech: parentheticals and dialogue until the block ends
+      if (block) {
+        const outdented = layout.indented && indent <= layout.actionIndent + 2;
+
+        if (block.parenthetical) {
+          this.appendText(elements, 'parenthetical', line);
+          if (line.includes(')')) block.parenthetical = false;
+          continue;
+        }
+
+        if (line.startsWith('(') && !outdented) {
+          elements.push({ type: 'parenthetical', text: line, page });
+          block.parenthetical = !line.includes(')');
+          continue;
+        }
+
+        if (!outdented) {
+          this.appendText(elements, 'dialogue', line, page);
+          continue;
+        }
+
+        // Action resumed without a blank line
+        block = null;
+      }
+
+      const heading = line.replace(SCENE_LABEL, '');
+      if (this.sluglines.isHeading(heading)) {
+        const label = line.match(SCENE_LABEL);
+        const element = { type: 'scene_heading', text: heading.toUpperCase(), page };
+        if (label) element.scene_number_label = label[1];
+        elements.push(element);
+        lastWasBlank = false;
+        continue;
+      }
+
+      if (this.isTransition(line, indent, layout)) {
+        elements.push({ type: 'transition', text: line, page });
+        lastWasBlank = false;
+        continue;
+      }
+
+      if (this.isCharacterCue(line, indent, layout, lastWasBlank, lines[i + 1])) {
+        elements.push({ type: 'character', text: line, ...parseCharacterCue(line), page });
+        block = { parenthetical: false };
+        lastWasBlank = false;
+        continue;
+      }
+
+      // Action: consecutive lines form one paragraph
+      const last = elements[elements.length - 1];
+      if (!lastWasBlank && last && last.type === 'action') {
+        last.text += '\n' + line;
+      } else {
+        elements.push({ type: 'action', text: line, page });
+      }
+      lastWasBlank = false;
+    }
+
+    return elements;
+  }
+
+  // Real page breaks (form feeds) when present, otherwise 60 lines = 1 page
+  paginate(text) {
+    if (text.includes('\f')) {
+      return text.split('\f').flatMap((page, index) =>
+        page.split('\n').map(raw => ({ raw: raw.replace(/\r$/, ''), page: index + 1 })));
+    }
+    return text.split('\n').map((raw, i) => ({
+      raw: raw.replace(/\r$/, ''),
+      page: Math.floor(i / 60) + 1
+    }));
+  }
+
+  // IMSDB text keeps print layout: action at the left margin, speech indented
+  measureLayout(lines) {
+    const nonBlank = lines.filter(l => l.raw.trim().length > 0);
+    const indents = nonBlank.map(l => l.raw.length - l.raw.replace(/^\s+/, '').length);
+    const indented = nonBlank.length > 0 &&
+      indents.filter(n => n >= 10).length / nonBlank.length > 0.2;
+
+    if (!indented) return { indented: false, actionIndent: 0 };
+
+    // Action is the shallowest indent that prose lines commonly use
+    const counts = {};
+    nonBlank.forEach((l, i) => {
+      if (/[a-z]/.test(l.raw)) counts[indents[i]] = (counts[indents[i]] || 0) + 1;
+    });
+    const prose = Object.values(counts).reduce((sum, n) => sum + n, 0);
+    const actionIndent = Object.keys(counts)
+      .map(Number)
+      .sort((a, b) => a - b)
+      .find(n => counts[n] / prose >= 0.1) || 0;
+
+    return { indented: true, actionIndent };
+  }
+
+  isTransition(line, indent, layout) {
+    if (line !== line.toUpperCase()) return false;
+    if (TRANSITION.test(line)) return true;
+    // Right-aligned caps ending in a colon
+    return layout.indented && indent > layout.actionIndent + 35 && /:$/.test(line);
+  }
+
+  isCharacterCue(line, indent, layout, lastWasBlank, next) {
+    const { name } = parseCharacterCue(line);
+    if (name.length < 2 || name.length > 35) return false;
+    if (!/^[A-Z0-9][A-Z0-9 .'\-&\/]*$/.test(name) || !/[A-Z]{2}/.test(name)) return false;
+
+    // A speech must follow directly
+    if (!next || next.raw.trim() === '') return false;
+
+    if (layout.indented) {
+      return indent >= layout.actionIndent + 10;
+    }
+    return lastWasBlank;
+  }
+
+  appendText(elements, type, text, page) {
+    const last = elements[elements.length - 1];
+    if (last && last.type === type) {
+      last.text += '\n' + text;
+    } else {
+      elements.push({ type, text, page });
+    }
+  }
+}
+
+module.exports = TextTokenizer;
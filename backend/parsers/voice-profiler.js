@@ -0,0 +1,349 @@
+// =========================================
+// VESPER42 - Voice Profiler
+// How each character talks, who sounds alike, lines out of voice
+// =========================================
+
+const STOPWORDS = new Set([
+  'the', 'a', 'an', 'and', 'or', 'but', 'of', 'to', 'in', 'on', 'at', 'for', 'with', 'is', 'are', 'was',
+  'were', 'be', 'it', 'that', 'this', 'i', 'you', 'he', 'she', 'we', 'they', 'me', 'him', 'her', 'us',
+  'them', 'my', 'your', 'his', 'our', 'their', 'do', 'did', 'so', 'what', 'not', 'no', 'if', 'just',
+  "it's", "i'm", "don't", "you're", 'have', 'has', 'had', 'all', 'there', 'here', 'up', 'out', 'can'
+]);
+
+const PROFANITY = /^(fuck\w*|shit\w*|damn\w*|goddamn\w*|hell|ass|asshole|bitch\w*|bastard\w*|crap|piss\w*|dick\w*|bloody)$/;
+const INFORMAL = new Set([
+  'gonna', 'wanna', 'gotta', 'yeah', 'yep', 'nope', 'hey', 'kinda', 'sorta', "ain't", 'ya', "y'all", 'okay',
+  'ok', 'dude', 'man', 'guys', 'stuff', 'cool', 'huh', 'uh', 'um', 'whatever', 'nah', 'lemme', 'dunno'
+]);
+const FORMAL = new Set([
+  'shall', 'indeed', 'therefore', 'however', 'whom', 'sir', 'madam', 'certainly', 'perhaps', 'moreover',
+  'furthermore', 'regarding', 'nevertheless', 'thus', 'hence', 'shan\'t', 'ought', 'pardon', 'apologies', 'merely'
+]);
+
+// Fixed scales so scores don't depend on how many characters are compared
+const FEATURE_SCALES = {
+  avg_sentence_length: 6,
+  question_rate: 0.25,
+  exclamation_rate: 0.25,
+  ellipsis_rate: 0.15,
+  contraction_rate: 0.1,
+  avg_word_length: 0.6,
+  vocabulary_richness: 0.1,
+  formality: 0.3,
+  profanity_rate: 2
+};
+
+const MIN_SPEECHES = 3; // fewer lines than this is not a voice yet
+const MIN_LINE_WORDS = 5; // shorter lines are too short to judge
+
+class VoiceProfiler {
+
+  // Profiles for every character with enough dialogue, pairwise scores and outlier lines
+  analyze(dialogue, characters = []) {
+    const byCharacter = this.groupLines(dialogue);
+    const names = (characters.length > 0 ? characters.map(c => c.name) : Object.keys(byCharacter))
+      .filter(name => (byCharacter[name] || []).length >= MIN_SPEECHES);
+
+    const profiles = {};
+    names.forEach(name => {
+      profiles[name] = this.profile(byCharacter[name]);
+    });
+    this.addSignaturePhrases(profiles, byCharacter);
+    const vocabularies = this.vocabularies(names, byCharacter);
+
+    const pairs = this.compare(profiles, vocabularies);
+    names.forEach(name => {
+      const mine = pairs.filter(p => p.character_a === name || p.character_b === name);
+      const closest = mine[0];
+      profiles[name].distinctiveness = mine.length > 0
+        ? Math.round(mine.reduce((sum, p) => sum + p.distinctiveness, 0) / mine.length * 1000) / 1000
+        : null;
+      profiles[name].sounds_like = closest
+        ? (closest.character_a === name ? closest.character_b : closest.character_a)
+        : null;
+    });
+
+    return {
+      profiles,
+      pairs,
+      out_of_voice: this.outOfVoice(dialogue, profiles, vocabularies),
+      differentiation: this.differentiation(pairs)
+    };
+  }
+
+  groupLines(dialogue) {
+    const byCharacter = {};
+    dialogue.forEach(d => {
+      if (!byCharacter[d.character]) byCharacter[d.character] = [];
+      byCharacter[d.character].push(d);
+    });
+    return byCharacter;
+  }
+
+  // Word counts per character
+  vocabularies(names, byCharacter) {
+    const counts = {};
+    names.forEach(name => {
+      counts[name] = {};
+      byCharacter[name].forEach(line => this.words(line.text).forEach(w => {
+        counts[name][w] = (counts[name][w] || 0) + 1;
+      }));
+    });
+    return counts;
+  }
+
+  words(text) {
+    return (text || '').toLowerCase().replace(/[’]/g, '\'').match(/[a-z]+(?:'[a-z]+)?/g) || [];
+  }
+
+  sentences(text) {
+    return (text || '').match(/[^.!?…]+(?:[.!?…]+|$)/g)?.map(s => s.trim()).filter(s => /[a-z]/i.test(s)) || [];
+  }
+
+  // Style measurements over a set of lines
+  profile(lines) {
+    const words = lines.flatMap(l => this.words(l.text));
+    const sentences = lines.flatMap(l => this.sentences(l.text));
+    const lengths = sentences.map(s => this.words(s).length).sort((a, b) => a - b);
+    const n = Math.max(sentences.length, 1);
+    const wordCount = Math.max(words.length, 1);
+    const mean = lengths.reduce((sum, v) => sum + v, 0) / (lengths.length || 1);
+    const std = Math.sqrt(lengths.reduce((sum, v) => sum + (v - mean) ** 2, 0) / (lengths.length || 1));
+
+    const informal = words.filter(w => INFORMAL.has(w)).length;
+    const formal = words.filter(w => FORMAL.has(w)).length;
+    const contractions = words.filter(w => w.includes('\'')).length;
+
+    return {
+      speeches: lines.length,
+      words: words.length,
+      vocabulary_richness: this.richness(words),
+      avg_word_length: Math.round(words.reduce((sum, w) => sum + w.length, 0) / wordCount * 100) / 100,
+      sentence_length: {
+        mean: Math.round(mean * 10) / 10,
+        median: lengths[Math.floor(lengths.length / 2)] || 0,
+        p90: lengths[Math.min(lengths.length - 1, Math.floor(lengths.length * 0.9))] || 0,
+        std: Math.round(std * 10) / 10,
+        distribution: this.histogram(lengths)
+      },
+      question_rate: this.rate(sentences.filter(s => s.includes('?')).length, n),
+      exclamation_rate: this.rate(sentences.filter(s => s.includes('!')).length, n),
+      ellipsis_rate: this.rate(sentences.filter(s => /\.\.\.|…|—|--/.test(s)).length, n),
+      contraction_rate: this.rate(contractions, wordCount),
+      formality: this.formality(formal, informal, contractions, wordCount, words),
+      profanity_rate: Math.round(words.filter(w => PROFANITY.test(w)).length / wordCount * 100 * 100) / 100,
+      signature_phrases: []
+    };
+  }
+
+  rate(count, total) {
+    return Math.round(count / total * 1000) / 1000;
+  }
+
+  // Moving-average type/token ratio: stable across different amounts of dialogue
+  richness(words, window = 50) {
+    if (words.length === 0) return 0;
+    if (words.length <= window) return this.rate(new Set(words).size, words.length);
+
+    let total = 0;
+    let windows = 0;
+    for (let i = 0; i + window <= words.length; i += 10) {
+      total += new Set(words.slice(i, i + window)).size / window;
+      windows++;
+    }
+    return Math.round(total / windows * 1000) / 1000;
+  }
+
+  histogram(lengths) {
+    const buckets = { '1-3': 0, '4-7': 0, '8-12': 0, '13-20': 0, '21+': 0 };
+    lengths.forEach(n => {
+      if (n <= 3) buckets['1-3']++;
+      else if (n <= 7) buckets['4-7']++;
+      else if (n <= 12) buckets['8-12']++;
+      else if (n <= 20) buckets['13-20']++;
+      else buckets['21+']++;
+    });
+    return buckets;
+  }
+
+  // 0 = casual slang and contractions, 1 = formal diction
+  formality(formal, informal, contractions, wordCount, words) {
+    const longWords = words.filter(w => w.length >= 8).length / wordCount;
+    const score = 0.5 +
+      (formal - informal) / wordCount * 10 -
+      contractions / wordCount * 2 +
+      (longWords - 0.08) * 2;
+    return Math.round(Math.min(Math.max(score, 0), 1) * 100) / 100;
+  }
+
+  // Phrases one character says repeatedly and others rarely do
+  addSignaturePhrases(profiles, byCharacter) {
+    const counts = {}; // phrase → { character: count }
+    Object.entries(byCharacter).forEach(([name, lines]) => {
+      lines.forEach(line => this.sentences(line.text).forEach(sentence => {
+        const words = this.words(sentence);
+        for (let size = 1; size <= 3; size++) {
+          for (let i = 0; i + size <= words.length; i++) {
+            const gram = words.slice(i, i + size);
+            if (gram.every(w => STOPWORDS.has(w))) continue;
+            const phrase = gram.join(' ');
+            if (!counts[phrase]) counts[phrase] = {};
+            counts[phrase][name] = (counts[phrase][name] || 0) + 1;
+          }
+        }
+      }));
+    });
+
+    Object.keys(profiles).forEach(name => {
+      profiles[name].signature_phrases = Object.entries(counts)
+        .map(([phrase, users]) => {
+          const mine = users[name] || 0;
+          const total = Object.values(users).reduce((sum, v) => sum + v, 0);
+          const minimum = phrase.includes(' ') ? 2 : 3;
+          return { phrase, count: mine, share: mine / total, minimum };
+        })
+        .filter(p => p.count >= p.minimum && p.share >= 0.75)
+        .sort((a, b) => b.count * b.share * b.phrase.split(' ').length -
+          a.count * a.share * a.phrase.split(' ').length || a.phrase.localeCompare(b.phrase))
+        // Drop words already covered by a longer phrase
+        .filter((p, i, list) => !list.slice(0, i).some(q => ` ${q.phrase} `.includes(` ${p.phrase} `)))
+        .slice(0, 5)
+        .map(p => ({ phrase: p.phrase, count: p.count }));
+    });
+  }
+
+  // Similarity of every pair: style features plus vocabulary overlap
+  compare(profiles, vocabularies) {
+    const names = Object.keys(profiles);
+    const pairs = [];
+
+    for (let i = 0; i < names.length; i++) {
+      for (let j = i + 1; j < names.length; j++) {
+        const a = profiles[names[i]];
+        const b = profiles[names[j]];
+
+        const deltas = Object.entries(FEATURE_SCALES).map(([feature, scale]) => ({
+          feature,
+          delta: Math.abs(this.feature(a, feature) - this.feature(b, feature)) / scale
+        }));
+        const distance = Math.sqrt(deltas.reduce((sum, d) => sum + d.delta ** 2, 0) / deltas.length);
+        const style = Math.exp(-distance);
+        const lexical = this.cosine(vocabularies[names[i]], vocabularies[names[j]]);
+        const similarity = Math.round((0.6 * style + 0.4 * lexical) * 1000) / 1000;
+
+        pairs.push({
+          character_a: names[i],
+          character_b: names[j],
+          similarity,
+          distinctiveness: Math.round((1 - similarity) * 1000) / 1000,
+          shared_traits: deltas.filter(d => d.delta < 0.25).map(d => d.feature),
+          differences: deltas.filter(d => d.delta >= 1).map(d => d.feature)
+        });
+      }
+    }
+
+    return pairs.sort((x, y) => y.similarity - x.similarity);
+  }
+
+  feature(profile, name) {
+    return name === 'avg_sentence_length' ? profile.sentence_length.mean : profile[name];
+  }
+
+  cosine(a, b) {
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    Object.entries(a).forEach(([word, count]) => {
+      dot += count * (b[word] || 0);
+      normA += count * count;
+    });
+    Object.values(b).forEach(count => {
+      normB += count * count;
+    });
+    return normA > 0 && normB > 0 ? dot / Math.sqrt(normA * normB) : 0;
+  }
+
+  // Lines that fit another character's vocabulary or break the speaker's own habits
+  outOfVoice(dialogue, profiles, counts) {
+    const names = Object.keys(profiles);
+    if (names.length === 0) return [];
+
+    const vocabularySize = new Set(names.flatMap(name => Object.keys(counts[name]))).size + 1;
+
+    // Add-one smoothed log-likelihood per word, leaving the line itself out of its speaker's counts
+    const fit = (name, words, own) => {
+      const total = Object.values(counts[name]).reduce((sum, v) => sum + v, 0) - (own ? words.length : 0);
+      return words.reduce((sum, w) => {
+        const count = (counts[name][w] || 0) - (own ? 1 : 0);
+        return sum + Math.log((Math.max(count, 0) + 1) / (total + vocabularySize));
+      }, 0) / words.length;
+    };
+
+    const flagged = [];
+    dialogue.forEach(line => {
+      const profile = profiles[line.character];
+      const words = this.words(line.text);
+      if (!profile || words.length < MIN_LINE_WORDS) return;
+
+      const reasons = [];
+      let score = 0;
+      let soundsLike = null;
+
+      const ownFit = fit(line.character, words, true);
+      const best = names
+        .filter(name => name !== line.character)
+        .map(name => ({ name, margin: fit(name, words, false) - ownFit }))
+        .sort((a, b) => b.margin - a.margin)[0];
+      if (best && best.margin > 0.3) {
+        soundsLike = best.name;
+        score += Math.min(best.margin, 1) * 0.5;
+        reasons.push(`word choice closer to ${best.name}`);
+      }
+
+      const { mean, std } = profile.sentence_length;
+      const longest = Math.max(...this.sentences(line.text).map(s => this.words(s).length), 0);
+      if (std > 0 && Math.abs(longest - mean) / std > 2.5) {
+        score += 0.2;
+        reasons.push(longest > mean ? 'much longer sentences than usual' : 'much shorter sentences than usual');
+      }
+
+      const swears = words.filter(w => PROFANITY.test(w)).length;
+      const ownSwears = profile.profanity_rate * profile.words / 100 - swears;
+      if (swears > 0 && ownSwears <= 0) {
+        score += 0.3;
+        reasons.push('profanity from a character who otherwise never swears');
+      }
+
+      const formal = words.some(w => FORMAL.has(w));
+      const informal = words.some(w => INFORMAL.has(w));
+      if ((formal && profile.formality < 0.35) || (informal && !formal && profile.formality > 0.65)) {
+        score += 0.3;
+        reasons.push(formal ? 'formal diction from a casual speaker' : 'slang from a formal speaker');
+      }
+
+      line.out_of_voice_score = Math.round(Math.min(score, 1) * 100) / 100;
+      if (score >= 0.4) {
+        flagged.push({
+          line_number: line.line_number,
+          scene_number: line.scene_number,
+          character: line.character,
+          text: line.text,
+          score: line.out_of_voice_score,
+          sounds_like: soundsLike,
+          reasons
+        });
+      }
+    });
+
+    return flagged.sort((a, b) => b.score - a.score).slice(0, 25);
+  }
+
+  // Script-level rating kept for analysis.characters.voice_differentiation
+  differentiation(pairs) {
+    if (pairs.length === 0) return 'low';
+    const avg = pairs.reduce((sum, p) => sum + p.distinctiveness, 0) / pairs.length;
+    return avg > 0.55 ? 'high' : avg > 0.4 ? 'medium' : 'low';
+  }
+}
+
+module.exports = VoiceProfiler;
@@ -11,12 +11,10 @@ const PORT = process.env.PORT || 3001;
 app.use(cors());
 app.use(express.json());
 
-// Initialize Supabase
-const { createClient } = require('@supabase/supabase-js');
-const supabase = createClient(
-    process.env.SUPABASE_URL,
-    process.env.SUPABASE_KEY
-);
+const db = require('./storage');
+const SuccessModel = require('./ai/success-model');
+const RevenueForecaster = require('./ai/revenue-forecaster');
+const forecaster = new RevenueForecaster();
 
 // Initialize OpenAI
 const OpenAI = require('openai');
@@ -24,7 +22,7 @@ const openai = new OpenAI({
     apiKey: process.env.OPENAI_API_KEY
 });
 
-// Store for temporary data (if Supabase is not connected)
+// Store for temporary data (if the database is not connected)
 let tempStorage = {
     trends: [],
     social: [],
@@ -39,13 +37,13 @@ app.get('/health', (req, res) => {
 // ============ DASHBOARD ENDPOINTS ============
 app.get('/api/dashboard/metrics', async (req, res) => {
     try {
-        // Try to get from Supabase first
-        const { data: trends } = await supabase
+        // Try to get from the database first
+        const { data: trends } = await db
             .from('trends')
             .select('*')
             .limit(100);
         
-        const { data: social } = await supabase
+        const { data: social } = await db
             .from('social_signals')
             .select('*')
             .limit(100);
@@ -78,16 +76,16 @@ app.post('/api/trends/collect', async (req, res) => {
         // Mock data for testing (replace with real TMDB API call)
         const mockTrends = generateMockTrends();
         
-        // Try to save to Supabase
+        // Try to save to the database
         try {
-            const { data, error } = await supabase
+            const { data, error } = await db
                 .from('trends')
                 .upsert(mockTrends, { onConflict: 'tmdb_id' });
             
             if (error) throw error;
-            console.log(`Saved ${mockTrends.length} trends to Supabase`);
+            console.log(`Saved ${mockTrends.length} trends to the database`);
         } catch (dbError) {
-            console.log('Supabase error, using temp storage:', dbError.message);
+            console.log('Database error, using temp storage:', dbError.message);
             tempStorage.trends = mockTrends;
         }
 
@@ -104,8 +102,8 @@ app.post('/api/trends/collect', async (req, res) => {
 
 app.get('/api/trends', async (req, res) => {
     try {
-        // Try Supabase first
-        const { data, error } = await supabase
+        // Try the database first
+        const { data, error } = await db
             .from('trends')
             .select('*')
             .order('momentum_score', { ascending: false })
@@ -122,21 +120,46 @@ app.get('/api/trends', async (req, res) => {
 // ============ PREDICTION ENDPOINTS ============
 app.post('/api/predict/score', async (req, res) => {
     try {
-        const { title, genre, logline, targetAudience } = req.body;
+        const { title, genre, logline, targetAudience, targetLength, mediaType, budget } = req.body;
         
         // Validate input
         if (!title || !genre || !logline || !targetAudience) {
             return res.status(400).json({ error: 'Missing required fields' });
         }
 
-        // Calculate score (mock for now, can integrate OpenAI here)
-        const score = Math.floor(Math.random() * 30) + 70; // 70-100 range
-        const marketFit = ['Strong', 'Moderate', 'Promising'][Math.floor(Math.random() * 3)];
+        // Score with the trained success model (npm run train-model)
+        const model = SuccessModel.load();
+        if (!model) {
+            return res.status(503).json({ error: 'No trained success model: run npm run train-model' });
+        }
+
+        const prediction = model.predictConcept({
+            title,
+            genres: [genre],
+            media_type: mediaType || null,
+            page_count: targetLength || null
+        });
+        const forecast = mediaType === 'tv' ? null : await forecaster.forecast({
+            genres: [genre],
+            budget: Number(budget) > 0 ? Number(budget) : null,
+            predicted_rating: prediction.predicted_rating
+        });
+        const score = Math.round(prediction.success_probability * 100);
+        const marketFit = prediction.success_probability >= 0.65 ? 'Strong'
+            : prediction.success_probability >= 0.4 ? 'Moderate' : 'Limited';
         
         const result = {
             score,
             marketFit,
-            analysis: `Based on current market trends, "${title}" shows ${marketFit.toLowerCase()} potential in the ${genre} genre. The concept appeals to ${targetAudience} demographics.`,
+            predictedRating: prediction.predicted_rating,
+            successProbability: prediction.success_probability,
+            confidence: prediction.confidence_level,
+            contributions: prediction.contributions,
+            counterfactuals: prediction.counterfactuals,
+            reasoning: prediction.reasoning,
+            modelVersion: prediction.model_version,
+            forecast,
+            analysis: `"${title}" has a predicted rating of ${prediction.predicted_rating.toFixed(1)} and a ${score}% chance of reaching ${model.successThreshold.toFixed(1)}+ in the ${genre} genre, from ${prediction.known_features} of ${prediction.total_features} model features. The concept is aimed at ${targetAudience} audiences.`,
             recommendations: [
                 `Consider similar successful ${genre} titles`,
                 `Focus on ${targetAudience} marketing channels`,
@@ -146,7 +169,20 @@ app.post('/api/predict/score', async (req, res) => {
         };
 
         // Store prediction
-        tempStorage.predictions.push({ ...req.body, ...result });
+        const row = model.predictionRow(prediction, {
+            concept_title: title,
+            concept_description: logline,
+            genre: [genre],
+            target_audience: targetAudience,
+            forecast
+        });
+        try {
+            const { error } = await db.from('predictions').insert(row);
+            if (error) throw error;
+        } catch (dbError) {
+            console.log('Database error, using temp storage:', dbError.message);
+            tempStorage.predictions.push({ ...row, created_at: result.timestamp });
+        }
 
         res.json(result);
     } catch (error) {
@@ -163,9 +199,9 @@ app.post('/api/social/collect', async (req, res) => {
         // Mock social data
         const mockSocial = generateMockSocialData();
         
-        // Try to save to Supabase
+        // Try to save to the database
         try {
-            const { data, error } = await supabase
+            const { data, error } = await db
                 .from('social_signals')
                 .upsert(mockSocial, { onConflict: 'id' });
             
@@ -190,7 +226,7 @@ app.post('/api/social/collect', async (req, res) => {
 
 app.get('/api/social', async (req, res) => {
     try {
-        const { data, error } = await supabase
+        const { data, error } = await db
             .from('social_signals')
             .select('*')
             .order('buzz_score', { ascending: false })
@@ -258,11 +294,13 @@ app.listen(PORT, () => {
     console.log(`✅ Server running on port ${PORT}`);
     console.log(`📊 Dashboard: http://localhost:${PORT}/health`);
     
-    // Test Supabase connection
-    supabase
+    // Test database connection
+    db
         .from('trends')
-        .select('count')
-        .limit(1)
-        .then(() => console.log('✅ Connected to Supabase!'))
-        .catch(err => console.log('⚠️ Supabase connection failed, using local storage:', err.message));
+        .select('id', { count: 'exact', head: true })
+        .then(({ error }) => {
+            if (error) throw error;
+            console.log(`✅ Connected to ${db.backendName()} storage!`);
+        })
+        .catch(err => console.log('⚠️ Database connection failed, using local storage:', err.message));
 });
@@ -0,0 +1,80 @@
+// =========================================
+// VESPER42 - Storage
+// The database every module reads and writes, chosen by config
+// =========================================
+//
+// STORAGE_BACKEND=supabase  SUPABASE_URL + SUPABASE_KEY (default when they're set)
+// STORAGE_BACKEND=postgres  DATABASE_URL, a database set up with `npm run migrate` (default when it's set)
+// STORAGE_BACKEND=memory    in-process tables (default otherwise); STORAGE_FILE keeps them on disk
+//
+// Modules call storage.from(...) / storage.rpc(...) exactly like a supabase-js client.
+// Nothing connects until the first query, so requiring a module never needs a database.
+
+require('dotenv').config();
+
+const Migrator = require('./migrator');
+
+const PAGE_SIZE = 1000; // PostgREST's default cap on rows per response
+
+let store = null;
+
+function backendName() {
+  if (process.env.STORAGE_BACKEND) return process.env.STORAGE_BACKEND.toLowerCase();
+  if (process.env.SUPABASE_URL) return 'supabase';
+  return process.env.DATABASE_URL ? 'postgres' : 'memory';
+}
+
+function createStore(name = backendName()) {
+  switch (name) {
+    case 'supabase': {
+      const SupabaseStore = require('./supabase-store');
+      return new SupabaseStore({ url: process.env.SUPABASE_URL, key: process.env.SUPABASE_KEY });
+    }
+    case 'postgres': {
+      const PostgresStore = require('./postgres-store');
+      return new PostgresStore({ connectionString: process.env.DATABASE_URL });
+    }
+    case 'memory': {
+      const MemoryStore = require('./memory-store');
+      return new MemoryStore({
+        file: process.env.STORAGE_FILE || null,
+        schemaSql: new Migrator().migrations().map(m => m.up)
+      });
+    }
+    default:
+      throw new Error(`Unknown STORAGE_BACKEND: ${name} (use supabase, postgres or memory)`);
+  }
+}
+
+function getStore() {
+  if (!store) store = createStore();
+  return store;
+}
+
+// Swap the store, e.g. a fresh MemoryStore per test
+function useStore(next) {
+  store = next;
+  return store;
+}
+
+// Every row of a select, a page at a time so no backend silently truncates it.
+// `query` builds the select afresh for each page; an error is thrown, not returned.
+async function selectAll(label, query, { pageSize = PAGE_SIZE } = {}) {
+  const rows = [];
+  for (let from = 0; ; from += pageSize) {
+    const { data, error } = await query().order('id').range(from, from + pageSize - 1);
+    if (error) throw new Error(`Error fetching ${label}: ${error.message}`);
+    rows.push(...(data || []));
+    if (!data || data.length < pageSize) return rows;
+  }
+}
+
+module.exports = {
+  from: table => getStore().from(table),
+  rpc: (name, args) => getStore().rpc(name, args),
+  selectAll,
+  backendName,
+  createStore,
+  getStore,
+  useStore
+};
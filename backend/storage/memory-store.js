@@ -0,0 +1,398 @@
+// =========================================
+// VESPER42 - Memory Store
+// Local tables in memory, optionally kept in a JSON file
+// =========================================
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const Query = require('./query');
+const SchemaCatalog = require('./schema-catalog');
+
+// Keys the save payload uses to link rows; they aren't columns
+const LINK_KEYS = { dialogue: ['scene_number', 'character'], story_beats: ['scene_number'] };
+const PERSIST_DELAY_MS = 250; // writes in a burst share one rewrite of the file
+
+class MemoryStore {
+  // `file`: keep tables in this JSON file between runs; `schemaSql`: defaults, keys, cascades
+  // (one script, or a list read in order like the migrations)
+  constructor({ file = null, schemaSql = '' } = {}) {
+    this.file = file;
+    this.catalog = new SchemaCatalog();
+    [].concat(schemaSql).forEach(sql => this.catalog.load(sql));
+    this.tables = {};
+    this.snapshot = null; // tables as they were before the open transaction changed them
+    this.persistTimer = null;
+
+    if (file && fs.existsSync(file)) {
+      this.tables = JSON.parse(fs.readFileSync(file, 'utf8')).tables || {};
+    }
+  }
+
+  from(table) {
+    return new Query(this, table);
+  }
+
+  // Same names, arguments and results as the Postgres functions in the schema
+  async rpc(name, args = {}) {
+    const procedure = {
+      save_script_analysis: () => this.saveScriptAnalysis(args),
+      claim_parse_job: () => this.claimParseJob(args)
+    }[name];
+
+    if (!procedure) {
+      return { data: null, error: { message: `Function ${name} does not exist`, code: '42883' } };
+    }
+
+    try {
+      const data = this.transaction(procedure);
+      return { data: structuredClone(data), error: null };
+    } catch (error) {
+      return { data: null, error: { message: error.message, code: error.code || null } };
+    }
+  }
+
+  rows(table) {
+    if (!this.tables[table]) this.tables[table] = [];
+    return this.tables[table];
+  }
+
+  // Rows of a table about to change: the open transaction keeps a copy to roll back to
+  mutable(table) {
+    if (this.snapshot && !(table in this.snapshot)) {
+      this.snapshot[table] = this.tables[table] ? structuredClone(this.tables[table]) : undefined;
+    }
+    return this.rows(table);
+  }
+
+  async execute(query) {
+    const result = query.action === 'select'
+      ? this.select(query)
+      : this.transaction(() => this.write(query));
+    return structuredClone(result);
+  }
+
+  select(query) {
+    const matched = this.rows(query.table).filter(row => this.matches(row, query.filters));
+    const sorted = this.sort(matched, query.orders);
+    const end = query.limitCount === null ? undefined : query.offset + query.limitCount;
+    const page = sorted.slice(query.offset, end);
+
+    return {
+      rows: query.head ? [] : page.map(row => this.project(query, row)),
+      count: query.countMode ? matched.length : null
+    };
+  }
+
+  write(query) {
+    const table = query.table;
+    this.mutable(table);
+    let written = [];
+
+    if (query.action === 'insert') {
+      written = query.values.map(values => this.insertRow(table, values));
+    }
+
+    if (query.action === 'upsert') {
+      query.values.forEach(values => {
+        const existing = this.rows(table).find(row =>
+          query.onConflict.every(column => this.same(row[column], values[column])));
+        if (!existing) written.push(this.insertRow(table, values));
+        else if (!query.ignoreDuplicates) written.push(Object.assign(existing, values, this.touched(table)));
+      });
+    }
+
+    if (query.action === 'update') {
+      written = this.rows(table).filter(row => this.matches(row, query.filters));
+      written.forEach(row => Object.assign(row, query.values, this.touched(table)));
+    }
+
+    if (query.action === 'delete') {
+      written = this.deleteWhere(table, row => this.matches(row, query.filters));
+    }
+
+    return { rows: query.returning ? written.map(row => this.project(query, row)) : [] };
+  }
+
+  // New row with schema defaults, an id and created_at; unique keys are enforced
+  insertRow(table, values) {
+    const definition = this.catalog.tables[table];
+    const row = {};
+    if (definition) {
+      Object.entries(definition.columns).forEach(([column, spec]) => {
+        const value = this.catalog.evaluateDefault(spec);
+        if (value !== undefined) row[column] = value;
+      });
+    }
+    Object.assign(row, { id: crypto.randomUUID(), created_at: new Date().toISOString() }, values);
+    if (!row.id) row.id = crypto.randomUUID();
+
+    (definition ? definition.unique : [['id']]).forEach(columns => {
+      const clash = this.rows(table).some(other =>
+        columns.every(column => row[column] !== null && row[column] !== undefined && this.same(other[column], row[column])));
+      if (clash) {
+        const error = new Error(`duplicate key value violates unique constraint on ${table} (${columns.join(', ')})`);
+        error.code = '23505';
+        throw error;
+      }
+    });
+
+    this.mutable(table).push(row);
+    return row;
+  }
+
+  // updated_at is set by a trigger in Postgres
+  touched(table) {
+    const definition = this.catalog.tables[table];
+    return definition && definition.columns.updated_at ? { updated_at: new Date().toISOString() } : {};
+  }
+
+  // Delete rows, following ON DELETE CASCADE / SET NULL references to them
+  deleteWhere(table, predicate) {
+    const rows = this.rows(table);
+    const deleted = rows.filter(predicate);
+    if (deleted.length === 0) return [];
+    this.mutable(table);
+    this.tables[table] = rows.filter(row => !predicate(row));
+
+    Object.entries(this.catalog.tables).forEach(([other, definition]) => {
+      definition.references
+        .filter(ref => ref.table === table && ref.onDelete)
+        .forEach(ref => {
+          const keys = new Set(deleted.map(row => String(row[ref.target])));
+          const refers = row => row[ref.column] !== null && row[ref.column] !== undefined && keys.has(String(row[ref.column]));
+          if (ref.onDelete === 'CASCADE') this.deleteWhere(other, refers);
+          else this.mutable(other).filter(refers).forEach(row => { row[ref.column] = null; });
+        });
+    });
+
+    return deleted;
+  }
+
+  // All or nothing: the tables `fn` changed are restored if it throws
+  transaction(fn) {
+    this.snapshot = {};
+    try {
+      const result = fn();
+      if (Object.keys(this.snapshot).length > 0) this.schedulePersist();
+      return result;
+    } catch (error) {
+      Object.entries(this.snapshot).forEach(([table, rows]) => {
+        if (rows === undefined) delete this.tables[table];
+        else this.tables[table] = rows;
+      });
+      throw error;
+    } finally {
+      this.snapshot = null;
+    }
+  }
+
+  // Rewrite the file once a burst of writes settles, and before the process exits
+  schedulePersist() {
+    if (!this.file || this.persistTimer) return;
+    if (!this.flushOnExit) {
+      this.flushOnExit = () => this.persist();
+      process.once('exit', this.flushOnExit);
+    }
+    this.persistTimer = setTimeout(() => this.persist(), PERSIST_DELAY_MS);
+    this.persistTimer.unref();
+  }
+
+  persist() {
+    clearTimeout(this.persistTimer);
+    this.persistTimer = null;
+    if (!this.file) return;
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    const temp = `${this.file}.tmp`;
+    fs.writeFileSync(temp, JSON.stringify({ tables: this.tables }));
+    fs.renameSync(temp, this.file);
+  }
+
+  matches(row, filters) {
+    return filters.every(filter => {
+      const value = row[filter.column];
+      const result = this.test(filter.op, value, filter.value);
+      if (result === null) return false; // comparisons with NULL are unknown either way, as in SQL
+      return filter.negate ? !result : result;
+    });
+  }
+
+  test(op, value, expected) {
+    if (op === 'is') return expected === null ? value === null || value === undefined : value === expected;
+    if (value === null || value === undefined) return null;
+
+    switch (op) {
+      case 'eq': return this.same(value, expected);
+      case 'neq': return !this.same(value, expected);
+      case 'gt': return this.compare(value, expected) > 0;
+      case 'gte': return this.compare(value, expected) >= 0;
+      case 'lt': return this.compare(value, expected) < 0;
+      case 'lte': return this.compare(value, expected) <= 0;
+      case 'like': return this.pattern(expected, '').test(String(value));
+      case 'ilike': return this.pattern(expected, 'i').test(String(value));
+      case 'in': return expected.some(v => this.same(value, v));
+      case 'contains': return this.containsValue(value, expected);
+      default: throw new Error(`Unsupported filter: ${op}`);
+    }
+  }
+
+  same(a, b) {
+    if (a === null || a === undefined || b === null || b === undefined) return a === b;
+    return String(a) === String(b);
+  }
+
+  compare(a, b) {
+    if (typeof a === 'number' || typeof b === 'number') return Number(a) - Number(b);
+    return String(a) < String(b) ? -1 : String(a) > String(b) ? 1 : 0;
+  }
+
+  pattern(expected, flags) {
+    const source = String(expected)
+      .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+      .replace(/%/g, '.*')
+      .replace(/_/g, '.');
+    return new RegExp(`^${source}$`, flags);
+  }
+
+  containsValue(value, expected) {
+    if (Array.isArray(expected)) {
+      return Array.isArray(value) && expected.every(e => value.some(v => this.same(v, e)));
+    }
+    if (expected && typeof expected === 'object') {
+      return Object.entries(expected).every(([key, e]) => value && this.same(value[key], e));
+    }
+    return this.same(value, expected);
+  }
+
+  sort(rows, orders) {
+    if (orders.length === 0) return rows;
+    return rows.slice().sort((a, b) => {
+      for (const { column, ascending, nullsFirst } of orders) {
+        const x = a[column];
+        const y = b[column];
+        const xNull = x === null || x === undefined;
+        const yNull = y === null || y === undefined;
+        if (xNull || yNull) {
+          if (xNull && yNull) continue;
+          return xNull === nullsFirst ? -1 : 1;
+        }
+        const diff = this.compare(x, y);
+        if (diff !== 0) return ascending ? diff : -diff;
+      }
+      return 0;
+    });
+  }
+
+  // Selected columns, with embedded many-to-one relations ("actors(name)") as objects
+  project(query, row) {
+    const result = {};
+    query.parseColumns().forEach(part => {
+      if (part.column === '*') Object.assign(result, row);
+      else if (part.column) result[part.column] = row[part.column] === undefined ? null : row[part.column];
+      else result[part.embed] = this.embed(query.table, row, part);
+    });
+    return result;
+  }
+
+  embed(table, row, { embed, columns }) {
+    const ref = (this.catalog.tables[table]?.references || []).find(r => r.table === embed);
+    const column = ref ? ref.column : `${embed.replace(/s$/, '')}_id`;
+    const target = this.rows(embed).find(other => this.same(other[ref ? ref.target : 'id'], row[column]));
+    if (!target) return null;
+    if (columns.includes('*')) return { ...target };
+    return Object.fromEntries(columns.map(c => [c, target[c] === undefined ? null : target[c]]));
+  }
+
+  // JS twin of save_script_analysis (migration 002)
+  saveScriptAnalysis({ p_script_id: scriptId, p_version: version, p_analysis: analysis, p_changes: changes = null }) {
+    const script = this.rows('scripts').find(s => s.id === scriptId);
+    if (!script) throw new Error(`Script ${scriptId} not found`);
+    const previousVersion = script.analysis_version;
+
+    this.mutable('scripts');
+    Object.assign(script, this.columns('scripts', analysis.script || {}), this.touched('scripts'));
+
+    const ofScript = row => row.script_id === scriptId;
+    ['dialogue', 'story_beats', 'characters', 'scenes', 'character_relationships']
+      .forEach(table => this.deleteWhere(table, ofScript));
+    this.deleteWhere('character_aliases', row => ofScript(row) && row.source === 'auto');
+
+    const strip = (table, row) => {
+      const copy = { ...row };
+      (LINK_KEYS[table] || []).forEach(key => delete copy[key]);
+      return copy;
+    };
+    const insertAll = (table, list) => list.map(row => this.insertRow(table, { ...strip(table, row), script_id: scriptId }));
+
+    const scenes = insertAll('scenes', analysis.scenes || []);
+    const characters = insertAll('characters', analysis.characters || []);
+    const sceneIds = Object.fromEntries(scenes.map(s => [s.scene_number, s.id]));
+    const characterIds = Object.fromEntries(characters.map(c => [c.name, c.id]));
+
+    const dialogue = (analysis.dialogue || [])
+      .filter(d => sceneIds[d.scene_number] && characterIds[d.character])
+      .map(d => this.insertRow('dialogue', {
+        ...strip('dialogue', d),
+        script_id: scriptId,
+        scene_id: sceneIds[d.scene_number],
+        character_id: characterIds[d.character]
+      }));
+
+    const beats = (analysis.beats || []).map(beat => this.insertRow('story_beats', {
+      ...strip('story_beats', beat),
+      script_id: scriptId,
+      scene_id: sceneIds[beat.scene_number] || null
+    }));
+
+    const existingAliases = new Set(this.rows('character_aliases').filter(ofScript).map(a => a.alias));
+    const aliases = insertAll('character_aliases', (analysis.aliases || []).filter(a => !existingAliases.has(a.alias)));
+    const relationships = insertAll('character_relationships', analysis.relationships || []);
+
+    Object.assign(script, {
+      analysis_version: version,
+      processed: true,
+      scene_count: scenes.length,
+      character_count: characters.length,
+      total_dialogue_lines: dialogue.length
+    });
+
+    if (changes) {
+      this.insertRow('script_analysis_history', {
+        script_id: scriptId, from_version: previousVersion, to_version: version, changes
+      });
+    }
+
+    return {
+      scenes: scenes.length,
+      characters: characters.length,
+      dialogue: dialogue.length,
+      story_beats: beats.length,
+      character_aliases: aliases.length,
+      character_relationships: relationships.length
+    };
+  }
+
+  // Only keys that are columns of the table (all of them when the schema doesn't know it),
+  // never id, as save_script_analysis does with jsonb_populate_record
+  columns(table, values) {
+    const definition = this.catalog.tables[table];
+    return Object.fromEntries(Object.entries(values).filter(([column]) =>
+      column !== 'id' && (!definition || definition.columns[column])));
+  }
+
+  // JS twin of claim_parse_job
+  claimParseJob({ p_batch_id: batchId }) {
+    const now = new Date().toISOString();
+    this.mutable('parse_jobs');
+    const job = this.sort(
+      this.rows('parse_jobs').filter(j => j.batch_id === batchId && j.status === 'pending' && j.next_attempt_at <= now),
+      [{ column: 'position', ascending: true, nullsFirst: false }]
+    )[0];
+    if (!job) return [];
+
+    Object.assign(job, { status: 'running', attempts: (job.attempts || 0) + 1, started_at: now });
+    return [job];
+  }
+}
+
+module.exports = MemoryStore;
@@ -0,0 +1,160 @@
+// =========================================
+// VESPER42 - Migrator
+// Versioned schema migrations (migrations/NNN_name.up.sql / .down.sql)
+// =========================================
+//
+// node storage/migrator.js up [--to=003]        apply pending migrations
+// node storage/migrator.js down [--steps=1]     roll back the latest (or --to=001 to keep up to 001)
+// node storage/migrator.js status
+//
+// Runs against DATABASE_URL (for Supabase, the project's Postgres connection string).
+// The memory store needs no command: it always follows every migration on disk.
+
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const FILE_PATTERN = /^(\d+)_(\w+)\.(up|down)\.sql$/;
+
+class Migrator {
+  constructor({ dir = MIGRATIONS_DIR, pool = null } = {}) {
+    this.dir = dir;
+    this.pool = pool;
+  }
+
+  // [{ version, name, up, down }] in version order; every migration needs both files
+  migrations() {
+    const byVersion = {};
+    fs.readdirSync(this.dir).forEach(file => {
+      const match = file.match(FILE_PATTERN);
+      if (!match) return;
+      const [, version, name, direction] = match;
+      byVersion[version] = byVersion[version] || { version, name };
+      byVersion[version][direction] = fs.readFileSync(path.join(this.dir, file), 'utf8');
+    });
+
+    return Object.values(byVersion)
+      .sort((a, b) => Number(a.version) - Number(b.version))
+      .map(migration => {
+        if (!migration.up || !migration.down) {
+          throw new Error(`Migration ${migration.version}_${migration.name} needs both an up and a down file`);
+        }
+        return migration;
+      });
+  }
+
+  async ensureTable() {
+    await this.pool.query(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at TIMESTAMP DEFAULT NOW()
+      )`);
+  }
+
+  async applied() {
+    await this.ensureTable();
+    const { rows } = await this.pool.query('SELECT version FROM schema_migrations');
+    return new Set(rows.map(r => r.version));
+  }
+
+  async status() {
+    const applied = await this.applied();
+    return this.migrations().map(({ version, name }) => ({ version, name, applied: applied.has(version) }));
+  }
+
+  // Apply pending migrations in order, up to and including `to`
+  async up({ to = null } = {}) {
+    const applied = await this.applied();
+    const pending = this.migrations()
+      .filter(m => !applied.has(m.version))
+      .filter(m => to === null || Number(m.version) <= Number(to));
+
+    for (const migration of pending) {
+      await this.run(migration, 'up');
+    }
+    return pending.map(m => `${m.version}_${m.name}`);
+  }
+
+  // Roll back the latest `steps` migrations, or everything after `to`
+  async down({ steps = 1, to = null } = {}) {
+    const applied = await this.applied();
+    const known = Object.fromEntries(this.migrations().map(m => [m.version, m]));
+
+    const versions = Array.from(applied).sort((a, b) => Number(b) - Number(a));
+    const targets = to === null
+      ? versions.slice(0, steps)
+      : versions.filter(v => Number(v) > Number(to));
+
+    for (const version of targets) {
+      if (!known[version]) throw new Error(`Migration ${version} is applied but has no files to roll it back`);
+      await this.run(known[version], 'down');
+    }
+    return targets.map(v => `${v}_${known[v].name}`);
+  }
+
+  // One transaction per migration, bookkeeping included
+  async run(migration, direction) {
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query(migration[direction]);
+      if (direction === 'up') {
+        await client.query('INSERT INTO schema_migrations (version, name) VALUES ($1, $2)', [migration.version, migration.name]);
+      } else {
+        await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+      }
+      await client.query('COMMIT');
+      console.log(`${direction === 'up' ? '⬆️ ' : '⬇️ '} ${migration.version}_${migration.name}`);
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw new Error(`Migration ${migration.version}_${migration.name} (${direction}) failed: ${error.message}`);
+    } finally {
+      client.release();
+    }
+  }
+}
+
+module.exports = Migrator;
+
+// Run if called directly
+if (require.main === module) {
+  const command = process.argv[2] || 'status';
+  const arg = name => (process.argv.find(a => a.startsWith(`--${name}=`)) || '').split('=')[1];
+
+  if (!process.env.DATABASE_URL) {
+    console.error('❌ Set DATABASE_URL to the Postgres database to migrate (for Supabase, the project connection string)');
+    process.exit(1);
+  }
+
+  const { Pool } = require('pg');
+  const pool = new Pool({ connectionString: process.env.DATABASE_URL });
+  const migrator = new Migrator({ pool });
+
+  const commands = {
+    up: () => migrator.up({ to: arg('to') || null }),
+    down: () => migrator.down({ steps: parseInt(arg('steps'), 10) || 1, to: arg('to') || null }),
+    status: () => migrator.status()
+  };
+
+  if (!commands[command]) {
+    console.error(`❌ Unknown command: ${command} (use up, down or status)`);
+    process.exit(1);
+  }
+
+  commands[command]()
+    .then(result => {
+      if (command === 'status') {
+        result.forEach(m => console.log(`${m.applied ? '✅' : '⏳'} ${m.version}_${m.name}`));
+      } else {
+        console.log(result.length > 0 ? `🏁 ${result.length} migration(s) ${command === 'up' ? 'applied' : 'rolled back'}` : '✅ Nothing to do');
+      }
+      return pool.end();
+    })
+    .catch(error => {
+      console.error('💥', error.message);
+      pool.end().finally(() => process.exit(1));
+    });
+}
@@ -0,0 +1,177 @@
+// =========================================
+// VESPER42 - Postgres Store
+// Plain Postgres (schema from migrations/) behind the query builder
+// =========================================
+
+const Query = require('./query');
+
+const OPERATORS = { eq: '=', neq: '<>', gt: '>', gte: '>=', lt: '<', lte: '<=', like: 'LIKE', ilike: 'ILIKE' };
+
+class PostgresStore {
+  constructor({ connectionString, pool = null } = {}) {
+    if (pool) {
+      this.pool = pool;
+    } else {
+      const { Pool } = require('pg');
+      this.pool = new Pool({ connectionString });
+    }
+    this.columnTypes = {};
+  }
+
+  from(table) {
+    return new Query(this, table);
+  }
+
+  // Named arguments, as supabase-js sends them: fn(p_a => $1, ...)
+  async rpc(name, args = {}) {
+    try {
+      const entries = Object.entries(args);
+      const params = entries.map(([, value]) => this.serialize(value));
+      const list = entries.map(([key], i) => `${this.quote(key)} => $${i + 1}`).join(', ');
+      const result = await this.pool.query(`SELECT * FROM ${this.quote(name)}(${list})`, params);
+
+      // Scalar functions come back as one column named after the function
+      const scalar = result.fields.length === 1 && result.fields[0].name === name;
+      return { data: scalar ? (result.rows[0] || {})[name] ?? null : result.rows, error: null };
+    } catch (error) {
+      return { data: null, error: { message: error.message, code: error.code || null } };
+    }
+  }
+
+  async close() {
+    await this.pool.end();
+  }
+
+  // Column name → { json, array } for a table, read once
+  async types(table) {
+    if (!this.columnTypes[table]) {
+      const { rows } = await this.pool.query(
+        `SELECT column_name, data_type FROM information_schema.columns
+         WHERE table_schema = current_schema() AND table_name = $1`,
+        [table]
+      );
+      this.columnTypes[table] = Object.fromEntries(rows.map(r => [r.column_name, {
+        json: r.data_type === 'jsonb' || r.data_type === 'json',
+        array: r.data_type === 'ARRAY'
+      }]));
+    }
+    return this.columnTypes[table];
+  }
+
+  async execute(query) {
+    const types = await this.types(query.table);
+    const params = [];
+    const param = (value, column) => {
+      params.push(this.serialize(value, types[column]));
+      return `$${params.length}`;
+    };
+
+    const table = this.quote(query.table);
+    const returning = query.returning ? ` RETURNING ${this.columns(query)}` : '';
+    let sql;
+
+    if (query.action === 'select') {
+      const where = this.where(query, param);
+      let count = null;
+      if (query.countMode) {
+        const counted = await this.pool.query(`SELECT count(*)::INTEGER AS count FROM ${table} t${where}`, params);
+        count = counted.rows[0].count;
+      }
+      if (query.head) return { rows: [], count };
+
+      sql = `SELECT ${this.columns(query)} FROM ${table} t${where}${this.orderBy(query)}` +
+        (query.limitCount !== null ? ` LIMIT ${Number(query.limitCount)}` : '') +
+        (query.offset ? ` OFFSET ${Number(query.offset)}` : '');
+      const { rows } = await this.pool.query(sql, params);
+      return { rows, count };
+    }
+
+    if (query.action === 'insert' || query.action === 'upsert') {
+      if (query.values.length === 0) return { rows: [] };
+      const columns = Array.from(new Set(query.values.flatMap(v => Object.keys(v))));
+      const values = query.values
+        .map(row => `(${columns.map(c => (row[c] === undefined ? 'DEFAULT' : param(row[c], c))).join(', ')})`)
+        .join(', ');
+      sql = `INSERT INTO ${table} AS t (${columns.map(c => this.quote(c)).join(', ')}) VALUES ${values}`;
+
+      if (query.action === 'upsert') {
+        const updates = columns.filter(c => !query.onConflict.includes(c));
+        sql += ` ON CONFLICT (${query.onConflict.map(c => this.quote(c)).join(', ')}) ` +
+          (query.ignoreDuplicates || updates.length === 0
+            ? 'DO NOTHING'
+            : `DO UPDATE SET ${updates.map(c => `${this.quote(c)} = EXCLUDED.${this.quote(c)}`).join(', ')}`);
+      }
+    }
+
+    if (query.action === 'update') {
+      const sets = Object.entries(query.values).map(([c, v]) => `${this.quote(c)} = ${param(v, c)}`);
+      sql = `UPDATE ${table} AS t SET ${sets.join(', ')}${this.where(query, param)}`;
+    }
+
+    if (query.action === 'delete') {
+      sql = `DELETE FROM ${table} AS t${this.where(query, param)}`;
+    }
+
+    const { rows } = await this.pool.query(sql + returning, params);
+    return { rows };
+  }
+
+  where(query, param) {
+    if (query.filters.length === 0) return '';
+    const clauses = query.filters.map(({ column, op, value, negate }) => {
+      const col = `t.${this.quote(column)}`;
+      let clause;
+      if (op === 'is') {
+        clause = `${col} IS ${value === null ? 'NULL' : value ? 'TRUE' : 'FALSE'}`;
+      } else if (op === 'in') {
+        clause = `${col} = ANY(${param(value)})`;
+      } else if (op === 'contains') {
+        clause = `${col} @> ${param(value, column)}`;
+      } else if (OPERATORS[op]) {
+        clause = value === null
+          ? `${col} ${op === 'neq' ? 'IS NOT' : 'IS'} NULL`
+          : `${col} ${OPERATORS[op]} ${param(value)}`;
+      } else {
+        throw new Error(`Unsupported filter: ${op}`);
+      }
+      return negate ? `NOT (${clause})` : clause;
+    });
+    return ` WHERE ${clauses.join(' AND ')}`;
+  }
+
+  orderBy(query) {
+    if (query.orders.length === 0) return '';
+    return ' ORDER BY ' + query.orders
+      .map(o => `t.${this.quote(o.column)} ${o.ascending ? 'ASC' : 'DESC'} NULLS ${o.nullsFirst ? 'FIRST' : 'LAST'}`)
+      .join(', ');
+  }
+
+  // Select list; embedded relations become a JSON object of the referenced row
+  columns(query) {
+    return query.parseColumns().map(part => {
+      if (part.column === '*') return 't.*';
+      if (part.column) return `t.${this.quote(part.column)}`;
+
+      const key = `${part.embed.replace(/s$/, '')}_id`;
+      const fields = part.columns.includes('*') ? '*' : part.columns.map(c => this.quote(c)).join(', ');
+      return `(SELECT row_to_json(r) FROM (SELECT ${fields} FROM ${this.quote(part.embed)} e ` +
+        `WHERE e.id = t.${this.quote(key)}) r) AS ${this.quote(part.embed)}`;
+    }).join(', ');
+  }
+
+  // JSON columns take JSON text; arrays for array columns go as Postgres arrays
+  serialize(value, type = null) {
+    if (value === null || value === undefined) return null;
+    if (type && type.json) return JSON.stringify(value);
+    if (type && type.array) return value;
+    if (Array.isArray(value) && !type) return value;
+    if (typeof value === 'object' && !(value instanceof Date)) return JSON.stringify(value);
+    return value;
+  }
+
+  quote(name) {
+    return `"${String(name).replace(/"/g, '""')}"`;
+  }
+}
+
+module.exports = PostgresStore;
@@ -0,0 +1,163 @@
+// =========================================
+// VESPER42 - Storage Query
+// Supabase-style query builder shared by the local stores
+// =========================================
+
+class Query {
+  constructor(store, table) {
+    this.store = store;
+    this.table = table;
+    this.action = 'select';
+    this.columns = '*';
+    this.filters = []; // [{ op, column, value, negate }]
+    this.orders = []; // [{ column, ascending, nullsFirst }]
+    this.limitCount = null;
+    this.offset = 0;
+    this.countMode = null;
+    this.head = false;
+    this.returning = false; // writes return rows only after .select()
+    this.values = null;
+    this.onConflict = null;
+    this.ignoreDuplicates = false;
+    this.singleMode = null; // 'single' or 'maybe'
+  }
+
+  // On a write, .select() asks for the written rows back
+  select(columns = '*', { count = null, head = false } = {}) {
+    if (this.action === 'select') {
+      this.countMode = count;
+      this.head = head;
+    } else {
+      this.returning = true;
+    }
+    this.columns = columns;
+    return this;
+  }
+
+  insert(values) {
+    this.action = 'insert';
+    this.values = [].concat(values);
+    return this;
+  }
+
+  upsert(values, { onConflict = 'id', ignoreDuplicates = false } = {}) {
+    this.action = 'upsert';
+    this.values = [].concat(values);
+    this.onConflict = onConflict.split(',').map(c => c.trim());
+    this.ignoreDuplicates = ignoreDuplicates;
+    return this;
+  }
+
+  update(values) {
+    this.action = 'update';
+    this.values = values;
+    return this;
+  }
+
+  delete() {
+    this.action = 'delete';
+    return this;
+  }
+
+  filter(column, op, value, negate = false) {
+    this.filters.push({ column, op, value, negate });
+    return this;
+  }
+
+  eq(column, value) { return this.filter(column, 'eq', value); }
+  neq(column, value) { return this.filter(column, 'neq', value); }
+  gt(column, value) { return this.filter(column, 'gt', value); }
+  gte(column, value) { return this.filter(column, 'gte', value); }
+  lt(column, value) { return this.filter(column, 'lt', value); }
+  lte(column, value) { return this.filter(column, 'lte', value); }
+  like(column, value) { return this.filter(column, 'like', value); }
+  ilike(column, value) { return this.filter(column, 'ilike', value); }
+  in(column, values) { return this.filter(column, 'in', values); }
+  is(column, value) { return this.filter(column, 'is', value); }
+  contains(column, value) { return this.filter(column, 'contains', value); }
+
+  // .not('tmdb_id', 'is', null)
+  not(column, op, value) {
+    return this.filter(column, op, value, true);
+  }
+
+  order(column, { ascending = true, nullsFirst } = {}) {
+    this.orders.push({ column, ascending, nullsFirst: nullsFirst === undefined ? !ascending : nullsFirst });
+    return this;
+  }
+
+  limit(count) {
+    this.limitCount = count;
+    return this;
+  }
+
+  range(from, to) {
+    this.offset = from;
+    this.limitCount = to - from + 1;
+    return this;
+  }
+
+  single() {
+    this.singleMode = 'single';
+    return this;
+  }
+
+  maybeSingle() {
+    this.singleMode = 'maybe';
+    return this;
+  }
+
+  // Column list of a select: plain columns and embedded relations ("actors(name, oscar_wins)")
+  parseColumns() {
+    const parts = [];
+    let depth = 0;
+    let current = '';
+    for (const ch of this.columns.replace(/\s+/g, ' ')) {
+      if (ch === '(') depth++;
+      if (ch === ')') depth--;
+      if (ch === ',' && depth === 0) {
+        parts.push(current.trim());
+        current = '';
+      } else {
+        current += ch;
+      }
+    }
+    if (current.trim()) parts.push(current.trim());
+
+    return parts.map(part => {
+      const embed = part.match(/^(\w+)\s*\((.*)\)$/);
+      return embed
+        ? { embed: embed[1], columns: embed[2].split(',').map(c => c.trim()).filter(Boolean) }
+        : { column: part };
+    });
+  }
+
+  // { data, error, count } like supabase-js; errors are returned, never thrown
+  async run() {
+    try {
+      const { rows, count = null } = await this.store.execute(this);
+      return { ...this.shape(rows), count };
+    } catch (error) {
+      return { data: null, error: { message: error.message, code: error.code || null }, count: null };
+    }
+  }
+
+  shape(rows) {
+    if (this.head) return { data: null, error: null };
+    if (this.action !== 'select' && !this.returning) return { data: null, error: null };
+    if (!this.singleMode) return { data: rows, error: null };
+
+    if (rows.length === 1) return { data: rows[0], error: null };
+    if (rows.length === 0 && this.singleMode === 'maybe') return { data: null, error: null };
+    return {
+      data: null,
+      error: { message: `JSON object requested, ${rows.length} rows returned`, code: 'PGRST116' }
+    };
+  }
+
+  then(resolve, reject) {
+    return this.run().then(resolve, reject);
+  }
+}
+
+module.exports = Query;
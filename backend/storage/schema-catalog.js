@@ -0,0 +1,140 @@
+// =========================================
+// VESPER42 - Schema Catalog
+// Tables, defaults, unique keys and cascades read from schema SQL
+// =========================================
+
+const crypto = require('crypto');
+
+const COLUMN_END = /\s+(PRIMARY\s+KEY|REFERENCES|DEFAULT|NOT\s+NULL|NULL|UNIQUE|CHECK)\b/i;
+
+class SchemaCatalog {
+  constructor() {
+    this.tables = {};
+  }
+
+  // Read CREATE TABLE and ALTER TABLE ... ADD COLUMN statements; everything else is skipped
+  load(sql) {
+    const text = sql.replace(/--[^\n]*/g, '');
+
+    const creates = /CREATE\s+TABLE\s+(?:IF\s+NOT\s+EXISTS\s+)?(\w+)\s*\(/gi;
+    let match;
+    while ((match = creates.exec(text))) {
+      const body = this.balanced(text, creates.lastIndex - 1);
+      const table = this.table(match[1]);
+      this.splitTopLevel(body).forEach(item => this.addItem(table, item));
+    }
+
+    const alters = /ALTER\s+TABLE\s+(?:IF\s+EXISTS\s+)?(\w+)\s+([^;]+);/gi;
+    while ((match = alters.exec(text))) {
+      const table = this.table(match[1]);
+      this.splitTopLevel(match[2]).forEach(action => {
+        const add = action.match(/^ADD\s+COLUMN\s+(?:IF\s+NOT\s+EXISTS\s+)?(.+)$/is);
+        const unique = action.match(/^ADD\s+(?:CONSTRAINT\s+\w+\s+)?(UNIQUE\s*\(.+\))$/is);
+        const drop = action.match(/^DROP\s+COLUMN\s+(?:IF\s+EXISTS\s+)?(\w+)/i);
+        if (add) this.addItem(table, add[1]);
+        if (unique) this.addItem(table, unique[1]);
+        if (drop) delete table.columns[drop[1]];
+      });
+    }
+
+    const drops = /DROP\s+TABLE\s+(?:IF\s+EXISTS\s+)?(\w+)/gi;
+    while ((match = drops.exec(text))) delete this.tables[match[1]];
+
+    return this;
+  }
+
+  table(name) {
+    if (!this.tables[name]) this.tables[name] = { columns: {}, unique: [], references: [] };
+    return this.tables[name];
+  }
+
+  addItem(table, item) {
+    const unique = item.match(/^(?:CONSTRAINT\s+\w+\s+)?(UNIQUE|PRIMARY\s+KEY)\s*\(([^)]+)\)/i);
+    if (unique) {
+      table.unique.push(unique[2].split(',').map(c => c.trim()));
+      return;
+    }
+    if (/^(CONSTRAINT|CHECK|FOREIGN\s+KEY|EXCLUDE)\b/i.test(item)) return;
+
+    const column = item.match(/^(\w+)\s+(.*)$/s);
+    if (!column) return;
+    const [, name, rest] = column;
+    const end = rest.search(COLUMN_END);
+    const type = (end >= 0 ? rest.slice(0, end) : rest).trim().toUpperCase();
+    const definition = {
+      type,
+      array: type.endsWith('[]'),
+      json: /^JSONB?$/.test(type),
+      default: this.defaultOf(rest)
+    };
+    table.columns[name] = definition;
+
+    if (/\b(PRIMARY\s+KEY|UNIQUE)\b/i.test(rest)) table.unique.push([name]);
+
+    const ref = rest.match(/REFERENCES\s+(\w+)\s*(?:\((\w+)\))?(?:\s+ON\s+DELETE\s+(CASCADE|SET\s+NULL))?/i);
+    if (ref) {
+      table.references.push({
+        column: name,
+        table: ref[1],
+        target: ref[2] || 'id',
+        onDelete: ref[3] ? ref[3].toUpperCase().replace(/\s+/, ' ') : null
+      });
+    }
+  }
+
+  defaultOf(rest) {
+    const match = rest.match(/\bDEFAULT\s+('(?:[^']|'')*'(?:::[\w[\]]+)?|[\w.]+\(\)|[-\w.]+)/i);
+    return match ? match[1] : null;
+  }
+
+  // Value of a column default for a new row, or undefined when there is none
+  evaluateDefault(definition) {
+    const expression = definition.default;
+    if (expression === null) return undefined;
+    if (/^gen_random_uuid\(\)$/i.test(expression)) return crypto.randomUUID();
+    if (/^(NOW\(\)|CURRENT_TIMESTAMP)$/i.test(expression)) return new Date().toISOString();
+    if (/^NULL$/i.test(expression)) return null;
+    if (/^(TRUE|FALSE)$/i.test(expression)) return expression.toUpperCase() === 'TRUE';
+    if (/^-?\d+(\.\d+)?$/.test(expression)) return Number(expression);
+
+    const literal = expression.match(/^'((?:[^']|'')*)'/);
+    if (!literal) return undefined;
+    const value = literal[1].replace(/''/g, '\'');
+    if (definition.json) return JSON.parse(value);
+    if (definition.array) return value === '{}' ? [] : value.replace(/^\{|\}$/g, '').split(',');
+    return value;
+  }
+
+  // Text between the parenthesis at `open` and its match
+  balanced(text, open) {
+    let depth = 0;
+    for (let i = open; i < text.length; i++) {
+      if (text[i] === '(') depth++;
+      if (text[i] === ')') depth--;
+      if (depth === 0) return text.slice(open + 1, i);
+    }
+    return text.slice(open + 1);
+  }
+
+  splitTopLevel(body) {
+    const items = [];
+    let depth = 0;
+    let quoted = false;
+    let current = '';
+    for (const ch of body) {
+      if (ch === '\'') quoted = !quoted;
+      if (!quoted && ch === '(') depth++;
+      if (!quoted && ch === ')') depth--;
+      if (!quoted && ch === ',' && depth === 0) {
+        if (current.trim()) items.push(current.trim());
+        current = '';
+      } else {
+        current += ch;
+      }
+    }
+    if (current.trim()) items.push(current.trim());
+    return items;
+  }
+}
+
+module.exports = SchemaCatalog;
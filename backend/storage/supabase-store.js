@@ -0,0 +1,22 @@
+// =========================================
+// VESPER42 - Supabase Store
+// The hosted database, through supabase-js
+// =========================================
+
+const { createClient } = require('@supabase/supabase-js');
+
+class SupabaseStore {
+  constructor({ url, key }) {
+    this.client = createClient(url, key);
+  }
+
+  from(table) {
+    return this.client.from(table);
+  }
+
+  rpc(name, args) {
+    return this.client.rpc(name, args);
+  }
+}
+
+module.exports = SupabaseStore;